@@ -0,0 +1,163 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+
+/**
+ * @title AdminRolesUpgradeable
+ * @dev Shared admin roles and a queue for sensitive changes, used by the upgradeable contracts.
+ *      - PRICE_ADMIN, DRAW_OPERATOR, TREASURER, PAUSER and UPGRADER split up what the owner used to do alone
+ *      - Timelocked functions only run once the exact call (selector and arguments) has been queued
+ *        with queueChange and timelockDelay has passed, so anyone can inspect it first. It must then
+ *        be made within CHANGE_GRACE_PERIOD, so a stale queued call can't run months later.
+ *      - State lives in an ERC-7201 namespace, so adding this base doesn't move existing storage
+ */
+abstract contract AdminRolesUpgradeable is Initializable, AccessControlUpgradeable {
+
+    bytes32 public constant PRICE_ADMIN_ROLE = keccak256("PRICE_ADMIN_ROLE");
+    bytes32 public constant DRAW_OPERATOR_ROLE = keccak256("DRAW_OPERATOR_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
+
+    uint256 public constant MIN_TIMELOCK_DELAY = 1 days;
+    uint256 private constant DEFAULT_TIMELOCK_DELAY = 2 days;
+    uint256 public constant CHANGE_GRACE_PERIOD = 14 days;
+
+    /// @custom:storage-location erc7201:hodlotto.storage.AdminRoles
+    struct AdminRolesStorage {
+        uint256 timelockDelay;
+        mapping(bytes32 => uint256) changeReadyAt;  // keccak256(calldata) → when it may run (0 = not queued)
+    }
+
+    // keccak256(abi.encode(uint256(keccak256("hodlotto.storage.AdminRoles")) - 1)) & ~bytes32(uint256(0xff))
+    bytes32 private constant ADMIN_ROLES_STORAGE_LOCATION =
+        0x51b6997c355e23423db128a6024db5867ab2a5c5740fb77879a5957fea96e600;
+
+    event ChangeQueued(bytes32 indexed changeId, bytes4 indexed selector, bytes data, uint256 readyAt, address proposer);
+    event ChangeExecuted(bytes32 indexed changeId);
+    event ChangeCancelled(bytes32 indexed changeId);
+    event TimelockDelaySet(uint256 delay);
+
+    /**
+     * @dev Only callable with the role, and only as a call queued at least timelockDelay ago
+     */
+    modifier timelocked(bytes32 role) {
+        _checkRole(role);
+        _consumeChange();
+        _;
+    }
+
+    function _getAdminRolesStorage() private pure returns (AdminRolesStorage storage $) {
+        assembly {
+            $.slot := ADMIN_ROLES_STORAGE_LOCATION
+        }
+    }
+
+    /**
+     * @dev Grant every role to the admin and start the timelock at its default delay
+     */
+    function __AdminRoles_init(address admin) internal onlyInitializing {
+        __AccessControl_init();
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(PRICE_ADMIN_ROLE, admin);
+        _grantRole(DRAW_OPERATOR_ROLE, admin);
+        _grantRole(TREASURER_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(UPGRADER_ROLE, admin);
+        _getAdminRolesStorage().timelockDelay = DEFAULT_TIMELOCK_DELAY;
+    }
+
+    /**
+     * @dev Queue a timelocked call. It can be made once timelockDelay has passed, by an account
+     *      with the function's role, with exactly this calldata.
+     * @param data ABI-encoded call, e.g. setTierWeight(3, 16)
+     * @return changeId keccak256(data), to look the change up with
+     */
+    function queueChange(bytes calldata data) external returns (bytes32 changeId) {
+        _checkRole(_timelockRole(_selector(data)));
+
+        AdminRolesStorage storage $ = _getAdminRolesStorage();
+        changeId = keccak256(data);
+        require(!_isPending($.changeReadyAt[changeId]), "Change already queued");
+
+        uint256 readyAt = block.timestamp + timelockDelay();
+        $.changeReadyAt[changeId] = readyAt;
+
+        emit ChangeQueued(changeId, _selector(data), data, readyAt, msg.sender);
+    }
+
+    /**
+     * @dev Drop a queued call, including an expired one
+     */
+    function cancelChange(bytes calldata data) external {
+        _checkRole(_timelockRole(_selector(data)));
+
+        AdminRolesStorage storage $ = _getAdminRolesStorage();
+        bytes32 changeId = keccak256(data);
+        require($.changeReadyAt[changeId] != 0, "Change not queued");
+
+        delete $.changeReadyAt[changeId];
+        emit ChangeCancelled(changeId);
+    }
+
+    /**
+     * @dev When a queued call can be made (0 if it isn't queued or has expired). It expires
+     *      CHANGE_GRACE_PERIOD after that.
+     */
+    function getChangeReadyTime(bytes calldata data) external view returns (uint256) {
+        uint256 readyAt = _getAdminRolesStorage().changeReadyAt[keccak256(data)];
+        return _isPending(readyAt) ? readyAt : 0;
+    }
+
+    /**
+     * @dev Wait between queueing a change and making it
+     */
+    function timelockDelay() public view returns (uint256) {
+        uint256 delay = _getAdminRolesStorage().timelockDelay;
+        return delay > 0 ? delay : DEFAULT_TIMELOCK_DELAY;
+    }
+
+    /**
+     * @dev Change the timelock delay (itself timelocked). Changes already queued keep their time.
+     */
+    function setTimelockDelay(uint256 _delay) external timelocked(DEFAULT_ADMIN_ROLE) {
+        require(_delay >= MIN_TIMELOCK_DELAY, "Delay below minimum");
+        _getAdminRolesStorage().timelockDelay = _delay;
+        emit TimelockDelaySet(_delay);
+    }
+
+    /**
+     * @dev Role that may queue, cancel and make a timelocked call. Contracts list their own
+     *      timelocked functions and fall back to this one.
+     */
+    function _timelockRole(bytes4 selector) internal view virtual returns (bytes32) {
+        require(selector == this.setTimelockDelay.selector, "Not a timelocked function");
+        return DEFAULT_ADMIN_ROLE;
+    }
+
+    /**
+     * @dev Use up the queued change matching the current call
+     */
+    function _consumeChange() private {
+        AdminRolesStorage storage $ = _getAdminRolesStorage();
+        bytes32 changeId = keccak256(msg.data);
+        uint256 readyAt = $.changeReadyAt[changeId];
+        require(readyAt != 0, "Change not queued");
+        require(block.timestamp >= readyAt, "Timelock not elapsed");
+        require(_isPending(readyAt), "Change expired");
+
+        delete $.changeReadyAt[changeId];
+        emit ChangeExecuted(changeId);
+    }
+
+    function _isPending(uint256 readyAt) private view returns (bool) {
+        return readyAt != 0 && block.timestamp <= readyAt + CHANGE_GRACE_PERIOD;
+    }
+
+    function _selector(bytes calldata data) private pure returns (bytes4) {
+        require(data.length >= 4, "Invalid call data");
+        return bytes4(data[:4]);
+    }
+}
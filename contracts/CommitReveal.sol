@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./LotteryDrawManagerBase.sol";
+
+/**
+ * @title CommitReveal
+ * @dev Seed commitments for LotteryDrawManagerV2's commit-reveal mode, linked as an external
+ *      library to keep the draw manager under the contract size limit. The draw manager opens and
+ *      completes the draws; this records, checks and settles their commitments.
+ */
+library CommitReveal {
+    /**
+     * @dev Record the seed hash for an opened draw, to be revealed after a delay
+     */
+    function commit(
+        LotteryDrawManagerBase.SeedCommitment storage _commitment,
+        uint256 _drawId,
+        bytes32 _seedHash,
+        uint256 _revealDelayBlocks,
+        uint256 _bond
+    ) external {
+        _commitment.seedHash = _seedHash;
+        _commitment.revealBlock = block.number + _revealDelayBlocks;
+        _commitment.bond = _bond;
+
+        emit LotteryDrawManagerBase.DrawSeedCommitted(_drawId, _seedHash, _commitment.revealBlock, _bond);
+    }
+
+    /**
+     * @dev Check and record a revealed seed. Allowed from the block after revealBlock until
+     *      _revealWindowBlocks after it.
+     * @return The draw's random number, in [0, _totalWeight)
+     */
+    function reveal(
+        LotteryDrawManagerBase.SeedCommitment storage _commitment,
+        uint256 _drawId,
+        bytes32 _seed,
+        uint256 _revealWindowBlocks,
+        uint256 _totalWeight
+    ) external returns (uint256) {
+        _requireUnsettled(_commitment);
+        require(block.number > _commitment.revealBlock, "Reveal block not reached");
+        require(block.number <= _commitment.revealBlock + _revealWindowBlocks, "Reveal window closed");
+        require(keccak256(abi.encodePacked(_seed)) == _commitment.seedHash, "Seed does not match commitment");
+
+        _commitment.seed = _seed;
+        _commitment.revealBlockHash = blockhash(_commitment.revealBlock);
+        _commitment.revealed = true;
+
+        emit LotteryDrawManagerBase.DrawSeedRevealed(_drawId, _seed, _commitment.revealBlockHash);
+
+        return randomNumber(_commitment, _totalWeight);
+    }
+
+    /**
+     * @dev Mark a commitment whose reveal window closed without a reveal as forfeited. No random
+     *      number comes of it: any fallback the operator could predict would let them choose
+     *      between it and their seed's outcome by withholding the reveal.
+     */
+    function forfeit(
+        LotteryDrawManagerBase.SeedCommitment storage _commitment,
+        uint256 _drawId,
+        uint256 _revealWindowBlocks
+    ) external {
+        _requireUnsettled(_commitment);
+        require(block.number > _commitment.revealBlock + _revealWindowBlocks, "Reveal window still open");
+
+        _commitment.forfeited = true;
+
+        emit LotteryDrawManagerBase.DrawRevealForfeited(_drawId, _commitment.bond);
+    }
+
+    /**
+     * @dev Random number for a revealed commitment: the seed mixed with the reveal block's hash
+     */
+    function randomNumber(LotteryDrawManagerBase.SeedCommitment storage _commitment, uint256 _totalWeight)
+        public
+        view
+        returns (uint256)
+    {
+        return uint256(keccak256(abi.encodePacked(
+            _commitment.seed,
+            _commitment.revealBlockHash
+        ))) % _totalWeight;
+    }
+
+    function _requireUnsettled(LotteryDrawManagerBase.SeedCommitment storage _commitment) private view {
+        require(_commitment.seedHash != bytes32(0), "No commitment");
+        require(!_commitment.revealed && !_commitment.forfeited, "Already settled");
+    }
+}
@@ -0,0 +1,247 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./ILotteryData.sol";
+import "./LotteryDrawManagerBase.sol";
+
+/**
+ * @title DrawSelection
+ * @dev Winner selection for LotteryDrawManagerV2, linked as an external library to keep the draw
+ *      manager under the contract size limit. Runs by delegatecall on the draw manager's storage.
+ */
+library DrawSelection {
+    // Redraws allowed after landing on a ticket that can't win before the place is left empty
+    uint256 internal constant MAX_REDRAWS = 16;
+
+    /**
+     * @dev Draw one winner per prize place from a single random number. Place 0 uses the number
+     *      itself; later places start from its hash with the place index. Each place is picked
+     *      from the tickets still eligible (see _selectPlace). Places that can't be filled, e.g.
+     *      more places than live tickets, are left empty along with the places after them; no
+     *      winners at all rolls the draw over.
+     *      1st place is the draw's winner; the per-place lists are only kept for multi-winner draws.
+     * @return filled Number of places filled
+     */
+    function selectWinners(
+        LotteryDrawManagerBase.Draw storage _draw,
+        LotteryDrawManagerBase.DrawConfig storage _config,
+        ILotteryData _minting,
+        uint256 _randomNumber
+    ) external returns (uint256 filled) {
+        uint256 places = _config.prizeSplitsBps.length == 0 ? 1 : _config.prizeSplitsBps.length;
+
+        for (uint256 place = 0; place < places; place++) {
+            uint256 number = place == 0
+                ? _randomNumber
+                : uint256(keccak256(abi.encodePacked(_randomNumber, place))) % _draw.totalWeightAtDraw;
+
+            (bool found, address winner, uint256 lottoID, uint256 winningNumber) =
+                _selectPlace(number, place, _draw, _config, _minting);
+            if (!found) break;
+            filled++;
+
+            if (place == 0) {
+                _draw.winner = winner;
+                _draw.winningLottoID = lottoID;
+                _draw.winningNumber = winningNumber;
+            }
+            if (places > 1) {
+                _draw.winners.push(winner);
+                _draw.winnerLottoIDs.push(lottoID);
+            }
+        }
+    }
+
+    /**
+     * @dev Whether a draw's winning number is the random number itself or one of the redraws
+     *      _selectPlace makes from it after landing on burned tickets
+     */
+    function isRedrawOf(uint256 _randomNumber, uint256 _winningNumber, uint256 _totalWeight)
+        external
+        pure
+        returns (bool)
+    {
+        uint256 number = _randomNumber;
+        for (uint256 attempt = 0; attempt <= MAX_REDRAWS; attempt++) {
+            if (number == _winningNumber) return true;
+            number = uint256(keccak256(abi.encodePacked(number, attempt))) % _totalWeight;
+        }
+        return false;
+    }
+
+    /**
+     * @dev Pick an eligible ticket for a prize place. Landing on a burned ticket, an ineligible
+     *      tier or an earlier winner redraws from a rehash of the number; this rejection sampling keeps every
+     *      eligible ticket's odds proportional to its weight. After MAX_REDRAWS misses the place is
+     *      left empty, which bounds the gas the VRF callback needs however few tickets can win.
+     * @return found Whether an eligible ticket was drawn
+     * @return winner Address of winner
+     * @return lottoID Winning lottery ID
+     * @return winningNumber The number that selected the winner
+     */
+    function _selectPlace(
+        uint256 _randomNumber,
+        uint256 _place,
+        LotteryDrawManagerBase.Draw storage _draw,
+        LotteryDrawManagerBase.DrawConfig storage _config,
+        ILotteryData _minting
+    ) private view returns (bool found, address winner, uint256 lottoID, uint256 winningNumber) {
+        winningNumber = _randomNumber;
+        uint256 tier;
+
+        for (uint256 attempt = 0; attempt <= MAX_REDRAWS; attempt++) {
+            (winner, lottoID, , tier) = _selectWinnerBinarySearch(winningNumber, _draw, _minting);
+            if (_isEligibleWinner(_place, _draw, _config, _minting, winner, lottoID, tier)) {
+                return (true, winner, lottoID, winningNumber);
+            }
+            if (attempt < MAX_REDRAWS) {
+                winningNumber = uint256(keccak256(abi.encodePacked(winningNumber, attempt))) % _draw.totalWeightAtDraw;
+            }
+        }
+
+        return (false, address(0), 0, 0);
+    }
+
+    /**
+     * @dev A ticket can win a place if its tier is eligible for the draw type, it isn't burned
+     *      and it hasn't won an earlier place (nor has its owner, when the draw type requires
+     *      distinct addresses)
+     * @param _place The place being drawn; the earlier ones are in the draw's per-place lists
+     */
+    function _isEligibleWinner(
+        uint256 _place,
+        LotteryDrawManagerBase.Draw storage _draw,
+        LotteryDrawManagerBase.DrawConfig storage _config,
+        ILotteryData _minting,
+        address _owner,
+        uint256 _lottoID,
+        uint256 _tier
+    ) private view returns (bool) {
+        uint256 mask = _draw.eligibleTierMask;
+        if (mask != 0 && (_tier >= 256 || (mask >> _tier) & 1 == 0)) {
+            return false;
+        }
+        for (uint256 i = 0; i < _place; i++) {
+            if (_draw.winnerLottoIDs[i] == _lottoID) return false;
+            if (_config.distinctWinnerAddresses && _draw.winners[i] == _owner) return false;
+        }
+        return !_minting.isBurned(_lottoID);
+    }
+
+    /**
+     * @dev Select winner using BINARY SEARCH - O(log n) complexity.
+     *      Only the draw's window of its round is searched: the participants snapshotted at draw
+     *      time, with the random number shifted into the window's slice of the weight range.
+     *      Tier-filtered draws search the eligible tiers' index instead.
+     * @param _randomNumber Random number in range [0, totalWeightAtDraw)
+     * @param _draw The draw being completed
+     * @return winner Address of winner
+     * @return lottoID Winning lottery ID
+     * @return index Participant index of the winner
+     * @return tier Tier of the winning ticket
+     */
+    function _selectWinnerBinarySearch(
+        uint256 _randomNumber,
+        LotteryDrawManagerBase.Draw storage _draw,
+        ILotteryData _minting
+    ) private view returns (address winner, uint256 lottoID, uint256 index, uint256 tier) {
+        require(_randomNumber < _draw.totalWeightAtDraw, "Invalid random number");
+        require(_draw.participantCountAtDraw > 0, "No participants");
+
+        if (_draw.eligibleTierMask != 0) {
+            return _selectTierWinner(_randomNumber, _draw, _minting);
+        }
+
+        (uint256 fromIndex, uint256 target) = _searchTarget(_randomNumber, _draw, _minting);
+        uint256 left = fromIndex;
+        uint256 right = fromIndex + _draw.participantCountAtDraw - 1;
+
+        // Binary search to find participant whose range contains target
+        while (left <= right) {
+            uint256 mid = left + (right - left) / 2;
+
+            (
+                address owner,
+                uint256 lottoId,
+                uint256 weightStart,
+                uint256 weightEnd,
+                uint256 participantTier
+            ) = _minting.participants(mid);
+
+            if (target < weightStart) {
+                // Winner is in left half
+                if (mid == 0) break;
+                right = mid - 1;
+            } else if (target >= weightEnd) {
+                // Winner is in right half
+                left = mid + 1;
+            } else {
+                // Found the winner!
+                return (owner, lottoId, mid, participantTier);
+            }
+        }
+
+        revert("Winner not found");
+    }
+
+    /**
+     * @dev The draw's first participant and the point of the cumulative weight range the random
+     *      number lands on, shifted into the window's slice of the range
+     */
+    function _searchTarget(uint256 _randomNumber, LotteryDrawManagerBase.Draw storage _draw, ILotteryData _minting)
+        private
+        view
+        returns (uint256 fromIndex, uint256 target)
+    {
+        // A round's start index and weight offset never change once it has opened
+        (uint256 startIndex, , uint256 weightOffset, , ) = _minting.getRound(_draw.roundId);
+        fromIndex = _draw.fromIndex > startIndex ? _draw.fromIndex : startIndex;
+        target = weightOffset + _randomNumber;
+        if (fromIndex != startIndex) {
+            (, , uint256 windowStart, , ) = _minting.participants(fromIndex);
+            target = windowStart + _randomNumber;
+        }
+    }
+
+    /**
+     * @dev Select a winner among the draw's eligible tiers - O(tiers × log n). The random number
+     *      walks the tiers' weights within the window, then the tier's cumulative weight index
+     *      finds the ticket.
+     */
+    function _selectTierWinner(uint256 _randomNumber, LotteryDrawManagerBase.Draw storage _draw, ILotteryData _minting)
+        private
+        view
+        returns (address winner, uint256 lottoID, uint256 index, uint256 tier)
+    {
+        uint256 fromIndex = _drawFromIndex(_draw, _minting);
+        uint256 endIndex = fromIndex + _draw.participantCountAtDraw;
+        uint256 mask = _draw.eligibleTierMask;
+        uint256 remaining = _randomNumber;
+
+        for (tier = 0; mask >> tier != 0; tier++) {
+            if ((mask >> tier) & 1 == 0) continue;
+
+            (uint256 weightBefore, uint256 weight) = _minting.getTierRange(tier, fromIndex, endIndex);
+            if (remaining < weight) {
+                index = _minting.getTierParticipantAt(tier, weightBefore + remaining);
+                (winner, lottoID, , , ) = _minting.participants(index);
+                return (winner, lottoID, index, tier);
+            }
+            remaining -= weight;
+        }
+
+        revert("Winner not found");
+    }
+
+    /**
+     * @dev First participant a draw could pick. Draws opened before windows existed start at their round.
+     */
+    function _drawFromIndex(LotteryDrawManagerBase.Draw storage _draw, ILotteryData _minting)
+        private
+        view
+        returns (uint256)
+    {
+        (uint256 startIndex, , , , ) = _minting.getRound(_draw.roundId);
+        return _draw.fromIndex > startIndex ? _draw.fromIndex : startIndex;
+    }
+}
@@ -35,7 +35,32 @@ interface ILotteryData {
     function getLottoIDsByAddress(address user) external view returns (LottoEntry[] memory);
     function lottoIDIndexer(uint256 lottoID) external view returns (address);
 
+    // Rounds: each round is a contiguous slice of participants and of the weight range
+    function roundId() external view returns (uint256);
+    function getRound(uint256 id) external view returns (
+        uint256 startIndex,
+        uint256 endIndex,
+        uint256 weightOffset,
+        uint256 roundWeight,
+        bool closed
+    );
+    function getRoundOfParticipant(uint256 index) external view returns (uint256);
+
+    // Burned tickets keep their range but must be skipped by draws
+    function isBurned(uint256 lottoID) external view returns (bool);
+    function burnedWeight() external view returns (uint256);
+    function roundBurnedWeight(uint256 id) external view returns (uint256);
+
+    // Per-tier index, for draws limited to some tiers
+    function tierIndexedCount() external view returns (uint256);
+    function getTierRange(uint256 tier, uint256 fromIndex, uint256 toIndex)
+        external
+        view
+        returns (uint256 weightBefore, uint256 weight);
+    function getTierParticipantAt(uint256 tier, uint256 cumulativeWeight) external view returns (uint256);
+
     // State management functions (only callable by authorized contracts)
     function deactivateLottery() external;
     function activateLottery() external;
+    function closeRound() external returns (uint256 closedRoundId);
 }
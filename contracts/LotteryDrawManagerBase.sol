@@ -0,0 +1,439 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./ILotteryData.sol";
+import "./AdminRolesUpgradeable.sol";
+
+/**
+ * @title LotteryDrawManagerBase
+ * @dev Types, storage and events of the draw manager, plus the helpers both of its contracts use.
+ *      LotteryDrawManagerV2 runs the draws; calls it doesn't define reach
+ *      LotteryDrawManagerExtension through its fallback and run there on the proxy's storage.
+ *      Both inherit this, so they see one storage layout. Append new state here only.
+ */
+abstract contract LotteryDrawManagerBase is
+    Initializable,
+    OwnableUpgradeable,
+    AdminRolesUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable
+{
+    // ============ ENUMS ============
+
+    enum RandomnessMode {
+        PSEUDO_RANDOM,  // block.prevrandao (acceptable - users don't choose numbers)
+        CHAINLINK_VRF,  // Provably fair randomness (optional)
+        COMMIT_REVEAL   // Operator seed + future blockhash (no oracle fees)
+    }
+
+    // Built-in draw types. Draw types are passed around as uint8 IDs (the ABI encoding of this
+    // enum), so IDs from BUILT_IN_DRAW_TYPES up are draw programs registered at runtime.
+    enum DrawType {
+        WEEKLY,      // Every 7 days
+        MONTHLY,     // Every 30 days
+        QUARTERLY,   // Every 90 days
+        YEARLY       // Every 365 days
+    }
+
+    // ============ STRUCTS ============
+
+    struct PrizeBucket {
+        uint256 ethAmount;                    // ETH in bucket
+        address[] tokenAddresses;             // ERC20 token addresses
+        mapping(address => uint256) tokenAmounts;  // Token address → amount
+    }
+
+    struct DrawConfig {
+        /// @custom:oz-retyped-from LotteryDrawManagerV2.DrawType
+        uint8 drawType;
+        uint256 initialPrizeAmount;    // Initial prize amount in wei
+        uint256 currentPrizeAmount;    // Current prize after halvings
+        uint256 halvingInterval;       // Number of draws before halving
+        uint256 drawCount;             // Total draws executed
+        uint256 lastDrawTime;          // Timestamp of last draw
+        uint256 drawInterval;          // Time between draws (in seconds)
+        bool active;                   // Is this draw type active
+        bool distinctWinnerAddresses;  // One place per address (otherwise one place per ticket)
+        bool oneOff;                   // Single draw at a fixed time (drawInterval = 0), then inactive
+        bool onlyNewTickets;           // Only tickets minted since this draw type's previous draw
+        uint64 lastDrawEndIndex;       // Participant count when this draw type last drew
+        uint64 latestDrawId;           // Latest draw opened, so one awaiting its random number keeps the type locked
+        uint32 rolloverCount;          // Consecutive rolled-over draws
+        uint32 mustBeWonAfter;         // Rollovers after which a draw pays whatever the bucket holds (0 = never)
+        uint256[] prizeSplitsBps;      // Share per place in basis points (empty = single winner)
+        string name;                   // Registered programs only; built-ins use _builtInName
+        uint256 eligibleTierMask;      // Bit t set = tier t can win (0 = every tier)
+        uint256 rolloverAmount;        // Prizes carried over from draws nobody could win
+    }
+
+    struct Draw {
+        uint256 drawId;                // Only set by older versions: a draw's ID is its key in draws
+        /// @custom:oz-retyped-from LotteryDrawManagerV2.DrawType
+        uint8 drawType;
+        uint256 timestamp;
+        uint256 prizeEth;              // ETH prize amount
+        address winner;
+        uint256 winningLottoID;
+        uint256 winningNumber;
+        uint256 participantCountAtDraw;
+        uint256 totalWeightAtDraw;
+        address[] prizeTokens;         // ERC20 tokens in prize
+        mapping(address => uint256) prizeTokenAmounts;  // Token amounts
+        // Packed into one slot, written as the draw opens and completes
+        uint64 roundId;                // Minting round the winner is drawn from
+        uint64 fromIndex;              // First eligible participant (the round start unless onlyNewTickets)
+        uint64 completionIndex;        // Position in completion order, for matching claims to credits
+        uint64 claimDeadline;          // Unclaimed prizes can be expired after this (0 = never)
+        address[] winners;             // One per filled place, 1st place first; empty for single-winner draws
+        uint256[] winnerLottoIDs;
+        uint256[] winnerEthAmounts;
+        mapping(address => uint256[]) winnerTokenAmounts;  // Token → amount per place
+        uint256 eligibleTierMask;      // Snapshot of the draw type's tier filter (0 = every tier)
+        bool prizesExpired;
+        bool rolledOver;               // No winner: the prize carried into the draw type's next draw
+    }
+
+    // A Draw without its arrays and mappings, as returned by getDraw
+    struct DrawSummary {
+        uint256 drawId;
+        uint8 drawType;
+        uint256 timestamp;
+        uint256 prizeEth;
+        address winner;
+        uint256 winningLottoID;
+        uint256 winningNumber;
+        uint256 participantCountAtDraw;
+        uint256 totalWeightAtDraw;
+        uint256 roundId;
+        uint256 completionIndex;
+        uint256 claimDeadline;
+        bool prizesExpired;
+        uint256 fromIndex;
+        uint256 eligibleTierMask;
+        bool rolledOver;
+    }
+
+    struct SeedCommitment {
+        bytes32 seedHash;              // keccak256(abi.encodePacked(seed)), posted with the draw
+        uint256 revealBlock;           // Block whose hash is mixed with the seed
+        bytes32 revealBlockHash;       // blockhash(revealBlock), stored at reveal for verification
+        bytes32 seed;                  // Revealed seed
+        uint256 bond;                  // ETH posted with the commitment
+        bool revealed;
+        bool forfeited;                // Reveal missed: bond went to the prize bucket
+    }
+
+    // What an asset's prize buckets hold and what winners have yet to claim. One slot, since every
+    // draw moves its prize from one to the other.
+    struct AssetTotals {
+        uint128 allocated;
+        uint128 claimable;
+    }
+
+    struct BucketDefund {
+        uint8 drawType;
+        address asset;                 // address(0) for ETH
+        uint256 amount;                // Most the defund takes; less if draws have paid from the bucket since
+        uint256 executeAfter;
+        bool executed;
+        bool cancelled;
+    }
+
+    // ============ CONSTANTS ============
+
+    // Prize splits are in basis points, with at most MAX_WINNERS places per draw
+    uint256 internal constant BPS_DENOMINATOR = 10000;
+    uint256 internal constant MAX_WINNERS = 10;
+
+    // Tier filter with a bit for each of the minting contract's 10 tiers
+    uint256 internal constant ALL_TIERS_MASK = (1 << 10) - 1;
+
+    // Claimable balances use the zero address for ETH
+    address internal constant ETH = address(0);
+
+    // Longest claim window, so claim deadlines always fit their slot
+    uint256 internal constant MAX_CLAIM_WINDOW = 10 * 365 days;
+
+    // How long a VRF request may stay unfulfilled before it can be re-requested
+    uint256 internal constant DEFAULT_VRF_REQUEST_TIMEOUT = 1 hours;
+
+    // blockhash() only reaches back 256 blocks, which bounds the reveal window
+    uint256 internal constant MAX_REVEAL_WINDOW_BLOCKS = 256;
+
+    // Draw type IDs 0-3 are the DrawType enum; registered programs take the rest of the uint8 range
+    uint256 internal constant BUILT_IN_DRAW_TYPES = 4;
+    uint256 internal constant MAX_DRAW_TYPES = 256;
+
+    // Longest a draw type's lock freezes the minting contract's tiers, so a draw type nobody
+    // executes can't hold them indefinitely
+    uint256 internal constant ENTRIES_LOCK_EXPIRY = 7 days;
+
+    // Notice users get before funds leave a prize bucket outside a draw
+    uint256 internal constant DEFAULT_BUCKET_DEFUND_DELAY = 7 days;
+    uint256 internal constant MIN_BUCKET_DEFUND_DELAY = 1 days;
+
+    // ============ STATE VARIABLES ============
+
+    ILotteryData public mintingContract;
+    RandomnessMode public randomnessMode;
+
+    // Draw configurations
+    /// @custom:oz-retyped-from mapping(LotteryDrawManagerV2.DrawType => DrawConfig)
+    mapping(uint8 => DrawConfig) internal drawConfigs;  // Read through getDrawConfig, getDrawProgram and getJackpot
+
+    // Superseded by DrawConfig.drawInterval, which draws always read. Kept for storage layout.
+    /// @custom:oz-renamed-from drawIntervals
+    /// @custom:oz-retyped-from mapping(LotteryDrawManagerV2.DrawType => uint256)
+    mapping(uint8 => uint256) internal _legacyDrawIntervals;
+
+    // Draw history
+    uint256 public totalDrawCount;
+    mapping(uint256 => Draw) internal draws;  // drawId → Draw (read through getDraw)
+
+    // Prize buckets per draw type
+    /// @custom:oz-retyped-from mapping(LotteryDrawManagerV2.DrawType => PrizeBucket)
+    mapping(uint8 => PrizeBucket) internal prizeBuckets;
+
+    // User tracking: address → array of drawIds they won
+    mapping(address => uint256[]) public userWins;
+
+    // Reverse lookup: drawId → whether it's been drawn
+    mapping(uint256 => bool) public drawExecuted;
+
+    // Chainlink VRF (optional)
+    address public vrfCoordinator;
+    bytes32 public vrfKeyHash;
+    uint64 public vrfSubscriptionId;
+    uint32 public vrfCallbackGasLimit;
+    uint16 public vrfRequestConfirmations;
+    mapping(uint256 => uint256) public vrfRequestToDrawId;
+
+    // Draw types that close the minting round they draw from, so the next draw starts fresh
+    /// @custom:oz-retyped-from mapping(LotteryDrawManagerV2.DrawType => bool)
+    mapping(uint8 => bool) public closesRound;
+
+    // Pending VRF requests: drawId → latest request ID and when it was made.
+    // vrfRequestToDrawId only maps the latest request, so a superseded request is ignored if it lands late.
+    mapping(uint256 => uint256) public drawVrfRequestId;
+    mapping(uint256 => uint256) public vrfRequestedAt;
+    uint256 public vrfRequestTimeout;
+
+    // Commit-reveal: drawId → commitment, plus the block delay, reveal window and bond for new commitments
+    mapping(uint256 => SeedCommitment) public drawCommitments;
+    uint256 public revealDelayBlocks;
+    uint256 public revealWindowBlocks;
+    uint256 public revealBond;
+
+    // Pull-based prizes: user → asset (address(0) for ETH) → unclaimed amount
+    mapping(address => mapping(address => uint256)) public claimableBalance;
+    mapping(address => address[]) internal claimableAssets;  // user → every token ever credited (ETH always is)
+    mapping(address => mapping(address => bool)) internal hasClaimableAsset;
+
+    // Draws count up in completion order. Claiming an asset claims every credit so far, so a draw's
+    // credit is still unclaimed while the user's last claim of that asset predates it.
+    // Shares a slot with claimWindow, which every completed draw reads anyway.
+    uint64 public completedDrawCount;
+    uint64 public claimWindow;
+    mapping(address => mapping(address => uint256)) internal claimedThrough;  // user → asset → completedDrawCount
+
+    // Where bucket funds came from: drawType → asset (address(0) for ETH) → cumulative amount
+    mapping(uint8 => mapping(address => uint256)) public mintFundedTotal;
+    mapping(uint8 => mapping(address => uint256)) public operatorFundedTotal;
+
+    // ETH paid from a draw type's bucket to whoever triggers a due draw through performDraw
+    mapping(uint8 => uint256) public keeperBounty;
+
+    // Draw programs registered at runtime, with IDs from BUILT_IN_DRAW_TYPES up
+    uint256 public registeredProgramCount;
+
+    // Funds emergencyWithdraw can't touch: asset → totals (read through totalAllocated and
+    // totalClaimable), plus pending reveal bonds
+    mapping(address => AssetTotals) internal assetTotals;
+    uint256 public totalRevealBonds;
+
+    // Timelocked withdrawals from prize buckets: requestId → defund
+    mapping(uint256 => BucketDefund) public bucketDefunds;
+    uint256 public bucketDefundCount;
+    uint256 public bucketDefundDelay;
+
+    // ============ EVENTS ============
+
+    event DrawConfigured(uint8 indexed drawType, uint256 initialPrize, uint256 halvingInterval, uint256 drawInterval);
+    event DrawIntervalSet(uint8 indexed drawType, uint256 interval);
+    event DrawScheduled(uint8 indexed drawType, uint256 nextDrawTime);
+    event DrawExecuted(uint256 indexed drawId, uint8 indexed drawType, address indexed winner, uint256 lottoID, uint256 prizeEth);
+    event PrizeBucketFunded(uint8 indexed drawType, uint256 ethAmount, address[] tokens, uint256[] amounts);
+    event PrizeBucketFundedFromMints(uint8 indexed drawType, address indexed token, uint256 amount);
+    event RandomnessModeChanged(RandomnessMode oldMode, RandomnessMode newMode);
+    event HalvingOccurred(uint8 indexed drawType, uint256 oldAmount, uint256 newAmount, uint256 drawNumber);
+    event VRFConfigured(address coordinator, bytes32 keyHash, uint64 subscriptionId);
+    event ClosesRoundSet(uint8 indexed drawType, bool closesRound);
+    event VRFRequested(uint256 indexed requestId, uint256 indexed drawId);
+    event VRFFulfilled(uint256 indexed requestId, uint256 indexed drawId, uint256 randomWord);
+    event VRFRequestRetried(uint256 indexed drawId, uint256 oldRequestId, uint256 newRequestId);
+    event VRFRequestTimeoutSet(uint256 timeout);
+    event PrizeCredited(uint256 indexed drawId, address indexed winner, address indexed asset, uint256 amount);
+    event PrizeClaimed(address indexed user, address indexed asset, uint256 amount);
+    event PrizesExpired(uint256 indexed drawId, uint256 ethReturned);
+    event ClaimWindowSet(uint256 claimWindow);
+    event PrizeSplitsSet(uint8 indexed drawType, uint256[] splitsBps, bool distinctAddresses);
+    event CommitRevealConfigured(uint256 revealDelayBlocks, uint256 revealWindowBlocks, uint256 revealBond);
+    event DrawSeedCommitted(uint256 indexed drawId, bytes32 seedHash, uint256 revealBlock, uint256 bond);
+    event DrawSeedRevealed(uint256 indexed drawId, bytes32 seed, bytes32 revealBlockHash);
+    event DrawRevealForfeited(uint256 indexed drawId, uint256 bond);
+    event KeeperBountySet(uint8 indexed drawType, uint256 bounty);
+    event EligibilitySet(uint8 indexed drawType, uint256 eligibleTierMask, bool onlyNewTickets);
+    event DrawProgramRegistered(
+        uint8 indexed drawType,
+        string name,
+        uint256 drawInterval,
+        uint256 firstDrawTime,
+        uint256 eligibleTierMask
+    );
+    event DrawRolledOver(uint256 indexed drawId, uint8 indexed drawType, uint256 jackpot, bool noEntries);
+    event MustBeWonAfterSet(uint8 indexed drawType, uint256 rollovers);
+    event KeeperDrawPerformed(uint256 indexed drawId, uint8 indexed drawType, address indexed keeper, uint256 bounty);
+    event BucketDefundRequested(
+        uint256 indexed requestId,
+        uint8 indexed drawType,
+        address indexed asset,
+        uint256 amount,
+        uint256 executeAfter
+    );
+    event BucketDefundCancelled(uint256 indexed requestId);
+    event BucketDefunded(uint256 indexed requestId, uint8 indexed drawType, address indexed asset, uint256 amount);
+    event BucketDefundDelaySet(uint256 delay);
+
+    // ============ SHARED HELPERS ============
+
+    /**
+     * @dev Add ETH (address(0)) or a token to a prize bucket
+     */
+    function _addToBucket(uint8 _drawType, address _asset, uint256 _amount) internal {
+        PrizeBucket storage bucket = prizeBuckets[_drawType];
+        assetTotals[_asset].allocated += SafeCast.toUint128(_amount);
+
+        if (_asset == ETH) {
+            bucket.ethAmount += _amount;
+            return;
+        }
+
+        if (bucket.tokenAmounts[_asset] == 0) {
+            bucket.tokenAddresses.push(_asset);
+        }
+        bucket.tokenAmounts[_asset] += _amount;
+    }
+
+    /**
+     * @dev The tickets a draw of this type draws from in a round: participant indexes
+     *      [fromIndex, endIndex), and the weight the random number is drawn over. With a tier
+     *      filter that's the eligible tiers' weight, looked up in the minting contract's tier index.
+     */
+    function _eligibleWindow(DrawConfig storage _config, uint256 _roundId)
+        internal
+        view
+        returns (uint256 startIndex, uint256 endIndex, uint256 fromIndex, uint256 weight)
+    {
+        uint256 weightOffset;
+        uint256 roundWeight;
+        (startIndex, endIndex, weightOffset, roundWeight, ) = mintingContract.getRound(_roundId);
+
+        fromIndex = startIndex;
+        if (_config.onlyNewTickets && _config.lastDrawEndIndex > fromIndex) {
+            fromIndex = _config.lastDrawEndIndex < endIndex ? _config.lastDrawEndIndex : endIndex;
+        }
+        if (fromIndex == endIndex) return (startIndex, endIndex, fromIndex, 0);
+
+        uint256 mask = _config.eligibleTierMask;
+        if (mask == 0) {
+            if (fromIndex == startIndex) return (startIndex, endIndex, fromIndex, roundWeight);
+            (, , uint256 weightStart, , ) = mintingContract.participants(fromIndex);
+            return (startIndex, endIndex, fromIndex, weightOffset + roundWeight - weightStart);
+        }
+
+        for (uint256 tier = 0; mask >> tier != 0; tier++) {
+            if ((mask >> tier) & 1 == 0) continue;
+            (, uint256 tierWeight) = mintingContract.getTierRange(tier, fromIndex, endIndex);
+            weight += tierWeight;
+        }
+    }
+
+    /**
+     * @dev ETH prize of a draw type's next draw: the current prize plus everything rolled over
+     */
+    function _jackpot(DrawConfig storage _config) internal view returns (uint256) {
+        return _config.currentPrizeAmount + _config.rolloverAmount;
+    }
+
+    /**
+     * @dev Whether the jackpot has rolled over too often to roll over for lack of funds again
+     */
+    function _mustBeWon(DrawConfig storage _config) internal view returns (bool) {
+        return _config.mustBeWonAfter > 0 && _config.rolloverCount >= _config.mustBeWonAfter;
+    }
+
+    /**
+     * @dev Places a completed draw filled. Single-winner draws only record their winner in the
+     *      draw's winner fields, like draws from before multi-winner support.
+     */
+    function _winnerCount(Draw storage _draw) internal view returns (uint256) {
+        if (_draw.winners.length > 0) return _draw.winners.length;
+        return _draw.winner == address(0) ? 0 : 1;
+    }
+
+    /**
+     * @dev Winner and winning ticket of a draw's place (see _winnerCount); 1st place is the draw's winner
+     */
+    function _placeWinner(Draw storage _draw, uint256 _place) internal view returns (address, uint256) {
+        if (_place == 0) return (_draw.winner, _draw.winningLottoID);
+        return (_draw.winners[_place], _draw.winnerLottoIDs[_place]);
+    }
+
+    /**
+     * @dev ETH prize of a draw's place; a single winner's is the whole prize
+     */
+    function _placeEth(Draw storage _draw, uint256 _place) internal view returns (uint256) {
+        return _draw.winnerEthAmounts.length == 0 ? _draw.prizeEth : _draw.winnerEthAmounts[_place];
+    }
+
+    /**
+     * @dev Amount of a prize token for a draw's place; a single winner's is the whole amount
+     */
+    function _placeTokenAmount(Draw storage _draw, address _token, uint256 _place) internal view returns (uint256) {
+        uint256[] storage amounts = _draw.winnerTokenAmounts[_token];
+        return amounts.length == 0 ? _draw.prizeTokenAmounts[_token] : amounts[_place];
+    }
+
+    /**
+     * @dev Revert unless the ID is a built-in draw type or a registered program
+     */
+    function _requireDrawType(uint8 _drawType) internal view {
+        require(_drawType < getDrawTypeCount(), "Unknown draw type");
+    }
+
+    /**
+     * @dev Number of draw types: the four built-ins plus registered programs (IDs 0 to count - 1)
+     */
+    function getDrawTypeCount() public view returns (uint256) {
+        return BUILT_IN_DRAW_TYPES + registeredProgramCount;
+    }
+
+    /**
+     * @dev Interval a draw type starts with: 7, 30, 90 or 365 days
+     */
+    function _defaultDrawInterval(uint8 _drawType) internal pure returns (uint256) {
+        if (_drawType == uint8(DrawType.WEEKLY)) {
+            return 7 days;
+        } else if (_drawType == uint8(DrawType.MONTHLY)) {
+            return 30 days;
+        } else if (_drawType == uint8(DrawType.QUARTERLY)) {
+            return 90 days;
+        }
+        return 365 days;
+    }
+}
@@ -0,0 +1,710 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./LotteryDrawManagerBase.sol";
+
+/**
+ * @title LotteryDrawManagerExtension
+ * @dev The draw manager's configuration, prize claims and bucket treasury, split out of
+ *      LotteryDrawManagerV2 to keep each contract under the size limit. The draw manager's fallback
+ *      delegatecalls here, so these functions run on the proxy's storage, roles and balance; calls
+ *      this contract doesn't define go on to LotteryDrawManagerQueries the same way.
+ *      Called directly, it has no roles and no state, so it does nothing useful.
+ */
+contract LotteryDrawManagerExtension is LotteryDrawManagerBase {
+    using SafeERC20 for IERC20;
+
+    // Deployed first; the fallback hands it every call this contract doesn't define
+    address public immutable queries;
+
+    // ============ CONSTRUCTOR ============
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _queries) {
+        require(_queries != address(0), "Invalid queries");
+        queries = _queries;
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Migration for proxies deployed before bucket funds were tracked and admin roles
+     *      existed: totals what every bucket holds and every unsettled reveal bond, so
+     *      emergencyWithdraw can't reach them, and gives the owner every role. Call via
+     *      upgradeToAndCall, which the old implementation authorizes for the owner: later
+     *      upgrades need the timelocked UPGRADER_ROLE. Walks every draw once, so it's a one-off cost.
+     */
+    function initializeBucketSafeguards() external reinitializer(2) onlyOwner {
+        require(!hasRole(DEFAULT_ADMIN_ROLE, owner()), "Safeguards already initialized");
+        uint256 typeCount = getDrawTypeCount();
+        for (uint256 i = 0; i < typeCount; i++) {
+            PrizeBucket storage bucket = prizeBuckets[uint8(i)];
+            assetTotals[ETH].allocated += SafeCast.toUint128(bucket.ethAmount);
+            for (uint256 t = 0; t < bucket.tokenAddresses.length; t++) {
+                address token = bucket.tokenAddresses[t];
+                assetTotals[token].allocated += SafeCast.toUint128(bucket.tokenAmounts[token]);
+            }
+        }
+
+        for (uint256 drawId = 1; drawId <= totalDrawCount; drawId++) {
+            SeedCommitment storage commitment = drawCommitments[drawId];
+            if (commitment.seedHash != bytes32(0) && !commitment.revealed && !commitment.forfeited) {
+                totalRevealBonds += commitment.bond;
+            }
+        }
+
+        bucketDefundDelay = DEFAULT_BUCKET_DEFUND_DELAY;
+        __AdminRoles_init(owner());
+    }
+
+    // ============ CONFIGURATION FUNCTIONS ============
+
+    /**
+     * @dev Configure a draw type with halving schedule. The first call starts the schedule with the
+     *      first draw one interval from now; later calls keep the draw count, the schedule and the
+     *      halvings already applied, and only change the prize and the halving interval.
+     * @param _drawType The type of draw (a DrawType or a registered program ID)
+     * @param _initialPrize Initial prize amount in wei
+     * @param _halvingInterval Number of draws before halving occurs
+     */
+    function configureDrawType(
+        uint8 _drawType,
+        uint256 _initialPrize,
+        uint256 _halvingInterval
+    ) external onlyRole(DRAW_OPERATOR_ROLE) {
+        _requireDrawType(_drawType);
+        _requireUnlocked(_drawType);
+        require(_initialPrize > 0, "Prize must be > 0");
+        require(_halvingInterval > 0, "Halving interval must be > 0");
+
+        DrawConfig storage config = drawConfigs[_drawType];
+        if (config.initialPrizeAmount == 0) {
+            // First configuration (an interval set beforehand is kept)
+            if (config.drawInterval == 0) {
+                config.drawInterval = _defaultDrawInterval(_drawType);
+            }
+            config.lastDrawTime = block.timestamp;
+            config.currentPrizeAmount = _initialPrize;
+        } else {
+            // The draw opened at drawCount = k * halvingInterval halved the prize, for k >= 1
+            uint256 halvings = config.drawCount == 0 ? 0 : (config.drawCount - 1) / config.halvingInterval;
+            config.currentPrizeAmount = _initialPrize >> halvings;
+        }
+
+        config.drawType = _drawType;
+        config.initialPrizeAmount = _initialPrize;
+        config.halvingInterval = _halvingInterval;
+        config.active = true;
+
+        emit DrawConfigured(_drawType, _initialPrize, _halvingInterval, config.drawInterval);
+    }
+
+    /**
+     * @dev Register a new draw program, e.g. a daily micro-draw or a one-off launch jackpot.
+     *      It gets its own prize bucket and is configured like the built-in draw types from then on.
+     * @param _name Display name
+     * @param _drawInterval Time between draws, or 0 for a single draw at _firstDrawTime
+     * @param _firstDrawTime Timestamp from which the first draw can be executed
+     * @param _initialPrize Initial prize amount in wei
+     * @param _halvingInterval Number of draws before halving occurs
+     * @param _eligibleTierMask Bit t set lets tier t tickets win (0 = every tier)
+     * @return drawType ID of the new program
+     */
+    function registerDrawProgram(
+        string calldata _name,
+        uint256 _drawInterval,
+        uint256 _firstDrawTime,
+        uint256 _initialPrize,
+        uint256 _halvingInterval,
+        uint256 _eligibleTierMask
+    ) external onlyRole(DRAW_OPERATOR_ROLE) returns (uint8 drawType) {
+        require(bytes(_name).length > 0, "Name required");
+        require(_initialPrize > 0, "Prize must be > 0");
+        require(_halvingInterval > 0, "Halving interval must be > 0");
+        require(_firstDrawTime >= block.timestamp, "First draw must not be in the past");
+        require(BUILT_IN_DRAW_TYPES + registeredProgramCount < MAX_DRAW_TYPES, "Too many draw programs");
+        require(_eligibleTierMask <= ALL_TIERS_MASK, "Invalid tier mask");
+
+        drawType = uint8(BUILT_IN_DRAW_TYPES + registeredProgramCount);
+        registeredProgramCount++;
+
+        DrawConfig storage config = drawConfigs[drawType];
+        config.drawType = drawType;
+        config.name = _name;
+        config.initialPrizeAmount = _initialPrize;
+        config.currentPrizeAmount = _initialPrize;
+        config.halvingInterval = _halvingInterval;
+        config.drawInterval = _drawInterval;
+        config.lastDrawTime = _firstDrawTime - _drawInterval;
+        config.oneOff = _drawInterval == 0;
+        config.eligibleTierMask = _eligibleTierMask == ALL_TIERS_MASK ? 0 : _eligibleTierMask;
+        config.active = true;
+
+        emit DrawProgramRegistered(drawType, _name, _drawInterval, _firstDrawTime, _eligibleTierMask);
+        emit DrawConfigured(drawType, _initialPrize, _halvingInterval, _drawInterval);
+    }
+
+    /**
+     * @dev Set the time between draws. The next draw becomes due one new interval after the last
+     *      scheduled draw. Can be called before configureDrawType to replace the default interval.
+     */
+    function setDrawInterval(uint8 _drawType, uint256 _interval) external onlyRole(DRAW_OPERATOR_ROLE) {
+        _requireDrawType(_drawType);
+        _requireUnlocked(_drawType);
+        require(_interval > 0, "Interval must be > 0");
+        require(!drawConfigs[_drawType].oneOff, "One-off programs have no interval");
+
+        drawConfigs[_drawType].drawInterval = _interval;
+        emit DrawIntervalSet(_drawType, _interval);
+    }
+
+    /**
+     * @dev Move the schedule so the next draw is due at a given time, e.g. a Friday 20:00 UTC;
+     *      draws after it stay on the same grid, one interval apart.
+     * @param _drawType A configured draw type
+     * @param _nextDrawTime Timestamp from which the next draw can be executed
+     */
+    function scheduleNextDraw(uint8 _drawType, uint256 _nextDrawTime) external onlyRole(DRAW_OPERATOR_ROLE) {
+        DrawConfig storage config = drawConfigs[_drawType];
+        require(config.initialPrizeAmount > 0, "Draw type not configured");
+        _requireUnlocked(_drawType);
+        require(_nextDrawTime >= block.timestamp, "Next draw must not be in the past");
+
+        config.lastDrawTime = _nextDrawTime - config.drawInterval;
+
+        emit DrawScheduled(_drawType, _nextDrawTime);
+    }
+
+    /**
+     * @dev Split a draw type's prize between several winners. Each place gets its share of the
+     *      ETH prize and of every token in the bucket.
+     * @param _drawType The draw type to configure
+     * @param _splitsBps Share of each place in basis points, 1st place first, totalling 10000
+     * @param _distinctAddresses Whether each place must go to a different address
+     *        (otherwise only to a different ticket)
+     */
+    function setPrizeSplits(
+        uint8 _drawType,
+        uint256[] calldata _splitsBps,
+        bool _distinctAddresses
+    ) external onlyRole(DRAW_OPERATOR_ROLE) {
+        _requireDrawType(_drawType);
+        _requireUnlocked(_drawType);
+        require(_splitsBps.length > 0 && _splitsBps.length <= MAX_WINNERS, "Invalid winner count");
+
+        uint256 total = 0;
+        for (uint256 i = 0; i < _splitsBps.length; i++) {
+            require(_splitsBps[i] > 0, "Split must be > 0");
+            total += _splitsBps[i];
+        }
+        require(total == BPS_DENOMINATOR, "Splits must total 10000");
+
+        DrawConfig storage config = drawConfigs[_drawType];
+        config.prizeSplitsBps = _splitsBps;
+        config.distinctWinnerAddresses = _distinctAddresses;
+
+        emit PrizeSplitsSet(_drawType, _splitsBps, _distinctAddresses);
+    }
+
+    /**
+     * @dev Set how long winners have to claim a draw's prizes before they can be expired
+     *      back into the bucket, at most MAX_CLAIM_WINDOW. 0 lets prizes from future draws wait forever.
+     */
+    function setClaimWindow(uint256 _claimWindow) external onlyRole(DRAW_OPERATOR_ROLE) {
+        require(_claimWindow <= MAX_CLAIM_WINDOW, "Claim window too long");
+        claimWindow = uint64(_claimWindow);
+        emit ClaimWindowSet(_claimWindow);
+    }
+
+    /**
+     * @dev Fund a prize bucket with ETH and/or ERC20 tokens
+     * @param _drawType The draw type to fund
+     * @param _tokens Array of ERC20 token addresses
+     * @param _amounts Array of token amounts
+     */
+    function fundPrizeBucket(
+        uint8 _drawType,
+        address[] calldata _tokens,
+        uint256[] calldata _amounts
+    ) external payable onlyRole(TREASURER_ROLE) {
+        _requireDrawType(_drawType);
+        require(_tokens.length == _amounts.length, "Array length mismatch");
+
+        // Add ETH
+        if (msg.value > 0) {
+            _addToBucket(_drawType, ETH, msg.value);
+            operatorFundedTotal[_drawType][ETH] += msg.value;
+        }
+
+        // Add ERC20 tokens
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            require(_tokens[i] != address(0), "Invalid token address");
+            require(_amounts[i] > 0, "Amount must be > 0");
+
+            // Transfer tokens from sender to contract
+            IERC20(_tokens[i]).safeTransferFrom(msg.sender, address(this), _amounts[i]);
+
+            _addToBucket(_drawType, _tokens[i], _amounts[i]);
+            operatorFundedTotal[_drawType][_tokens[i]] += _amounts[i];
+        }
+
+        emit PrizeBucketFunded(_drawType, msg.value, _tokens, _amounts);
+    }
+
+    /**
+     * @dev Set randomness mode. Timelocked: queue the call with queueChange first.
+     */
+    function setRandomnessMode(RandomnessMode _mode) external timelocked(DRAW_OPERATOR_ROLE) {
+        RandomnessMode oldMode = randomnessMode;
+        randomnessMode = _mode;
+        emit RandomnessModeChanged(oldMode, _mode);
+    }
+
+    /**
+     * @dev Configure Chainlink VRF. Timelocked: queue the call with queueChange first.
+     */
+    function configureVRF(
+        address _coordinator,
+        bytes32 _keyHash,
+        uint64 _subscriptionId,
+        uint32 _callbackGasLimit,
+        uint16 _requestConfirmations
+    ) external timelocked(DRAW_OPERATOR_ROLE) {
+        require(_coordinator != address(0), "Invalid coordinator");
+        vrfCoordinator = _coordinator;
+        vrfKeyHash = _keyHash;
+        vrfSubscriptionId = _subscriptionId;
+        vrfCallbackGasLimit = _callbackGasLimit;
+        vrfRequestConfirmations = _requestConfirmations;
+        // Proxies upgraded from before VRF support never had a timeout initialized
+        if (vrfRequestTimeout == 0) {
+            vrfRequestTimeout = DEFAULT_VRF_REQUEST_TIMEOUT;
+        }
+        emit VRFConfigured(_coordinator, _keyHash, _subscriptionId);
+    }
+
+    /**
+     * @dev Set how long a VRF request may stay unfulfilled before retryVRFRequest is allowed
+     */
+    function setVRFRequestTimeout(uint256 _timeout) external onlyRole(DRAW_OPERATOR_ROLE) {
+        require(_timeout > 0, "Timeout must be > 0");
+        vrfRequestTimeout = _timeout;
+        emit VRFRequestTimeoutSet(_timeout);
+    }
+
+    /**
+     * @dev Configure commit-reveal randomness
+     * @param _revealDelayBlocks Blocks between the commitment and the block whose hash is mixed in
+     * @param _revealWindowBlocks Blocks after the reveal block during which the seed can be revealed
+     * @param _revealBond ETH the operator must post with each commitment, forfeited on a missed reveal
+     */
+    function configureCommitReveal(
+        uint256 _revealDelayBlocks,
+        uint256 _revealWindowBlocks,
+        uint256 _revealBond
+    ) external onlyRole(DRAW_OPERATOR_ROLE) {
+        require(_revealDelayBlocks > 0, "Reveal delay must be > 0");
+        require(
+            _revealWindowBlocks > 0 && _revealWindowBlocks <= MAX_REVEAL_WINDOW_BLOCKS,
+            "Invalid reveal window"
+        );
+        revealDelayBlocks = _revealDelayBlocks;
+        revealWindowBlocks = _revealWindowBlocks;
+        revealBond = _revealBond;
+        emit CommitRevealConfigured(_revealDelayBlocks, _revealWindowBlocks, _revealBond);
+    }
+
+    /**
+     * @dev Toggle draw type active status. Deactivating works while the draw type is locked and
+     *      releases the lock, so a draw that can't complete doesn't hold its config.
+     */
+    function setDrawTypeActive(uint8 _drawType, bool _active) external onlyRole(DRAW_OPERATOR_ROLE) {
+        _requireDrawType(_drawType);
+        if (_active) _requireUnlocked(_drawType);
+        DrawConfig storage config = drawConfigs[_drawType];
+        require(!_active || !config.oneOff || config.drawCount == 0, "One-off program already drawn");
+        config.active = _active;
+    }
+
+    /**
+     * @dev Choose whether a draw type closes the minting round it draws from.
+     *      Requires this contract to be set as the minting contract's draw manager.
+     */
+    function setClosesRound(uint8 _drawType, bool _closesRound) external onlyRole(DRAW_OPERATOR_ROLE) {
+        _requireDrawType(_drawType);
+        _requireUnlocked(_drawType);
+        closesRound[_drawType] = _closesRound;
+        emit ClosesRoundSet(_drawType, _closesRound);
+    }
+
+    /**
+     * @dev Set the ETH bounty paid from a draw type's bucket to the caller of performDraw
+     */
+    function setKeeperBounty(uint8 _drawType, uint256 _bounty) external onlyRole(DRAW_OPERATOR_ROLE) {
+        _requireDrawType(_drawType);
+        _requireUnlocked(_drawType);
+        keeperBounty[_drawType] = _bounty;
+        emit KeeperBountySet(_drawType, _bounty);
+    }
+
+    /**
+     * @dev Limit which tickets can win a draw type
+     * @param _drawType The draw type to configure
+     * @param _eligibleTierMask Bit t set lets tier t tickets win, e.g. 0x3e0 for tiers 5-9 or 0x3ff for every tier
+     * @param _onlyNewTickets Only tickets minted since the draw type's previous draw can win
+     */
+    function setEligibility(uint8 _drawType, uint256 _eligibleTierMask, bool _onlyNewTickets) external onlyRole(DRAW_OPERATOR_ROLE) {
+        _requireDrawType(_drawType);
+        _requireUnlocked(_drawType);
+        require(_eligibleTierMask != 0 && _eligibleTierMask <= ALL_TIERS_MASK, "Invalid tier mask");
+        DrawConfig storage config = drawConfigs[_drawType];
+        // Every tier is stored as no filter, so the draw skips the per-tier lookups
+        config.eligibleTierMask = _eligibleTierMask == ALL_TIERS_MASK ? 0 : _eligibleTierMask;
+        config.onlyNewTickets = _onlyNewTickets;
+        emit EligibilitySet(_drawType, _eligibleTierMask, _onlyNewTickets);
+    }
+
+    /**
+     * @dev Cap how often a draw type's jackpot can roll over for lack of funds. Once it has rolled
+     *      over this many times in a row, the next draw with a winner pays whatever the bucket
+     *      holds, up to the jackpot.
+     * @param _rollovers Consecutive rollovers allowed (0 = underfunded draws always roll over)
+     */
+    function setMustBeWonAfter(uint8 _drawType, uint256 _rollovers) external onlyRole(DRAW_OPERATOR_ROLE) {
+        _requireDrawType(_drawType);
+        _requireUnlocked(_drawType);
+        require(_rollovers <= type(uint32).max, "Too many rollovers");
+        drawConfigs[_drawType].mustBeWonAfter = uint32(_rollovers);
+        emit MustBeWonAfterSet(_drawType, _rollovers);
+    }
+
+    function _requireUnlocked(uint8 _drawType) internal view {
+        require(!isDrawLocked(_drawType), "Draw type locked until draw completes");
+    }
+
+    /**
+     * @dev Whether an active draw type's entry period has closed and its draw hasn't completed
+     *      yet: the draw is due, or opened and waiting for its random number. Its schedule and
+     *      prize config can't change meanwhile.
+     */
+    function isDrawLocked(uint8 _drawType) public view returns (bool) {
+        return _lockedSince(_drawType) != 0;
+    }
+
+    /**
+     * @dev Whether any draw type has been locked for less than ENTRIES_LOCK_EXPIRY. The minting
+     *      contract freezes tier weights and prices meanwhile.
+     */
+    function entriesLocked() external view returns (bool) {
+        uint256 typeCount = getDrawTypeCount();
+        for (uint256 i = 0; i < typeCount; i++) {
+            uint256 lockedSince = _lockedSince(uint8(i));
+            if (lockedSince != 0 && block.timestamp < lockedSince + ENTRIES_LOCK_EXPIRY) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @dev When a draw type's lock began (0 = unlocked): when its pending draw opened, or else
+     *      when its next draw fell due. A one-off program deactivates itself as its draw opens,
+     *      so it stays locked until that draw completes.
+     */
+    function _lockedSince(uint8 _drawType) internal view returns (uint256) {
+        DrawConfig storage config = drawConfigs[_drawType];
+        uint256 drawId = config.latestDrawId;
+        if (drawId != 0 && !drawExecuted[drawId] && (config.active || config.oneOff)) {
+            return draws[drawId].timestamp;
+        }
+
+        if (!config.active || config.initialPrizeAmount == 0) return 0;
+        uint256 dueAt = config.lastDrawTime + config.drawInterval;
+        return block.timestamp >= dueAt ? dueAt : 0;
+    }
+
+    // ============ PRIZE CLAIMS ============
+
+    /**
+     * @dev Withdraw the caller's unclaimed winnings in one asset
+     * @param _asset Prize token, or address(0) for ETH
+     */
+    function claimPrize(address _asset) external nonReentrant {
+        require(_claim(msg.sender, _asset) > 0, "Nothing to claim");
+    }
+
+    /**
+     * @dev Withdraw the caller's unclaimed winnings in every asset. If one token's transfer
+     *      reverts, claim the others one at a time with claimPrize.
+     */
+    function claimAll() external nonReentrant {
+        address[] storage assets = claimableAssets[msg.sender];
+        uint256 claimedAssets = _claim(msg.sender, ETH) > 0 ? 1 : 0;
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (_claim(msg.sender, assets[i]) > 0) {
+                claimedAssets++;
+            }
+        }
+
+        require(claimedAssets > 0, "Nothing to claim");
+    }
+
+    /**
+     * @dev Return a draw's unclaimed prizes to its draw type's bucket once the claim window has
+     *      passed. Anyone can call this.
+     * @param _drawId Draw whose prizes have gone unclaimed
+     */
+    function expireUnclaimedPrizes(uint256 _drawId) external nonReentrant {
+        Draw storage draw = draws[_drawId];
+        require(drawExecuted[_drawId], "Draw not executed");
+        require(draw.claimDeadline > 0, "Prizes do not expire");
+        require(block.timestamp > draw.claimDeadline, "Claim window still open");
+        require(!draw.prizesExpired, "Prizes already expired");
+
+        draw.prizesExpired = true;
+        uint256 ethReturned = 0;
+
+        uint256 winnerCount = _winnerCount(draw);
+        for (uint256 i = 0; i < winnerCount; i++) {
+            (address winner, ) = _placeWinner(draw, i);
+            ethReturned += _reclaimPrize(draw, winner, ETH, _placeEth(draw, i));
+
+            for (uint256 t = 0; t < draw.prizeTokens.length; t++) {
+                address token = draw.prizeTokens[t];
+                uint256 amount = _reclaimPrize(draw, winner, token, _placeTokenAmount(draw, token, i));
+                if (amount > 0) {
+                    _addToBucket(draw.drawType, token, amount);
+                }
+            }
+        }
+
+        if (ethReturned > 0) {
+            _addToBucket(draw.drawType, ETH, ethReturned);
+        }
+        emit PrizesExpired(_drawId, ethReturned);
+    }
+
+    /**
+     * @dev Pay out a user's claimable balance in one asset
+     */
+    function _claim(address _user, address _asset) internal returns (uint256 amount) {
+        amount = claimableBalance[_user][_asset];
+        claimedThrough[_user][_asset] = completedDrawCount;
+        if (amount == 0) return 0;
+
+        claimableBalance[_user][_asset] = 0;
+        assetTotals[_asset].claimable -= uint128(amount);
+
+        if (_asset == ETH) {
+            (bool success, ) = payable(_user).call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(_asset).safeTransfer(_user, amount);
+        }
+
+        emit PrizeClaimed(_user, _asset, amount);
+    }
+
+    /**
+     * @dev Take back a draw's credit to a user if they haven't claimed that asset since the draw
+     * @return amount Amount removed from the user's claimable balance
+     */
+    function _reclaimPrize(Draw storage _draw, address _user, address _asset, uint256 _amount)
+        internal
+        returns (uint256 amount)
+    {
+        if (_amount == 0 || claimedThrough[_user][_asset] >= _draw.completionIndex) return 0;
+
+        uint256 balance = claimableBalance[_user][_asset];
+        amount = _amount < balance ? _amount : balance;
+        claimableBalance[_user][_asset] = balance - amount;
+        assetTotals[_asset].claimable -= uint128(amount);
+    }
+
+    // ============ ADMIN FUNCTIONS ============
+
+    /**
+     * @dev Emergency withdraw (only for excess funds not allocated to buckets). Bucket funds,
+     *      unclaimed prizes and reveal bonds are off limits; buckets are drawn down through
+     *      requestBucketDefund instead.
+     */
+    function emergencyWithdraw(address _token, uint256 _amount)
+        external
+        onlyRole(TREASURER_ROLE)
+        nonReentrant
+    {
+        require(_amount <= getUnallocatedBalance(_token), "Exceeds unallocated balance");
+
+        if (_token == address(0)) {
+            // ETH
+            (bool success, ) = payable(owner()).call{value: _amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            // ERC20
+            IERC20(_token).safeTransfer(owner(), _amount);
+        }
+    }
+
+    /**
+     * @dev Balance of an asset beyond what the prize buckets, unclaimed prizes and pending reveal
+     *      bonds account for, e.g. ETH or tokens sent to the contract directly
+     * @param _token Token address, or address(0) for ETH
+     */
+    function getUnallocatedBalance(address _token) public view returns (uint256) {
+        uint256 balance;
+        AssetTotals storage totals = assetTotals[_token];
+        uint256 committed = uint256(totals.allocated) + totals.claimable;
+        if (_token == ETH) {
+            balance = address(this).balance;
+            committed += totalRevealBonds;
+        } else {
+            balance = IERC20(_token).balanceOf(address(this));
+        }
+        return balance > committed ? balance - committed : 0;
+    }
+
+    /**
+     * @dev Announce a withdrawal from a prize bucket. It can be executed once bucketDefundDelay
+     *      has passed, giving users notice through the BucketDefundRequested event.
+     * @param _drawType Draw type whose bucket to withdraw from
+     * @param _asset Token address, or address(0) for ETH
+     * @param _amount Amount to withdraw
+     * @return requestId ID to execute or cancel the defund with
+     */
+    function requestBucketDefund(uint8 _drawType, address _asset, uint256 _amount)
+        external
+        onlyRole(TREASURER_ROLE)
+        returns (uint256 requestId)
+    {
+        _requireDrawType(_drawType);
+        require(_amount > 0, "Amount must be > 0");
+        require(_amount <= _bucketBalance(_drawType, _asset), "Exceeds bucket balance");
+
+        uint256 delay = bucketDefundDelay > 0 ? bucketDefundDelay : DEFAULT_BUCKET_DEFUND_DELAY;
+
+        bucketDefundCount++;
+        requestId = bucketDefundCount;
+        bucketDefunds[requestId] = BucketDefund({
+            drawType: _drawType,
+            asset: _asset,
+            amount: _amount,
+            executeAfter: block.timestamp + delay,
+            executed: false,
+            cancelled: false
+        });
+
+        emit BucketDefundRequested(requestId, _drawType, _asset, _amount, block.timestamp + delay);
+    }
+
+    /**
+     * @dev Withdraw an announced defund to the owner once its delay has passed. Takes what the
+     *      bucket still holds if draws have paid out of it since the request.
+     * @param _requestId Defund to execute
+     */
+    function executeBucketDefund(uint256 _requestId) external onlyRole(TREASURER_ROLE) nonReentrant {
+        BucketDefund storage defund = bucketDefunds[_requestId];
+        require(defund.executeAfter > 0 && !defund.executed && !defund.cancelled, "Defund not pending");
+        require(block.timestamp >= defund.executeAfter, "Defund delay not elapsed");
+
+        defund.executed = true;
+
+        PrizeBucket storage bucket = prizeBuckets[defund.drawType];
+        address asset = defund.asset;
+        uint256 amount = defund.amount;
+        uint256 available = _bucketBalance(defund.drawType, asset);
+        if (amount > available) {
+            amount = available;
+        }
+
+        if (asset == ETH) {
+            bucket.ethAmount -= amount;
+        } else {
+            bucket.tokenAmounts[asset] -= amount;
+            if (bucket.tokenAmounts[asset] == 0) {
+                _removeBucketToken(bucket, asset);
+            }
+        }
+        assetTotals[asset].allocated -= uint128(amount);
+
+        emit BucketDefunded(_requestId, defund.drawType, asset, amount);
+
+        if (asset == ETH) {
+            (bool success, ) = payable(owner()).call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(asset).safeTransfer(owner(), amount);
+        }
+    }
+
+    /**
+     * @dev Drop an announced defund
+     */
+    function cancelBucketDefund(uint256 _requestId) external onlyRole(TREASURER_ROLE) {
+        BucketDefund storage defund = bucketDefunds[_requestId];
+        require(defund.executeAfter > 0 && !defund.executed && !defund.cancelled, "Defund not pending");
+
+        defund.cancelled = true;
+        emit BucketDefundCancelled(_requestId);
+    }
+
+    /**
+     * @dev Set the notice period for new bucket defunds. Pending defunds keep their time.
+     */
+    function setBucketDefundDelay(uint256 _delay) external onlyRole(TREASURER_ROLE) {
+        require(_delay >= MIN_BUCKET_DEFUND_DELAY, "Delay below minimum");
+        bucketDefundDelay = _delay;
+        emit BucketDefundDelaySet(_delay);
+    }
+
+    /**
+     * @dev Amount of an asset in a draw type's bucket
+     */
+    function _bucketBalance(uint8 _drawType, address _asset) internal view returns (uint256) {
+        PrizeBucket storage bucket = prizeBuckets[_drawType];
+        return _asset == ETH ? bucket.ethAmount : bucket.tokenAmounts[_asset];
+    }
+
+    /**
+     * @dev Drop an emptied token from a bucket's token list, so funding it again doesn't list it twice
+     */
+    function _removeBucketToken(PrizeBucket storage _bucket, address _token) internal {
+        uint256 length = _bucket.tokenAddresses.length;
+        for (uint256 i = 0; i < length; i++) {
+            if (_bucket.tokenAddresses[i] == _token) {
+                _bucket.tokenAddresses[i] = _bucket.tokenAddresses[length - 1];
+                _bucket.tokenAddresses.pop();
+                return;
+            }
+        }
+    }
+
+    /**
+     * @dev Pause contract
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Unpause contract
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Run every other call in the queries contract, on the caller's storage
+     */
+    fallback() external {
+        address target = queries;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
+    }
+}
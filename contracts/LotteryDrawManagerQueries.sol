@@ -0,0 +1,553 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./LotteryDrawManagerBase.sol";
+
+/**
+ * @title LotteryDrawManagerQueries
+ * @dev The draw manager's read-only queries: draws, wins, buckets, programs and keeper checks.
+ *      Reached through LotteryDrawManagerExtension's fallback, so it reads the proxy's storage.
+ */
+contract LotteryDrawManagerQueries is LotteryDrawManagerBase {
+
+    // ============ CONSTRUCTOR ============
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    // ============ TWO-WAY QUERY MECHANICS ============
+
+    /**
+     * @dev Check if a user won any draws
+     * @param _user User address
+     * @return drawIds Array of draw IDs the user won
+     */
+    function getUserWins(address _user) external view returns (uint256[] memory) {
+        return userWins[_user];
+    }
+
+    /**
+     * @dev Draws a ticket won a place in, once per place. Tickets are soulbound, so these are
+     *      among the wins of the address that minted it, and only that address's wins are read.
+     * @param _lottoID Ticket's lottery ID
+     * @return drawIds Array of draw IDs the ticket won
+     */
+    function getTicketWins(uint256 _lottoID) external view returns (uint256[] memory drawIds) {
+        // A draw is listed once per place its winner took, in a row
+        uint256[] storage wins = userWins[mintingContract.lottoIDIndexer(_lottoID)];
+        uint256 count = 0;
+        for (uint256 i = 0; i < wins.length; i++) {
+            if (i == 0 || wins[i] != wins[i - 1]) {
+                count += _ticketPlaces(draws[wins[i]], _lottoID);
+            }
+        }
+
+        drawIds = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 i = 0; index < count; i++) {
+            if (i > 0 && wins[i] == wins[i - 1]) continue;
+            uint256 places = _ticketPlaces(draws[wins[i]], _lottoID);
+            for (uint256 p = 0; p < places; p++) {
+                drawIds[index++] = wins[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Number of places a ticket won in a draw
+     */
+    function _ticketPlaces(Draw storage _draw, uint256 _lottoID) internal view returns (uint256 places) {
+        uint256 winnerCount = _winnerCount(_draw);
+        for (uint256 i = 0; i < winnerCount; i++) {
+            (, uint256 lottoID) = _placeWinner(_draw, i);
+            if (lottoID == _lottoID) places++;
+        }
+    }
+
+    /**
+     * @dev Check if a user won a specific draw
+     * @param _user User address
+     * @param _drawId Draw ID
+     * @return won Whether user won this draw
+     */
+    function didUserWin(address _user, uint256 _drawId) external view returns (bool) {
+        if (!drawExecuted[_drawId]) return false;
+
+        Draw storage draw = draws[_drawId];
+        uint256 winnerCount = _winnerCount(draw);
+        for (uint256 i = 0; i < winnerCount; i++) {
+            (address winner, ) = _placeWinner(draw, i);
+            if (winner == _user) return true;
+        }
+        return false;
+    }
+
+    /**
+     * @dev Get all NFTs (lottoIDs) owned by a user
+     * @param _user User address
+     * @return entries Array of lottery entries
+     */
+    function getUserLotteryEntries(address _user)
+        external
+        view
+        returns (ILotteryData.LottoEntry[] memory)
+    {
+        return mintingContract.getLottoIDsByAddress(_user);
+    }
+
+    /**
+     * @dev Check which of user's NFTs won which draws
+     * @param _user User address
+     * @return drawIds Array of draw IDs
+     * @return winningLottoIDs Array of winning lottery IDs
+     */
+    function getUserWinDetails(address _user)
+        external
+        view
+        returns (uint256[] memory drawIds, uint256[] memory winningLottoIDs)
+    {
+        uint256[] memory wins = userWins[_user];
+        uint256 count = wins.length;
+
+        drawIds = new uint256[](count);
+        winningLottoIDs = new uint256[](count);
+
+        // A user with several places in one draw has that draw listed once per place, consecutively
+        uint256 occurrence = 0;
+        for (uint256 i = 0; i < count; i++) {
+            uint256 drawId = wins[i];
+            occurrence = (i > 0 && wins[i - 1] == drawId) ? occurrence + 1 : 0;
+            drawIds[i] = drawId;
+            winningLottoIDs[i] = _userPlaceLottoID(draws[drawId], _user, occurrence);
+        }
+
+        return (drawIds, winningLottoIDs);
+    }
+
+    /**
+     * @dev Get draw details including prizes
+     * @param _drawId Draw ID
+     * @return drawType Type of draw
+     * @return timestamp Time of draw
+     * @return winner Winner address
+     * @return winningLottoID Winning lottery ID
+     * @return prizeEth ETH prize amount
+     * @return prizeTokens Array of prize token addresses
+     */
+    function getDrawDetails(uint256 _drawId)
+        external
+        view
+        returns (
+            uint8 drawType,
+            uint256 timestamp,
+            address winner,
+            uint256 winningLottoID,
+            uint256 prizeEth,
+            address[] memory prizeTokens
+        )
+    {
+        Draw storage draw = draws[_drawId];
+        return (
+            draw.drawType,
+            draw.timestamp,
+            draw.winner,
+            draw.winningLottoID,
+            draw.prizeEth,
+            draw.prizeTokens
+        );
+    }
+
+    /**
+     * @dev Get a draw's record, short of the per-place and per-token lists
+     *      (see getDrawWinners, getDrawDetails and getDrawWinnerTokenAmounts)
+     * @param _drawId Draw ID
+     */
+    function getDraw(uint256 _drawId) external view returns (DrawSummary memory summary) {
+        Draw storage draw = draws[_drawId];
+        summary.drawId = draw.timestamp == 0 ? 0 : _drawId;
+        summary.drawType = draw.drawType;
+        summary.timestamp = draw.timestamp;
+        summary.prizeEth = draw.prizeEth;
+        summary.winner = draw.winner;
+        summary.winningLottoID = draw.winningLottoID;
+        summary.winningNumber = draw.winningNumber;
+        summary.participantCountAtDraw = draw.participantCountAtDraw;
+        summary.totalWeightAtDraw = draw.totalWeightAtDraw;
+        summary.roundId = draw.roundId;
+        summary.completionIndex = draw.completionIndex;
+        summary.claimDeadline = draw.claimDeadline;
+        summary.prizesExpired = draw.prizesExpired;
+        summary.fromIndex = draw.fromIndex;
+        summary.eligibleTierMask = draw.eligibleTierMask;
+        summary.rolledOver = draw.rolledOver;
+    }
+
+    /**
+     * @dev Ticket of a user's n-th place in a draw
+     */
+    function _userPlaceLottoID(Draw storage _draw, address _user, uint256 _occurrence)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 winnerCount = _winnerCount(_draw);
+        for (uint256 i = 0; i < winnerCount; i++) {
+            (address winner, uint256 lottoID) = _placeWinner(_draw, i);
+            if (winner == _user) {
+                if (_occurrence == 0) return lottoID;
+                _occurrence--;
+            }
+        }
+        return _draw.winningLottoID;
+    }
+
+    /**
+     * @dev Get every winner of a draw, 1st place first
+     * @return winners Winner address per place
+     * @return lottoIDs Winning lottery ID per place
+     * @return ethAmounts ETH prize per place
+     */
+    function getDrawWinners(uint256 _drawId)
+        external
+        view
+        returns (address[] memory winners, uint256[] memory lottoIDs, uint256[] memory ethAmounts)
+    {
+        Draw storage draw = draws[_drawId];
+        uint256 winnerCount = _winnerCount(draw);
+        winners = new address[](winnerCount);
+        lottoIDs = new uint256[](winnerCount);
+        ethAmounts = new uint256[](winnerCount);
+        for (uint256 i = 0; i < winnerCount; i++) {
+            (winners[i], lottoIDs[i]) = _placeWinner(draw, i);
+            ethAmounts[i] = _placeEth(draw, i);
+        }
+    }
+
+    /**
+     * @dev Get a prize token's amount per place for a draw
+     */
+    function getDrawWinnerTokenAmounts(uint256 _drawId, address _token)
+        external
+        view
+        returns (uint256[] memory amounts)
+    {
+        Draw storage draw = draws[_drawId];
+        amounts = new uint256[](_winnerCount(draw));
+        for (uint256 i = 0; i < amounts.length; i++) {
+            amounts[i] = _placeTokenAmount(draw, _token, i);
+        }
+    }
+
+    /**
+     * @dev Get a draw type's prize split (a single 10000 bps place when none is set)
+     */
+    function getPrizeSplits(uint8 _drawType)
+        external
+        view
+        returns (uint256[] memory splitsBps, bool distinctAddresses)
+    {
+        DrawConfig storage config = drawConfigs[_drawType];
+        if (config.prizeSplitsBps.length == 0) {
+            splitsBps = new uint256[](1);
+            splitsBps[0] = BPS_DENOMINATOR;
+        } else {
+            splitsBps = config.prizeSplitsBps;
+        }
+        return (splitsBps, config.distinctWinnerAddresses);
+    }
+
+    /**
+     * @dev Get a user's unclaimed winnings in ETH and every token they've been credited
+     * @return assets address(0) for ETH, then prize tokens
+     * @return amounts Unclaimed amount per asset
+     */
+    function getClaimableBalances(address _user)
+        external
+        view
+        returns (address[] memory assets, uint256[] memory amounts)
+    {
+        address[] storage tokens = claimableAssets[_user];
+        assets = new address[](tokens.length + 1);
+        amounts = new uint256[](tokens.length + 1);
+        amounts[0] = claimableBalance[_user][ETH];
+        for (uint256 i = 0; i < tokens.length; i++) {
+            assets[i + 1] = tokens[i];
+            amounts[i + 1] = claimableBalance[_user][tokens[i]];
+        }
+        return (assets, amounts);
+    }
+
+    /**
+     * @dev ETH (address(0)) or a token held across all prize buckets
+     */
+    function totalAllocated(address _asset) external view returns (uint256) {
+        return assetTotals[_asset].allocated;
+    }
+
+    /**
+     * @dev ETH (address(0)) or a token won but not yet claimed
+     */
+    function totalClaimable(address _asset) external view returns (uint256) {
+        return assetTotals[_asset].claimable;
+    }
+
+    /**
+     * @dev Get prize token amount for a specific draw and token
+     */
+    function getDrawPrizeTokenAmount(uint256 _drawId, address _token)
+        external
+        view
+        returns (uint256)
+    {
+        return draws[_drawId].prizeTokenAmounts[_token];
+    }
+
+    /**
+     * @dev Get prize bucket status for a draw type
+     */
+    function getPrizeBucketStatus(uint8 _drawType)
+        external
+        view
+        returns (uint256 ethAmount, address[] memory tokens, uint256[] memory amounts)
+    {
+        PrizeBucket storage bucket = prizeBuckets[_drawType];
+        ethAmount = bucket.ethAmount;
+        tokens = bucket.tokenAddresses;
+
+        amounts = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            amounts[i] = bucket.tokenAmounts[tokens[i]];
+        }
+
+        return (ethAmount, tokens, amounts);
+    }
+
+    /**
+     * @dev Get how much of an asset a bucket has received from mints and from the operator
+     * @param _asset Prize token, or address(0) for ETH
+     */
+    function getBucketFundingSources(uint8 _drawType, address _asset)
+        external
+        view
+        returns (uint256 fromMints, uint256 fromOperator)
+    {
+        return (mintFundedTotal[_drawType][_asset], operatorFundedTotal[_drawType][_asset]);
+    }
+
+    /**
+     * @dev Keeper view: the draw types performDraw would run right now
+     * @return upkeepNeeded Whether any draw type is due
+     * @return dueDrawTypes The due draw types
+     */
+    function checkUpkeep() external view returns (bool upkeepNeeded, uint8[] memory dueDrawTypes) {
+        uint256 typeCount = getDrawTypeCount();
+        bool[] memory due = new bool[](typeCount);
+        uint256 dueCount = 0;
+
+        for (uint256 i = 0; i < typeCount; i++) {
+            if (_isDrawDue(uint8(i))) {
+                due[i] = true;
+                dueCount++;
+            }
+        }
+
+        dueDrawTypes = new uint8[](dueCount);
+        uint256 next = 0;
+        for (uint256 i = 0; i < typeCount; i++) {
+            if (due[i]) {
+                dueDrawTypes[next++] = uint8(i);
+            }
+        }
+
+        return (dueCount > 0, dueDrawTypes);
+    }
+
+    /**
+     * @dev Whether performDraw would succeed for a draw type (mirrors the checks in _openDraw).
+     *      A draw with no eligible tickets is still due: it rolls over on schedule.
+     */
+    function _isDrawDue(uint8 _drawType) internal view returns (bool) {
+        if (paused() || randomnessMode != RandomnessMode.CHAINLINK_VRF || vrfCoordinator == address(0)) return false;
+
+        DrawConfig storage config = drawConfigs[_drawType];
+        if (!config.active || config.initialPrizeAmount == 0) return false;
+        if (block.timestamp < config.lastDrawTime + config.drawInterval) return false;
+        if (config.eligibleTierMask == 0) return true;
+
+        (, uint256 endIndex, uint256 fromIndex, ) = _eligibleWindow(config, mintingContract.roundId());
+        return endIndex == fromIndex || mintingContract.tierIndexedCount() >= endIndex;
+    }
+
+    /**
+     * @dev Get a draw type's program details
+     * @param _drawType A DrawType or registered program ID
+     */
+    function getDrawProgram(uint8 _drawType)
+        external
+        view
+        returns (
+            string memory name,
+            uint256 drawInterval,
+            uint256 nextDrawTime,
+            uint256 eligibleTierMask,
+            bool oneOff,
+            bool active
+        )
+    {
+        _requireDrawType(_drawType);
+        DrawConfig storage config = drawConfigs[_drawType];
+        return (
+            _drawTypeName(_drawType),
+            drawIntervals(_drawType),
+            config.lastDrawTime + config.drawInterval,
+            config.eligibleTierMask,
+            config.oneOff,
+            config.active
+        );
+    }
+
+    /**
+     * @dev List every draw type, built-in and registered
+     */
+    function getAllDrawPrograms()
+        external
+        view
+        returns (uint8[] memory drawTypes, string[] memory names, uint256[] memory nextDrawTimes, bool[] memory active)
+    {
+        uint256 count = getDrawTypeCount();
+        drawTypes = new uint8[](count);
+        names = new string[](count);
+        nextDrawTimes = new uint256[](count);
+        active = new bool[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            DrawConfig storage config = drawConfigs[uint8(i)];
+            drawTypes[i] = uint8(i);
+            names[i] = _drawTypeName(uint8(i));
+            nextDrawTimes[i] = config.lastDrawTime + config.drawInterval;
+            active[i] = config.active;
+        }
+    }
+
+    /**
+     * @dev Display name of a draw type
+     */
+    function _drawTypeName(uint8 _drawType) internal view returns (string memory) {
+        if (_drawType >= BUILT_IN_DRAW_TYPES) return drawConfigs[_drawType].name;
+        if (_drawType == uint8(DrawType.WEEKLY)) return "Weekly";
+        if (_drawType == uint8(DrawType.MONTHLY)) return "Monthly";
+        if (_drawType == uint8(DrawType.QUARTERLY)) return "Quarterly";
+        return "Yearly";
+    }
+
+    /**
+     * @dev Get draw configuration
+     */
+    function getDrawConfig(uint8 _drawType)
+        external
+        view
+        returns (
+            uint256 initialPrize,
+            uint256 currentPrize,
+            uint256 halvingInterval,
+            uint256 drawCount,
+            uint256 lastDrawTime,
+            uint256 drawInterval,
+            uint256 nextDrawTime,
+            bool active
+        )
+    {
+        DrawConfig storage config = drawConfigs[_drawType];
+        return (
+            config.initialPrizeAmount,
+            config.currentPrizeAmount,
+            config.halvingInterval,
+            config.drawCount,
+            config.lastDrawTime,
+            config.drawInterval,
+            config.lastDrawTime + config.drawInterval,
+            config.active
+        );
+    }
+
+    /**
+     * @dev Latest draw opened for a draw type (0 = none yet)
+     */
+    function latestDrawId(uint8 _drawType) external view returns (uint256) {
+        return drawConfigs[_drawType].latestDrawId;
+    }
+
+    /**
+     * @dev Get the ETH prize a draw type's next draw pays, including rolled-over prizes
+     * @return jackpot Current prize plus the rollover
+     * @return rolloverAmount Prizes carried over from draws nobody could win
+     * @return rolloverCount Consecutive rolled-over draws
+     * @return mustBeWonAfter Rollovers after which the next draw pays whatever the bucket holds (0 = never)
+     * @return mustBeWon Whether the next draw pays even if the bucket can't cover the jackpot
+     */
+    function getJackpot(uint8 _drawType)
+        external
+        view
+        returns (
+            uint256 jackpot,
+            uint256 rolloverAmount,
+            uint256 rolloverCount,
+            uint256 mustBeWonAfter,
+            bool mustBeWon
+        )
+    {
+        DrawConfig storage config = drawConfigs[_drawType];
+        return (
+            _jackpot(config),
+            config.rolloverAmount,
+            config.rolloverCount,
+            config.mustBeWonAfter,
+            _mustBeWon(config)
+        );
+    }
+
+    /**
+     * @dev Get comprehensive system configuration
+     */
+    function getSystemConfig() external view returns (
+        address _mintingContract,
+        RandomnessMode _randomnessMode,
+        uint256 _totalDrawCount,
+        bool _paused
+    ) {
+        return (
+            address(mintingContract),
+            randomnessMode,
+            totalDrawCount,
+            paused()
+        );
+    }
+
+    /**
+     * @dev Get the interval draws of a type use (its default until one is set)
+     */
+    function drawIntervals(uint8 _drawType) public view returns (uint256) {
+        uint256 interval = drawConfigs[_drawType].drawInterval;
+        if (interval > 0 || _drawType >= BUILT_IN_DRAW_TYPES) return interval;
+        return _defaultDrawInterval(_drawType);
+    }
+
+    /**
+     * @dev Get all draw intervals
+     */
+    function getAllDrawIntervals() external view returns (
+        uint256 weekly,
+        uint256 monthly,
+        uint256 quarterly,
+        uint256 yearly
+    ) {
+        return (
+            drawIntervals(uint8(DrawType.WEEKLY)),
+            drawIntervals(uint8(DrawType.MONTHLY)),
+            drawIntervals(uint8(DrawType.QUARTERLY)),
+            drawIntervals(uint8(DrawType.YEARLY))
+        );
+    }
+}
@@ -1,125 +1,52 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.22;
 
-import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
-import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "./ILotteryData.sol";
+import "@chainlink/contracts/src/v0.8/vrf/interfaces/VRFCoordinatorV2Interface.sol";
+import "./LotteryDrawManagerBase.sol";
+import "./LotteryDrawManagerExtension.sol";
+import "./DrawSelection.sol";
+import "./CommitReveal.sol";
 
 /**
  * @title LotteryDrawManagerV2
  * @dev Advanced lottery draw manager with:
  *      - Binary search optimization O(log n)
- *      - Four draw types with Bitcoin-style halving
+ *      - Four built-in draw types plus owner-registered draw programs, with Bitcoin-style halving
  *      - Multi-asset prize buckets (ETH + multiple ERC20s)
+ *      - Multi-winner draws with basis-point prize splits
+ *      - Rollover jackpots when a draw has no eligible entry or an underfunded bucket
+ *      - Pull-based prize claims that expire back into the bucket
+ *      - Prize buckets topped up automatically from mint revenue
+ *      - Bucket funds only leave through draws or a timelocked defund, never emergencyWithdraw
+ *      - Permissionless keeper draws with a bounty once a draw is due
  *      - Two-way query mechanics (weight→winner, address→wins)
- *      - Optional Chainlink VRF
+ *      - Optional Chainlink VRF v2 (request in executeDraw, winner picked in the coordinator callback)
+ *      - Optional commit-reveal (operator seed mixed with a future blockhash, bonded against missed reveals)
+ *      - Separate admin roles, with randomness changes and upgrades queued behind a public timelock
+ *      - Round lock: a draw type's config and the minting tiers are frozen from when it's due until it completes
+ *
+ *      This contract opens and completes draws. Configuration, claims and the bucket treasury
+ *      live in LotteryDrawManagerExtension, which the fallback delegatecalls, and queries in
+ *      LotteryDrawManagerQueries behind it; winner selection and seed commitments are the
+ *      DrawSelection and CommitReveal libraries. Clients call the proxy with all three ABIs.
+ * @custom:oz-upgrades-unsafe-allow external-library-linking
  */
-contract LotteryDrawManagerV2 is
-    Initializable,
-    OwnableUpgradeable,
-    ReentrancyGuardUpgradeable,
-    PausableUpgradeable,
-    UUPSUpgradeable
-{
+contract LotteryDrawManagerV2 is LotteryDrawManagerBase, UUPSUpgradeable {
     using SafeERC20 for IERC20;
 
-    // ============ ENUMS ============
-
-    enum RandomnessMode {
-        PSEUDO_RANDOM,  // block.prevrandao (acceptable - users don't choose numbers)
-        CHAINLINK_VRF   // Provably fair randomness (optional)
-    }
-
-    enum DrawType {
-        WEEKLY,      // Every 7 days
-        MONTHLY,     // Every 30 days
-        QUARTERLY,   // Every 90 days
-        YEARLY       // Every 365 days
-    }
-
-    // ============ STRUCTS ============
-
-    struct PrizeBucket {
-        uint256 ethAmount;                    // ETH in bucket
-        address[] tokenAddresses;             // ERC20 token addresses
-        mapping(address => uint256) tokenAmounts;  // Token address → amount
-    }
-
-    struct DrawConfig {
-        DrawType drawType;
-        uint256 initialPrizeAmount;    // Initial prize amount in wei
-        uint256 currentPrizeAmount;    // Current prize after halvings
-        uint256 halvingInterval;       // Number of draws before halving
-        uint256 drawCount;             // Total draws executed
-        uint256 lastDrawTime;          // Timestamp of last draw
-        uint256 drawInterval;          // Time between draws (in seconds)
-        bool active;                   // Is this draw type active
-    }
-
-    struct Draw {
-        uint256 drawId;
-        DrawType drawType;
-        uint256 timestamp;
-        uint256 prizeEth;              // ETH prize amount
-        address winner;
-        uint256 winningLottoID;
-        uint256 winningNumber;
-        uint256 participantCountAtDraw;
-        uint256 totalWeightAtDraw;
-        address[] prizeTokens;         // ERC20 tokens in prize
-        mapping(address => uint256) prizeTokenAmounts;  // Token amounts
-    }
-
-    // ============ STATE VARIABLES ============
-
-    ILotteryData public mintingContract;
-    RandomnessMode public randomnessMode;
-
-    // Draw configurations
-    mapping(DrawType => DrawConfig) public drawConfigs;
-
-    // Draw intervals (time between draws for each type)
-    mapping(DrawType => uint256) public drawIntervals;
-
-    // Draw history
-    uint256 public totalDrawCount;
-    mapping(uint256 => Draw) public draws;  // drawId → Draw
-
-    // Prize buckets per draw type
-    mapping(DrawType => PrizeBucket) private prizeBuckets;
-
-    // User tracking: address → array of drawIds they won
-    mapping(address => uint256[]) public userWins;
-
-    // Reverse lookup: drawId → whether it's been drawn
-    mapping(uint256 => bool) public drawExecuted;
-
-    // Chainlink VRF (optional)
-    address public vrfCoordinator;
-    bytes32 public vrfKeyHash;
-    uint64 public vrfSubscriptionId;
-    uint32 public vrfCallbackGasLimit;
-    uint16 public vrfRequestConfirmations;
-    mapping(uint256 => uint256) public vrfRequestToDrawId;
-
-    // ============ EVENTS ============
-
-    event DrawConfigured(DrawType indexed drawType, uint256 initialPrize, uint256 halvingInterval, uint256 drawInterval);
-    event DrawExecuted(uint256 indexed drawId, DrawType indexed drawType, address indexed winner, uint256 lottoID, uint256 prizeEth);
-    event PrizeBucketFunded(DrawType indexed drawType, uint256 ethAmount, address[] tokens, uint256[] amounts);
-    event RandomnessModeChanged(RandomnessMode oldMode, RandomnessMode newMode);
-    event HalvingOccurred(DrawType indexed drawType, uint256 oldAmount, uint256 newAmount, uint256 drawNumber);
-    event VRFConfigured(address coordinator, bytes32 keyHash, uint64 subscriptionId);
+    // Deployed alongside each implementation, so an upgrade that changes it ships a new one
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address public immutable extension;
 
     // ============ CONSTRUCTOR ============
 
     /// @custom:oz-upgrades-unsafe-allow constructor
-    constructor() {
+    constructor(address _extension) {
+        require(_extension != address(0), "Invalid extension");
+        extension = _extension;
         _disableInitializers();
     }
 
@@ -128,6 +55,7 @@ contract LotteryDrawManagerV2 is
      */
     function initialize(address _mintingContract, RandomnessMode _randomnessMode) public initializer {
         __Ownable_init(msg.sender);
+        __AdminRoles_init(msg.sender);
         __ReentrancyGuard_init();
         __Pausable_init();
         __UUPSUpgradeable_init();
@@ -140,134 +68,181 @@ contract LotteryDrawManagerV2 is
         // Initialize default VRF params
         vrfCallbackGasLimit = 2500000;
         vrfRequestConfirmations = 3;
+        vrfRequestTimeout = DEFAULT_VRF_REQUEST_TIMEOUT;
+
+        // Initialize default commit-reveal params
+        revealDelayBlocks = 5;
+        revealWindowBlocks = MAX_REVEAL_WINDOW_BLOCKS;
+
+        // Unclaimed prizes return to their bucket after 90 days
+        claimWindow = 90 days;
 
-        // Set draw intervals (in seconds)
-        drawIntervals[DrawType.WEEKLY] = 7 days;
-        drawIntervals[DrawType.MONTHLY] = 30 days;
-        drawIntervals[DrawType.QUARTERLY] = 90 days;
-        drawIntervals[DrawType.YEARLY] = 365 days;
+        bucketDefundDelay = DEFAULT_BUCKET_DEFUND_DELAY;
     }
 
-    // ============ CONFIGURATION FUNCTIONS ============
+    // ============ DRAW EXECUTION ============
 
     /**
-     * @dev Configure a draw type with halving schedule
-     * @param _drawType The type of draw
-     * @param _initialPrize Initial prize amount in wei
-     * @param _halvingInterval Number of draws before halving occurs
+     * @dev Execute a draw for a specific draw type
+     * @param _drawType The type of draw to execute
      */
-    function configureDrawType(
-        DrawType _drawType,
-        uint256 _initialPrize,
-        uint256 _halvingInterval
-    ) external onlyOwner {
-        require(_initialPrize > 0, "Prize must be > 0");
-        require(_halvingInterval > 0, "Halving interval must be > 0");
-
-        uint256 interval;
-        if (_drawType == DrawType.WEEKLY) {
-            interval = 7 days;
-        } else if (_drawType == DrawType.MONTHLY) {
-            interval = 30 days;
-        } else if (_drawType == DrawType.QUARTERLY) {
-            interval = 90 days;
-        } else {
-            interval = 365 days;
-        }
-
-        DrawConfig storage config = drawConfigs[_drawType];
-        config.drawType = _drawType;
-        config.initialPrizeAmount = _initialPrize;
-        config.currentPrizeAmount = _initialPrize;
-        config.halvingInterval = _halvingInterval;
-        config.drawCount = 0;
-        config.lastDrawTime = block.timestamp;
-        config.drawInterval = interval;
-        config.active = true;
-
-        emit DrawConfigured(_drawType, _initialPrize, _halvingInterval, interval);
+    function executeDraw(uint8 _drawType) external onlyRole(DRAW_OPERATOR_ROLE) nonReentrant whenNotPaused {
+        _executeDraw(_drawType);
     }
 
     /**
-     * @dev Fund a prize bucket with ETH and/or ERC20 tokens
-     * @param _drawType The draw type to fund
-     * @param _tokens Array of ERC20 token addresses
-     * @param _amounts Array of token amounts
+     * @dev Execute a due draw on anyone's behalf, so draws keep running while the operator is
+     *      offline. The caller is paid the draw type's keeper bounty, capped at the bucket's ETH.
+     *      Not available in pseudo-random mode, where the caller could time the draw to pick its
+     *      winner; keeper draws request their randomness from VRF.
+     * @param _drawType The type of draw to execute
+     * @return drawId ID of the draw
      */
-    function fundPrizeBucket(
-        DrawType _drawType,
-        address[] calldata _tokens,
-        uint256[] calldata _amounts
-    ) external payable onlyOwner {
-        require(_tokens.length == _amounts.length, "Array length mismatch");
+    function performDraw(uint8 _drawType) external nonReentrant whenNotPaused returns (uint256 drawId) {
+        require(randomnessMode != RandomnessMode.PSEUDO_RANDOM, "No keeper draws in pseudo-random mode");
 
+        // Taken before the draw, so the prize is paid from what's left
         PrizeBucket storage bucket = prizeBuckets[_drawType];
+        uint256 bounty = keeperBounty[_drawType];
+        if (bounty > bucket.ethAmount) {
+            bounty = bucket.ethAmount;
+        }
+        bucket.ethAmount -= bounty;
+        assetTotals[ETH].allocated -= uint128(bounty);
+
+        drawId = _executeDraw(_drawType);
 
-        // Add ETH
-        if (msg.value > 0) {
-            bucket.ethAmount += msg.value;
+        if (bounty > 0) {
+            (bool success, ) = payable(msg.sender).call{value: bounty}("");
+            require(success, "Bounty transfer failed");
         }
 
-        // Add ERC20 tokens
-        for (uint256 i = 0; i < _tokens.length; i++) {
-            require(_tokens[i] != address(0), "Invalid token address");
-            require(_amounts[i] > 0, "Amount must be > 0");
+        emit KeeperDrawPerformed(drawId, _drawType, msg.sender, bounty);
+    }
 
-            // Transfer tokens from sender to contract
-            IERC20(_tokens[i]).safeTransferFrom(msg.sender, address(this), _amounts[i]);
+    /**
+     * @dev Open a draw and complete it (pseudo-random) or request its randomness (VRF).
+     *      A draw with nothing to draw from rolls over straight away.
+     */
+    function _executeDraw(uint8 _drawType) internal returns (uint256 drawId) {
+        require(randomnessMode != RandomnessMode.COMMIT_REVEAL, "Use commitDraw in commit-reveal mode");
+
+        bool hasEntries;
+        (drawId, hasEntries) = _openDraw(_drawType);
+        if (!hasEntries) {
+            _rollOver(drawId, true);
+            return drawId;
+        }
 
-            // Update bucket
-            if (bucket.tokenAmounts[_tokens[i]] == 0) {
-                bucket.tokenAddresses.push(_tokens[i]);
+        // Generate random number and complete draw
+        if (randomnessMode == RandomnessMode.PSEUDO_RANDOM) {
+            uint256 randomNumber = _generatePseudoRandom(draws[drawId].totalWeightAtDraw, drawId);
+            _completeDraw(drawId, randomNumber);
+        } else {
+            // Chainlink VRF path: the draw completes in rawFulfillRandomWords
+            _requestVRFRandomness(drawId);
+        }
+    }
+
+    /**
+     * @dev Open a draw in commit-reveal mode: snapshot the round and commit to a seed.
+     *      The winner is picked in revealDraw, from the seed mixed with the hash of a block
+     *      that didn't exist at commit time, so neither input can be chosen after seeing the other.
+     *      A draw with nothing to draw from rolls over straight away and returns the bond.
+     * @param _drawType The type of draw to execute
+     * @param _seedHash keccak256(abi.encodePacked(seed)) for a fresh, secret bytes32 seed
+     */
+    function commitDraw(uint8 _drawType, bytes32 _seedHash)
+        external
+        payable
+        onlyRole(DRAW_OPERATOR_ROLE)
+        nonReentrant
+        whenNotPaused
+        returns (uint256 drawId)
+    {
+        require(randomnessMode == RandomnessMode.COMMIT_REVEAL, "Not in commit-reveal mode");
+        require(revealWindowBlocks > 0, "Commit-reveal not configured");
+        require(_seedHash != bytes32(0), "Invalid seed hash");
+        require(msg.value == revealBond, "Incorrect reveal bond");
+
+        bool hasEntries;
+        (drawId, hasEntries) = _openDraw(_drawType);
+        if (!hasEntries) {
+            _rollOver(drawId, true);
+            if (msg.value > 0) {
+                (bool success, ) = payable(msg.sender).call{value: msg.value}("");
+                require(success, "Bond refund failed");
             }
-            bucket.tokenAmounts[_tokens[i]] += _amounts[i];
+            return drawId;
         }
 
-        emit PrizeBucketFunded(_drawType, msg.value, _tokens, _amounts);
+        totalRevealBonds += msg.value;
+        CommitReveal.commit(drawCommitments[drawId], drawId, _seedHash, revealDelayBlocks, msg.value);
     }
 
     /**
-     * @dev Set randomness mode
+     * @dev Reveal the seed for a committed draw and pick the winner. The bond is returned.
+     *      Allowed from the block after revealBlock until revealWindowBlocks after it.
+     * @param _drawId Draw awaiting its reveal
+     * @param _seed The seed whose hash was committed
      */
-    function setRandomnessMode(RandomnessMode _mode) external onlyOwner {
-        RandomnessMode oldMode = randomnessMode;
-        randomnessMode = _mode;
-        emit RandomnessModeChanged(oldMode, _mode);
+    function revealDraw(uint256 _drawId, bytes32 _seed) external onlyRole(DRAW_OPERATOR_ROLE) nonReentrant {
+        SeedCommitment storage commitment = drawCommitments[_drawId];
+        uint256 randomNumber = CommitReveal.reveal(
+            commitment,
+            _drawId,
+            _seed,
+            revealWindowBlocks,
+            draws[_drawId].totalWeightAtDraw
+        );
+        _completeDraw(_drawId, randomNumber);
+
+        uint256 bond = commitment.bond;
+        totalRevealBonds -= bond;
+        if (bond > 0) {
+            (bool success, ) = payable(msg.sender).call{value: bond}("");
+            require(success, "Bond refund failed");
+        }
     }
 
     /**
-     * @dev Configure Chainlink VRF
+     * @dev Settle a draw whose seed was never revealed. Anyone can call this once the reveal
+     *      window has closed: the bond goes to the draw type's prize bucket and the draw rolls
+     *      over without a winner, so withholding a reveal costs the bond and can't swap the
+     *      seed's outcome for another.
+     * @param _drawId Draw whose reveal was missed
      */
-    function configureVRF(
-        address _coordinator,
-        bytes32 _keyHash,
-        uint64 _subscriptionId,
-        uint32 _callbackGasLimit,
-        uint16 _requestConfirmations
-    ) external onlyOwner {
-        require(_coordinator != address(0), "Invalid coordinator");
-        vrfCoordinator = _coordinator;
-        vrfKeyHash = _keyHash;
-        vrfSubscriptionId = _subscriptionId;
-        vrfCallbackGasLimit = _callbackGasLimit;
-        vrfRequestConfirmations = _requestConfirmations;
-        emit VRFConfigured(_coordinator, _keyHash, _subscriptionId);
+    function forfeitReveal(uint256 _drawId) external nonReentrant {
+        SeedCommitment storage commitment = drawCommitments[_drawId];
+        CommitReveal.forfeit(commitment, _drawId, revealWindowBlocks);
+
+        totalRevealBonds -= commitment.bond;
+        _addToBucket(draws[_drawId].drawType, ETH, commitment.bond);
+
+        _rollOver(_drawId, false);
     }
 
     /**
-     * @dev Toggle draw type active status
+     * @dev Check a revealed draw against its stored record: the seed matches the commitment and
+     *      the seed mixed with the reveal block's hash leads to the stored winning number, either
+     *      directly or through the redraws _selectPlace makes after landing on burned tickets.
      */
-    function setDrawTypeActive(DrawType _drawType, bool _active) external onlyOwner {
-        drawConfigs[_drawType].active = _active;
-    }
+    function verifyCommitReveal(uint256 _drawId) external view returns (bool) {
+        SeedCommitment storage commitment = drawCommitments[_drawId];
+        if (!commitment.revealed) return false;
+        if (keccak256(abi.encodePacked(commitment.seed)) != commitment.seedHash) return false;
 
-    // ============ DRAW EXECUTION ============
+        Draw storage draw = draws[_drawId];
+        uint256 number = CommitReveal.randomNumber(commitment, draw.totalWeightAtDraw);
+        return DrawSelection.isRedrawOf(number, draw.winningNumber, draw.totalWeightAtDraw);
+    }
 
     /**
-     * @dev Execute a draw for a specific draw type
-     * @param _drawType The type of draw to execute
+     * @dev Open a draw: check the schedule, snapshot the round and record the draw
+     * @return drawId ID of the new draw, awaiting its random number
+     * @return hasEntries Whether any live, eligible ticket can win (otherwise the draw rolls over)
      */
-    function executeDraw(DrawType _drawType) external onlyOwner nonReentrant whenNotPaused {
+    function _openDraw(uint8 _drawType) internal returns (uint256 drawId, bool hasEntries) {
         DrawConfig storage config = drawConfigs[_drawType];
         require(config.active, "Draw type not active");
         require(config.initialPrizeAmount > 0, "Draw type not configured");
@@ -276,11 +251,17 @@ contract LotteryDrawManagerV2 is
             "Draw interval not elapsed"
         );
 
-        // Get participant data from minting contract
-        uint256 participantCount = mintingContract.getParticipantCount();
-        uint256 totalWeight = mintingContract.totalWeight();
-        require(participantCount > 0, "No participants");
-        require(totalWeight > 0, "No weight");
+        // Draw from the current minting round, closing it first if this draw type ends rounds
+        uint256 roundId = closesRound[_drawType] ? mintingContract.closeRound() : mintingContract.roundId();
+        (uint256 startIndex, uint256 endIndex, uint256 fromIndex, uint256 totalWeight) =
+            _eligibleWindow(config, roundId);
+        if (config.eligibleTierMask != 0 && endIndex > fromIndex) {
+            require(mintingContract.tierIndexedCount() >= endIndex, "Tier index incomplete");
+        }
+        hasEntries = endIndex > fromIndex && totalWeight > 0;
+        if (hasEntries && fromIndex == startIndex && config.eligibleTierMask == 0) {
+            hasEntries = totalWeight > mintingContract.roundBurnedWeight(roundId);
+        }
 
         // Check if halving should occur
         if (config.drawCount > 0 && config.drawCount % config.halvingInterval == 0) {
@@ -291,31 +272,76 @@ contract LotteryDrawManagerV2 is
 
         // Create draw record
         totalDrawCount++;
-        uint256 drawId = totalDrawCount;
+        drawId = totalDrawCount;
+        config.latestDrawId = uint64(drawId);
 
         Draw storage draw = draws[drawId];
-        draw.drawId = drawId;
         draw.drawType = _drawType;
         draw.timestamp = block.timestamp;
-        draw.participantCountAtDraw = participantCount;
+        draw.participantCountAtDraw = endIndex - fromIndex;
         draw.totalWeightAtDraw = totalWeight;
+        draw.roundId = uint64(roundId);
+        draw.fromIndex = uint64(fromIndex);
+        if (config.eligibleTierMask != 0) {
+            draw.eligibleTierMask = config.eligibleTierMask;
+        }
 
-        // Update config
+        // Update config, moving the schedule to the latest due slot so late draws don't drift
+        // it and missed slots are skipped. One-off programs close after their draw.
         config.drawCount++;
-        config.lastDrawTime = block.timestamp;
-
-        // Generate random number and complete draw
-        if (randomnessMode == RandomnessMode.PSEUDO_RANDOM) {
-            uint256 randomNumber = _generatePseudoRandom(totalWeight, drawId);
-            _completeDraw(drawId, randomNumber);
+        config.lastDrawEndIndex = uint64(endIndex);
+        if (config.oneOff) {
+            config.active = false;
         } else {
-            // Chainlink VRF path (to be called from callback)
-            _requestVRFRandomness(drawId);
+            uint256 nextDrawTime = config.lastDrawTime + config.drawInterval;
+            config.lastDrawTime = nextDrawTime + ((block.timestamp - nextDrawTime) / config.drawInterval) * config.drawInterval;
         }
     }
 
     /**
-     * @dev Complete a draw with a random number (internal)
+     * @dev Chainlink VRF v2 callback. Implemented directly rather than via VRFConsumerBaseV2,
+     *      whose immutable coordinator doesn't survive behind a proxy.
+     *      Never reverts for stale requests: the coordinator doesn't retry failed callbacks.
+     * @param _requestId VRF request ID
+     * @param _randomWords Random words from the coordinator
+     */
+    function rawFulfillRandomWords(uint256 _requestId, uint256[] memory _randomWords) external nonReentrant {
+        require(msg.sender == vrfCoordinator, "Only VRF coordinator");
+
+        uint256 drawId = vrfRequestToDrawId[_requestId];
+        if (drawId == 0 || drawExecuted[drawId]) {
+            // Superseded by retryVRFRequest, or already completed
+            return;
+        }
+
+        delete vrfRequestToDrawId[_requestId];
+        delete vrfRequestedAt[drawId];
+
+        emit VRFFulfilled(_requestId, drawId, _randomWords[0]);
+
+        _completeDraw(drawId, _randomWords[0] % draws[drawId].totalWeightAtDraw);
+    }
+
+    /**
+     * @dev Re-request randomness for a draw whose VRF request has gone unfulfilled past the timeout
+     *      (e.g. an underfunded subscription). The old request is forgotten, so it can't complete the draw.
+     * @param _drawId Draw awaiting randomness
+     */
+    function retryVRFRequest(uint256 _drawId) external onlyRole(DRAW_OPERATOR_ROLE) nonReentrant {
+        uint256 oldRequestId = drawVrfRequestId[_drawId];
+        require(vrfRequestedAt[_drawId] > 0 && !drawExecuted[_drawId], "No pending VRF request");
+        require(block.timestamp >= vrfRequestedAt[_drawId] + vrfRequestTimeout, "VRF request not timed out");
+
+        delete vrfRequestToDrawId[oldRequestId];
+        uint256 newRequestId = _requestVRFRandomness(_drawId);
+
+        emit VRFRequestRetried(_drawId, oldRequestId, newRequestId);
+    }
+
+    /**
+     * @dev Complete a draw with a random number (internal). The draw rolls over instead when the
+     *      bucket holds no token prizes and too little ETH for the jackpot (until it must be won),
+     *      or when no eligible ticket is left.
      */
     function _completeDraw(uint256 _drawId, uint256 _randomNumber) internal {
         Draw storage draw = draws[_drawId];
@@ -323,109 +349,167 @@ contract LotteryDrawManagerV2 is
 
         DrawConfig storage config = drawConfigs[draw.drawType];
         PrizeBucket storage bucket = prizeBuckets[draw.drawType];
+        if (bucket.ethAmount < _jackpot(config) && bucket.tokenAddresses.length == 0 && !_mustBeWon(config)) {
+            _rollOver(_drawId, false);
+            return;
+        }
 
-        // Select winner using OPTIMIZED BINARY SEARCH
-        (address winner, uint256 winningLottoID) = _selectWinnerBinarySearch(
-            _randomNumber,
-            draw.totalWeightAtDraw
-        );
+        // Select winners using OPTIMIZED BINARY SEARCH, skipping burned tickets
+        uint256 winnerCount = DrawSelection.selectWinners(draw, config, mintingContract, _randomNumber);
+        if (winnerCount == 0) {
+            _rollOver(_drawId, true);
+            return;
+        }
+        drawExecuted[_drawId] = true;
+
+        // Record user wins (once per place won)
+        for (uint256 i = 0; i < winnerCount; i++) {
+            (address winner, ) = _placeWinner(draw, i);
+            userWins[winner].push(_drawId);
+        }
+
+        _distributePrizes(_drawId, winnerCount);
+
+        // The jackpot has been won
+        config.rolloverAmount = 0;
+        config.rolloverCount = 0;
+
+        emit DrawExecuted(_drawId, draw.drawType, draw.winner, draw.winningLottoID, draw.prizeEth);
+    }
+
+    /**
+     * @dev Record a draw as having no winner. Without eligible tickets its prize carries into the
+     *      draw type's next draw; underfunded and forfeited draws only count towards must-be-won,
+     *      since adding their prize could leave the jackpot out of the bucket's reach. The bucket
+     *      is untouched, so its tokens carry over too.
+     * @param _noEntries No eligible ticket could win (otherwise the bucket couldn't fund the draw,
+     *        or its seed was never revealed)
+     */
+    function _rollOver(uint256 _drawId, bool _noEntries) internal {
+        Draw storage draw = draws[_drawId];
+        DrawConfig storage config = drawConfigs[draw.drawType];
 
-        // Update draw
-        draw.winner = winner;
-        draw.winningLottoID = winningLottoID;
-        draw.winningNumber = _randomNumber;
         drawExecuted[_drawId] = true;
+        draw.rolledOver = true;
+        if (_noEntries) {
+            config.rolloverAmount += config.currentPrizeAmount;
+        }
+        config.rolloverCount++;
 
-        // Record user win
-        userWins[winner].push(_drawId);
+        emit DrawRolledOver(_drawId, draw.drawType, _jackpot(config), _noEntries);
+        emit DrawExecuted(_drawId, draw.drawType, address(0), 0, 0);
+    }
 
-        // Determine prize amount (use config or bucket, whichever is less)
-        uint256 ethPrize = config.currentPrizeAmount;
+    /**
+     * @dev Split the ETH jackpot and every bucket token between the winners by the draw type's
+     *      basis-point split, and credit each share for its winner to claim, so a winner that
+     *      can't receive never blocks the draw. Shares of unfilled places and rounding dust stay
+     *      in the bucket. Only multi-winner draws record each place's share; a single winner
+     *      takes the draw's prize.
+     */
+    function _distributePrizes(uint256 _drawId, uint256 _winnerCount) internal {
+        Draw storage draw = draws[_drawId];
+        DrawConfig storage config = drawConfigs[draw.drawType];
+        PrizeBucket storage bucket = prizeBuckets[draw.drawType];
+        // DrawSelection keeps the per-place lists for draw types with several places
+        bool perPlace = config.prizeSplitsBps.length > 1;
+
+        completedDrawCount++;
+        draw.completionIndex = completedDrawCount;
+        if (claimWindow > 0) {
+            draw.claimDeadline = uint64(block.timestamp + claimWindow);
+        }
+
+        // A must-be-won or token-funded draw pays what ETH the bucket holds when it can't cover the jackpot
+        uint256 ethPrize = _jackpot(config);
         if (bucket.ethAmount < ethPrize) {
             ethPrize = bucket.ethAmount;
         }
 
-        draw.prizeEth = ethPrize;
+        uint256 prizeEth = 0;
+        for (uint256 i = 0; i < _winnerCount; i++) {
+            uint256 share = (ethPrize * _splitBps(config, i)) / BPS_DENOMINATOR;
+            if (perPlace) {
+                draw.winnerEthAmounts.push(share);
+            }
+            prizeEth += share;
 
-        // Transfer ETH prize
-        if (ethPrize > 0) {
-            bucket.ethAmount -= ethPrize;
-            (bool success, ) = payable(winner).call{value: ethPrize}("");
-            require(success, "ETH transfer failed");
+            (address winner, ) = _placeWinner(draw, i);
+            _creditPrize(_drawId, winner, ETH, share);
         }
+        draw.prizeEth = prizeEth;
+        bucket.ethAmount -= prizeEth;
+        assetTotals[ETH].allocated -= uint128(prizeEth);
 
-        // Transfer ERC20 prizes (distribute all tokens in bucket proportionally)
+        // Split ERC20 prizes (the whole bucket balance of each token is up for grabs)
         address[] memory tokenAddrs = bucket.tokenAddresses;
-        for (uint256 i = 0; i < tokenAddrs.length; i++) {
-            address token = tokenAddrs[i];
+        delete bucket.tokenAddresses;
+        for (uint256 t = 0; t < tokenAddrs.length; t++) {
+            address token = tokenAddrs[t];
             uint256 amount = bucket.tokenAmounts[token];
+            uint256 paid = _distributeToken(_drawId, token, amount, _winnerCount, perPlace);
 
-            if (amount > 0) {
-                // For now, give all tokens to winner
-                // (Can be adjusted to percentage-based distribution)
-                bucket.tokenAmounts[token] = 0;
-                IERC20(token).safeTransfer(winner, amount);
+            if (paid > 0) {
+                bucket.tokenAmounts[token] = amount - paid;
+                assetTotals[token].allocated -= uint128(paid);
 
                 // Record in draw
                 draw.prizeTokens.push(token);
-                draw.prizeTokenAmounts[token] = amount;
+                draw.prizeTokenAmounts[token] = paid;
             }
-        }
-
-        // Clear token addresses if all distributed
-        delete bucket.tokenAddresses;
 
-        emit DrawExecuted(_drawId, draw.drawType, winner, winningLottoID, ethPrize);
+            // Tokens with a remainder stay listed in the bucket
+            if (bucket.tokenAmounts[token] > 0) {
+                bucket.tokenAddresses.push(token);
+            }
+        }
     }
 
-    // ============ OPTIMIZED WINNER SELECTION (BINARY SEARCH) ============
-
     /**
-     * @dev Select winner using BINARY SEARCH - O(log n) complexity
-     * @param _randomNumber Random number in range [0, totalWeight)
-     * @param _totalWeight Total weight at draw time
-     * @return winner Address of winner
-     * @return lottoID Winning lottery ID
+     * @dev Split a bucket token's balance between the winners and credit their shares
+     * @return paid Total credited
      */
-    function _selectWinnerBinarySearch(uint256 _randomNumber, uint256 _totalWeight)
+    function _distributeToken(uint256 _drawId, address _token, uint256 _amount, uint256 _winnerCount, bool _perPlace)
         internal
-        view
-        returns (address winner, uint256 lottoID)
+        returns (uint256 paid)
     {
-        require(_randomNumber < _totalWeight, "Invalid random number");
-
-        uint256 participantCount = mintingContract.getParticipantCount();
-        require(participantCount > 0, "No participants");
-
-        uint256 left = 0;
-        uint256 right = participantCount - 1;
-
-        // Binary search to find participant whose range contains _randomNumber
-        while (left <= right) {
-            uint256 mid = left + (right - left) / 2;
-
-            (
-                address owner,
-                uint256 lottoId,
-                uint256 weightStart,
-                uint256 weightEnd,
-                // tier
-            ) = mintingContract.participants(mid);
-
-            if (_randomNumber < weightStart) {
-                // Winner is in left half
-                if (mid == 0) break;
-                right = mid - 1;
-            } else if (_randomNumber >= weightEnd) {
-                // Winner is in right half
-                left = mid + 1;
-            } else {
-                // Found the winner!
-                return (owner, lottoId);
+        Draw storage draw = draws[_drawId];
+        DrawConfig storage config = drawConfigs[draw.drawType];
+
+        for (uint256 i = 0; i < _winnerCount; i++) {
+            uint256 share = (_amount * _splitBps(config, i)) / BPS_DENOMINATOR;
+            if (_perPlace) {
+                draw.winnerTokenAmounts[_token].push(share);
             }
+            paid += share;
+
+            (address winner, ) = _placeWinner(draw, i);
+            _creditPrize(_drawId, winner, _token, share);
+        }
+    }
+
+    /**
+     * @dev Add a prize to a winner's claimable balance. Only tokens are listed in claimableAssets;
+     *      ETH is always claimable.
+     */
+    function _creditPrize(uint256 _drawId, address _winner, address _asset, uint256 _amount) internal {
+        if (_amount == 0) return;
+
+        claimableBalance[_winner][_asset] += _amount;
+        assetTotals[_asset].claimable += uint128(_amount);
+        if (_asset != ETH && !hasClaimableAsset[_winner][_asset]) {
+            hasClaimableAsset[_winner][_asset] = true;
+            claimableAssets[_winner].push(_asset);
         }
 
-        revert("Winner not found");
+        emit PrizeCredited(_drawId, _winner, _asset, _amount);
+    }
+
+    /**
+     * @dev Share of a prize place in basis points. Draw types without a split have one winner.
+     */
+    function _splitBps(DrawConfig storage _config, uint256 _place) internal view returns (uint256) {
+        return _config.prizeSplitsBps.length == 0 ? BPS_DENOMINATOR : _config.prizeSplitsBps[_place];
     }
 
     // ============ RANDOMNESS GENERATION ============
@@ -453,254 +537,98 @@ contract LotteryDrawManagerV2 is
     }
 
     /**
-     * @dev Request randomness from Chainlink VRF
+     * @dev Request randomness from Chainlink VRF and record the draw as pending
      */
-    function _requestVRFRandomness(uint256 _drawId) internal {
+    function _requestVRFRandomness(uint256 _drawId) internal returns (uint256 requestId) {
         require(vrfCoordinator != address(0), "VRF not configured");
-        // TODO: Actual Chainlink VRF integration
-        // This requires inheriting from VRFConsumerBaseV2
-        // For now, revert with helpful message
-        revert("Chainlink VRF not yet integrated - use PSEUDO_RANDOM mode");
-    }
 
-    // ============ TWO-WAY QUERY MECHANICS ============
+        requestId = VRFCoordinatorV2Interface(vrfCoordinator).requestRandomWords(
+            vrfKeyHash,
+            vrfSubscriptionId,
+            vrfRequestConfirmations,
+            vrfCallbackGasLimit,
+            1
+        );
 
-    /**
-     * @dev Check if a user won any draws
-     * @param _user User address
-     * @return drawIds Array of draw IDs the user won
-     */
-    function getUserWins(address _user) external view returns (uint256[] memory) {
-        return userWins[_user];
-    }
+        vrfRequestToDrawId[requestId] = _drawId;
+        drawVrfRequestId[_drawId] = requestId;
+        vrfRequestedAt[_drawId] = block.timestamp;
 
-    /**
-     * @dev Check if a user won a specific draw
-     * @param _user User address
-     * @param _drawId Draw ID
-     * @return won Whether user won this draw
-     */
-    function didUserWin(address _user, uint256 _drawId) external view returns (bool) {
-        if (!drawExecuted[_drawId]) return false;
-        return draws[_drawId].winner == _user;
+        emit VRFRequested(requestId, _drawId);
     }
 
-    /**
-     * @dev Get all NFTs (lottoIDs) owned by a user
-     * @param _user User address
-     * @return entries Array of lottery entries
-     */
-    function getUserLotteryEntries(address _user)
-        external
-        view
-        returns (ILotteryData.LottoEntry[] memory)
-    {
-        return mintingContract.getLottoIDsByAddress(_user);
-    }
+    // ============ PRIZE FUNDING ============
 
     /**
-     * @dev Check which of user's NFTs won which draws
-     * @param _user User address
-     * @return drawIds Array of draw IDs
-     * @return winningLottoIDs Array of winning lottery IDs
+     * @dev Receive the prize buckets' share of a mint payment. Only the minting contract calls this.
+     * @param _token Payment token, or address(0) for ETH sent with the call
+     * @param _amounts Amount per draw type (index = draw type ID)
      */
-    function getUserWinDetails(address _user)
-        external
-        view
-        returns (uint256[] memory drawIds, uint256[] memory winningLottoIDs)
-    {
-        uint256[] memory wins = userWins[_user];
-        uint256 count = wins.length;
+    function fundFromMintRevenue(address _token, uint256[] calldata _amounts) external payable nonReentrant {
+        require(msg.sender == address(mintingContract), "Only minting contract");
+        require(_amounts.length <= getDrawTypeCount(), "Too many draw types");
 
-        drawIds = new uint256[](count);
-        winningLottoIDs = new uint256[](count);
-
-        for (uint256 i = 0; i < count; i++) {
-            uint256 drawId = wins[i];
-            drawIds[i] = drawId;
-            winningLottoIDs[i] = draws[drawId].winningLottoID;
+        uint256 total = 0;
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            total += _amounts[i];
         }
 
-        return (drawIds, winningLottoIDs);
-    }
-
-    /**
-     * @dev Get draw details including prizes
-     * @param _drawId Draw ID
-     * @return drawType Type of draw
-     * @return timestamp Time of draw
-     * @return winner Winner address
-     * @return winningLottoID Winning lottery ID
-     * @return prizeEth ETH prize amount
-     * @return prizeTokens Array of prize token addresses
-     */
-    function getDrawDetails(uint256 _drawId)
-        external
-        view
-        returns (
-            DrawType drawType,
-            uint256 timestamp,
-            address winner,
-            uint256 winningLottoID,
-            uint256 prizeEth,
-            address[] memory prizeTokens
-        )
-    {
-        Draw storage draw = draws[_drawId];
-        return (
-            draw.drawType,
-            draw.timestamp,
-            draw.winner,
-            draw.winningLottoID,
-            draw.prizeEth,
-            draw.prizeTokens
-        );
-    }
-
-    /**
-     * @dev Get prize token amount for a specific draw and token
-     */
-    function getDrawPrizeTokenAmount(uint256 _drawId, address _token)
-        external
-        view
-        returns (uint256)
-    {
-        return draws[_drawId].prizeTokenAmounts[_token];
-    }
-
-    /**
-     * @dev Get prize bucket status for a draw type
-     */
-    function getPrizeBucketStatus(DrawType _drawType)
-        external
-        view
-        returns (uint256 ethAmount, address[] memory tokens, uint256[] memory amounts)
-    {
-        PrizeBucket storage bucket = prizeBuckets[_drawType];
-        ethAmount = bucket.ethAmount;
-        tokens = bucket.tokenAddresses;
-
-        amounts = new uint256[](tokens.length);
-        for (uint256 i = 0; i < tokens.length; i++) {
-            amounts[i] = bucket.tokenAmounts[tokens[i]];
+        if (_token == ETH) {
+            require(msg.value == total, "ETH amount mismatch");
+        } else {
+            require(msg.value == 0, "Unexpected ETH");
+            IERC20(_token).safeTransferFrom(msg.sender, address(this), total);
         }
 
-        return (ethAmount, tokens, amounts);
-    }
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            if (_amounts[i] == 0) continue;
 
-    /**
-     * @dev Get draw configuration
-     */
-    function getDrawConfig(DrawType _drawType)
-        external
-        view
-        returns (
-            uint256 initialPrize,
-            uint256 currentPrize,
-            uint256 halvingInterval,
-            uint256 drawCount,
-            uint256 lastDrawTime,
-            uint256 drawInterval,
-            uint256 nextDrawTime,
-            bool active
-        )
-    {
-        DrawConfig storage config = drawConfigs[_drawType];
-        return (
-            config.initialPrizeAmount,
-            config.currentPrizeAmount,
-            config.halvingInterval,
-            config.drawCount,
-            config.lastDrawTime,
-            config.drawInterval,
-            config.lastDrawTime + config.drawInterval,
-            config.active
-        );
-    }
-
-    // ============ ADMIN FUNCTIONS ============
-
-    /**
-     * @dev Emergency withdraw (only for excess funds not allocated to buckets)
-     */
-    function emergencyWithdraw(address _token, uint256 _amount)
-        external
-        onlyOwner
-        nonReentrant
-    {
-        if (_token == address(0)) {
-            // ETH
-            (bool success, ) = payable(owner()).call{value: _amount}("");
-            require(success, "ETH transfer failed");
-        } else {
-            // ERC20
-            IERC20(_token).safeTransfer(owner(), _amount);
+            uint8 drawType = uint8(i);
+            _addToBucket(drawType, _token, _amounts[i]);
+            mintFundedTotal[drawType][_token] += _amounts[i];
+            emit PrizeBucketFundedFromMints(drawType, _token, _amounts[i]);
         }
     }
 
     /**
-     * @dev Pause contract
-     */
-    function pause() external onlyOwner {
-        _pause();
-    }
-
-    /**
-     * @dev Unpause contract
+     * @dev Allow contract to receive ETH
      */
-    function unpause() external onlyOwner {
-        _unpause();
-    }
+    receive() external payable {}
 
     /**
-     * @dev Get comprehensive system configuration
+     * @dev Run every other call in the extension, on this contract's storage, and return or
+     *      revert with its result
+     * @custom:oz-upgrades-unsafe-allow delegatecall
      */
-    function getSystemConfig() external view returns (
-        address _mintingContract,
-        RandomnessMode _randomnessMode,
-        uint256 _totalDrawCount,
-        bool _paused
-    ) {
-        return (
-            address(mintingContract),
-            randomnessMode,
-            totalDrawCount,
-            paused()
-        );
+    fallback() external payable {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            if iszero(success) {
+                revert(0, returndatasize())
+            }
+            return(0, returndatasize())
+        }
     }
 
     /**
-     * @dev Get all draw intervals
+     * @dev Required by UUPS - upgrades are queued with queueChange and wait out the timelock
      */
-    function getAllDrawIntervals() external view returns (
-        uint256 weekly,
-        uint256 monthly,
-        uint256 quarterly,
-        uint256 yearly
-    ) {
-        return (
-            drawIntervals[DrawType.WEEKLY],
-            drawIntervals[DrawType.MONTHLY],
-            drawIntervals[DrawType.QUARTERLY],
-            drawIntervals[DrawType.YEARLY]
-        );
-    }
+    function _authorizeUpgrade(address newImplementation) internal override timelocked(UPGRADER_ROLE) {}
 
     /**
-     * @dev Set draw interval for a specific draw type (admin control)
+     * @dev Timelocked functions and the role each needs
      */
-    function setDrawInterval(DrawType _drawType, uint256 _interval) external onlyOwner {
-        require(_interval > 0, "Interval must be > 0");
-        drawIntervals[_drawType] = _interval;
+    function _timelockRole(bytes4 selector) internal view override returns (bytes32) {
+        if (
+            selector == LotteryDrawManagerExtension.setRandomnessMode.selector ||
+            selector == LotteryDrawManagerExtension.configureVRF.selector
+        ) {
+            return DRAW_OPERATOR_ROLE;
+        }
+        if (selector == this.upgradeToAndCall.selector) return UPGRADER_ROLE;
+        return super._timelockRole(selector);
     }
-
-    /**
-     * @dev Allow contract to receive ETH
-     */
-    receive() external payable {}
-
-    /**
-     * @dev Required by UUPS - only owner can upgrade
-     */
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
 }
@@ -8,18 +8,28 @@ import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./AdminRolesUpgradeable.sol";
 
 interface IRewardPoints {
     function burnFrom(address from, uint256 amount) external;
 }
 
+interface IDrawManager {
+    function fundFromMintRevenue(address token, uint256[] calldata amounts) external payable;
+    function entriesLocked() external view returns (bool);
+}
+
+interface ITicketRenderer {
+    function tokenURI(uint256 tokenId) external view returns (string memory);
+}
+
 /**
  * @title NFTLotteryMintingTierV11
  * @dev Upgradeable ERC721 NFT contract with tiered minting, lottery system, and soulbound tokens.
  *      Allows minting with base blockchain token or ERC20 tokens, with settable prices and weights for tiers.
  *      Includes a decentralized lottery system based on NFT weight.
  */
-contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUpgradeable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
+contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUpgradeable, AdminRolesUpgradeable, ReentrancyGuardUpgradeable, UUPSUpgradeable {
     using SafeERC20 for IERC20;
 
     uint256 private _tokenIds;
@@ -52,6 +62,16 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         uint256 tier;
     }
 
+    // Struct for a lottery round: a contiguous slice of `participants` and of the weight range.
+    // Only endIndex/totalWeight change (when the round closes); start and offset are fixed at open.
+    struct Round {
+        uint256 startIndex;    // Index of the round's first participant
+        uint256 endIndex;      // One past the round's last participant (set on close)
+        uint256 weightOffset;  // Cumulative weight before the round's first participant
+        uint256 totalWeight;   // Weight minted during the round (set on close)
+        bool closed;
+    }
+
     mapping(uint256 => Tier) public tiers;  // Mapping from tier number to tier information
     mapping(uint256 => uint256) private _tokenTiers;  // Mapping from token ID to tier number
 
@@ -68,6 +88,36 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
     uint256 public prizePool;
     bool public lotteryActive;
 
+    // Rounds (added in the rounds upgrade - keep below existing storage)
+    uint256 public roundId;  // Current (open) round
+    mapping(uint256 => Round) private _rounds;
+    address public drawManager;  // Allowed to close rounds alongside the owner
+
+    // Burned tickets keep their participant range (so cumulative ranges stay valid for binary
+    // search) but are tombstoned here; draws that land on one redraw. totalWeight still marks
+    // the end of the cumulative range - live weight is totalWeight - burnedWeight.
+    mapping(uint256 => bool) private _burnedLottoIDs;
+    uint256 public burnedWeight;
+    mapping(uint256 => uint256) public roundBurnedWeight;  // roundId => weight burned from that round
+
+    // Share of each mint payment (basis points, indexed by the draw manager's draw type ID) sent to
+    // that draw type's prize bucket. The rest stays here as treasury revenue for withdraw().
+    uint256[] private _revenueSplitBps;
+
+    // Per-tier index for draws limited to some tiers: each tier's participants in mint order, one
+    // slot each packing the participant index (low 64 bits) with the tier's running weight total
+    // after it (the rest), so a tier's weight over any index range is two binary searches away.
+    // Participants before tierIndexedCount are indexed; proxies upgraded with existing participants
+    // backfill them through indexTierParticipants.
+    uint256 private constant TIER_INDEX_BITS = 64;
+    mapping(uint256 => uint256[]) private _tierIndex;
+    uint256 public tierIndexedCount;
+
+    // Ticket metadata: tokenURI is generated on-chain by the ticket renderer unless an external base URI is set
+    mapping(uint256 => uint256) public mintedAt;  // lottoID => mint timestamp (0 if minted before it was recorded)
+    string private _baseTokenURI;
+    address public ticketRenderer;
+
     // Events
     event TierPriceSet(uint256 tier, uint256 priceInBaseToken, uint256 priceInPaymentToken, uint256 priceInAnotherPaymentToken);
     event TierWeightSet(uint256 tier, uint256 weight);
@@ -80,6 +130,15 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
     event LotteryDrawn(address indexed winner, uint256 lottoID, uint256 winningNumber, uint256 prize);
     event LotteryActivated();
     event LotteryDeactivated();
+    event RoundStarted(uint256 indexed roundId, uint256 startIndex, uint256 weightOffset);
+    event RoundClosed(uint256 indexed roundId, uint256 participantCount, uint256 totalWeight);
+    event DrawManagerSet(address drawManager);
+    event LottoEntryVoided(uint256 indexed lottoID, uint256 weight);
+    event RevenueSplitSet(uint256[] drawTypeBps, uint256 treasuryBps);
+    event MintRevenueRouted(address indexed token, uint256 amount);
+    event TierIndexBackfilled(uint256 indexedCount);
+    event BaseURISet(string baseURI);
+    event TicketRendererSet(address renderer);
 
     /**
      * @dev Initializes the contract, setting the initial tier weights and prices.
@@ -87,6 +146,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
     function initialize() public initializer {
         __ERC721_init("NFTLotteryMintingTierV11", "NFTTV11");
         __Ownable_init(msg.sender);
+        __AdminRoles_init(msg.sender);
         __ReentrancyGuard_init();
 
         // Initialize tier weights and prices
@@ -101,14 +161,46 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         }
         totalWeight = 0;  // Initialize total weight
         lotteryActive = true;  // Lottery starts active
+        _startRound();
+    }
+
+    /**
+     * @dev Migration for proxies deployed before rounds and admin roles existed. Every existing
+     *      participant becomes part of round 1, which stays open, and the owner gets every role;
+     *      hand them out with grantRole afterwards. Call via upgradeToAndCall, which the old
+     *      implementation authorizes for the owner: later upgrades need the timelocked UPGRADER_ROLE.
+     */
+    function initializeRounds() external reinitializer(2) onlyOwner {
+        require(roundId == 0, "Rounds already initialized");
+        _startRound();
+        __AdminRoles_init(owner());
     }
 
     // Modifiers
     modifier onlyValidTier(uint256 tier) {
-        require(tier < 10, "Invalid tier");
+        _checkTier(tier);
+        _;
+    }
+
+    modifier whenTiersUnlocked() {
+        _checkTiersUnlocked();
         _;
     }
 
+    modifier onlyDrawOperatorOrDrawManager() {
+        require(hasRole(DRAW_OPERATOR_ROLE, msg.sender) || (drawManager != address(0) && msg.sender == drawManager), "Not authorized");
+        _;
+    }
+
+    // Modifier bodies live in functions so they aren't inlined at every use
+    function _checkTier(uint256 tier) private pure {
+        require(tier < 10, "Invalid tier");
+    }
+
+    function _checkTiersUnlocked() private view {
+        require(!tiersLocked(), "Tiers locked until draw completes");
+    }
+
     /**
      * @dev Sets the prices for a specific tier.
      * @param tier The tier number.
@@ -116,7 +208,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
      * @param priceInPaymentToken The price in the specified payment token.
      * @param priceInAnotherPaymentToken The price in another specified payment token.
      */
-    function setTierPrice(uint256 tier, uint256 priceInBaseToken, uint256 priceInPaymentToken, uint256 priceInAnotherPaymentToken) external onlyOwner onlyValidTier(tier) {
+    function setTierPrice(uint256 tier, uint256 priceInBaseToken, uint256 priceInPaymentToken, uint256 priceInAnotherPaymentToken) external onlyRole(PRICE_ADMIN_ROLE) onlyValidTier(tier) whenTiersUnlocked {
         // Validation: at least one price must be greater than 0
         require(
             priceInBaseToken > 0 || priceInPaymentToken > 0 || priceInAnotherPaymentToken > 0,
@@ -129,11 +221,11 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
     }
 
     /**
-     * @dev Sets the weight for a specific tier.
+     * @dev Sets the weight for a specific tier. Timelocked: queue the call with queueChange first.
      * @param tier The tier number.
      * @param weight The weight value.
      */
-    function setTierWeight(uint256 tier, uint256 weight) external onlyOwner onlyValidTier(tier) {
+    function setTierWeight(uint256 tier, uint256 weight) external timelocked(PRICE_ADMIN_ROLE) onlyValidTier(tier) whenTiersUnlocked {
         require(weight > 0, "Weight must be greater than 0");
         tiers[tier].weight = weight;
         emit TierWeightSet(tier, weight);
@@ -143,7 +235,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
      * @dev Sets the payment token address.
      * @param token The address of the payment token.
      */
-    function setPaymentToken(address token) external onlyOwner {
+    function setPaymentToken(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
         paymentToken = token;
         emit PaymentTokenSet(token);
     }
@@ -152,7 +244,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
      * @dev Sets another payment token address.
      * @param token The address of another payment token.
      */
-    function setAnotherPaymentToken(address token) external onlyOwner {
+    function setAnotherPaymentToken(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
         anotherPaymentToken = token;
         emit AnotherPaymentTokenSet(token);
     }
@@ -161,21 +253,66 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
      * @dev Sets the reward points token address.
      * @param token The address of the reward points token.
      */
-    function setRewardPointsToken(address token) external onlyOwner {
+    function setRewardPointsToken(address token) external onlyRole(DEFAULT_ADMIN_ROLE) {
         rewardPointsToken = token;
         emit RewardPointsTokenSet(token);
     }
 
+    /**
+     * @dev Sets the draw manager, which may close rounds.
+     * @param manager The address of the draw manager.
+     */
+    function setDrawManager(address manager) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        drawManager = manager;
+        emit DrawManagerSet(manager);
+    }
+
+    /**
+     * @dev Sets how much of every base token and payment token mint goes to the prize buckets.
+     * @param drawTypeBps Basis points per draw type (index = draw type ID); the remainder is the treasury share.
+     *        An empty array stops routing revenue.
+     */
+    function setRevenueSplit(uint256[] calldata drawTypeBps) external onlyRole(TREASURER_ROLE) {
+        uint256 total = 0;
+        for (uint256 i = 0; i < drawTypeBps.length; i++) {
+            total += drawTypeBps[i];
+        }
+        require(total <= 10000, "Split exceeds 10000 bps");
+        require(total == 0 || drawManager != address(0), "Draw manager not set");
+
+        _revenueSplitBps = drawTypeBps;
+        emit RevenueSplitSet(drawTypeBps, 10000 - total);
+    }
+
+    /**
+     * @dev Returns the revenue split per draw type and the treasury's remaining share, in basis points.
+     */
+    function getRevenueSplit() external view returns (uint256[] memory drawTypeBps, uint256 treasuryBps) {
+        drawTypeBps = _revenueSplitBps;
+        treasuryBps = 10000;
+        for (uint256 i = 0; i < drawTypeBps.length; i++) {
+            treasuryBps -= drawTypeBps[i];
+        }
+    }
+
     /**
      * @dev Sets tier price in reward points.
      * @param tier The tier number.
      * @param priceInRewardPoints The price in reward points.
      */
-    function setTierPriceInRewardPoints(uint256 tier, uint256 priceInRewardPoints) external onlyOwner onlyValidTier(tier) {
+    function setTierPriceInRewardPoints(uint256 tier, uint256 priceInRewardPoints) external onlyRole(PRICE_ADMIN_ROLE) onlyValidTier(tier) whenTiersUnlocked {
         tiers[tier].priceInRewardPoints = priceInRewardPoints;
         emit TierPriceInRewardPointsSet(tier, priceInRewardPoints);
     }
 
+    /**
+     * @dev Whether tier weights and prices are frozen: the draw manager reports a draw whose entry
+     *      period has closed and which hasn't completed yet, for at most a week.
+     */
+    function tiersLocked() public view returns (bool) {
+        return drawManager != address(0) && IDrawManager(drawManager).entriesLocked();
+    }
+
     /**
      * @dev Mints an NFT with the base blockchain token.
      * @param tier The tier number.
@@ -185,6 +322,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         require(tiers[tier].priceInBaseToken > 0, "Base token payment not accepted for this tier");
 
         _mintToken(tier);
+        _routeMintRevenue(address(0), tiers[tier].priceInBaseToken);
     }
 
     /**
@@ -196,8 +334,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         require(price > 0, "Payment token not accepted for this tier");
         require(paymentToken != address(0), "Payment token not set");
 
-        IERC20(paymentToken).safeTransferFrom(msg.sender, address(this), price);
-        _mintToken(tier);
+        _mintWithToken(tier, paymentToken, price);
     }
 
     /**
@@ -209,8 +346,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         require(price > 0, "Another payment token not accepted for this tier");
         require(anotherPaymentToken != address(0), "Another payment token not set");
 
-        IERC20(anotherPaymentToken).safeTransferFrom(msg.sender, address(this), price);
-        _mintToken(tier);
+        _mintWithToken(tier, anotherPaymentToken, price);
     }
 
     /**
@@ -228,6 +364,15 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         _mintToken(tier);
     }
 
+    /**
+     * @dev Collects an ERC20 tier price, then mints and routes the revenue.
+     */
+    function _mintWithToken(uint256 tier, address token, uint256 price) private {
+        IERC20(token).safeTransferFrom(msg.sender, address(this), price);
+        _mintToken(tier);
+        _routeMintRevenue(token, price);
+    }
+
     /**
      * @dev Internal function to mint a token and update lottery entries.
      * @param tier The tier number.
@@ -245,6 +390,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         uint256 lottoID = _lottoIdCounter;
         _lottoIdCounter++;
         lottoIDIndexer[lottoID] = msg.sender;
+        mintedAt[lottoID] = block.timestamp;
 
         // Update address to LottoIDs mapping with LottoEntry struct
         addressToLottoIDs[msg.sender].push(LottoEntry({lottoID: lottoID, weight: tiers[tier].weight}));
@@ -261,9 +407,119 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
 
         totalWeight += weight;  // Update total weight
 
+        // Index as we go unless older participants are still waiting for the backfill
+        if (tierIndexedCount == participants.length - 1) {
+            _indexTierParticipant(participants.length - 1);
+        }
+
         emit TokenMinted(msg.sender, newTokenId, tier, lottoID);
     }
 
+    /**
+     * @dev Backfills the tier index for participants minted before it existed, in batches.
+     * @param maxCount Maximum number of participants to index in this call.
+     */
+    function indexTierParticipants(uint256 maxCount) external onlyRole(DRAW_OPERATOR_ROLE) {
+        uint256 end = tierIndexedCount + maxCount;
+        if (end > participants.length) {
+            end = participants.length;
+        }
+
+        for (uint256 i = tierIndexedCount; i < end; i++) {
+            _indexTierParticipant(i);
+        }
+
+        emit TierIndexBackfilled(tierIndexedCount);
+    }
+
+    /**
+     * @dev Returns a tier's weight over participant indexes [fromIndex, toIndex), and the tier's
+     *      weight before fromIndex (the base to add when looking up a ticket in the range).
+     */
+    function getTierRange(uint256 tier, uint256 fromIndex, uint256 toIndex)
+        external
+        view
+        returns (uint256 weightBefore, uint256 weight)
+    {
+        uint256[] storage entries = _tierIndex[tier];
+
+        uint256 startPos = _firstAtLeast(entries, fromIndex, 0);
+        uint256 endPos = _firstAtLeast(entries, toIndex, 0);
+        weightBefore = startPos == 0 ? 0 : entries[startPos - 1] >> TIER_INDEX_BITS;
+        uint256 weightThrough = endPos == 0 ? 0 : entries[endPos - 1] >> TIER_INDEX_BITS;
+        weight = weightThrough - weightBefore;
+    }
+
+    /**
+     * @dev Returns the participant index of the tier's ticket covering a point of the tier's
+     *      cumulative weight (counted from the tier's first ticket).
+     */
+    function getTierParticipantAt(uint256 tier, uint256 cumulativeWeight) external view returns (uint256) {
+        uint256[] storage entries = _tierIndex[tier];
+        uint256 pos = _firstAtLeast(entries, cumulativeWeight + 1, TIER_INDEX_BITS);
+        require(pos < entries.length, "Weight out of range");
+        return uint64(entries[pos]);
+    }
+
+    function _indexTierParticipant(uint256 index) internal {
+        Participant storage participant = participants[index];
+        uint256[] storage entries = _tierIndex[participant.tier];
+        uint256 previous = entries.length == 0 ? 0 : entries[entries.length - 1] >> TIER_INDEX_BITS;
+        uint256 cumulative = previous + participant.weightEnd - participant.weightStart;
+
+        entries.push((cumulative << TIER_INDEX_BITS) | index);
+        tierIndexedCount = index + 1;
+    }
+
+    /**
+     * @dev Position of the first tier index entry whose field at `shift` (the participant index
+     *      at 0, the cumulative weight at TIER_INDEX_BITS) is >= target; the length if none.
+     *      Both fields grow along the array.
+     */
+    function _firstAtLeast(uint256[] storage entries, uint256 target, uint256 shift) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = entries.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            uint256 value = entries[mid] >> shift;
+            if (shift == 0) value = uint64(value);
+            if (value < target) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * @dev Sends the prize buckets' share of a mint payment to the draw manager. Overpayment and
+     *      rounding dust stay with the treasury share.
+     * @param token The payment token, or address(0) for the base token.
+     * @param amount The tier price paid.
+     */
+    function _routeMintRevenue(address token, uint256 amount) internal {
+        uint256 count = _revenueSplitBps.length;
+        if (count == 0 || drawManager == address(0)) return;
+
+        uint256[] memory amounts = new uint256[](count);
+        uint256 total = 0;
+        for (uint256 i = 0; i < count; i++) {
+            amounts[i] = (amount * _revenueSplitBps[i]) / 10000;
+            total += amounts[i];
+        }
+        if (total == 0) return;
+
+        if (token == address(0)) {
+            IDrawManager(drawManager).fundFromMintRevenue{value: total}(token, amounts);
+        } else {
+            IERC20(token).forceApprove(drawManager, total);
+            IDrawManager(drawManager).fundFromMintRevenue(token, amounts);
+        }
+
+        emit MintRevenueRouted(token, total);
+    }
+
     /**
      * @dev Returns the tier of a token.
      * @param tokenId The ID of the token.
@@ -279,8 +535,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
      * @param tier The tier number.
      * @return The weight value.
      */
-    function tierWeight(uint256 tier) external view returns (uint256) {
-        require(tier < 10, "Invalid tier");
+    function tierWeight(uint256 tier) external view onlyValidTier(tier) returns (uint256) {
         return tiers[tier].weight;
     }
 
@@ -293,6 +548,14 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         return addressToLottoIDs[user];
     }
 
+    /**
+     * @dev Returns whether a lottery entry has been voided by burning its token.
+     * @param lottoID The lottery ID.
+     */
+    function isBurned(uint256 lottoID) external view returns (bool) {
+        return _burnedLottoIDs[lottoID];
+    }
+
     /**
      * @dev Returns the total number of participants in the lottery.
      * @return The number of participants.
@@ -301,16 +564,90 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         return participants.length;
     }
 
+    // ============ ROUNDS ============
+
+    /**
+     * @dev Closes the current round and opens the next one. The closed round's participant
+     *      and weight ranges are frozen, so draws against it are unaffected by later mints.
+     * @return closedRoundId The ID of the round that was closed.
+     */
+    function closeRound() external onlyDrawOperatorOrDrawManager returns (uint256 closedRoundId) {
+        require(roundId > 0, "Rounds not initialized");
+        closedRoundId = roundId;
+
+        Round storage round = _rounds[closedRoundId];
+        round.endIndex = participants.length;
+        round.totalWeight = totalWeight - round.weightOffset;
+        round.closed = true;
+        emit RoundClosed(closedRoundId, round.endIndex - round.startIndex, round.totalWeight);
+
+        _startRound();
+    }
+
+    /**
+     * @dev Returns a round's participant index range [startIndex, endIndex) and weight range
+     *      [weightOffset, weightOffset + totalWeight). For the open round these are live values.
+     * @param id The round ID.
+     */
+    function getRound(uint256 id) external view returns (
+        uint256 startIndex,
+        uint256 endIndex,
+        uint256 weightOffset,
+        uint256 roundWeight,
+        bool closed
+    ) {
+        require(id > 0 && id <= roundId, "Invalid round");
+        Round storage round = _rounds[id];
+        if (round.closed) {
+            return (round.startIndex, round.endIndex, round.weightOffset, round.totalWeight, true);
+        }
+        return (round.startIndex, participants.length, round.weightOffset, totalWeight - round.weightOffset, false);
+    }
+
+    /**
+     * @dev Returns the round a participant index belongs to (binary search over round starts).
+     * @param index The participant index.
+     */
+    function getRoundOfParticipant(uint256 index) external view returns (uint256) {
+        require(index < participants.length, "Invalid participant");
+        return _roundOfParticipant(index);
+    }
+
+    function _roundOfParticipant(uint256 index) internal view returns (uint256) {
+        uint256 low = 1;
+        uint256 high = roundId;
+        while (low < high) {
+            uint256 mid = (low + high + 1) / 2;
+            if (_rounds[mid].startIndex <= index) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    function _startRound() internal {
+        roundId++;
+        _rounds[roundId] = Round({
+            startIndex: participants.length,
+            endIndex: 0,
+            weightOffset: totalWeight,
+            totalWeight: 0,
+            closed: false
+        });
+        emit RoundStarted(roundId, participants.length, totalWeight);
+    }
+
     /**
      * @dev Draws the lottery and selects a winner using basic randomness.
      * WARNING: This uses blockhash which is not perfectly secure for high-value lotteries.
      * Consider using Chainlink VRF for production with significant prizes.
      * @return winner The address of the winner.
      */
-    function drawLottery() external onlyOwner nonReentrant returns (address winner) {
+    function drawLottery() external onlyRole(DRAW_OPERATOR_ROLE) nonReentrant returns (address winner) {
         require(lotteryActive, "Lottery is not active");
-        require(totalWeight > 0, "No participants in lottery");
-        require(participants.length > 0, "No participants");
+        require(totalWeight > burnedWeight, "No participants in lottery");  // so participants isn't empty
 
         // Generate pseudo-random number using blockhash
         // NOTE: This is basic randomness - for production with real prizes, use Chainlink VRF
@@ -322,22 +659,18 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
             totalWeight
         ))) % totalWeight;
 
-        // Find winner using weighted selection
-        address winnerAddress = _selectWinner(randomNumber);
+        // Find winner using weighted selection, redrawing while the hit ticket is burned
+        uint256 index = _selectWinner(randomNumber);
+        while (_burnedLottoIDs[participants[index].lottoID]) {
+            randomNumber = uint256(keccak256(abi.encodePacked(randomNumber))) % totalWeight;
+            index = _selectWinner(randomNumber);
+        }
+        address winnerAddress = participants[index].owner;
 
         // Store draw results
         lastWinner = winnerAddress;
         lastWinningNumber = randomNumber;
-
-        // Find the winning lottoID
-        for (uint256 i = 0; i < participants.length; i++) {
-            if (participants[i].owner == winnerAddress &&
-                randomNumber >= participants[i].weightStart &&
-                randomNumber < participants[i].weightEnd) {
-                lastWinningLottoID = participants[i].lottoID;
-                break;
-            }
-        }
+        lastWinningLottoID = participants[index].lottoID;
 
         // Calculate prize (current contract balance)
         uint256 prize = address(this).balance;
@@ -357,13 +690,13 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
     /**
      * @dev Internal function to select winner based on random number and weighted ranges.
      * @param randomNumber The random number within the range [0, totalWeight).
-     * @return The address of the winner.
+     * @return The index of the winning participant.
      */
-    function _selectWinner(uint256 randomNumber) internal view returns (address) {
+    function _selectWinner(uint256 randomNumber) internal view returns (uint256) {
         // Binary search could be used for large participant counts, but linear search is simple
         for (uint256 i = 0; i < participants.length; i++) {
             if (randomNumber >= participants[i].weightStart && randomNumber < participants[i].weightEnd) {
-                return participants[i].owner;
+                return i;
             }
         }
         revert("Winner not found"); // Should never happen
@@ -372,7 +705,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
     /**
      * @dev Activates the lottery to allow minting.
      */
-    function activateLottery() external onlyOwner {
+    function activateLottery() external onlyRole(PAUSER_ROLE) {
         lotteryActive = true;
         emit LotteryActivated();
     }
@@ -380,7 +713,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
     /**
      * @dev Deactivates the lottery to prevent new minting (useful before drawing).
      */
-    function deactivateLottery() external onlyOwner {
+    function deactivateLottery() external onlyRole(PAUSER_ROLE) {
         lotteryActive = false;
         emit LotteryDeactivated();
     }
@@ -388,7 +721,7 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
     /**
      * @dev Withdraws the contract balance to the owner.
      */
-    function withdraw() external onlyOwner nonReentrant {
+    function withdraw() external onlyRole(TREASURER_ROLE) nonReentrant {
         uint256 balance = address(this).balance;
         if (balance > 0) {
             (bool success, ) = payable(owner()).call{value: balance}("");
@@ -396,21 +729,56 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
             emit Withdrawn(owner(), balance);
         }
 
-        if (paymentToken != address(0)) {
-            uint256 tokenBalance = IERC20(paymentToken).balanceOf(address(this));
-            if (tokenBalance > 0) {
-                IERC20(paymentToken).safeTransfer(owner(), tokenBalance);
-                emit Withdrawn(owner(), tokenBalance);
-            }
+        _withdrawToken(paymentToken);
+        _withdrawToken(anotherPaymentToken);
+    }
+
+    function _withdrawToken(address token) private {
+        if (token == address(0)) return;
+
+        uint256 tokenBalance = IERC20(token).balanceOf(address(this));
+        if (tokenBalance > 0) {
+            IERC20(token).safeTransfer(owner(), tokenBalance);
+            emit Withdrawn(owner(), tokenBalance);
         }
+    }
 
-        if (anotherPaymentToken != address(0)) {
-            uint256 tokenBalance = IERC20(anotherPaymentToken).balanceOf(address(this));
-            if (tokenBalance > 0) {
-                IERC20(anotherPaymentToken).safeTransfer(owner(), tokenBalance);
-                emit Withdrawn(owner(), tokenBalance);
-            }
+    /**
+     * @dev Sets an external base URI that tokenURI uses (base URI + token ID) instead of the
+     *      on-chain metadata. An empty string switches back to on-chain metadata.
+     * @param baseURI The base URI, e.g. "https://example.com/tickets/".
+     */
+    function setBaseURI(string calldata baseURI) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _baseTokenURI = baseURI;
+        emit BaseURISet(baseURI);
+    }
+
+    /**
+     * @dev Sets the contract that renders on-chain metadata (see TicketRenderer).
+     * @param renderer The renderer address, or address(0) to serve no on-chain metadata.
+     */
+    function setTicketRenderer(address renderer) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        ticketRenderer = renderer;
+        emit TicketRendererSet(renderer);
+    }
+
+    /**
+     * @dev Returns the ticket's metadata: a base64 JSON data URI with its celestial body, weight,
+     *      lottoID, mint time, draws won and SVG art from the ticket renderer, unless an external
+     *      base URI is set. Empty while neither is set.
+     * @param tokenId The token ID (the same as the ticket's lottoID).
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        if (bytes(_baseTokenURI).length > 0 || ticketRenderer == address(0)) {
+            return super.tokenURI(tokenId);
         }
+
+        _requireOwned(tokenId);
+        return ITicketRenderer(ticketRenderer).tokenURI(tokenId);
+    }
+
+    function _baseURI() internal view override returns (string memory) {
+        return _baseTokenURI;
     }
 
     // Override _update to prevent transfers (soulbound tokens)
@@ -426,8 +794,38 @@ contract NFTLotteryMintingTierV11 is Initializable, ERC721Upgradeable, OwnableUp
         require(owner != address(0), "Token does not exist");
         require(_isAuthorized(owner, _msgSender(), tokenId), "Caller is not owner nor approved");
         _burn(tokenId);
+        _voidLottoEntry(tokenId);
+    }
+
+    /**
+     * @dev Removes a burned ticket's weight from all future draws.
+     *      Token IDs, lottoIDs and participant indexes all advance together on mint, so the
+     *      token ID is also the participant index.
+     */
+    function _voidLottoEntry(uint256 lottoID) internal {
+        Participant storage participant = participants[lottoID];
+        uint256 weight = participant.weightEnd - participant.weightStart;
+
+        _burnedLottoIDs[lottoID] = true;
+        burnedWeight += weight;
+        if (roundId > 0) {
+            roundBurnedWeight[_roundOfParticipant(lottoID)] += weight;
+        }
+
+        emit LottoEntryVoided(lottoID, weight);
     }
 
-    // Required by UUPSUpgradeable - only owner can upgrade
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    // Required by UUPSUpgradeable - upgrades are queued with queueChange and wait out the timelock
+    function _authorizeUpgrade(address newImplementation) internal override timelocked(UPGRADER_ROLE) {}
+
+    // Timelocked functions and the role each needs
+    function _timelockRole(bytes4 selector) internal view override returns (bytes32) {
+        if (selector == this.setTierWeight.selector) return PRICE_ADMIN_ROLE;
+        if (selector == this.upgradeToAndCall.selector) return UPGRADER_ROLE;
+        return super._timelockRole(selector);
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721Upgradeable, AccessControlUpgradeable) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
 }
\ No newline at end of file
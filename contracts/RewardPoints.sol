@@ -5,6 +5,7 @@ import "@openzeppelin/contracts-upgradeable/token/ERC20/ERC20Upgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./AdminRolesUpgradeable.sol";
 
 /**
  * @title RewardPoints
@@ -12,7 +13,7 @@ import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
  *      Can only be minted by the RewardPointsManager contract
  *      Non-transferable to prevent secondary markets
  */
-contract RewardPoints is Initializable, ERC20Upgradeable, OwnableUpgradeable, UUPSUpgradeable {
+contract RewardPoints is Initializable, ERC20Upgradeable, OwnableUpgradeable, AdminRolesUpgradeable, UUPSUpgradeable {
 
     // Authorized contracts that can accept reward points as payment
     mapping(address => bool) public authorizedSpenders;
@@ -35,13 +36,24 @@ contract RewardPoints is Initializable, ERC20Upgradeable, OwnableUpgradeable, UU
     function initialize() public initializer {
         __ERC20_init("HODL Reward Points", "HPOINTS");
         __Ownable_init(msg.sender);
+        __AdminRoles_init(msg.sender);
         __UUPSUpgradeable_init();
     }
 
+    /**
+     * @dev Migration for proxies deployed before admin roles existed. Grants every role to the
+     *      owner; hand them out with grantRole afterwards. Call via upgradeToAndCall, which the
+     *      old implementation authorizes for the owner: later upgrades need the timelocked UPGRADER_ROLE.
+     */
+    function initializeRoles() external reinitializer(2) onlyOwner {
+        require(!hasRole(DEFAULT_ADMIN_ROLE, owner()), "Roles already initialized");
+        __AdminRoles_init(owner());
+    }
+
     /**
      * @dev Set the reward manager (can only be set once for security)
      */
-    function setRewardManager(address _manager) external onlyOwner {
+    function setRewardManager(address _manager) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(rewardManager == address(0), "Manager already set");
         require(_manager != address(0), "Invalid manager address");
         rewardManager = _manager;
@@ -51,7 +63,7 @@ contract RewardPoints is Initializable, ERC20Upgradeable, OwnableUpgradeable, UU
     /**
      * @dev Add authorized spender (NFT minter, game contracts, etc.)
      */
-    function addAuthorizedSpender(address _spender) external onlyOwner {
+    function addAuthorizedSpender(address _spender) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(_spender != address(0), "Invalid spender");
         authorizedSpenders[_spender] = true;
         emit AuthorizedSpenderAdded(_spender);
@@ -60,7 +72,7 @@ contract RewardPoints is Initializable, ERC20Upgradeable, OwnableUpgradeable, UU
     /**
      * @dev Remove authorized spender
      */
-    function removeAuthorizedSpender(address _spender) external onlyOwner {
+    function removeAuthorizedSpender(address _spender) external onlyRole(DEFAULT_ADMIN_ROLE) {
         authorizedSpenders[_spender] = false;
         emit AuthorizedSpenderRemoved(_spender);
     }
@@ -120,7 +132,15 @@ contract RewardPoints is Initializable, ERC20Upgradeable, OwnableUpgradeable, UU
     }
 
     /**
-     * @dev Required by UUPS - only owner can upgrade
+     * @dev Required by UUPS - upgrades are queued with queueChange and wait out the timelock
      */
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override timelocked(UPGRADER_ROLE) {}
+
+    /**
+     * @dev Timelocked functions and the role each needs
+     */
+    function _timelockRole(bytes4 selector) internal view override returns (bytes32) {
+        if (selector == this.upgradeToAndCall.selector) return UPGRADER_ROLE;
+        return super._timelockRole(selector);
+    }
 }
@@ -7,6 +7,7 @@ import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./AdminRolesUpgradeable.sol";
 
 interface IRewardPoints {
     function mint(address to, uint256 amount) external;
@@ -25,6 +26,7 @@ interface IRewardPoints {
 contract RewardPointsManager is
     Initializable,
     OwnableUpgradeable,
+    AdminRolesUpgradeable,
     ReentrancyGuardUpgradeable,
     PausableUpgradeable,
     UUPSUpgradeable
@@ -97,6 +99,7 @@ contract RewardPointsManager is
         uint256 _baseRewardRate
     ) public initializer {
         __Ownable_init(msg.sender);
+        __AdminRoles_init(msg.sender);
         __ReentrancyGuard_init();
         __Pausable_init();
         __UUPSUpgradeable_init();
@@ -116,6 +119,16 @@ contract RewardPointsManager is
         tierThresholds.push(0);      // Tier 0 starts at 0 balance
     }
 
+    /**
+     * @dev Migration for proxies deployed before admin roles existed. Grants every role to the
+     *      owner; hand them out with grantRole afterwards. Call via upgradeToAndCall, which the
+     *      old implementation authorizes for the owner: later upgrades need the timelocked UPGRADER_ROLE.
+     */
+    function initializeRoles() external reinitializer(2) onlyOwner {
+        require(!hasRole(DEFAULT_ADMIN_ROLE, owner()), "Roles already initialized");
+        __AdminRoles_init(owner());
+    }
+
     /**
      * @dev Users must explicitly stake to start earning rewards
      *      This locks in their balance and starts the epoch timer
@@ -333,7 +346,7 @@ contract RewardPointsManager is
     /**
      * @dev Update base reward rate
      */
-    function setBaseRewardRate(uint256 _newRate) external onlyOwner {
+    function setBaseRewardRate(uint256 _newRate) external onlyRole(PRICE_ADMIN_ROLE) {
         uint256 oldRate = baseRewardRate;
         baseRewardRate = _newRate;
         emit BaseRewardRateUpdated(oldRate, _newRate);
@@ -342,7 +355,7 @@ contract RewardPointsManager is
     /**
      * @dev Update epoch duration (use with caution - affects all users)
      */
-    function setEpochDuration(uint256 _duration) external onlyOwner {
+    function setEpochDuration(uint256 _duration) external onlyRole(PRICE_ADMIN_ROLE) {
         require(_duration > 0, "Epoch duration must be > 0");
         uint256 oldDuration = epochDuration;
         epochDuration = _duration;
@@ -352,7 +365,7 @@ contract RewardPointsManager is
     /**
      * @dev Update new token credit percentage
      */
-    function setNewTokenCredit(uint256 _basisPoints) external onlyOwner {
+    function setNewTokenCredit(uint256 _basisPoints) external onlyRole(PRICE_ADMIN_ROLE) {
         require(_basisPoints <= 10000, "Cannot exceed 100%");
         uint256 oldCredit = newTokenCreditBasisPoints;
         newTokenCreditBasisPoints = _basisPoints;
@@ -362,7 +375,7 @@ contract RewardPointsManager is
     /**
      * @dev Update minimum claim interval
      */
-    function setMinClaimInterval(uint256 _interval) external onlyOwner {
+    function setMinClaimInterval(uint256 _interval) external onlyRole(PRICE_ADMIN_ROLE) {
         uint256 oldInterval = minClaimInterval;
         minClaimInterval = _interval;
         emit MinClaimIntervalUpdated(oldInterval, _interval);
@@ -375,7 +388,7 @@ contract RewardPointsManager is
         uint256 _tierIndex,
         uint256 _multiplier,
         uint256 _threshold
-    ) external onlyOwner {
+    ) external onlyRole(PRICE_ADMIN_ROLE) {
         require(_multiplier >= 10000, "Multiplier must be >= 1x (10000)");
         require(_multiplier <= 100000, "Multiplier must be <= 10x (100000)");
 
@@ -393,7 +406,7 @@ contract RewardPointsManager is
     /**
      * @dev Remove the last multiplier tier
      */
-    function removeLastTier() external onlyOwner {
+    function removeLastTier() external onlyRole(PRICE_ADMIN_ROLE) {
         require(multiplierTiers.length > 1, "Cannot remove last tier");
 
         uint256 lastIndex = multiplierTiers.length - 1;
@@ -428,21 +441,21 @@ contract RewardPointsManager is
     /**
      * @dev Emergency pause
      */
-    function pause() external onlyOwner {
+    function pause() external onlyRole(PAUSER_ROLE) {
         _pause();
     }
 
     /**
      * @dev Unpause
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         _unpause();
     }
 
     /**
      * @dev Update staking token (use with extreme caution)
      */
-    function setStakingToken(address _token) external onlyOwner {
+    function setStakingToken(address _token) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(_token != address(0), "Invalid token");
         stakingToken = IERC20(_token);
         emit StakingTokenSet(_token);
@@ -451,7 +464,7 @@ contract RewardPointsManager is
     /**
      * @dev Update reward points token (use with extreme caution)
      */
-    function setRewardPointsToken(address _token) external onlyOwner {
+    function setRewardPointsToken(address _token) external onlyRole(DEFAULT_ADMIN_ROLE) {
         require(_token != address(0), "Invalid token");
         rewardPoints = IRewardPoints(_token);
         emit RewardPointsSet(_token);
@@ -523,7 +536,15 @@ contract RewardPointsManager is
     }
 
     /**
-     * @dev Required by UUPS - only owner can upgrade
+     * @dev Required by UUPS - upgrades are queued with queueChange and wait out the timelock
      */
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override timelocked(UPGRADER_ROLE) {}
+
+    /**
+     * @dev Timelocked functions and the role each needs
+     */
+    function _timelockRole(bytes4 selector) internal view override returns (bytes32) {
+        if (selector == this.upgradeToAndCall.selector) return UPGRADER_ROLE;
+        return super._timelockRole(selector);
+    }
 }
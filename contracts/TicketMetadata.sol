@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @title TicketMetadata
+ * @dev On-chain ERC721 metadata for lottery tickets: a base64 JSON data URI with an SVG image.
+ *      Names and colours match the frontend's getCelestialBody / getPlanetColors (src/utils/celestial.ts).
+ */
+library TicketMetadata {
+    using Strings for uint256;
+
+    struct Ticket {
+        uint256 lottoID;
+        uint256 tier;
+        uint256 weight;
+        uint256 mintedAt;    // 0 for tickets minted before mint times were recorded
+        uint256[] drawsWon;  // Draw IDs the ticket won a place in
+    }
+
+    /**
+     * @dev data:application/json;base64 URI for a ticket
+     */
+    function tokenURI(Ticket memory _ticket) internal pure returns (string memory) {
+        string memory json = string(abi.encodePacked(
+            '{"name":"HODLotto Ticket #', _ticket.lottoID.toString(), " - ", bodyName(_ticket.tier),
+            '","description":"Soulbound HODLotto ticket. Its weight is its share of every draw it takes part in.",',
+            '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(_svg(_ticket))),
+            '","attributes":', _attributes(_ticket),
+            ',"draws_won":', _drawIdList(_ticket.drawsWon),
+            "}"
+        ));
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+    }
+
+    /**
+     * @dev Celestial body a tier is named after, Moon (tier 0) to Pluto (tier 9)
+     */
+    function bodyName(uint256 _tier) internal pure returns (string memory) {
+        if (_tier == 1) return "Mercury";
+        if (_tier == 2) return "Venus";
+        if (_tier == 3) return "Earth";
+        if (_tier == 4) return "Mars";
+        if (_tier == 5) return "Jupiter";
+        if (_tier == 6) return "Saturn";
+        if (_tier == 7) return "Uranus";
+        if (_tier == 8) return "Neptune";
+        if (_tier == 9) return "Pluto";
+        return "Moon";
+    }
+
+    /**
+     * @dev A tier's primary, secondary and accent colours
+     */
+    function planetColors(uint256 _tier)
+        internal
+        pure
+        returns (string memory primary, string memory secondary, string memory accent)
+    {
+        if (_tier == 1 || _tier == 5) return ("#F59E0B", "#D97706", "#B45309");  // Mercury, Jupiter
+        if (_tier == 2) return ("#EAB308", "#CA8A04", "#A16207");                // Venus
+        if (_tier == 3 || _tier == 8) return ("#3B82F6", "#2563EB", "#1D4ED8");  // Earth, Neptune
+        if (_tier == 4) return ("#EF4444", "#DC2626", "#B91C1C");                // Mars
+        if (_tier == 6) return ("#FCD34D", "#F59E0B", "#D97706");                // Saturn
+        if (_tier == 7) return ("#06B6D4", "#0891B2", "#0E7490");                // Uranus
+        if (_tier == 9) return ("#A855F7", "#9333EA", "#7C3AED");                // Pluto
+        return ("#9CA3AF", "#6B7280", "#374151");                                 // Moon
+    }
+
+    function _attributes(Ticket memory _ticket) private pure returns (string memory) {
+        string memory minted;
+        if (_ticket.mintedAt > 0) {
+            minted = string(abi.encodePacked(
+                ',{"display_type":"date","trait_type":"Minted","value":', _ticket.mintedAt.toString(), "}"
+            ));
+        }
+        return string(abi.encodePacked(
+            '[{"trait_type":"Celestial Body","value":"', bodyName(_ticket.tier),
+            '"},{"display_type":"number","trait_type":"Tier","value":', _ticket.tier.toString(),
+            '},{"display_type":"number","trait_type":"Weight","value":', _ticket.weight.toString(),
+            '},{"display_type":"number","trait_type":"Lotto ID","value":', _ticket.lottoID.toString(),
+            '},{"display_type":"number","trait_type":"Draws Won","value":', _ticket.drawsWon.length.toString(),
+            "}", minted, "]"
+        ));
+    }
+
+    function _drawIdList(uint256[] memory _drawIds) private pure returns (string memory list) {
+        list = "[";
+        for (uint256 i = 0; i < _drawIds.length; i++) {
+            if (i > 0) list = string(abi.encodePacked(list, ","));
+            list = string(abi.encodePacked(list, _drawIds[i].toString()));
+        }
+        return string(abi.encodePacked(list, "]"));
+    }
+
+    function _svg(Ticket memory _ticket) private pure returns (string memory) {
+        (string memory primary, string memory secondary, string memory accent) = planetColors(_ticket.tier);
+        return string(abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350">',
+            '<defs><radialGradient id="p" cx="35%" cy="35%" r="65%">',
+            '<stop offset="0%" stop-color="', primary, '"/>',
+            '<stop offset="60%" stop-color="', secondary, '"/>',
+            '<stop offset="100%" stop-color="', accent, '"/></radialGradient></defs>',
+            '<rect width="350" height="350" rx="24" fill="#0B1120"/>',
+            _planet(_ticket.tier, accent),
+            _labels(_ticket, primary),
+            "</svg>"
+        ));
+    }
+
+    function _planet(uint256 _tier, string memory _accent) private pure returns (string memory) {
+        // Saturn gets its rings
+        string memory rings;
+        if (_tier == 6) {
+            rings = string(abi.encodePacked(
+                '<ellipse cx="175" cy="150" rx="110" ry="24" fill="none" stroke="', _accent,
+                '" stroke-width="6" transform="rotate(-15 175 150)"/>'
+            ));
+        }
+        return string(abi.encodePacked('<circle cx="175" cy="150" r="70" fill="url(#p)"/>', rings));
+    }
+
+    function _labels(Ticket memory _ticket, string memory _primary) private pure returns (string memory) {
+        string memory wins;
+        if (_ticket.drawsWon.length > 0) {
+            wins = string(abi.encodePacked(
+                '<text x="175" y="325" fill="#FCD34D" font-family="sans-serif" font-size="14" text-anchor="middle">',
+                "Draws won: ", _ticket.drawsWon.length.toString(), "</text>"
+            ));
+        }
+        return string(abi.encodePacked(
+            '<text x="175" y="262" fill="', _primary,
+            '" font-family="sans-serif" font-size="28" font-weight="bold" text-anchor="middle">',
+            bodyName(_ticket.tier), "</text>",
+            '<text x="175" y="290" fill="#E5E7EB" font-family="sans-serif" font-size="16" text-anchor="middle">',
+            "Ticket #", _ticket.lottoID.toString(), " | Weight ", _ticket.weight.toString(), "</text>",
+            wins
+        ));
+    }
+}
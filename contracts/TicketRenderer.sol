@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "./TicketMetadata.sol";
+
+interface ITicketSource {
+    function participants(uint256 index) external view returns (
+        address owner,
+        uint256 lottoID,
+        uint256 weightStart,
+        uint256 weightEnd,
+        uint256 tier
+    );
+    function mintedAt(uint256 lottoID) external view returns (uint256);
+    function drawManager() external view returns (address);
+}
+
+interface ITicketWins {
+    function getTicketWins(uint256 lottoID) external view returns (uint256[] memory);
+}
+
+/**
+ * @title TicketRenderer
+ * @dev Renders the minter's on-chain ticket metadata, kept out of the minter so it stays under the
+ *      contract size limit. The minter's tokenURI calls it once set with setTicketRenderer; deploy
+ *      a new renderer and point the minter at it to change the artwork.
+ */
+contract TicketRenderer {
+    ITicketSource public immutable minting;
+
+    constructor(address _minting) {
+        require(_minting != address(0), "Invalid minting contract");
+        minting = ITicketSource(_minting);
+    }
+
+    /**
+     * @dev Metadata for a ticket; the minter checks the token exists first
+     * @param tokenId The token ID (the same as the ticket's lottoID)
+     */
+    function tokenURI(uint256 tokenId) external view returns (string memory) {
+        (, uint256 lottoID, uint256 weightStart, uint256 weightEnd, uint256 tier) = minting.participants(tokenId);
+
+        uint256[] memory drawsWon;
+        address drawManager = minting.drawManager();
+        if (drawManager != address(0)) {
+            drawsWon = ITicketWins(drawManager).getTicketWins(lottoID);
+        }
+
+        return TicketMetadata.tokenURI(TicketMetadata.Ticket({
+            lottoID: lottoID,
+            tier: tier,
+            weight: weightEnd - weightStart,
+            mintedAt: minting.mintedAt(lottoID),
+            drawsWon: drawsWon
+        }));
+    }
+}
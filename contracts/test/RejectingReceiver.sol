@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title RejectingReceiver
+ * @dev Ticket holder that reverts on receiving ETH (for testing that winners can't block draws)
+ */
+contract RejectingReceiver {
+    function mintTicket(address minting, uint256 tier) external payable {
+        (bool success, ) = minting.call{value: msg.value}(
+            abi.encodeWithSignature("mintWithBaseToken(uint256)", tier)
+        );
+        require(success, "Mint failed");
+    }
+
+    function claim(address drawManager, address asset) external {
+        (bool success, bytes memory reason) = drawManager.call(
+            abi.encodeWithSignature("claimPrize(address)", asset)
+        );
+        if (!success) {
+            assembly {
+                revert(add(reason, 32), mload(reason))
+            }
+        }
+    }
+
+    receive() external payable {
+        revert("ETH rejected");
+    }
+}
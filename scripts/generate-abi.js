@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Generates the frontend contract bindings from Hardhat artifacts:
+ *   src/contracts/abi.ts   - full ABIs for every contract the app talks to
+ *   src/contracts/types.ts - typed `methods` interfaces for web3.js v1 contracts
+ *
+ * Run after `npx hardhat compile`:  npm run generate:abi
+ */
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const ARTIFACTS = path.join(ROOT, "artifacts");
+const OUT_DIR = path.join(ROOT, "src", "contracts");
+
+// artifact path (relative to artifacts/) -> exported ABI constant. Contracts that run behind
+// another's fallback are listed as its extensions and merged into its ABI.
+const CONTRACTS = [
+  { name: "NFTLotteryMintingTierV11", artifact: "contracts/LottoTicketMinter.sol", abiName: "CONTRACT_ABI" },
+  {
+    name: "LotteryDrawManagerV2",
+    artifact: "contracts/LotteryDrawManagerV2.sol",
+    abiName: "DRAW_MANAGER_ABI",
+    extensions: [
+      { name: "LotteryDrawManagerExtension", artifact: "contracts/LotteryDrawManagerExtension.sol" },
+      { name: "LotteryDrawManagerQueries", artifact: "contracts/LotteryDrawManagerQueries.sol" },
+    ],
+  },
+  { name: "RewardPointsManager", artifact: "contracts/RewardPointsManager.sol", abiName: "REWARD_MANAGER_ABI" },
+  { name: "RewardPoints", artifact: "contracts/RewardPoints.sol", abiName: "REWARD_POINTS_ABI" },
+  { name: "HODLToken", artifact: "contracts/HODLToken.sol", abiName: "HODL_TOKEN_ABI" },
+  // Generic ERC20 used for payment and prize tokens
+  { name: "IERC20Metadata", artifact: "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol", abiName: "ERC20_ABI" },
+];
+
+const HEADER = "// Generated by scripts/generate-abi.js from Hardhat artifacts - do not edit by hand.\n" +
+  "// Regenerate with `npm run generate:abi` after `npx hardhat compile`.\n";
+
+const loadAbi = ({ name, artifact }) => {
+  const file = path.join(ARTIFACTS, artifact, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing artifact ${path.relative(ROOT, file)} - run \`npx hardhat compile\` first`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+};
+
+// A contract's ABI plus its extensions' entries, minus their constructors and the entries they share
+const mergedAbi = (contract) => {
+  const seen = new Set();
+  return [contract, ...(contract.extensions || [])]
+    .flatMap((part, i) => loadAbi(part).filter(item => i === 0 || item.type !== "constructor"))
+    .filter((item) => {
+      const key = JSON.stringify(item);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// ============ TYPE MAPPING ============
+
+const structs = new Map();
+
+// "struct NFTLotteryMintingTierV11.LottoEntry[]" -> "LottoEntry"
+const structName = (param) => {
+  const match = (param.internalType || "").match(/^struct (?:\w+\.)?(\w+)/);
+  return match ? match[1] : null;
+};
+
+const objectType = (params, mapType) =>
+  `{ ${params.map((param, i) => `${param.name || i}: ${mapType(param)}`).join("; ")} }`;
+
+const arrayElement = (param) => {
+  const match = param.type.match(/^(.*)\[\d*\]$/);
+  return match ? { ...param, type: match[1], internalType: (param.internalType || "").replace(/\[\d*\]$/, "") } : null;
+};
+
+// web3.js returns every integer as a decimal string
+const outputType = (param) => {
+  const element = arrayElement(param);
+  if (element) return `${outputType(element)}[]`;
+  if (param.type === "tuple") {
+    const name = structName(param);
+    if (!name) return objectType(param.components, outputType);
+    structs.set(name, objectType(param.components, outputType));
+    return name;
+  }
+  if (param.type === "bool") return "boolean";
+  return "string";
+};
+
+const inputType = (param) => {
+  const element = arrayElement(param);
+  if (element) return `${inputType(element)}[]`;
+  if (param.type === "tuple") return objectType(param.components, inputType);
+  if (param.type === "bool") return "boolean";
+  if (/^u?int\d*$/.test(param.type)) return "NumberLike";
+  return "string";
+};
+
+// One output returns the value itself; several return a result keyed by name (or position)
+const returnType = (outputs) => {
+  if (outputs.length === 0) return "void";
+  if (outputs.length === 1) return outputType(outputs[0]);
+  return objectType(outputs, outputType);
+};
+
+const signature = (fn) => `${fn.name}(${fn.inputs.map(input => input.type).join(",")})`;
+
+const methodLine = (fn, key) => {
+  const args = fn.inputs.map((input, i) => `${input.name || `arg${i}`}: ${inputType(input)}`).join(", ");
+  return `  ${key}(${args}): ContractMethod<${returnType(fn.outputs)}>;`;
+};
+
+const methodsInterface = (name, abi) => {
+  const functions = abi.filter(item => item.type === "function");
+  const counts = functions.reduce((acc, fn) => ({ ...acc, [fn.name]: (acc[fn.name] || 0) + 1 }), {});
+
+  const lines = functions.map(fn => methodLine(fn, fn.name));
+  // Overloads are also reachable by full signature, e.g. methods["safeTransferFrom(address,address,uint256)"]
+  functions
+    .filter(fn => counts[fn.name] > 1)
+    .forEach(fn => lines.push(methodLine(fn, `"${signature(fn)}"`)));
+
+  return [
+    `export interface ${name}Methods {`,
+    ...lines,
+    "}",
+    "",
+    `export type ${name} = TypedContract<${name}Methods>;`,
+  ].join("\n");
+};
+
+// ============ OUTPUT ============
+
+const generate = () => {
+  const abis = CONTRACTS.map(contract => ({ ...contract, abi: mergedAbi(contract) }));
+
+  const abiFile = [
+    HEADER,
+    "import { AbiItem } from 'web3-utils';",
+    "",
+    // web3.js v1's AbiItem has no "error" entry type, hence the cast
+    ...abis.map(({ name, abiName, abi }) =>
+      `// ${name}\nexport const ${abiName} = ${JSON.stringify(abi, null, 2)} as unknown as AbiItem[];\n`),
+  ].join("\n");
+
+  const interfaces = abis.map(({ name, abi }) => methodsInterface(name, abi));
+  const typesFile = [
+    HEADER,
+    "import BN from 'bn.js';",
+    "import { PromiEvent, TransactionReceipt } from 'web3-core';",
+    "import { Contract, CallOptions, SendOptions, EstimateGasOptions } from 'web3-eth-contract';",
+    "",
+    "export type NumberLike = number | string | BN;",
+    "",
+    "export interface ContractMethod<T> {",
+    "  call(options?: CallOptions): Promise<T>;",
+    "  send(options: SendOptions): PromiEvent<TransactionReceipt>;",
+    "  estimateGas(options?: EstimateGasOptions): Promise<number>;",
+    "  encodeABI(): string;",
+    "}",
+    "",
+    "export type TypedContract<M> = Omit<Contract, 'methods'> & { methods: M };",
+    "",
+    ...[...structs].map(([name, type]) => `export type ${name} = ${type};\n`),
+    interfaces.join("\n\n"),
+    "",
+  ].join("\n");
+
+  fs.writeFileSync(path.join(OUT_DIR, "abi.ts"), abiFile);
+  fs.writeFileSync(path.join(OUT_DIR, "types.ts"), typesFile);
+  console.log(`Generated bindings for ${abis.map(({ name }) => name).join(", ")}`);
+};
+
+generate();
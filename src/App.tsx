@@ -1,103 +1,107 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useCallback } from 'react';
 import { motion } from 'framer-motion';
+import AdminConsole from './components/AdminConsole';
+import DrawHistory from './components/DrawHistory';
+import DrawSchedulePanel from './components/DrawSchedulePanel';
 import MintingTier from './components/MintingTier';
-import { ContractData } from './types';
-
-// Mock data for development - replace with actual contract calls
-const mockContractData: ContractData = {
-  tiers: [
-    {
-      priceInBaseToken: "0.0001", // Moon - Entry level
-      priceInPaymentToken: "1",   // 1 token
-      priceInAnotherPaymentToken: "0.1", // 0.1 alt token
-      weight: "1"
-    },
-    {
-      priceInBaseToken: "0.0003", // Mercury - Smallest planet
-      priceInPaymentToken: "3",   // 3 tokens
-      priceInAnotherPaymentToken: "0.3", // 0.3 alt token
-      weight: "2"
-    },
-    {
-      priceInBaseToken: "0.0005", // Venus - Earth's twin
-      priceInPaymentToken: "5",   // 5 tokens
-      priceInAnotherPaymentToken: "0.5", // 0.5 alt token
-      weight: "4"
-    },
-    {
-      priceInBaseToken: "0.001",  // Earth - Our home
-      priceInPaymentToken: "10",  // 10 tokens
-      priceInAnotherPaymentToken: "1",   // 1 alt token
-      weight: "8"
-    },
-    {
-      priceInBaseToken: "0.002",  // Mars - Red planet
-      priceInPaymentToken: "20",  // 20 tokens
-      priceInAnotherPaymentToken: "2",   // 2 alt tokens
-      weight: "16"
-    },
-    {
-      priceInBaseToken: "0.005",  // Jupiter - Gas giant
-      priceInPaymentToken: "50",  // 50 tokens
-      priceInAnotherPaymentToken: "5",   // 5 alt tokens
-      weight: "32"
-    },
-    {
-      priceInBaseToken: "0.01",   // Saturn - Ringed planet
-      priceInPaymentToken: "100", // 100 tokens
-      priceInAnotherPaymentToken: "10",  // 10 alt tokens
-      weight: "64"
-    },
-    {
-      priceInBaseToken: "0.02",   // Uranus - Ice giant
-      priceInPaymentToken: "200", // 200 tokens
-      priceInAnotherPaymentToken: "20",  // 20 alt tokens
-      weight: "128"
-    },
-    {
-      priceInBaseToken: "0.05",   // Neptune - Blue giant
-      priceInPaymentToken: "500", // 500 tokens
-      priceInAnotherPaymentToken: "50",  // 50 alt tokens
-      weight: "256"
-    },
-    {
-      priceInBaseToken: "0.1",    // Pluto - Dwarf planet
-      priceInPaymentToken: "1000", // 1000 tokens
-      priceInAnotherPaymentToken: "100", // 100 alt tokens
-      weight: "512"
-    }
-  ],
-  paymentToken: "0x1234567890123456789012345678901234567890",
-  anotherPaymentToken: "0x0987654321098765432109876543210987654321",
-  totalCumulativeWeight: "1023"
-};
+import MyTickets from './components/MyTickets';
+import RewardsPage from './components/RewardsPage';
+import TransactionStatus from './components/TransactionStatus';
+import { CONTRACT_CONFIG } from './contracts/config';
+import { getWeb3 } from './contracts/web3';
+import { mintTier, decodeRevertReason } from './contracts/transactions';
+import { useContractData } from './hooks/useContractData';
+import { useContractOwners } from './hooks/useContractOwners';
+import { useHashRoute } from './hooks/useHashRoute';
+import { useRewardPointsBalance } from './hooks/useRewardPointsBalance';
+import { useWallet } from './hooks/useWallet';
+import { Page, PaymentMethod, RunTransaction, TransactionState } from './types';
+
+const shortenAddress = (address: string) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const PAGES: { id: Page; label: string }[] = [
+  { id: 'mint', label: 'Mint' },
+  { id: 'tickets', label: 'My Tickets' },
+  { id: 'draws', label: 'Draw History' },
+  { id: 'rewards', label: 'Rewards' },
+  { id: 'admin', label: 'Admin' },
+];
 
 function App() {
-  const [contractData, setContractData] = useState<ContractData | null>(null);
+  const wallet = useWallet();
+  const { contractData, status, error, reload } = useContractData(wallet.chainId);
+  const rewardPoints = useRewardPointsBalance(wallet.account, contractData?.rewardPointsToken);
+  const { owners, isOwner } = useContractOwners(wallet.account, contractData?.rewardPointsToken);
   const [isLoading, setIsLoading] = useState(false);
   const [mintingTier, setMintingTier] = useState<number | null>(null);
+  const [transaction, setTransaction] = useState<TransactionState | null>(null);
+  const { page, param, navigate } = useHashRoute();
 
-  useEffect(() => {
-    // Simulate contract data loading
-    setTimeout(() => {
-      setContractData(mockContractData);
-    }, 1000);
+  const runTransaction: RunTransaction = useCallback(async (send, successMessage) => {
+    setTransaction({ status: 'pending', message: 'Preparing transaction...' });
+    try {
+      const receipt = await send({
+        onStatus: (message) => setTransaction({ status: 'pending', message }),
+        onTransactionHash: (txHash) =>
+          setTransaction({ status: 'pending', message: 'Waiting for confirmation...', txHash }),
+      });
+      setTransaction({ status: 'confirmed', message: successMessage, txHash: receipt.transactionHash });
+      return true;
+    } catch (err: any) {
+      console.error('Transaction failed', err);
+      setTransaction({ status: 'reverted', message: decodeRevertReason(err), txHash: err?.receipt?.transactionHash });
+      return false;
+    }
   }, []);
 
-  const handleMint = async (tierNumber: number, paymentType: 'base' | 'payment' | 'another') => {
+  const handleMint = async (tierNumber: number, paymentType: PaymentMethod) => {
+    if (!wallet.account) {
+      await wallet.connect();
+      return;
+    }
+    if (!wallet.isCorrectNetwork) {
+      await wallet.switchNetwork();
+      return;
+    }
+
+    const account = wallet.account;
     setIsLoading(true);
     setMintingTier(tierNumber);
-    
-    // Simulate minting process
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    console.log(`Minting tier ${tierNumber} with ${paymentType} payment`);
-    
+
+    const minted = await runTransaction(
+      (callbacks) => mintTier(getWeb3(), account, tierNumber, paymentType, callbacks),
+      'Your celestial NFT has been minted!'
+    );
+    if (minted) {
+      reload();
+      if (paymentType === 'points') rewardPoints.refresh();
+    }
+
     setIsLoading(false);
     setMintingTier(null);
   };
 
-  if (!contractData) {
+  if (status === 'wrong-network' || status === 'error') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-black via-purple-900 to-blue-900 flex items-center justify-center">
+        <div className="text-center bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20 max-w-md mx-4">
+          <h2 className="text-2xl font-bold text-white mb-4">
+            {status === 'wrong-network' ? 'Wrong Network' : 'Cosmic Connection Lost'}
+          </h2>
+          <p className="text-gray-300 mb-6">
+            {status === 'wrong-network'
+              ? `Please switch your wallet to chain ID ${CONTRACT_CONFIG.chainId}.`
+              : error}
+          </p>
+          <button onClick={reload} className="mint-button">
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'loading' || !contractData) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-black via-purple-900 to-blue-900 flex items-center justify-center">
         <div className="text-center">
@@ -127,6 +131,42 @@ function App() {
           animate={{ opacity: 1, y: 0 }}
           className="text-center mb-12"
         >
+          {/* Navigation + Wallet */}
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <nav className="flex space-x-2">
+              {PAGES.filter(({ id }) => id !== 'admin' || isOwner).map(({ id, label }) => (
+                <button
+                  key={id}
+                  onClick={() => navigate(id)}
+                  className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                    page === id ? 'bg-white/20 text-white' : 'text-gray-300 hover:text-white hover:bg-white/10'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </nav>
+            {wallet.account ? (
+              <div className="flex items-center space-x-3">
+                {!wallet.isCorrectNetwork && (
+                  <button onClick={wallet.switchNetwork} className="text-sm text-yellow-300 hover:text-yellow-200">
+                    Switch Network
+                  </button>
+                )}
+                <div className="bg-white/10 backdrop-blur-lg rounded-lg px-4 py-2 border border-white/20 text-white text-sm">
+                  {shortenAddress(wallet.account)}
+                </div>
+              </div>
+            ) : (
+              <button onClick={wallet.connect} disabled={wallet.isConnecting} className="mint-button">
+                {wallet.isConnecting ? 'Connecting...' : 'Connect Wallet'}
+              </button>
+            )}
+          </div>
+          {wallet.error && (
+            <p className="text-right text-sm text-red-300 -mt-4 mb-6">{wallet.error}</p>
+          )}
+
           <h1 className="text-5xl md:text-6xl font-bold text-white mb-4 bg-gradient-to-r from-blue-400 via-purple-400 to-pink-400 bg-clip-text text-transparent">
             Cosmic Lottery
           </h1>
@@ -135,55 +175,95 @@ function App() {
           </p>
           
           {/* Lottery Info */}
-          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 max-w-4xl mx-auto">
-            <h2 className="text-2xl font-bold text-white mb-4">🌌 Cosmic Lottery System</h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-              <div className="text-center">
-                <div className="text-3xl font-bold text-blue-400 mb-2">
-                  {contractData.totalCumulativeWeight}
+          {page === 'mint' && (
+            <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 max-w-4xl mx-auto">
+              <h2 className="text-2xl font-bold text-white mb-4">🌌 Cosmic Lottery System</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div className="text-center">
+                  <div className="text-3xl font-bold text-blue-400 mb-2">
+                    {contractData.totalWeight}
+                  </div>
+                  <div className="text-gray-300">Total Gravitational Force</div>
                 </div>
-                <div className="text-gray-300">Total Gravitational Force</div>
-              </div>
-              <div className="text-center">
-                <div className="text-3xl font-bold text-purple-400 mb-2">
-                  10
+                <div className="text-center">
+                  <div className="text-3xl font-bold text-purple-400 mb-2">
+                    10
+                  </div>
+                  <div className="text-gray-300">Celestial Bodies</div>
                 </div>
-                <div className="text-gray-300">Celestial Bodies</div>
-              </div>
-              <div className="text-center">
-                <div className="text-3xl font-bold text-pink-400 mb-2">
-                  ∞
+                <div className="text-center">
+                  <div className="text-3xl font-bold text-pink-400 mb-2">
+                    ∞
+                  </div>
+                  <div className="text-gray-300">Cosmic Possibilities</div>
                 </div>
-                <div className="text-gray-300">Cosmic Possibilities</div>
+              </div>
+              <div className="mt-6 p-4 bg-gradient-to-r from-blue-500/20 to-purple-500/20 rounded-lg border border-white/10">
+                <p className="text-gray-300 text-sm">
+                  <strong>How it works:</strong> Each NFT's weight represents its gravitational pull in the lottery. 
+                  Higher tiers have exponentially more weight, giving you better odds in the cosmic draw. 
+                  The Moon starts with weight 1, while Pluto (the rarest) has weight 512!
+                </p>
               </div>
             </div>
-            <div className="mt-6 p-4 bg-gradient-to-r from-blue-500/20 to-purple-500/20 rounded-lg border border-white/10">
-              <p className="text-gray-300 text-sm">
-                <strong>How it works:</strong> Each NFT's weight represents its gravitational pull in the lottery. 
-                Higher tiers have exponentially more weight, giving you better odds in the cosmic draw. 
-                The Moon starts with weight 1, while Pluto (the rarest) has weight 512!
-              </p>
-            </div>
-          </div>
+          )}
         </motion.div>
 
+        <DrawSchedulePanel />
+
+        {page === 'tickets' && (
+          <MyTickets
+            account={wallet.account}
+            totalWeight={contractData.totalWeight}
+            onConnect={wallet.connect}
+            runTransaction={runTransaction}
+          />
+        )}
+
+        {page === 'rewards' && (
+          <RewardsPage account={wallet.account} onConnect={wallet.connect} runTransaction={runTransaction} />
+        )}
+
+        {page === 'admin' && (
+          <AdminConsole
+            account={wallet.account}
+            owners={owners}
+            contractData={contractData}
+            runTransaction={runTransaction}
+            onTiersChanged={reload}
+          />
+        )}
+
+        {page === 'draws' && (
+          <DrawHistory selectedDrawId={param} onSelectDraw={(drawId) => navigate('draws', drawId)} />
+        )}
+
+        {page === 'mint' && !contractData.lotteryActive && (
+          <div className="bg-yellow-500/20 border border-yellow-400/30 rounded-lg p-4 max-w-2xl mx-auto mb-8 text-center">
+            <p className="text-yellow-200">The lottery is currently paused. Minting will reopen once the next round starts.</p>
+          </div>
+        )}
+
         {/* Tiers Grid */}
-        <motion.div 
-          initial={{ opacity: 0 }}
-          animate={{ opacity: 1 }}
-          transition={{ delay: 0.5 }}
-          className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-6"
-        >
-          {contractData.tiers.map((tier, index) => (
-            <MintingTier
-              key={index}
-              tierNumber={index}
-              tier={tier}
-              onMint={handleMint}
-              isLoading={isLoading && mintingTier === index}
-            />
-          ))}
-        </motion.div>
+        {page === 'mint' && (
+          <motion.div 
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            transition={{ delay: 0.5 }}
+            className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-6"
+          >
+            {contractData.tiers.map((tier, index) => (
+              <MintingTier
+                key={index}
+                tierNumber={index}
+                tier={tier}
+                onMint={handleMint}
+                isLoading={isLoading && mintingTier === index}
+                rewardPointsBalance={rewardPoints.balance}
+              />
+            ))}
+          </motion.div>
+        )}
 
         {/* Footer */}
         <motion.div 
@@ -197,6 +277,8 @@ function App() {
           </p>
         </motion.div>
       </div>
+
+      <TransactionStatus transaction={transaction} onDismiss={() => setTransaction(null)} />
     </div>
   );
 }
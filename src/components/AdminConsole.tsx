@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import TierAdmin from './TierAdmin';
+import DrawAdmin from './DrawAdmin';
+import RewardsAdmin from './RewardsAdmin';
+import { ContractOwnership } from '../hooks/useContractOwners';
+import { AdminAction, ContractData, RunTransaction } from '../types';
+
+interface AdminConsoleProps {
+  account: string | null;
+  owners: ContractOwnership;
+  contractData: ContractData;
+  runTransaction: RunTransaction;
+  onTiersChanged: () => void;
+}
+
+const ConfirmDialog: React.FC<{
+  action: AdminAction | null;
+  onConfirm: () => void;
+  onCancel: () => void;
+}> = ({ action, onConfirm, onCancel }) => (
+  <AnimatePresence>
+    {action && (
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-40 bg-black/70 flex items-center justify-center px-4"
+      >
+        <div className="bg-gray-900 rounded-2xl p-6 border border-white/20 max-w-lg w-full">
+          <h3 className="text-xl font-bold text-white mb-4">{action.title}</h3>
+          <ul className="space-y-2 text-sm text-gray-300 mb-6 max-h-80 overflow-y-auto">
+            {action.summary.map((line, i) => (
+              <li key={i} className="break-all">• {line}</li>
+            ))}
+          </ul>
+          <div className="flex justify-end gap-3">
+            <button onClick={onCancel} className="px-4 py-2 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-white/10">
+              Cancel
+            </button>
+            <button onClick={onConfirm} className="mint-button">Confirm &amp; Send</button>
+          </div>
+        </div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+const AdminConsole: React.FC<AdminConsoleProps> = ({ account, owners, contractData, runTransaction, onTiersChanged }) => {
+  const [pending, setPending] = useState<AdminAction | null>(null);
+
+  if (!account || !(owners.minting || owners.drawManager || owners.rewardManager || owners.rewardPoints)) {
+    return <p className="text-center text-gray-300">The admin console is only available to accounts holding an admin role.</p>;
+  }
+
+  const handleConfirm = async () => {
+    if (!pending) return;
+    const action = pending;
+    setPending(null);
+    const ok = await runTransaction(action.execute, `${action.title} confirmed`);
+    if (ok) action.onConfirmed?.();
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-10">
+      {owners.minting && (
+        <section>
+          <h2 className="text-2xl font-bold text-white mb-4">Minting</h2>
+          <TierAdmin account={account} contractData={contractData} onPropose={setPending} onConfirmed={onTiersChanged} />
+        </section>
+      )}
+
+      {owners.drawManager && (
+        <section>
+          <h2 className="text-2xl font-bold text-white mb-4">Draws</h2>
+          <DrawAdmin account={account} onPropose={setPending} />
+        </section>
+      )}
+
+      {(owners.rewardManager || owners.rewardPoints) && (
+        <section>
+          <h2 className="text-2xl font-bold text-white mb-4">Rewards</h2>
+          <RewardsAdmin
+            account={account}
+            rewardPointsToken={contractData.rewardPointsToken}
+            showManager={owners.rewardManager}
+            showPoints={owners.rewardPoints}
+            onPropose={setPending}
+          />
+        </section>
+      )}
+
+      <ConfirmDialog action={pending} onConfirm={handleConfirm} onCancel={() => setPending(null)} />
+    </div>
+  );
+};
+
+export default AdminConsole;
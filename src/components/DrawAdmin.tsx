@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import Web3 from 'web3';
+import { DRAW_MANAGER_CONFIG } from '../contracts/config';
+import { getWeb3, getDrawManagerContract, getTokenMeta, parseUnits } from '../contracts/web3';
+import { sendTransaction, ensureAllowance } from '../contracts/transactions';
+import { useDrawSchedule } from '../hooks/useDrawSchedule';
+import { AdminAction } from '../types';
+import { DRAW_TYPES, getDrawTypeLabel } from '../utils/draws';
+
+interface DrawAdminProps {
+  account: string;
+  onPropose: (action: AdminAction) => void;
+}
+
+interface TokenRow {
+  address: string;
+  amount: string;
+}
+
+const inputClass = 'w-full bg-black/30 rounded px-3 py-2 text-white border border-white/10';
+const cardClass = 'bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10';
+
+const DrawTypeSelect: React.FC<{ value: number; onChange: (drawType: number) => void }> = ({ value, onChange }) => (
+  <select value={value} onChange={(e) => onChange(Number(e.target.value))} className={inputClass}>
+    {DRAW_TYPES.map((label, drawType) => (
+      <option key={label} value={drawType}>{label}</option>
+    ))}
+  </select>
+);
+
+const DrawAdmin: React.FC<DrawAdminProps> = ({ account, onPropose }) => {
+  const { schedules, paused, refresh } = useDrawSchedule();
+  const [configType, setConfigType] = useState(0);
+  const [initialPrize, setInitialPrize] = useState('');
+  const [halvingInterval, setHalvingInterval] = useState('');
+  const [fundType, setFundType] = useState(0);
+  const [fundEth, setFundEth] = useState('');
+  const [tokenRows, setTokenRows] = useState<TokenRow[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const drawManager = () => getDrawManagerContract(getWeb3());
+
+  const propose = (action: Omit<AdminAction, 'onConfirmed'>) => {
+    setError(null);
+    onPropose({ ...action, onConfirmed: refresh });
+  };
+
+  const handleConfigure = () => {
+    try {
+      const prize = parseUnits(initialPrize);
+      const interval = parseUnits(halvingInterval, 0);
+      if (prize === '0' || interval === '0') throw new Error('Prize and halving interval must be greater than 0');
+
+      const label = getDrawTypeLabel(configType);
+      propose({
+        title: `Configure ${label} draw`,
+        summary: [
+          `Initial prize: ${initialPrize} ETH`,
+          `Halving every ${interval} draws`,
+          'Resets the draw count and restarts the draw timer from now',
+        ],
+        execute: (callbacks) =>
+          sendTransaction(drawManager().methods.configureDrawType(configType, prize, interval), { from: account }, callbacks),
+      });
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleFund = async () => {
+    setError(null);
+    try {
+      const web3 = getWeb3();
+      const value = fundEth ? parseUnits(fundEth) : '0';
+      const tokens = await Promise.all(tokenRows.map(async (row) => {
+        if (!Web3.utils.isAddress(row.address)) throw new Error(`Invalid token address: ${row.address}`);
+        const meta = await getTokenMeta(web3, row.address);
+        const amount = parseUnits(row.amount, meta.decimals);
+        if (amount === '0') throw new Error(`Amount for ${meta.symbol} must be greater than 0`);
+        return { address: row.address, amount, display: `${row.amount} ${meta.symbol}` };
+      }));
+      if (value === '0' && tokens.length === 0) throw new Error('Add ETH or at least one token to fund');
+
+      propose({
+        title: `Fund ${getDrawTypeLabel(fundType)} prize bucket`,
+        summary: [
+          ...(value !== '0' ? [`${fundEth} ETH`] : []),
+          ...tokens.map(token => token.display),
+          ...(tokens.length > 0 ? ['Each token is approved for the draw manager first if needed'] : []),
+        ],
+        execute: async (callbacks) => {
+          for (const token of tokens) {
+            await ensureAllowance(web3, token.address, account, DRAW_MANAGER_CONFIG.address, token.amount, callbacks);
+          }
+          const method = drawManager().methods.fundPrizeBucket(
+            fundType,
+            tokens.map(token => token.address),
+            tokens.map(token => token.amount)
+          );
+          return sendTransaction(method, { from: account, value }, callbacks);
+        },
+      });
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleToggleActive = (drawType: number, active: boolean) => {
+    const label = getDrawTypeLabel(drawType);
+    propose({
+      title: `${active ? 'Activate' : 'Deactivate'} ${label} draw`,
+      summary: [active ? `${label} draws can be executed again` : `${label} draws are skipped until reactivated`],
+      execute: (callbacks) =>
+        sendTransaction(drawManager().methods.setDrawTypeActive(drawType, active), { from: account }, callbacks),
+    });
+  };
+
+  const handlePause = () => {
+    propose({
+      title: paused ? 'Unpause draw manager' : 'Pause draw manager',
+      summary: [paused ? 'Draw execution resumes' : 'All draw execution stops until unpaused'],
+      execute: (callbacks) => {
+        const contract = drawManager();
+        return sendTransaction(paused ? contract.methods.unpause() : contract.methods.pause(), { from: account }, callbacks);
+      },
+    });
+  };
+
+  const updateTokenRow = (index: number, field: keyof TokenRow, value: string) => {
+    setTokenRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  return (
+    <div className="space-y-6">
+      {error && <p className="text-sm text-red-300">{error}</p>}
+
+      <div className={cardClass}>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-white">Draw Types</h3>
+          <button onClick={handlePause} className="mint-button">
+            {paused ? 'Unpause' : 'Pause'}
+          </button>
+        </div>
+        <div className="space-y-2 text-sm">
+          {schedules.map(schedule => (
+            <div key={schedule.drawType} className="flex items-center justify-between">
+              <span className="text-gray-300">
+                {getDrawTypeLabel(schedule.drawType)}
+                {!schedule.configured && <span className="text-gray-500"> · not configured</span>}
+              </span>
+              <button
+                onClick={() => handleToggleActive(schedule.drawType, !schedule.active)}
+                className="px-3 py-1 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-white/10"
+              >
+                {schedule.active ? 'Active · Deactivate' : 'Inactive · Activate'}
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <h3 className="text-lg font-semibold text-white mb-4">Configure Draw Type</h3>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <DrawTypeSelect value={configType} onChange={setConfigType} />
+          <input placeholder="Initial prize (ETH)" value={initialPrize} onChange={(e) => setInitialPrize(e.target.value)} className={inputClass} />
+          <input placeholder="Halving interval (draws)" value={halvingInterval} onChange={(e) => setHalvingInterval(e.target.value)} className={inputClass} />
+        </div>
+        <div className="flex justify-end mt-4">
+          <button onClick={handleConfigure} className="mint-button">Review</button>
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <h3 className="text-lg font-semibold text-white mb-4">Fund Prize Bucket</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <DrawTypeSelect value={fundType} onChange={setFundType} />
+          <input placeholder="ETH amount" value={fundEth} onChange={(e) => setFundEth(e.target.value)} className={inputClass} />
+        </div>
+        {tokenRows.map((row, index) => (
+          <div key={index} className="grid grid-cols-1 md:grid-cols-[2fr_1fr_auto] gap-3 mt-3">
+            <input placeholder="Token address" value={row.address} onChange={(e) => updateTokenRow(index, 'address', e.target.value)} className={inputClass} />
+            <input placeholder="Amount" value={row.amount} onChange={(e) => updateTokenRow(index, 'amount', e.target.value)} className={inputClass} />
+            <button
+              onClick={() => setTokenRows(prev => prev.filter((_, i) => i !== index))}
+              className="px-3 py-2 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-white/10"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <div className="flex justify-between mt-4">
+          <button
+            onClick={() => setTokenRows(prev => [...prev, { address: '', amount: '' }])}
+            className="px-4 py-2 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-white/10"
+          >
+            + Add Token
+          </button>
+          <button onClick={handleFund} className="mint-button">Review</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DrawAdmin;
@@ -0,0 +1,184 @@
+import React, { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { useDrawHistory } from '../hooks/useDrawHistory';
+import { ZERO_ADDRESS } from '../contracts/web3';
+import { DrawRecord } from '../types';
+import { DRAW_TYPES, getDrawTypeLabel, formatTimestamp } from '../utils/draws';
+
+const PAGE_SIZE = 10;
+
+interface DrawHistoryProps {
+  selectedDrawId: string | null;
+  onSelectDraw: (drawId: string | null) => void;
+}
+
+const DrawPrizes: React.FC<{ draw: DrawRecord }> = ({ draw }) => (
+  <div className="space-y-1">
+    <div>{draw.prizeEth} ETH</div>
+    {draw.prizeTokens.map(token => (
+      <div key={token.address} className="text-gray-400">
+        {token.amount} {token.symbol}
+      </div>
+    ))}
+  </div>
+);
+
+const DrawDetail: React.FC<{ draw: DrawRecord; onBack: () => void }> = ({ draw, onBack }) => {
+  const rows = [
+    ['Draw Type', getDrawTypeLabel(draw.drawType)],
+    ['Drawn At', formatTimestamp(draw.timestamp)],
+    ['Winner', draw.rolledOver ? 'No winner (prize rolled over)' : draw.winner === ZERO_ADDRESS ? 'Pending randomness' : draw.winner],
+    ['Winning Lotto ID', `#${draw.winningLottoID}`],
+    ['Winning Number', draw.winningNumber],
+    ['Participants', draw.participantCount],
+    ['Total Weight', draw.totalWeight],
+  ];
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 max-w-3xl mx-auto">
+      <button onClick={onBack} className="text-sm text-gray-300 hover:text-white mb-4">← All draws</button>
+      <h2 className="text-2xl font-bold text-white mb-6">Draw #{draw.drawId}</h2>
+      <dl className="space-y-3 text-sm">
+        {rows.map(([label, value]) => (
+          <div key={label} className="flex justify-between gap-4">
+            <dt className="text-gray-400">{label}</dt>
+            <dd className="text-white font-mono break-all text-right">{value}</dd>
+          </div>
+        ))}
+        <div className="flex justify-between gap-4">
+          <dt className="text-gray-400">Prize</dt>
+          <dd className="text-white text-right"><DrawPrizes draw={draw} /></dd>
+        </div>
+      </dl>
+    </div>
+  );
+};
+
+const DrawHistory: React.FC<DrawHistoryProps> = ({ selectedDrawId, onSelectDraw }) => {
+  const { draws, isLoading, error } = useDrawHistory();
+  const [drawTypeFilter, setDrawTypeFilter] = useState<number | 'all'>('all');
+  const [winnerFilter, setWinnerFilter] = useState('');
+  const [page, setPage] = useState(0);
+
+  const filtered = useMemo(() => {
+    const winner = winnerFilter.trim().toLowerCase();
+    return draws.filter(draw =>
+      (drawTypeFilter === 'all' || draw.drawType === drawTypeFilter) &&
+      (!winner || draw.winner.toLowerCase().includes(winner))
+    );
+  }, [draws, drawTypeFilter, winnerFilter]);
+
+  if (isLoading) {
+    return (
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
+        <p className="text-gray-300">Reading the cosmic archives...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-center text-red-300">{error}</p>;
+  }
+
+  if (selectedDrawId) {
+    const draw = draws.find(d => d.drawId === selectedDrawId);
+    return draw
+      ? <DrawDetail draw={draw} onBack={() => onSelectDraw(null)} />
+      : <p className="text-center text-gray-300">Draw #{selectedDrawId} not found.</p>;
+  }
+
+  const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const visible = filtered.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* Filters */}
+      <div className="flex flex-wrap gap-4 mb-6">
+        <select
+          value={drawTypeFilter}
+          onChange={e => { setDrawTypeFilter(e.target.value === 'all' ? 'all' : Number(e.target.value)); setPage(0); }}
+          className="bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white"
+        >
+          <option value="all">All draw types</option>
+          {DRAW_TYPES.map((label, index) => (
+            <option key={label} value={index}>{label}</option>
+          ))}
+        </select>
+        <input
+          value={winnerFilter}
+          onChange={e => { setWinnerFilter(e.target.value); setPage(0); }}
+          placeholder="Filter by winner address"
+          className="flex-1 min-w-[16rem] bg-white/10 border border-white/20 rounded-lg px-4 py-2 text-white placeholder-gray-400"
+        />
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-center text-gray-300">No draws found.</p>
+      ) : (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          className="bg-white/10 backdrop-blur-lg rounded-2xl border border-white/20 overflow-x-auto"
+        >
+          <table className="w-full text-sm text-left">
+            <thead className="text-gray-400 border-b border-white/10">
+              <tr>
+                <th className="px-4 py-3">Draw</th>
+                <th className="px-4 py-3">Type</th>
+                <th className="px-4 py-3">Date</th>
+                <th className="px-4 py-3">Winner</th>
+                <th className="px-4 py-3">Lotto ID</th>
+                <th className="px-4 py-3">Participants</th>
+                <th className="px-4 py-3">Prize</th>
+              </tr>
+            </thead>
+            <tbody className="text-white">
+              {visible.map(draw => (
+                <tr key={draw.drawId} className="border-b border-white/5 hover:bg-white/5">
+                  <td className="px-4 py-3">
+                    <a href={`#/draws/${draw.drawId}`} className="text-blue-300 hover:text-blue-200">#{draw.drawId}</a>
+                  </td>
+                  <td className="px-4 py-3">{getDrawTypeLabel(draw.drawType)}</td>
+                  <td className="px-4 py-3">{formatTimestamp(draw.timestamp)}</td>
+                  <td className="px-4 py-3 font-mono">
+                    {draw.rolledOver
+                      ? 'Rolled over'
+                      : draw.winner === ZERO_ADDRESS ? 'Pending' : `${draw.winner.slice(0, 6)}...${draw.winner.slice(-4)}`}
+                  </td>
+                  <td className="px-4 py-3">#{draw.winningLottoID}</td>
+                  <td className="px-4 py-3">{draw.participantCount}</td>
+                  <td className="px-4 py-3"><DrawPrizes draw={draw} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </motion.div>
+      )}
+
+      {/* Pagination */}
+      {pageCount > 1 && (
+        <div className="flex items-center justify-center space-x-4 mt-6 text-sm">
+          <button
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+            className="px-3 py-1 rounded-lg text-white bg-white/10 disabled:opacity-40"
+          >
+            Previous
+          </button>
+          <span className="text-gray-300">Page {currentPage + 1} of {pageCount}</span>
+          <button
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount - 1}
+            className="px-3 py-1 rounded-lg text-white bg-white/10 disabled:opacity-40"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DrawHistory;
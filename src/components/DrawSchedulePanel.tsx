@@ -0,0 +1,83 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { useDrawSchedule } from '../hooks/useDrawSchedule';
+import { useNow } from '../hooks/useNow';
+import { DrawSchedule } from '../types';
+import { getDrawTypeLabel, drawsUntilHalving, formatCountdown } from '../utils/draws';
+
+const cardAccents = ['text-blue-400', 'text-purple-400', 'text-pink-400', 'text-yellow-400'];
+
+const DrawCard: React.FC<{ schedule: DrawSchedule; paused: boolean; now: number }> = ({ schedule, paused, now }) => {
+  const remaining = drawsUntilHalving(schedule.drawCount, schedule.halvingInterval);
+  const badge = paused ? 'Paused' : !schedule.configured ? 'Not configured' : !schedule.active ? 'Inactive' : null;
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-5 border border-white/20 text-left">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className={`text-lg font-bold ${cardAccents[schedule.drawType] || 'text-white'}`}>
+          {getDrawTypeLabel(schedule.drawType)}
+        </h3>
+        {badge && (
+          <span className="text-xs px-2 py-1 rounded-full bg-yellow-500/20 border border-yellow-400/30 text-yellow-200">
+            {badge}
+          </span>
+        )}
+      </div>
+
+      <div className="text-2xl font-mono text-white mb-4">
+        {schedule.configured ? formatCountdown(schedule.nextDrawTime - now) : '—'}
+      </div>
+
+      <div className="space-y-1 text-sm">
+        <div className="flex justify-between">
+          <span className="text-gray-400">Current prize</span>
+          <span className="text-white">{schedule.currentPrize} ETH</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-400">After halving</span>
+          <span className="text-white">{schedule.nextHalvingPrize} ETH</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-400">Halving in</span>
+          <span className="text-white">
+            {remaining === 0 ? 'Next draw' : `${remaining} draw${remaining === 1 ? '' : 's'}`}
+          </span>
+        </div>
+      </div>
+
+      <div className="mt-4 pt-3 border-t border-white/10 text-sm">
+        <div className="text-gray-400 mb-1">Prize bucket</div>
+        <div className="text-white">{schedule.bucketEth} ETH</div>
+        {schedule.bucketTokens.map(token => (
+          <div key={token.address} className="text-gray-300">
+            {token.amount} {token.symbol}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const DrawSchedulePanel: React.FC = () => {
+  const { schedules, paused, error } = useDrawSchedule();
+  const now = useNow();
+
+  if (error) {
+    return <p className="text-center text-sm text-red-300 mb-8">{error}</p>;
+  }
+  if (schedules.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 mb-12"
+    >
+      {schedules.map(schedule => (
+        <DrawCard key={schedule.drawType} schedule={schedule} paused={paused} now={now} />
+      ))}
+    </motion.div>
+  );
+};
+
+export default DrawSchedulePanel;
@@ -25,13 +25,15 @@ const InformationCircleIcon = ({ className }: { className?: string }) => (
 const MintingPage: React.FC<MintingPageProps> = ({ 
   contractData, 
   onMint, 
-  isLoading 
+  isLoading,
+  rewardPointsBalance
 }) => {
-  const totalWeight = contractData.totalCumulativeWeight;
+  const totalWeight = contractData.totalWeight;
   const activeTiers = contractData.tiers.filter(tier => 
     parseFloat(tier.priceInBaseToken) > 0 || 
     parseFloat(tier.priceInPaymentToken) > 0 || 
-    parseFloat(tier.priceInAnotherPaymentToken) > 0
+    parseFloat(tier.priceInAnotherPaymentToken) > 0 ||
+    parseFloat(tier.priceInRewardPoints) > 0
   ).length;
 
   return (
@@ -104,6 +106,7 @@ const MintingPage: React.FC<MintingPageProps> = ({
               tier={tier}
               onMint={onMint}
               isLoading={isLoading}
+              rewardPointsBalance={rewardPointsBalance}
             />
           ))}
         </motion.div>
@@ -136,7 +139,7 @@ const MintingPage: React.FC<MintingPageProps> = ({
               <div>
                 <h4 className="font-semibold text-purple-400 mb-2">Multiple Payment Options</h4>
                 <p className="text-gray-300">
-                  Mint with ETH, payment tokens, or alternative tokens depending on tier availability.
+                  Mint with ETH, payment tokens, alternative tokens, or reward points depending on tier availability.
                 </p>
               </div>
             </div>
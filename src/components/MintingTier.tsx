@@ -1,6 +1,7 @@
 import React from 'react';
 import { motion } from 'framer-motion';
 import { MintingTierProps } from '../types';
+import { getCelestialBody, getTierRarity, getPlanetColors } from '../utils/celestial';
 
 // Planet SVG icons
 const MoonIcon = ({ className }: { className?: string }) => (
@@ -109,24 +110,9 @@ const MintingTier: React.FC<MintingTierProps> = ({
   tierNumber, 
   tier, 
   onMint, 
-  isLoading 
+  isLoading,
+  rewardPointsBalance
 }) => {
-  const getCelestialBody = (tier: number) => {
-    const bodies = [
-      { name: 'Moon', type: 'satellite', description: 'Earth\'s natural satellite' },
-      { name: 'Mercury', type: 'planet', description: 'Smallest planet, closest to Sun' },
-      { name: 'Venus', type: 'planet', description: 'Earth\'s twin, hottest planet' },
-      { name: 'Earth', type: 'planet', description: 'Our home, the blue planet' },
-      { name: 'Mars', type: 'planet', description: 'Red planet, future home' },
-      { name: 'Jupiter', type: 'gas-giant', description: 'Largest planet, gas giant' },
-      { name: 'Saturn', type: 'ringed', description: 'Ringed planet, most beautiful' },
-      { name: 'Uranus', type: 'ice-giant', description: 'Ice giant, tilted on its side' },
-      { name: 'Neptune', type: 'ice-giant', description: 'Blue giant, windiest planet' },
-      { name: 'Pluto', type: 'dwarf', description: 'Dwarf planet, mysterious world' }
-    ];
-    return bodies[tier] || bodies[0];
-  };
-
   const getTierIcon = (tier: number) => {
     switch (tier) {
       case 0: return <MoonIcon className="w-8 h-8" />;
@@ -143,30 +129,6 @@ const MintingTier: React.FC<MintingTierProps> = ({
     }
   };
 
-  const getTierRarity = (tier: number) => {
-    if (tier === 0) return 'Satellite';
-    if (tier <= 4) return 'Terrestrial';
-    if (tier <= 6) return 'Gas Giant';
-    if (tier <= 8) return 'Ice Giant';
-    return 'Dwarf Planet';
-  };
-
-  const getPlanetColors = (tier: number) => {
-    const colors = [
-      { primary: '#9CA3AF', secondary: '#6B7280', accent: '#374151' }, // Moon - Gray
-      { primary: '#F59E0B', secondary: '#D97706', accent: '#B45309' }, // Mercury - Orange
-      { primary: '#EAB308', secondary: '#CA8A04', accent: '#A16207' }, // Venus - Yellow
-      { primary: '#3B82F6', secondary: '#2563EB', accent: '#1D4ED8' }, // Earth - Blue
-      { primary: '#EF4444', secondary: '#DC2626', accent: '#B91C1C' }, // Mars - Red
-      { primary: '#F59E0B', secondary: '#D97706', accent: '#B45309' }, // Jupiter - Amber
-      { primary: '#FCD34D', secondary: '#F59E0B', accent: '#D97706' }, // Saturn - Gold
-      { primary: '#06B6D4', secondary: '#0891B2', accent: '#0E7490' }, // Uranus - Cyan
-      { primary: '#3B82F6', secondary: '#2563EB', accent: '#1D4ED8' }, // Neptune - Blue
-      { primary: '#A855F7', secondary: '#9333EA', accent: '#7C3AED' }, // Pluto - Purple
-    ];
-    return colors[tier] || colors[0];
-  };
-
   const formatPrice = (price: string) => {
     const numPrice = parseFloat(price);
     if (numPrice === 0) return 'Free';
@@ -182,6 +144,12 @@ const MintingTier: React.FC<MintingTierProps> = ({
     return `${numPrice.toFixed(0)} tokens`;
   };
 
+  const formatPointsPrice = (price: string) => {
+    const numPrice = parseFloat(price);
+    if (numPrice === 0) return 'Free';
+    return `${numPrice.toLocaleString()} points`;
+  };
+
   const formatWeight = (weight: string) => {
     const numWeight = parseInt(weight);
     return numWeight.toString();
@@ -189,6 +157,10 @@ const MintingTier: React.FC<MintingTierProps> = ({
 
   const celestialBody = getCelestialBody(tierNumber);
   const planetColors = getPlanetColors(tierNumber);
+  const acceptsPoints = parseFloat(tier.priceInRewardPoints) > 0;
+  // Only block the button when we know the balance; otherwise let the mint flow report it
+  const hasEnoughPoints = rewardPointsBalance == null ||
+    parseFloat(rewardPointsBalance) >= parseFloat(tier.priceInRewardPoints);
 
   return (
     <motion.div
@@ -273,6 +245,18 @@ const MintingTier: React.FC<MintingTierProps> = ({
             </div>
           </div>
         )}
+
+        {acceptsPoints && (
+          <div className="bg-white/10 backdrop-blur-lg rounded-lg p-4 border border-white/20"
+               style={{ borderColor: `${planetColors.primary}40` }}>
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-300">Stardust Points</span>
+              <span className="font-semibold text-white">
+                {formatPointsPrice(tier.priceInRewardPoints)}
+              </span>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* Minting Buttons */}
@@ -334,6 +318,27 @@ const MintingTier: React.FC<MintingTierProps> = ({
             )}
           </button>
         )}
+
+        {acceptsPoints && (
+          <button
+            onClick={() => onMint(tierNumber, 'points')}
+            disabled={isLoading || !hasEnoughPoints}
+            title={rewardPointsBalance != null ? `Balance: ${formatPointsPrice(rewardPointsBalance)}` : undefined}
+            className="w-full flex items-center justify-center space-x-3 py-4 px-6 rounded-lg font-semibold text-white transition-all duration-300 transform hover:scale-105 active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+            style={{
+              background: `linear-gradient(135deg, ${planetColors.primary}, ${planetColors.accent})`
+            }}
+          >
+            {isLoading ? (
+              <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+            ) : (
+              <>
+                <StarIcon className="w-5 h-5" />
+                <span>{hasEnoughPoints ? 'Mint with Points' : 'Not Enough Points'}</span>
+              </>
+            )}
+          </button>
+        )}
       </div>
 
       {/* Footer Info */}
@@ -0,0 +1,166 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { useMyTickets } from '../hooks/useMyTickets';
+import { getWeb3, getDrawManagerContract } from '../contracts/web3';
+import { sendTransaction } from '../contracts/transactions';
+import { RunTransaction } from '../types';
+import { getCelestialBody, getTierRarity, getPlanetColors } from '../utils/celestial';
+
+interface MyTicketsProps {
+  account: string | null;
+  totalWeight: string;
+  onConnect: () => void;
+  runTransaction: RunTransaction;
+}
+
+const formatOdds = (probability: number) => {
+  if (probability === 0) return '0%';
+  if (probability < 0.0001) return '<0.01%';
+  return `${(probability * 100).toFixed(2)}%`;
+};
+
+const MyTickets: React.FC<MyTicketsProps> = ({ account, totalWeight, onConnect, runTransaction }) => {
+  const { tickets, claimable, isLoading, error, refresh } = useMyTickets(account, totalWeight);
+
+  if (!account) {
+    return (
+      <div className="text-center bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20 max-w-md mx-auto">
+        <p className="text-gray-300 mb-6">Connect your wallet to see your celestial tickets.</p>
+        <button onClick={onConnect} className="mint-button">Connect Wallet</button>
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
+        <p className="text-gray-300">Scanning your constellation...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-center text-red-300">{error}</p>;
+  }
+
+  // Only one ticket wins a draw, so the odds across tickets simply add up
+  const activeWeight = tickets
+    .filter(ticket => ticket.tier !== null)
+    .reduce((sum, ticket) => sum + parseFloat(ticket.weight), 0);
+  const total = parseFloat(totalWeight);
+  const combinedOdds = total > 0 ? activeWeight / total : 0;
+  const winCount = tickets.filter(ticket => ticket.wonDrawIds.length > 0).length;
+
+  // claimAll stops at the first token whose transfer reverts, so each asset can also be claimed alone
+  const handleClaim = async (asset?: string) => {
+    const drawManager = getDrawManagerContract(getWeb3());
+    const method = asset === undefined ? drawManager.methods.claimAll() : drawManager.methods.claimPrize(asset);
+    const ok = await runTransaction(
+      (callbacks) => sendTransaction(method, { from: account }, callbacks),
+      'Prize claimed!'
+    );
+    if (ok) refresh();
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+        <div className="bg-white/10 backdrop-blur-lg rounded-lg p-4 border border-white/20 text-center">
+          <div className="text-3xl font-bold text-blue-400">{tickets.length}</div>
+          <div className="text-sm text-gray-400">Tickets Owned</div>
+        </div>
+        <div className="bg-white/10 backdrop-blur-lg rounded-lg p-4 border border-white/20 text-center">
+          <div className="text-3xl font-bold text-purple-400">{formatOdds(combinedOdds)}</div>
+          <div className="text-sm text-gray-400">Combined Win Odds</div>
+        </div>
+        <div className="bg-white/10 backdrop-blur-lg rounded-lg p-4 border border-white/20 text-center">
+          <div className="text-3xl font-bold text-pink-400">{winCount}</div>
+          <div className="text-sm text-gray-400">Winning Tickets</div>
+        </div>
+      </div>
+
+      {/* Unclaimed prizes */}
+      {claimable.length > 0 && (
+        <div className="mb-8 p-6 bg-yellow-500/20 border border-yellow-400/30 rounded-2xl">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xl font-bold text-yellow-200">🏆 Unclaimed Prizes</h3>
+            {claimable.length > 1 && (
+              <button onClick={() => handleClaim()} className="mint-button">Claim All</button>
+            )}
+          </div>
+          <div className="space-y-2">
+            {claimable.map(balance => (
+              <div key={balance.address} className="flex items-center justify-between">
+                <span className="text-white font-semibold">{balance.amount} {balance.symbol}</span>
+                <button
+                  onClick={() => handleClaim(balance.address)}
+                  className="px-4 py-2 rounded-lg text-sm font-semibold bg-white/20 text-white hover:bg-white/30"
+                >
+                  Claim
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {tickets.length === 0 ? (
+        <p className="text-center text-gray-300">You don't own any tickets yet. Mint one to enter the cosmic draw!</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {tickets.map((ticket, index) => {
+            const colors = getPlanetColors(ticket.tier ?? 0);
+            return (
+              <motion.div
+                key={ticket.lottoID}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ duration: 0.4, delay: index * 0.05 }}
+                className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border-2"
+                style={{ borderColor: ticket.wonDrawIds.length > 0 ? '#FCD34D' : `${colors.primary}60` }}
+              >
+                <div className="flex items-center justify-between mb-4">
+                  <div>
+                    <h3 className="text-xl font-bold text-white">
+                      {ticket.tier !== null ? getCelestialBody(ticket.tier).name : 'Burned'}
+                    </h3>
+                    <p className="text-sm text-gray-400">
+                      {ticket.tier !== null ? getTierRarity(ticket.tier) : 'No longer in the draw'}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <div className="text-xs text-gray-400">Lotto ID</div>
+                    <div className="text-lg font-semibold text-white">#{ticket.lottoID}</div>
+                  </div>
+                </div>
+
+                <div className="space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">Weight</span>
+                    <span className="text-white font-semibold">{ticket.weight}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-300">Win Probability</span>
+                    <span className="text-white font-semibold">
+                      {ticket.tier !== null ? formatOdds(ticket.winProbability) : '—'}
+                    </span>
+                  </div>
+                </div>
+
+                {ticket.wonDrawIds.length > 0 && (
+                  <div className="mt-4 p-3 bg-yellow-500/20 border border-yellow-400/30 rounded-lg text-yellow-200 text-sm">
+                    🏆 Won draw{ticket.wonDrawIds.length > 1 ? 's' : ''} #{ticket.wonDrawIds.join(', #')}
+                  </div>
+                )}
+              </motion.div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyTickets;
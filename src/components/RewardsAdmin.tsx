@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import Web3 from 'web3';
+import { CONTRACT_CONFIG } from '../contracts/config';
+import { getWeb3, getRewardManagerContract, getRewardPointsContract, formatUnits, parseUnits } from '../contracts/web3';
+import { sendTransaction } from '../contracts/transactions';
+import { useStakeData } from '../hooks/useStakeData';
+import { AdminAction } from '../types';
+
+interface RewardsAdminProps {
+  account: string;
+  rewardPointsToken: string;
+  showManager: boolean;
+  showPoints: boolean;
+  onPropose: (action: AdminAction) => void;
+}
+
+const inputClass = 'w-full bg-black/30 rounded px-3 py-2 text-white border border-white/10';
+const cardClass = 'bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10';
+
+// Multipliers are stored in basis points: 10000 = 1x
+const toBasisPoints = (multiplier: string) => parseUnits(multiplier, 4);
+const fromBasisPoints = (basisPoints: string) => formatUnits(basisPoints, 4);
+
+const RewardsAdmin: React.FC<RewardsAdminProps> = ({ account, rewardPointsToken, showManager, showPoints, onPropose }) => {
+  const { stake, tiers, refresh } = useStakeData(showManager ? account : null);
+  const [rate, setRate] = useState('');
+  const [tierIndex, setTierIndex] = useState('');
+  const [multiplier, setMultiplier] = useState('');
+  const [threshold, setThreshold] = useState('');
+  const [spender, setSpender] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const symbol = stake?.stakingTokenSymbol || 'tokens';
+  const tokenDecimals = stake?.stakingTokenDecimals ?? 18;
+  const manager = () => getRewardManagerContract(getWeb3());
+
+  const propose = (build: () => AdminAction) => {
+    setError(null);
+    try {
+      onPropose(build());
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleRate = () => propose(() => {
+    const newRate = parseUnits(rate);
+    return {
+      title: 'Update base reward rate',
+      summary: [
+        `${stake ? formatUnits(stake.baseRewardRate) : '?'} → ${rate} points per ${symbol} per epoch`,
+        'Applies to all pending rewards from the next claim onwards',
+      ],
+      execute: (callbacks) => sendTransaction(manager().methods.setBaseRewardRate(newRate), { from: account }, callbacks),
+      onConfirmed: refresh,
+    };
+  });
+
+  const handleTier = () => propose(() => {
+    const index = Number(parseUnits(tierIndex, 0));
+    const basisPoints = toBasisPoints(multiplier);
+    const bn = Web3.utils.toBN(basisPoints);
+    if (bn.ltn(10000) || bn.gtn(100000)) throw new Error('Multiplier must be between 1x and 10x');
+    const rawThreshold = parseUnits(threshold, tokenDecimals);
+    const existing = tiers[index];
+
+    return {
+      title: existing ? `Update multiplier tier ${index}` : `Add multiplier tier ${index}`,
+      summary: existing
+        ? [
+          `Multiplier: ${fromBasisPoints(existing.multiplier)}x → ${multiplier}x`,
+          `Threshold: ${formatUnits(existing.threshold, tokenDecimals)} → ${threshold} ${symbol}`,
+        ]
+        : [`Multiplier ${multiplier}x from ${threshold} ${symbol}`, `Appended after tier ${tiers.length - 1}`],
+      execute: (callbacks) =>
+        sendTransaction(manager().methods.setMultiplierTier(index, basisPoints, rawThreshold), { from: account }, callbacks),
+      onConfirmed: refresh,
+    };
+  });
+
+  const handleSpender = () => propose(() => {
+    if (!Web3.utils.isAddress(spender)) throw new Error(`Invalid address: ${spender}`);
+    return {
+      title: 'Authorize reward points spender',
+      summary: [
+        `${spender}${spender.toLowerCase() === CONTRACT_CONFIG.address.toLowerCase() ? ' (minting contract)' : ''}`,
+        'This address will be able to burn reward points from any holder',
+      ],
+      execute: (callbacks) =>
+        sendTransaction(getRewardPointsContract(getWeb3(), rewardPointsToken).methods.addAuthorizedSpender(spender), { from: account }, callbacks),
+    };
+  });
+
+  return (
+    <div className="space-y-6">
+      {error && <p className="text-sm text-red-300">{error}</p>}
+
+      {showManager && (
+        <>
+          <div className={cardClass}>
+            <h3 className="text-lg font-semibold text-white mb-4">Base Reward Rate</h3>
+            <p className="text-sm text-gray-400 mb-3">
+              Current: {stake ? formatUnits(stake.baseRewardRate) : '—'} points per {symbol} per epoch
+            </p>
+            <div className="flex gap-3">
+              <input placeholder="Points per token per epoch" value={rate} onChange={(e) => setRate(e.target.value)} className={inputClass} />
+              <button onClick={handleRate} className="mint-button">Review</button>
+            </div>
+          </div>
+
+          <div className={cardClass}>
+            <h3 className="text-lg font-semibold text-white mb-4">Multiplier Tiers</h3>
+            <div className="space-y-1 text-sm mb-4">
+              {tiers.map((tier, index) => (
+                <div key={index} className="flex justify-between text-gray-300">
+                  <span>#{index} · {formatUnits(tier.threshold, tokenDecimals)}+ {symbol}</span>
+                  <span className="text-white">{fromBasisPoints(tier.multiplier)}x</span>
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <input placeholder={`Index (${tiers.length} adds a tier)`} value={tierIndex} onChange={(e) => setTierIndex(e.target.value)} className={inputClass} />
+              <input placeholder="Multiplier (e.g. 1.5)" value={multiplier} onChange={(e) => setMultiplier(e.target.value)} className={inputClass} />
+              <input placeholder={`Threshold (${symbol})`} value={threshold} onChange={(e) => setThreshold(e.target.value)} className={inputClass} />
+            </div>
+            <div className="flex justify-end mt-4">
+              <button onClick={handleTier} className="mint-button">Review</button>
+            </div>
+          </div>
+        </>
+      )}
+
+      {showPoints && (
+        <div className={cardClass}>
+          <h3 className="text-lg font-semibold text-white mb-4">Authorized Spenders</h3>
+          <div className="flex gap-3">
+            <input placeholder="Spender address" value={spender} onChange={(e) => setSpender(e.target.value)} className={inputClass} />
+            <button
+              onClick={() => setSpender(CONTRACT_CONFIG.address)}
+              className="px-3 py-2 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-white/10 whitespace-nowrap"
+            >
+              Minting contract
+            </button>
+            <button onClick={handleSpender} className="mint-button">Review</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RewardsAdmin;
@@ -0,0 +1,184 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { useStakeData } from '../hooks/useStakeData';
+import { useNow } from '../hooks/useNow';
+import { getWeb3, getRewardManagerContract, formatUnits } from '../contracts/web3';
+import { sendTransaction } from '../contracts/transactions';
+import { RunTransaction } from '../types';
+import { estimatePendingRewards, estimateRestakeRewards, getTierIndexForBalance } from '../utils/rewards';
+import { formatCountdown } from '../utils/draws';
+
+interface RewardsPageProps {
+  account: string | null;
+  onConnect: () => void;
+  runTransaction: RunTransaction;
+}
+
+// Trim a decimal string to a fixed number of fractional digits for display
+const formatAmount = (value: string, decimals: number = 18, digits: number = 4) => {
+  const [whole, fraction = ''] = formatUnits(value, decimals).split('.');
+  const trimmed = fraction.slice(0, digits).replace(/0+$/, '');
+  return trimmed ? `${whole}.${trimmed}` : whole;
+};
+
+const formatMultiplier = (basisPoints: string) => `${(parseInt(basisPoints, 10) / 10000).toFixed(2)}x`;
+
+const RewardsPage: React.FC<RewardsPageProps> = ({ account, onConnect, runTransaction }) => {
+  const { stake, tiers, isLoading, error, refresh } = useStakeData(account);
+  const now = useNow();
+
+  if (!account) {
+    return (
+      <div className="text-center bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20 max-w-md mx-auto">
+        <p className="text-gray-300 mb-6">Connect your wallet to stake and earn reward points.</p>
+        <button onClick={onConnect} className="mint-button">Connect Wallet</button>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-center text-red-300">{error}</p>;
+  }
+
+  if (isLoading || !stake) {
+    return (
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
+        <p className="text-gray-300">Loading your stake...</p>
+      </div>
+    );
+  }
+
+  const isStaked = stake.stakedBalance !== '0';
+  const symbol = stake.stakingTokenSymbol;
+  const tokenDecimals = stake.stakingTokenDecimals;
+  const pending = estimatePendingRewards(stake, tiers, now);
+  const restake = estimateRestakeRewards(stake, tiers, now);
+  const nextClaimTime = stake.lastClaimTimestamp + stake.minClaimInterval;
+  const canClaim = isStaked && now >= nextClaimTime && !pending.isZero() && !stake.paused;
+  const boughtMore = isStaked && !stake.hasSoldTokens && stake.currentBalance !== stake.stakedBalance;
+
+  const handleStake = async () => {
+    const stakeMethod = getRewardManagerContract(getWeb3()).methods.stake();
+    const ok = await runTransaction(
+      (callbacks) => sendTransaction(stakeMethod, { from: account }, callbacks),
+      isStaked ? 'Restaked - pending rewards were claimed automatically' : 'Staked! You are now earning reward points'
+    );
+    if (ok) refresh();
+  };
+
+  const handleClaim = async () => {
+    const claimMethod = getRewardManagerContract(getWeb3()).methods.claimRewards();
+    const ok = await runTransaction(
+      (callbacks) => sendTransaction(claimMethod, { from: account }, callbacks),
+      'Reward points claimed!'
+    );
+    if (ok) refresh();
+  };
+
+  const stats = [
+    ['Staked', `${formatAmount(stake.stakedBalance, tokenDecimals)} ${symbol}`],
+    ['Wallet Balance', `${formatAmount(stake.currentBalance, tokenDecimals)} ${symbol}`],
+    ['Multiplier', tiers[stake.currentTier] ? formatMultiplier(tiers[stake.currentTier].multiplier) : '—'],
+    ['Total Claimed', `${formatAmount(stake.totalClaimed)} points`],
+  ];
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-8">
+      {stake.paused && (
+        <div className="bg-yellow-500/20 border border-yellow-400/30 rounded-lg p-4 text-center text-yellow-200">
+          Staking is paused. Stake and claim are temporarily disabled.
+        </div>
+      )}
+
+      {stake.hasSoldTokens && (
+        <div className="bg-red-500/20 border border-red-400/30 rounded-lg p-4 text-red-200">
+          <strong>Selling penalty applies:</strong> your wallet holds less {symbol} than you staked, so every
+          epoch since your last claim earns at the lower balance of {formatAmount(stake.currentBalance, tokenDecimals)} {symbol}.
+        </div>
+      )}
+
+      {/* Stats */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        {stats.map(([label, value]) => (
+          <div key={label} className="bg-white/10 backdrop-blur-lg rounded-lg p-4 border border-white/20 text-center">
+            <div className="text-xl font-bold text-white">{value}</div>
+            <div className="text-sm text-gray-400">{label}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Pending rewards */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 text-center"
+      >
+        <div className="text-sm text-gray-400 mb-2">Pending Rewards</div>
+        <div className="text-4xl font-bold text-purple-300 font-mono mb-2">{formatAmount(pending.toString(), 18, 6)}</div>
+        <div className="text-sm text-gray-400 mb-6">
+          {!isStaked
+            ? 'Stake to start earning'
+            : now >= nextClaimTime
+              ? 'Claim available'
+              : `Next claim in ${formatCountdown(nextClaimTime - now)}`}
+        </div>
+        <div className="flex flex-wrap justify-center gap-4">
+          <button onClick={handleStake} disabled={stake.paused || stake.currentBalance === '0'} className="mint-button">
+            {isStaked ? 'Restake' : 'Stake'}
+          </button>
+          {isStaked && (
+            <button onClick={handleClaim} disabled={!canClaim} className="mint-button">
+              Claim Rewards
+            </button>
+          )}
+        </div>
+      </motion.div>
+
+      {/* Restake preview */}
+      {isStaked && (
+        <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+          <h3 className="text-lg font-semibold text-white mb-4">If you restake now</h3>
+          {boughtMore ? (
+            <p className="text-sm text-gray-300 mb-4">
+              Your balance grew from {formatAmount(stake.stakedBalance, tokenDecimals)} to {formatAmount(stake.currentBalance, tokenDecimals)} {symbol}.
+              Rewards since your last claim are split: 80% of epochs at the old balance, 20% at the new balance.
+            </p>
+          ) : stake.hasSoldTokens ? (
+            <p className="text-sm text-gray-300 mb-4">
+              Your balance dropped, so all epochs since your last claim are paid at the new, lower balance.
+            </p>
+          ) : (
+            <p className="text-sm text-gray-300 mb-4">Your balance is unchanged; restaking simply claims your pending rewards.</p>
+          )}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            <div className="flex justify-between"><span className="text-gray-400">Old balance (80%)</span><span className="text-white">{formatAmount(restake.oldPortion.toString())}</span></div>
+            <div className="flex justify-between"><span className="text-gray-400">New balance (20%)</span><span className="text-white">{formatAmount(restake.newPortion.toString())}</span></div>
+            <div className="flex justify-between"><span className="text-gray-400">Auto-claimed</span><span className="text-white font-semibold">{formatAmount(restake.total.toString())}</span></div>
+          </div>
+        </div>
+      )}
+
+      {/* Multiplier tiers */}
+      <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+        <h3 className="text-lg font-semibold text-white mb-4">Multiplier Tiers</h3>
+        <div className="space-y-2 text-sm">
+          {tiers.map((tier, index) => {
+            const isCurrent = index === getTierIndexForBalance(stake.currentBalance, tiers);
+            return (
+              <div
+                key={index}
+                className={`flex justify-between rounded-lg px-4 py-2 ${isCurrent ? 'bg-purple-500/20 border border-purple-400/30' : ''}`}
+              >
+                <span className="text-gray-300">{formatAmount(tier.threshold, tokenDecimals)}+ {symbol}</span>
+                <span className="text-white font-semibold">{formatMultiplier(tier.multiplier)}</span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RewardsPage;
@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import { getWeb3, getMintingContract, getTokenMeta, parseUnits } from '../contracts/web3';
+import { sendTransaction } from '../contracts/transactions';
+import { useNow } from '../hooks/useNow';
+import { useQueuedTierWeights } from '../hooks/useQueuedTierWeights';
+import { AdminAction, ContractData, QueuedTierWeight, Tier } from '../types';
+import { getCelestialBody } from '../utils/celestial';
+import { formatTimestamp } from '../utils/draws';
+
+interface TierAdminProps {
+  account: string;
+  contractData: ContractData;
+  onPropose: (action: AdminAction) => void;
+  onConfirmed: () => void;
+}
+
+type TierDraft = Pick<Tier, 'priceInBaseToken' | 'priceInPaymentToken' | 'priceInAnotherPaymentToken' | 'weight'>;
+
+const PRICE_FIELDS: (keyof TierDraft)[] = ['priceInBaseToken', 'priceInPaymentToken', 'priceInAnotherPaymentToken'];
+
+const toDraft = (tier: Tier): TierDraft => ({
+  priceInBaseToken: tier.priceInBaseToken,
+  priceInPaymentToken: tier.priceInPaymentToken,
+  priceInAnotherPaymentToken: tier.priceInAnotherPaymentToken,
+  weight: tier.weight,
+});
+
+const TierAdmin: React.FC<TierAdminProps> = ({ account, contractData, onPropose, onConfirmed }) => {
+  const [drafts, setDrafts] = useState<TierDraft[]>(() => contractData.tiers.map(toDraft));
+  const [tokens, setTokens] = useState({ paymentSymbol: 'PAY', paymentDecimals: 18, anotherSymbol: 'ALT', anotherDecimals: 18 });
+  const [error, setError] = useState<string | null>(null);
+  const { queued, timelockDelay, refresh: refreshQueued } = useQueuedTierWeights();
+  const now = useNow();
+
+  // Reset the drafts whenever the on-chain values reload (e.g. after a confirmed change)
+  useEffect(() => {
+    setDrafts(contractData.tiers.map(toDraft));
+  }, [contractData.tiers]);
+
+  useEffect(() => {
+    const web3 = getWeb3();
+    Promise.all([
+      getTokenMeta(web3, contractData.paymentToken),
+      getTokenMeta(web3, contractData.anotherPaymentToken),
+    ])
+      .then(([payment, another]) => setTokens({
+        paymentSymbol: payment.symbol,
+        paymentDecimals: payment.decimals,
+        anotherSymbol: another.symbol,
+        anotherDecimals: another.decimals,
+      }))
+      .catch(err => console.error('Failed to load payment token metadata', err));
+  }, [contractData.paymentToken, contractData.anotherPaymentToken]);
+
+  const decimalsFor = (field: keyof TierDraft) =>
+    field === 'priceInPaymentToken' ? tokens.paymentDecimals
+      : field === 'priceInAnotherPaymentToken' ? tokens.anotherDecimals
+        : field === 'weight' ? 0 : 18;
+
+  const symbolFor = (field: keyof TierDraft) =>
+    field === 'priceInPaymentToken' ? tokens.paymentSymbol
+      : field === 'priceInAnotherPaymentToken' ? tokens.anotherSymbol : 'ETH';
+
+  // Compare in raw units so "0.10" vs "0.1" isn't reported as a change
+  const isChanged = (index: number, field: keyof TierDraft) => {
+    try {
+      return parseUnits(drafts[index][field], decimalsFor(field)) !== parseUnits(contractData.tiers[index][field], decimalsFor(field));
+    } catch {
+      return true;
+    }
+  };
+
+  const updateDraft = (index: number, field: keyof TierDraft, value: string) => {
+    setDrafts(prev => prev.map((draft, i) => (i === index ? { ...draft, [field]: value } : draft)));
+  };
+
+  const handleReview = () => {
+    setError(null);
+    const summary: string[] = [];
+    const priceUpdates: { tier: number; prices: string[] }[] = [];
+    const weightUpdates: { tier: number; weight: string }[] = [];
+
+    try {
+      drafts.forEach((draft, index) => {
+        const name = `Tier ${index} (${getCelestialBody(index).name})`;
+        const current = contractData.tiers[index];
+
+        if (PRICE_FIELDS.some(field => isChanged(index, field))) {
+          const prices = PRICE_FIELDS.map(field => parseUnits(draft[field], decimalsFor(field)));
+          if (prices.every(price => price === '0')) {
+            throw new Error(`${name}: at least one price must be greater than 0`);
+          }
+          priceUpdates.push({ tier: index, prices });
+          PRICE_FIELDS.filter(field => isChanged(index, field)).forEach(field => {
+            summary.push(`${name}: price ${current[field]} → ${draft[field]} ${symbolFor(field)}`);
+          });
+        }
+
+        if (isChanged(index, 'weight')) {
+          const weight = parseUnits(draft.weight, 0);
+          if (weight === '0') throw new Error(`${name}: weight must be greater than 0`);
+          weightUpdates.push({ tier: index, weight });
+          summary.push(`${name}: weight ${current.weight} → ${weight} (queued, can be applied from ${formatTimestamp(now + timelockDelay)})`);
+        }
+      });
+    } catch (err: any) {
+      setError(err.message);
+      return;
+    }
+
+    if (summary.length === 0) {
+      setError('No changes to apply');
+      return;
+    }
+
+    // Weight changes are timelocked: queue them here, then apply them from the queued list once ready
+    const txCount = priceUpdates.length + weightUpdates.length;
+    onPropose({
+      title: weightUpdates.length > 0 ? 'Update tier prices and queue weight changes' : 'Update tier prices',
+      summary: [...summary, `${txCount} transaction${txCount === 1 ? '' : 's'} will be sent in order`],
+      execute: async (callbacks) => {
+        const contract = getMintingContract(getWeb3());
+        let receipt;
+        for (const { tier, prices: [base, payment, another] } of priceUpdates) {
+          callbacks.onStatus(`Updating tier ${tier} prices...`);
+          receipt = await sendTransaction(contract.methods.setTierPrice(tier, base, payment, another), { from: account }, callbacks);
+        }
+        for (const { tier, weight } of weightUpdates) {
+          callbacks.onStatus(`Queueing tier ${tier} weight change...`);
+          const data = contract.methods.setTierWeight(tier, weight).encodeABI();
+          receipt = await sendTransaction(contract.methods.queueChange(data), { from: account }, callbacks);
+        }
+        return receipt;
+      },
+      onConfirmed: () => {
+        onConfirmed();
+        refreshQueued();
+      },
+    });
+  };
+
+  const handleApply = ({ tier, weight }: QueuedTierWeight) => {
+    onPropose({
+      title: `Apply tier ${tier} weight change`,
+      summary: [`Tier ${tier} (${getCelestialBody(tier).name}): weight ${contractData.tiers[tier]?.weight} → ${weight}`],
+      execute: (callbacks) =>
+        sendTransaction(getMintingContract(getWeb3()).methods.setTierWeight(tier, weight), { from: account }, callbacks),
+      onConfirmed: () => {
+        onConfirmed();
+        refreshQueued();
+      },
+    });
+  };
+
+  const handleCancel = ({ data, tier, weight }: QueuedTierWeight) => {
+    onPropose({
+      title: `Cancel tier ${tier} weight change`,
+      summary: [`The queued change of tier ${tier} (${getCelestialBody(tier).name}) to weight ${weight} is dropped`],
+      execute: (callbacks) =>
+        sendTransaction(getMintingContract(getWeb3()).methods.cancelChange(data), { from: account }, callbacks),
+      onConfirmed: refreshQueued,
+    });
+  };
+
+  const inputClass = (changed: boolean) =>
+    `w-full bg-black/30 rounded px-2 py-1 text-white text-right border ${changed ? 'border-yellow-400/60' : 'border-white/10'}`;
+
+  return (
+    <div className="bg-white/5 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+      <h3 className="text-lg font-semibold text-white mb-4">Tier Prices &amp; Weights</h3>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="py-2 pr-4">Tier</th>
+              <th className="py-2 pr-4">ETH</th>
+              <th className="py-2 pr-4">{tokens.paymentSymbol}</th>
+              <th className="py-2 pr-4">{tokens.anotherSymbol}</th>
+              <th className="py-2">Weight</th>
+            </tr>
+          </thead>
+          <tbody>
+            {drafts.map((draft, index) => (
+              <tr key={index} className="border-t border-white/5">
+                <td className="py-2 pr-4 text-white whitespace-nowrap">{index} · {getCelestialBody(index).name}</td>
+                {([...PRICE_FIELDS, 'weight'] as (keyof TierDraft)[]).map(field => (
+                  <td key={field} className="py-2 pr-4">
+                    <input
+                      value={draft[field]}
+                      onChange={(e) => updateDraft(index, field, e.target.value)}
+                      className={inputClass(isChanged(index, field))}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {queued.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-gray-300 mb-2">Queued Weight Changes</h4>
+          <div className="space-y-2 text-sm">
+            {queued.map(change => (
+              <div key={change.data} className="flex items-center justify-between gap-3">
+                <span className="text-gray-300">
+                  Tier {change.tier} · {getCelestialBody(change.tier).name} → weight {change.weight}
+                  <span className="text-gray-500">
+                    {' · '}
+                    {now > change.expiresAt ? 'expired'
+                      : now >= change.readyAt ? `ready until ${formatTimestamp(change.expiresAt)}`
+                        : `ready ${formatTimestamp(change.readyAt)}`}
+                  </span>
+                </span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => handleCancel(change)}
+                    className="px-3 py-1 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-white/10"
+                  >
+                    Cancel
+                  </button>
+                  <button onClick={() => handleApply(change)} disabled={now < change.readyAt || now > change.expiresAt} className="mint-button disabled:opacity-40">
+                    Apply
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      {error && <p className="text-sm text-red-300 mt-4">{error}</p>}
+      <div className="flex justify-end gap-3 mt-4">
+        <button
+          onClick={() => { setDrafts(contractData.tiers.map(toDraft)); setError(null); }}
+          className="px-4 py-2 rounded-lg text-sm text-gray-300 hover:text-white hover:bg-white/10"
+        >
+          Reset
+        </button>
+        <button onClick={handleReview} className="mint-button">Review Changes</button>
+      </div>
+    </div>
+  );
+};
+
+export default TierAdmin;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { TransactionState } from '../types';
+
+interface TransactionStatusProps {
+  transaction: TransactionState | null;
+  onDismiss: () => void;
+}
+
+const statusStyles = {
+  pending: 'from-blue-500/20 to-purple-500/20 border-blue-400/30 text-blue-200',
+  confirmed: 'from-green-500/20 to-emerald-500/20 border-green-400/30 text-green-200',
+  reverted: 'from-red-500/20 to-pink-500/20 border-red-400/30 text-red-200',
+};
+
+const statusTitles = {
+  pending: 'Transaction Pending',
+  confirmed: 'Transaction Confirmed',
+  reverted: 'Transaction Reverted',
+};
+
+const TransactionStatus: React.FC<TransactionStatusProps> = ({ transaction, onDismiss }) => (
+  <AnimatePresence>
+    {transaction && (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: 20 }}
+        className={`fixed bottom-6 right-6 z-50 max-w-sm bg-gradient-to-r backdrop-blur-lg rounded-lg p-4 border ${statusStyles[transaction.status]}`}
+      >
+        <div className="flex items-start space-x-3">
+          {transaction.status === 'pending' && (
+            <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white flex-shrink-0 mt-0.5"></div>
+          )}
+          <div className="flex-1">
+            <h3 className="font-semibold text-white mb-1">{statusTitles[transaction.status]}</h3>
+            <p className="text-sm">{transaction.message}</p>
+            {transaction.txHash && (
+              <p className="text-xs text-gray-400 mt-2 break-all">Tx: {transaction.txHash}</p>
+            )}
+          </div>
+          {transaction.status !== 'pending' && (
+            <button onClick={onDismiss} className="text-gray-400 hover:text-white" aria-label="Dismiss">
+              ✕
+            </button>
+          )}
+        </div>
+      </motion.div>
+    )}
+  </AnimatePresence>
+);
+
+export default TransactionStatus;
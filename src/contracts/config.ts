@@ -0,0 +1,19 @@
+// Deployment settings, read from REACT_APP_* environment variables
+
+export const CONTRACT_CONFIG = {
+  // Deployed contract address (set REACT_APP_MINTING_CONTRACT_ADDRESS in .env)
+  address: process.env.REACT_APP_MINTING_CONTRACT_ADDRESS || "0x0000000000000000000000000000000000000000",
+  // Defaults target a local Hardhat node
+  chainId: Number(process.env.REACT_APP_CHAIN_ID || 31337),
+  rpcUrl: process.env.REACT_APP_RPC_URL || "http://127.0.0.1:8545",
+};
+
+export const REWARD_MANAGER_CONFIG = {
+  // Deployed RewardPointsManager address (set REACT_APP_REWARD_MANAGER_ADDRESS in .env)
+  address: process.env.REACT_APP_REWARD_MANAGER_ADDRESS || "0x0000000000000000000000000000000000000000",
+};
+
+export const DRAW_MANAGER_CONFIG = {
+  // Deployed LotteryDrawManagerV2 address (set REACT_APP_DRAW_MANAGER_ADDRESS in .env)
+  address: process.env.REACT_APP_DRAW_MANAGER_ADDRESS || "0x0000000000000000000000000000000000000000",
+};
@@ -0,0 +1,182 @@
+import Web3 from 'web3';
+import { CONTRACT_CONFIG } from './config';
+import { getMintingContract, getERC20Contract, getRewardPointsContract, ZERO_ADDRESS } from './web3';
+import { ContractMethod } from './types';
+import { PaymentMethod, TransactionCallbacks } from '../types';
+
+// Revert reasons from the lottery contracts mapped to friendlier messages
+const KNOWN_REVERT_REASONS: Record<string, string> = {
+  'Insufficient payment': 'Insufficient payment for this tier',
+  'Lottery is not active': 'The lottery is not active - minting is currently closed',
+  'Invalid tier': 'This tier does not exist',
+  'Payment token not set': 'The payment token has not been configured yet',
+  'Another payment token not set': 'The alternative payment token has not been configured yet',
+  'Base token payment not accepted for this tier': 'This tier cannot be minted with ETH',
+  'Payment token not accepted for this tier': 'This tier cannot be minted with payment tokens',
+  'Another payment token not accepted for this tier': 'This tier cannot be minted with alternative tokens',
+  'Reward points not accepted for this tier': 'This tier cannot be minted with reward points',
+  'Reward points token not set': 'Reward points have not been configured yet',
+  'Not authorized spender': 'The minting contract is not an authorized reward points spender - ask the admin to call addAuthorizedSpender',
+  'No tokens to stake': 'You need HODL tokens in your wallet to stake',
+  'No active stake': 'You have not staked yet',
+  'Claim too soon': 'Too soon to claim - wait for the minimum claim interval',
+  'No rewards to claim': 'No rewards to claim yet',
+  'EnforcedPause': 'The contract is paused',
+  'AccessControlUnauthorizedAccount': 'Your wallet does not hold the admin role this action needs',
+  'Change not queued': 'This change is timelocked - queue it with queueChange and wait out the timelock delay first',
+  'Change already queued': 'This exact change is already queued - apply or cancel the queued one first',
+  'Timelock not elapsed': 'This change is queued but its timelock delay has not passed yet',
+  'Change expired': 'This queued change was not made within its grace period - queue it again',
+  'Tiers locked until draw completes': 'Tier weights and prices are locked while a draw is due - try again once it has completed',
+  'Draw type locked until draw completes': 'This draw type is locked while its draw is due - try again once it has completed',
+  'Nothing to claim': 'You have no unclaimed prizes in this asset',
+};
+
+// ERC20 errors don't name the token that raised them, so a mint reports them against the token it pays with.
+// Nodes return either the error's name or just its selector in the revert data
+const INSUFFICIENT_BALANCE_ERRORS = ['ERC20InsufficientBalance', '0xe450d38c'];
+const INSUFFICIENT_BALANCE_MESSAGES: Partial<Record<PaymentMethod, string>> = {
+  payment: 'Not enough payment tokens in your wallet for this tier',
+  another: 'Not enough alternative payment tokens in your wallet for this tier',
+  points: 'Not enough reward points for this tier',
+};
+
+const collectErrorMessages = (err: any): string[] => {
+  const messages: string[] = [];
+  let current = err;
+  // Wallets nest the node error in different places (error.data, error.data.originalError, ...)
+  for (let depth = 0; current && depth < 4; depth++) {
+    if (typeof current.reason === 'string') messages.push(current.reason);
+    if (typeof current.message === 'string') messages.push(current.message);
+    if (typeof current.data === 'string') messages.push(current.data);
+    current = current.data?.originalError || current.data || current.error;
+  }
+  return messages;
+};
+
+/**
+ * Extracts a human-readable revert reason from a web3/wallet error.
+ */
+export const decodeRevertReason = (err: any): string => {
+  if (err?.code === 4001) return 'Transaction rejected in wallet';
+
+  const messages = collectErrorMessages(err);
+  for (const message of messages) {
+    for (const reason of Object.keys(KNOWN_REVERT_REASONS)) {
+      if (message.includes(reason)) return KNOWN_REVERT_REASONS[reason];
+    }
+  }
+
+  for (const message of messages) {
+    const match = message.match(/reverted(?: with reason string)?:?\s*'?([^'"\n]+)'?/);
+    if (match) return match[1].trim();
+  }
+
+  return messages[0] || 'Transaction failed';
+};
+
+/**
+ * Simulates a contract method so reverts surface with their reason before the
+ * wallet prompt, then sends it and resolves with the receipt.
+ */
+export const sendTransaction = async (
+  method: ContractMethod<unknown>,
+  options: { from: string; value?: string },
+  callbacks: TransactionCallbacks
+) => {
+  await method.call(options);
+
+  callbacks.onStatus('Confirm the transaction in your wallet...');
+  return method
+    .send(options)
+    .on('transactionHash', (hash: string) => callbacks.onTransactionHash?.(hash));
+};
+
+// Approve `spender` to pull `amount` of `token`, skipping it if the allowance already covers it
+export const ensureAllowance = async (
+  web3: Web3,
+  token: string,
+  account: string,
+  spender: string,
+  amount: string,
+  callbacks: TransactionCallbacks
+) => {
+  const erc20 = getERC20Contract(web3, token);
+  const allowance = await erc20.methods.allowance(account, spender).call();
+  if (Web3.utils.toBN(allowance).gte(Web3.utils.toBN(amount))) return;
+
+  callbacks.onStatus('Approving token spend...');
+  await erc20.methods.approve(spender, amount).send({ from: account });
+};
+
+// burnFrom only works for authorized spenders, so check the allow-list and balance up front
+const checkRewardPoints = async (web3: Web3, token: string, account: string, amount: string) => {
+  const points = getRewardPointsContract(web3, token);
+  const [authorized, balance] = await Promise.all([
+    points.methods.authorizedSpenders(CONTRACT_CONFIG.address).call(),
+    points.methods.balanceOf(account).call(),
+  ]);
+
+  if (!authorized) {
+    throw new Error('Reward points minting is not enabled yet - the minting contract is not an authorized reward points spender');
+  }
+  if (Web3.utils.toBN(balance).lt(Web3.utils.toBN(amount))) throw new Error(INSUFFICIENT_BALANCE_MESSAGES.points);
+};
+
+/**
+ * Sends the mint transaction for the chosen payment method.
+ * Prices are re-read on-chain so the exact wei amount is always used.
+ */
+export const mintTier = async (
+  web3: Web3,
+  account: string,
+  tierNumber: number,
+  paymentMethod: PaymentMethod,
+  callbacks: TransactionCallbacks
+) => {
+  const contract = getMintingContract(web3);
+  const tier = await contract.methods.tiers(tierNumber).call();
+
+  let method: ContractMethod<unknown>;
+  let value = '0';
+
+  switch (paymentMethod) {
+    case 'base': {
+      method = contract.methods.mintWithBaseToken(tierNumber);
+      value = tier.priceInBaseToken.toString();
+      break;
+    }
+    case 'payment': {
+      const token: string = await contract.methods.paymentToken().call();
+      if (token === ZERO_ADDRESS) throw new Error('Payment token not set');
+      await ensureAllowance(web3, token, account, CONTRACT_CONFIG.address, tier.priceInPaymentToken.toString(), callbacks);
+      method = contract.methods.mintWithPaymentToken(tierNumber);
+      break;
+    }
+    case 'another': {
+      const token: string = await contract.methods.anotherPaymentToken().call();
+      if (token === ZERO_ADDRESS) throw new Error('Another payment token not set');
+      await ensureAllowance(web3, token, account, CONTRACT_CONFIG.address, tier.priceInAnotherPaymentToken.toString(), callbacks);
+      method = contract.methods.mintWithAnotherPaymentToken(tierNumber);
+      break;
+    }
+    case 'points': {
+      const token: string = await contract.methods.rewardPointsToken().call();
+      if (token === ZERO_ADDRESS) throw new Error('Reward points token not set');
+      callbacks.onStatus('Checking reward points...');
+      await checkRewardPoints(web3, token, account, tier.priceInRewardPoints.toString());
+      method = contract.methods.mintWithRewardPoints(tierNumber);
+      break;
+    }
+  }
+
+  try {
+    return await sendTransaction(method, { from: account, value }, callbacks);
+  } catch (err: any) {
+    const insufficientBalance = INSUFFICIENT_BALANCE_MESSAGES[paymentMethod];
+    if (insufficientBalance && collectErrorMessages(err).some((message) => INSUFFICIENT_BALANCE_ERRORS.some((error) => message.includes(error)))) {
+      throw new Error(insufficientBalance);
+    }
+    throw err;
+  }
+};
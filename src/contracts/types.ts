@@ -0,0 +1,396 @@
+// Generated by scripts/generate-abi.js from Hardhat artifacts - do not edit by hand.
+// Regenerate with `npm run generate:abi` after `npx hardhat compile`.
+
+import BN from 'bn.js';
+import { PromiEvent, TransactionReceipt } from 'web3-core';
+import { Contract, CallOptions, SendOptions, EstimateGasOptions } from 'web3-eth-contract';
+
+export type NumberLike = number | string | BN;
+
+export interface ContractMethod<T> {
+  call(options?: CallOptions): Promise<T>;
+  send(options: SendOptions): PromiEvent<TransactionReceipt>;
+  estimateGas(options?: EstimateGasOptions): Promise<number>;
+  encodeABI(): string;
+}
+
+export type TypedContract<M> = Omit<Contract, 'methods'> & { methods: M };
+
+export type LottoEntry = { lottoID: string; weight: string };
+
+export type DrawSummary = { drawId: string; drawType: string; timestamp: string; prizeEth: string; winner: string; winningLottoID: string; winningNumber: string; participantCountAtDraw: string; totalWeightAtDraw: string; roundId: string; completionIndex: string; claimDeadline: string; prizesExpired: boolean; fromIndex: string; eligibleTierMask: string; rolledOver: boolean };
+
+export interface NFTLotteryMintingTierV11Methods {
+  CHANGE_GRACE_PERIOD(): ContractMethod<string>;
+  DEFAULT_ADMIN_ROLE(): ContractMethod<string>;
+  DRAW_OPERATOR_ROLE(): ContractMethod<string>;
+  MIN_TIMELOCK_DELAY(): ContractMethod<string>;
+  PAUSER_ROLE(): ContractMethod<string>;
+  PRICE_ADMIN_ROLE(): ContractMethod<string>;
+  TREASURER_ROLE(): ContractMethod<string>;
+  UPGRADER_ROLE(): ContractMethod<string>;
+  UPGRADE_INTERFACE_VERSION(): ContractMethod<string>;
+  activateLottery(): ContractMethod<void>;
+  addressToLottoIDs(arg0: string, arg1: NumberLike): ContractMethod<{ lottoID: string; weight: string }>;
+  anotherPaymentToken(): ContractMethod<string>;
+  approve(to: string, tokenId: NumberLike): ContractMethod<void>;
+  balanceOf(owner: string): ContractMethod<string>;
+  burn(tokenId: NumberLike): ContractMethod<void>;
+  burnedWeight(): ContractMethod<string>;
+  cancelChange(data: string): ContractMethod<void>;
+  closeRound(): ContractMethod<string>;
+  deactivateLottery(): ContractMethod<void>;
+  drawLottery(): ContractMethod<string>;
+  drawManager(): ContractMethod<string>;
+  getApproved(tokenId: NumberLike): ContractMethod<string>;
+  getChangeReadyTime(data: string): ContractMethod<string>;
+  getLottoIDsByAddress(user: string): ContractMethod<LottoEntry[]>;
+  getParticipantCount(): ContractMethod<string>;
+  getRevenueSplit(): ContractMethod<{ drawTypeBps: string[]; treasuryBps: string }>;
+  getRoleAdmin(role: string): ContractMethod<string>;
+  getRound(id: NumberLike): ContractMethod<{ startIndex: string; endIndex: string; weightOffset: string; roundWeight: string; closed: boolean }>;
+  getRoundOfParticipant(index: NumberLike): ContractMethod<string>;
+  getTierParticipantAt(tier: NumberLike, cumulativeWeight: NumberLike): ContractMethod<string>;
+  getTierRange(tier: NumberLike, fromIndex: NumberLike, toIndex: NumberLike): ContractMethod<{ weightBefore: string; weight: string }>;
+  grantRole(role: string, account: string): ContractMethod<void>;
+  hasRole(role: string, account: string): ContractMethod<boolean>;
+  indexTierParticipants(maxCount: NumberLike): ContractMethod<void>;
+  initialize(): ContractMethod<void>;
+  initializeRounds(): ContractMethod<void>;
+  isApprovedForAll(owner: string, operator: string): ContractMethod<boolean>;
+  isBurned(lottoID: NumberLike): ContractMethod<boolean>;
+  lastWinner(): ContractMethod<string>;
+  lastWinningLottoID(): ContractMethod<string>;
+  lastWinningNumber(): ContractMethod<string>;
+  lotteryActive(): ContractMethod<boolean>;
+  lottoIDIndexer(arg0: NumberLike): ContractMethod<string>;
+  mintWithAnotherPaymentToken(tier: NumberLike): ContractMethod<void>;
+  mintWithBaseToken(tier: NumberLike): ContractMethod<void>;
+  mintWithPaymentToken(tier: NumberLike): ContractMethod<void>;
+  mintWithRewardPoints(tier: NumberLike): ContractMethod<void>;
+  mintedAt(arg0: NumberLike): ContractMethod<string>;
+  name(): ContractMethod<string>;
+  owner(): ContractMethod<string>;
+  ownerOf(tokenId: NumberLike): ContractMethod<string>;
+  participants(arg0: NumberLike): ContractMethod<{ owner: string; lottoID: string; weightStart: string; weightEnd: string; tier: string }>;
+  paymentToken(): ContractMethod<string>;
+  prizePool(): ContractMethod<string>;
+  proxiableUUID(): ContractMethod<string>;
+  queueChange(data: string): ContractMethod<string>;
+  renounceOwnership(): ContractMethod<void>;
+  renounceRole(role: string, callerConfirmation: string): ContractMethod<void>;
+  revokeRole(role: string, account: string): ContractMethod<void>;
+  rewardPointsToken(): ContractMethod<string>;
+  roundBurnedWeight(arg0: NumberLike): ContractMethod<string>;
+  roundId(): ContractMethod<string>;
+  safeTransferFrom(from: string, to: string, tokenId: NumberLike): ContractMethod<void>;
+  safeTransferFrom(from: string, to: string, tokenId: NumberLike, data: string): ContractMethod<void>;
+  setAnotherPaymentToken(token: string): ContractMethod<void>;
+  setApprovalForAll(operator: string, approved: boolean): ContractMethod<void>;
+  setBaseURI(baseURI: string): ContractMethod<void>;
+  setDrawManager(manager: string): ContractMethod<void>;
+  setPaymentToken(token: string): ContractMethod<void>;
+  setRevenueSplit(drawTypeBps: NumberLike[]): ContractMethod<void>;
+  setRewardPointsToken(token: string): ContractMethod<void>;
+  setTicketRenderer(renderer: string): ContractMethod<void>;
+  setTierPrice(tier: NumberLike, priceInBaseToken: NumberLike, priceInPaymentToken: NumberLike, priceInAnotherPaymentToken: NumberLike): ContractMethod<void>;
+  setTierPriceInRewardPoints(tier: NumberLike, priceInRewardPoints: NumberLike): ContractMethod<void>;
+  setTierWeight(tier: NumberLike, weight: NumberLike): ContractMethod<void>;
+  setTimelockDelay(_delay: NumberLike): ContractMethod<void>;
+  supportsInterface(interfaceId: string): ContractMethod<boolean>;
+  symbol(): ContractMethod<string>;
+  ticketRenderer(): ContractMethod<string>;
+  tierIndexedCount(): ContractMethod<string>;
+  tierWeight(tier: NumberLike): ContractMethod<string>;
+  tiers(arg0: NumberLike): ContractMethod<{ priceInBaseToken: string; priceInPaymentToken: string; priceInAnotherPaymentToken: string; priceInRewardPoints: string; weight: string }>;
+  tiersLocked(): ContractMethod<boolean>;
+  timelockDelay(): ContractMethod<string>;
+  tokenTier(tokenId: NumberLike): ContractMethod<string>;
+  tokenURI(tokenId: NumberLike): ContractMethod<string>;
+  totalWeight(): ContractMethod<string>;
+  transferFrom(from: string, to: string, tokenId: NumberLike): ContractMethod<void>;
+  transferOwnership(newOwner: string): ContractMethod<void>;
+  upgradeToAndCall(newImplementation: string, data: string): ContractMethod<void>;
+  withdraw(): ContractMethod<void>;
+  "safeTransferFrom(address,address,uint256)"(from: string, to: string, tokenId: NumberLike): ContractMethod<void>;
+  "safeTransferFrom(address,address,uint256,bytes)"(from: string, to: string, tokenId: NumberLike, data: string): ContractMethod<void>;
+}
+
+export type NFTLotteryMintingTierV11 = TypedContract<NFTLotteryMintingTierV11Methods>;
+
+export interface LotteryDrawManagerV2Methods {
+  CHANGE_GRACE_PERIOD(): ContractMethod<string>;
+  DEFAULT_ADMIN_ROLE(): ContractMethod<string>;
+  DRAW_OPERATOR_ROLE(): ContractMethod<string>;
+  MIN_TIMELOCK_DELAY(): ContractMethod<string>;
+  PAUSER_ROLE(): ContractMethod<string>;
+  PRICE_ADMIN_ROLE(): ContractMethod<string>;
+  TREASURER_ROLE(): ContractMethod<string>;
+  UPGRADER_ROLE(): ContractMethod<string>;
+  UPGRADE_INTERFACE_VERSION(): ContractMethod<string>;
+  bucketDefundCount(): ContractMethod<string>;
+  bucketDefundDelay(): ContractMethod<string>;
+  bucketDefunds(arg0: NumberLike): ContractMethod<{ drawType: string; asset: string; amount: string; executeAfter: string; executed: boolean; cancelled: boolean }>;
+  cancelChange(data: string): ContractMethod<void>;
+  claimWindow(): ContractMethod<string>;
+  claimableBalance(arg0: string, arg1: string): ContractMethod<string>;
+  closesRound(arg0: NumberLike): ContractMethod<boolean>;
+  commitDraw(_drawType: NumberLike, _seedHash: string): ContractMethod<string>;
+  completedDrawCount(): ContractMethod<string>;
+  drawCommitments(arg0: NumberLike): ContractMethod<{ seedHash: string; revealBlock: string; revealBlockHash: string; seed: string; bond: string; revealed: boolean; forfeited: boolean }>;
+  drawExecuted(arg0: NumberLike): ContractMethod<boolean>;
+  drawVrfRequestId(arg0: NumberLike): ContractMethod<string>;
+  executeDraw(_drawType: NumberLike): ContractMethod<void>;
+  extension(): ContractMethod<string>;
+  forfeitReveal(_drawId: NumberLike): ContractMethod<void>;
+  fundFromMintRevenue(_token: string, _amounts: NumberLike[]): ContractMethod<void>;
+  getChangeReadyTime(data: string): ContractMethod<string>;
+  getDrawTypeCount(): ContractMethod<string>;
+  getRoleAdmin(role: string): ContractMethod<string>;
+  grantRole(role: string, account: string): ContractMethod<void>;
+  hasRole(role: string, account: string): ContractMethod<boolean>;
+  initialize(_mintingContract: string, _randomnessMode: NumberLike): ContractMethod<void>;
+  keeperBounty(arg0: NumberLike): ContractMethod<string>;
+  mintFundedTotal(arg0: NumberLike, arg1: string): ContractMethod<string>;
+  mintingContract(): ContractMethod<string>;
+  operatorFundedTotal(arg0: NumberLike, arg1: string): ContractMethod<string>;
+  owner(): ContractMethod<string>;
+  paused(): ContractMethod<boolean>;
+  performDraw(_drawType: NumberLike): ContractMethod<string>;
+  proxiableUUID(): ContractMethod<string>;
+  queueChange(data: string): ContractMethod<string>;
+  randomnessMode(): ContractMethod<string>;
+  rawFulfillRandomWords(_requestId: NumberLike, _randomWords: NumberLike[]): ContractMethod<void>;
+  registeredProgramCount(): ContractMethod<string>;
+  renounceOwnership(): ContractMethod<void>;
+  renounceRole(role: string, callerConfirmation: string): ContractMethod<void>;
+  retryVRFRequest(_drawId: NumberLike): ContractMethod<void>;
+  revealBond(): ContractMethod<string>;
+  revealDelayBlocks(): ContractMethod<string>;
+  revealDraw(_drawId: NumberLike, _seed: string): ContractMethod<void>;
+  revealWindowBlocks(): ContractMethod<string>;
+  revokeRole(role: string, account: string): ContractMethod<void>;
+  setTimelockDelay(_delay: NumberLike): ContractMethod<void>;
+  supportsInterface(interfaceId: string): ContractMethod<boolean>;
+  timelockDelay(): ContractMethod<string>;
+  totalDrawCount(): ContractMethod<string>;
+  totalRevealBonds(): ContractMethod<string>;
+  transferOwnership(newOwner: string): ContractMethod<void>;
+  upgradeToAndCall(newImplementation: string, data: string): ContractMethod<void>;
+  userWins(arg0: string, arg1: NumberLike): ContractMethod<string>;
+  verifyCommitReveal(_drawId: NumberLike): ContractMethod<boolean>;
+  vrfCallbackGasLimit(): ContractMethod<string>;
+  vrfCoordinator(): ContractMethod<string>;
+  vrfKeyHash(): ContractMethod<string>;
+  vrfRequestConfirmations(): ContractMethod<string>;
+  vrfRequestTimeout(): ContractMethod<string>;
+  vrfRequestToDrawId(arg0: NumberLike): ContractMethod<string>;
+  vrfRequestedAt(arg0: NumberLike): ContractMethod<string>;
+  vrfSubscriptionId(): ContractMethod<string>;
+  cancelBucketDefund(_requestId: NumberLike): ContractMethod<void>;
+  claimAll(): ContractMethod<void>;
+  claimPrize(_asset: string): ContractMethod<void>;
+  configureCommitReveal(_revealDelayBlocks: NumberLike, _revealWindowBlocks: NumberLike, _revealBond: NumberLike): ContractMethod<void>;
+  configureDrawType(_drawType: NumberLike, _initialPrize: NumberLike, _halvingInterval: NumberLike): ContractMethod<void>;
+  configureVRF(_coordinator: string, _keyHash: string, _subscriptionId: NumberLike, _callbackGasLimit: NumberLike, _requestConfirmations: NumberLike): ContractMethod<void>;
+  emergencyWithdraw(_token: string, _amount: NumberLike): ContractMethod<void>;
+  entriesLocked(): ContractMethod<boolean>;
+  executeBucketDefund(_requestId: NumberLike): ContractMethod<void>;
+  expireUnclaimedPrizes(_drawId: NumberLike): ContractMethod<void>;
+  fundPrizeBucket(_drawType: NumberLike, _tokens: string[], _amounts: NumberLike[]): ContractMethod<void>;
+  getUnallocatedBalance(_token: string): ContractMethod<string>;
+  initializeBucketSafeguards(): ContractMethod<void>;
+  isDrawLocked(_drawType: NumberLike): ContractMethod<boolean>;
+  pause(): ContractMethod<void>;
+  queries(): ContractMethod<string>;
+  registerDrawProgram(_name: string, _drawInterval: NumberLike, _firstDrawTime: NumberLike, _initialPrize: NumberLike, _halvingInterval: NumberLike, _eligibleTierMask: NumberLike): ContractMethod<string>;
+  requestBucketDefund(_drawType: NumberLike, _asset: string, _amount: NumberLike): ContractMethod<string>;
+  scheduleNextDraw(_drawType: NumberLike, _nextDrawTime: NumberLike): ContractMethod<void>;
+  setBucketDefundDelay(_delay: NumberLike): ContractMethod<void>;
+  setClaimWindow(_claimWindow: NumberLike): ContractMethod<void>;
+  setClosesRound(_drawType: NumberLike, _closesRound: boolean): ContractMethod<void>;
+  setDrawInterval(_drawType: NumberLike, _interval: NumberLike): ContractMethod<void>;
+  setDrawTypeActive(_drawType: NumberLike, _active: boolean): ContractMethod<void>;
+  setEligibility(_drawType: NumberLike, _eligibleTierMask: NumberLike, _onlyNewTickets: boolean): ContractMethod<void>;
+  setKeeperBounty(_drawType: NumberLike, _bounty: NumberLike): ContractMethod<void>;
+  setMustBeWonAfter(_drawType: NumberLike, _rollovers: NumberLike): ContractMethod<void>;
+  setPrizeSplits(_drawType: NumberLike, _splitsBps: NumberLike[], _distinctAddresses: boolean): ContractMethod<void>;
+  setRandomnessMode(_mode: NumberLike): ContractMethod<void>;
+  setVRFRequestTimeout(_timeout: NumberLike): ContractMethod<void>;
+  unpause(): ContractMethod<void>;
+  checkUpkeep(): ContractMethod<{ upkeepNeeded: boolean; dueDrawTypes: string[] }>;
+  didUserWin(_user: string, _drawId: NumberLike): ContractMethod<boolean>;
+  drawIntervals(_drawType: NumberLike): ContractMethod<string>;
+  getAllDrawIntervals(): ContractMethod<{ weekly: string; monthly: string; quarterly: string; yearly: string }>;
+  getAllDrawPrograms(): ContractMethod<{ drawTypes: string[]; names: string[]; nextDrawTimes: string[]; active: boolean[] }>;
+  getBucketFundingSources(_drawType: NumberLike, _asset: string): ContractMethod<{ fromMints: string; fromOperator: string }>;
+  getClaimableBalances(_user: string): ContractMethod<{ assets: string[]; amounts: string[] }>;
+  getDraw(_drawId: NumberLike): ContractMethod<DrawSummary>;
+  getDrawConfig(_drawType: NumberLike): ContractMethod<{ initialPrize: string; currentPrize: string; halvingInterval: string; drawCount: string; lastDrawTime: string; drawInterval: string; nextDrawTime: string; active: boolean }>;
+  getDrawDetails(_drawId: NumberLike): ContractMethod<{ drawType: string; timestamp: string; winner: string; winningLottoID: string; prizeEth: string; prizeTokens: string[] }>;
+  getDrawPrizeTokenAmount(_drawId: NumberLike, _token: string): ContractMethod<string>;
+  getDrawProgram(_drawType: NumberLike): ContractMethod<{ name: string; drawInterval: string; nextDrawTime: string; eligibleTierMask: string; oneOff: boolean; active: boolean }>;
+  getDrawWinnerTokenAmounts(_drawId: NumberLike, _token: string): ContractMethod<string[]>;
+  getDrawWinners(_drawId: NumberLike): ContractMethod<{ winners: string[]; lottoIDs: string[]; ethAmounts: string[] }>;
+  getJackpot(_drawType: NumberLike): ContractMethod<{ jackpot: string; rolloverAmount: string; rolloverCount: string; mustBeWonAfter: string; mustBeWon: boolean }>;
+  getPrizeBucketStatus(_drawType: NumberLike): ContractMethod<{ ethAmount: string; tokens: string[]; amounts: string[] }>;
+  getPrizeSplits(_drawType: NumberLike): ContractMethod<{ splitsBps: string[]; distinctAddresses: boolean }>;
+  getSystemConfig(): ContractMethod<{ _mintingContract: string; _randomnessMode: string; _totalDrawCount: string; _paused: boolean }>;
+  getTicketWins(_lottoID: NumberLike): ContractMethod<string[]>;
+  getUserLotteryEntries(_user: string): ContractMethod<LottoEntry[]>;
+  getUserWinDetails(_user: string): ContractMethod<{ drawIds: string[]; winningLottoIDs: string[] }>;
+  getUserWins(_user: string): ContractMethod<string[]>;
+  latestDrawId(_drawType: NumberLike): ContractMethod<string>;
+  totalAllocated(_asset: string): ContractMethod<string>;
+  totalClaimable(_asset: string): ContractMethod<string>;
+}
+
+export type LotteryDrawManagerV2 = TypedContract<LotteryDrawManagerV2Methods>;
+
+export interface RewardPointsManagerMethods {
+  CHANGE_GRACE_PERIOD(): ContractMethod<string>;
+  DEFAULT_ADMIN_ROLE(): ContractMethod<string>;
+  DRAW_OPERATOR_ROLE(): ContractMethod<string>;
+  MIN_TIMELOCK_DELAY(): ContractMethod<string>;
+  MULTIPLIER_DIVISOR(): ContractMethod<string>;
+  PAUSER_ROLE(): ContractMethod<string>;
+  PRICE_ADMIN_ROLE(): ContractMethod<string>;
+  TREASURER_ROLE(): ContractMethod<string>;
+  UPGRADER_ROLE(): ContractMethod<string>;
+  UPGRADE_INTERFACE_VERSION(): ContractMethod<string>;
+  baseRewardRate(): ContractMethod<string>;
+  cancelChange(data: string): ContractMethod<void>;
+  claimRewards(): ContractMethod<void>;
+  epochDuration(): ContractMethod<string>;
+  getAllTiers(): ContractMethod<{ multipliers: string[]; thresholds: string[] }>;
+  getChangeReadyTime(data: string): ContractMethod<string>;
+  getEpochsCompleted(_user: string): ContractMethod<string>;
+  getFractionalEpochs(_user: string): ContractMethod<string>;
+  getRoleAdmin(role: string): ContractMethod<string>;
+  getSystemStats(): ContractMethod<{ _baseRewardRate: string; _epochDuration: string; _newTokenCreditBasisPoints: string; _minClaimInterval: string; _tierCount: string; _stakingToken: string; _rewardPoints: string; _paused: boolean }>;
+  getTier(_index: NumberLike): ContractMethod<{ multiplier: string; threshold: string }>;
+  getTierCount(): ContractMethod<string>;
+  getUserMultiplier(_user: string): ContractMethod<string>;
+  getUserStakeData(_user: string): ContractMethod<{ stakedBalance: string; stakeTimestamp: string; lastClaimTimestamp: string; totalClaimed: string; currentBalance: string; pendingReward: string; epochsCompleted: string; currentTier: string; currentMultiplier: string; hasSoldTokens: boolean }>;
+  getUserTier(_user: string): ContractMethod<string>;
+  grantRole(role: string, account: string): ContractMethod<void>;
+  hasRole(role: string, account: string): ContractMethod<boolean>;
+  initialize(_stakingToken: string, _rewardPoints: string, _baseRewardRate: NumberLike): ContractMethod<void>;
+  initializeRoles(): ContractMethod<void>;
+  minClaimInterval(): ContractMethod<string>;
+  multiplierTiers(arg0: NumberLike): ContractMethod<string>;
+  newTokenCreditBasisPoints(): ContractMethod<string>;
+  owner(): ContractMethod<string>;
+  pause(): ContractMethod<void>;
+  paused(): ContractMethod<boolean>;
+  pendingRewards(_user: string): ContractMethod<string>;
+  proxiableUUID(): ContractMethod<string>;
+  queueChange(data: string): ContractMethod<string>;
+  removeLastTier(): ContractMethod<void>;
+  renounceOwnership(): ContractMethod<void>;
+  renounceRole(role: string, callerConfirmation: string): ContractMethod<void>;
+  revokeRole(role: string, account: string): ContractMethod<void>;
+  rewardPoints(): ContractMethod<string>;
+  setBaseRewardRate(_newRate: NumberLike): ContractMethod<void>;
+  setEpochDuration(_duration: NumberLike): ContractMethod<void>;
+  setMinClaimInterval(_interval: NumberLike): ContractMethod<void>;
+  setMultiplierTier(_tierIndex: NumberLike, _multiplier: NumberLike, _threshold: NumberLike): ContractMethod<void>;
+  setNewTokenCredit(_basisPoints: NumberLike): ContractMethod<void>;
+  setRewardPointsToken(_token: string): ContractMethod<void>;
+  setStakingToken(_token: string): ContractMethod<void>;
+  setTimelockDelay(_delay: NumberLike): ContractMethod<void>;
+  stake(): ContractMethod<void>;
+  stakingToken(): ContractMethod<string>;
+  supportsInterface(interfaceId: string): ContractMethod<boolean>;
+  tierThresholds(arg0: NumberLike): ContractMethod<string>;
+  timelockDelay(): ContractMethod<string>;
+  transferOwnership(newOwner: string): ContractMethod<void>;
+  unpause(): ContractMethod<void>;
+  upgradeToAndCall(newImplementation: string, data: string): ContractMethod<void>;
+  userStakes(arg0: string): ContractMethod<{ stakedBalance: string; stakeTimestamp: string; lastClaimTimestamp: string; totalClaimed: string }>;
+}
+
+export type RewardPointsManager = TypedContract<RewardPointsManagerMethods>;
+
+export interface RewardPointsMethods {
+  CHANGE_GRACE_PERIOD(): ContractMethod<string>;
+  DEFAULT_ADMIN_ROLE(): ContractMethod<string>;
+  DRAW_OPERATOR_ROLE(): ContractMethod<string>;
+  MIN_TIMELOCK_DELAY(): ContractMethod<string>;
+  PAUSER_ROLE(): ContractMethod<string>;
+  PRICE_ADMIN_ROLE(): ContractMethod<string>;
+  TREASURER_ROLE(): ContractMethod<string>;
+  UPGRADER_ROLE(): ContractMethod<string>;
+  UPGRADE_INTERFACE_VERSION(): ContractMethod<string>;
+  addAuthorizedSpender(_spender: string): ContractMethod<void>;
+  allowance(owner: string, spender: string): ContractMethod<string>;
+  approve(spender: string, value: NumberLike): ContractMethod<boolean>;
+  authorizedSpenders(arg0: string): ContractMethod<boolean>;
+  balanceOf(account: string): ContractMethod<string>;
+  burnFrom(_from: string, _amount: NumberLike): ContractMethod<void>;
+  cancelChange(data: string): ContractMethod<void>;
+  decimals(): ContractMethod<string>;
+  getChangeReadyTime(data: string): ContractMethod<string>;
+  getRoleAdmin(role: string): ContractMethod<string>;
+  getTokenInfo(): ContractMethod<{ tokenName: string; tokenSymbol: string; tokenDecimals: string; manager: string; tokenOwner: string }>;
+  grantRole(role: string, account: string): ContractMethod<void>;
+  hasRole(role: string, account: string): ContractMethod<boolean>;
+  initialize(): ContractMethod<void>;
+  initializeRoles(): ContractMethod<void>;
+  isAuthorizedSpender(_spender: string): ContractMethod<boolean>;
+  mint(_to: string, _amount: NumberLike): ContractMethod<void>;
+  name(): ContractMethod<string>;
+  owner(): ContractMethod<string>;
+  proxiableUUID(): ContractMethod<string>;
+  queueChange(data: string): ContractMethod<string>;
+  removeAuthorizedSpender(_spender: string): ContractMethod<void>;
+  renounceOwnership(): ContractMethod<void>;
+  renounceRole(role: string, callerConfirmation: string): ContractMethod<void>;
+  revokeRole(role: string, account: string): ContractMethod<void>;
+  rewardManager(): ContractMethod<string>;
+  setRewardManager(_manager: string): ContractMethod<void>;
+  setTimelockDelay(_delay: NumberLike): ContractMethod<void>;
+  supportsInterface(interfaceId: string): ContractMethod<boolean>;
+  symbol(): ContractMethod<string>;
+  timelockDelay(): ContractMethod<string>;
+  totalSupply(): ContractMethod<string>;
+  transfer(to: string, value: NumberLike): ContractMethod<boolean>;
+  transferFrom(from: string, to: string, value: NumberLike): ContractMethod<boolean>;
+  transferOwnership(newOwner: string): ContractMethod<void>;
+  upgradeToAndCall(newImplementation: string, data: string): ContractMethod<void>;
+}
+
+export type RewardPoints = TypedContract<RewardPointsMethods>;
+
+export interface HODLTokenMethods {
+  allowance(owner: string, spender: string): ContractMethod<string>;
+  approve(spender: string, value: NumberLike): ContractMethod<boolean>;
+  balanceOf(account: string): ContractMethod<string>;
+  burn(amount: NumberLike): ContractMethod<void>;
+  decimals(): ContractMethod<string>;
+  mint(to: string, amount: NumberLike): ContractMethod<void>;
+  name(): ContractMethod<string>;
+  owner(): ContractMethod<string>;
+  renounceOwnership(): ContractMethod<void>;
+  symbol(): ContractMethod<string>;
+  totalSupply(): ContractMethod<string>;
+  transfer(to: string, value: NumberLike): ContractMethod<boolean>;
+  transferFrom(from: string, to: string, value: NumberLike): ContractMethod<boolean>;
+  transferOwnership(newOwner: string): ContractMethod<void>;
+}
+
+export type HODLToken = TypedContract<HODLTokenMethods>;
+
+export interface IERC20MetadataMethods {
+  allowance(owner: string, spender: string): ContractMethod<string>;
+  approve(spender: string, value: NumberLike): ContractMethod<boolean>;
+  balanceOf(account: string): ContractMethod<string>;
+  decimals(): ContractMethod<string>;
+  name(): ContractMethod<string>;
+  symbol(): ContractMethod<string>;
+  totalSupply(): ContractMethod<string>;
+  transfer(to: string, value: NumberLike): ContractMethod<boolean>;
+  transferFrom(from: string, to: string, value: NumberLike): ContractMethod<boolean>;
+}
+
+export type IERC20Metadata = TypedContract<IERC20MetadataMethods>;
@@ -0,0 +1,88 @@
+import Web3 from 'web3';
+import { CONTRACT_ABI, DRAW_MANAGER_ABI, ERC20_ABI, REWARD_MANAGER_ABI, REWARD_POINTS_ABI } from './abi';
+import { CONTRACT_CONFIG, DRAW_MANAGER_CONFIG, REWARD_MANAGER_CONFIG } from './config';
+import {
+  IERC20Metadata,
+  LotteryDrawManagerV2,
+  NFTLotteryMintingTierV11,
+  RewardPoints,
+  RewardPointsManager,
+} from './types';
+
+declare global {
+  interface Window {
+    ethereum?: any;
+  }
+}
+
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Prefer the injected wallet provider, fall back to the configured RPC node
+export const getWeb3 = (): Web3 => {
+  if (window.ethereum) {
+    return new Web3(window.ethereum);
+  }
+  return new Web3(CONTRACT_CONFIG.rpcUrl);
+};
+
+export const getMintingContract = (web3: Web3) =>
+  new web3.eth.Contract(CONTRACT_ABI, CONTRACT_CONFIG.address) as unknown as NFTLotteryMintingTierV11;
+
+export const getDrawManagerContract = (web3: Web3) =>
+  new web3.eth.Contract(DRAW_MANAGER_ABI, DRAW_MANAGER_CONFIG.address) as unknown as LotteryDrawManagerV2;
+
+export const getRewardManagerContract = (web3: Web3) =>
+  new web3.eth.Contract(REWARD_MANAGER_ABI, REWARD_MANAGER_CONFIG.address) as unknown as RewardPointsManager;
+
+export const getERC20Contract = (web3: Web3, address: string) =>
+  new web3.eth.Contract(ERC20_ABI, address) as unknown as IERC20Metadata;
+
+export const getRewardPointsContract = (web3: Web3, address: string) =>
+  new web3.eth.Contract(REWARD_POINTS_ABI, address) as unknown as RewardPoints;
+
+// ERC20 prices are stored in the token's smallest unit, so we need its decimals
+export const getTokenDecimals = async (web3: Web3, token: string): Promise<number> => {
+  if (token === ZERO_ADDRESS) return 18;
+  return Number(await getERC20Contract(web3, token).methods.decimals().call());
+};
+
+// Symbol/decimals never change, so cache them per token address
+const tokenMetaCache: Record<string, Promise<{ symbol: string; decimals: number }>> = {};
+
+export const getTokenMeta = (web3: Web3, token: string) => {
+  const key = token.toLowerCase();
+  if (!tokenMetaCache[key]) {
+    const erc20 = getERC20Contract(web3, token);
+    tokenMetaCache[key] = Promise.all([
+      erc20.methods.symbol().call().catch(() => `${token.slice(0, 6)}...`),
+      getTokenDecimals(web3, token),
+    ]).then(([symbol, decimals]) => ({ symbol, decimals }));
+  }
+  return tokenMetaCache[key];
+};
+
+// Convert a raw integer amount to a decimal string (e.g. wei -> ETH)
+export const formatUnits = (value: string, decimals: number = 18): string => {
+  const { toBN } = Web3.utils;
+  const amount = toBN(value);
+  const base = toBN(10).pow(toBN(decimals));
+  const whole = amount.div(base).toString();
+  if (decimals === 0) return whole;
+
+  const fraction = ('0'.repeat(decimals) + amount.mod(base).toString())
+    .slice(-decimals)
+    .replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : whole;
+};
+
+// Convert a decimal string to a raw integer amount (e.g. ETH -> wei)
+export const parseUnits = (value: string, decimals: number = 18): string => {
+  const [whole, fraction = ''] = value.trim().split('.');
+  if (!/^\d*$/.test(whole) || !/^\d*$/.test(fraction) || (!whole && !fraction)) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  if (fraction.length > decimals) {
+    throw new Error(`Too many decimal places in ${value} (max ${decimals})`);
+  }
+  return Web3.utils.toBN((whole || '0') + fraction.padEnd(decimals, '0')).toString();
+};
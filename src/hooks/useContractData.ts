@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback } from 'react';
+import Web3 from 'web3';
+import { CONTRACT_CONFIG } from '../contracts/config';
+import { getWeb3, getMintingContract, getTokenDecimals, formatUnits, ZERO_ADDRESS } from '../contracts/web3';
+import { ContractData, ContractDataStatus, Tier } from '../types';
+
+const TIER_COUNT = 10;
+
+export const fetchContractData = async (web3: Web3): Promise<ContractData> => {
+  const code = await web3.eth.getCode(CONTRACT_CONFIG.address);
+  if (code === '0x') {
+    throw new Error(`No contract deployed at ${CONTRACT_CONFIG.address}`);
+  }
+
+  const contract = getMintingContract(web3);
+  const [paymentToken, anotherPaymentToken, rewardPointsToken, totalWeight, lotteryActive] = await Promise.all([
+    contract.methods.paymentToken().call(),
+    contract.methods.anotherPaymentToken().call(),
+    contract.methods.rewardPointsToken().call(),
+    contract.methods.totalWeight().call(),
+    contract.methods.lotteryActive().call(),
+  ]);
+
+  const [paymentDecimals, anotherDecimals, pointsDecimals] = await Promise.all([
+    getTokenDecimals(web3, paymentToken),
+    getTokenDecimals(web3, anotherPaymentToken),
+    getTokenDecimals(web3, rewardPointsToken),
+  ]);
+
+  const rawTiers = await Promise.all(
+    Array.from({ length: TIER_COUNT }).map((_, i) => contract.methods.tiers(i).call())
+  );
+
+  const tiers: Tier[] = rawTiers.map((tier) => ({
+    priceInBaseToken: formatUnits(tier.priceInBaseToken),
+    priceInPaymentToken: formatUnits(tier.priceInPaymentToken, paymentDecimals),
+    priceInAnotherPaymentToken: formatUnits(tier.priceInAnotherPaymentToken, anotherDecimals),
+    priceInRewardPoints: formatUnits(tier.priceInRewardPoints, pointsDecimals),
+    weight: tier.weight.toString(),
+  }));
+
+  return {
+    tiers,
+    paymentToken,
+    anotherPaymentToken,
+    rewardPointsToken,
+    totalWeight: totalWeight.toString(),
+    lotteryActive,
+  };
+};
+
+// Pass the wallet chainId so data reloads when the user switches networks
+export const useContractData = (chainId?: number | null) => {
+  const [contractData, setContractData] = useState<ContractData | null>(null);
+  const [status, setStatus] = useState<ContractDataStatus>('loading');
+  const [error, setError] = useState<string | null>(null);
+
+  const reload = useCallback(async () => {
+    setStatus('loading');
+    setError(null);
+
+    try {
+      if (CONTRACT_CONFIG.address === ZERO_ADDRESS) {
+        throw new Error('Contract address not configured (set REACT_APP_MINTING_CONTRACT_ADDRESS)');
+      }
+
+      const web3 = getWeb3();
+      const chainId = await web3.eth.getChainId();
+      if (chainId !== CONTRACT_CONFIG.chainId) {
+        setStatus('wrong-network');
+        return;
+      }
+
+      setContractData(await fetchContractData(web3));
+      setStatus('ready');
+    } catch (err: any) {
+      console.error('Failed to load contract data', err);
+      setError(err?.message || 'Failed to load contract data');
+      setStatus('error');
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload, chainId]);
+
+  return { contractData, status, error, reload };
+};
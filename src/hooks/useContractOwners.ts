@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback } from 'react';
+import Web3 from 'web3';
+import { DRAW_MANAGER_CONFIG, REWARD_MANAGER_CONFIG } from '../contracts/config';
+import {
+  getWeb3,
+  getMintingContract,
+  getDrawManagerContract,
+  getRewardManagerContract,
+  getRewardPointsContract,
+  ZERO_ADDRESS,
+} from '../contracts/web3';
+
+export interface ContractOwnership {
+  minting: boolean;
+  drawManager: boolean;
+  rewardManager: boolean;
+  rewardPoints: boolean;
+}
+
+const NOT_OWNER: ContractOwnership = { minting: false, drawManager: false, rewardManager: false, rewardPoints: false };
+
+// AdminRolesUpgradeable role IDs (keccak256 of the name; the default admin role is zero)
+const DEFAULT_ADMIN_ROLE = `0x${'0'.repeat(64)}`;
+const PRICE_ADMIN_ROLE = Web3.utils.keccak256('PRICE_ADMIN_ROLE');
+const DRAW_OPERATOR_ROLE = Web3.utils.keccak256('DRAW_OPERATOR_ROLE');
+const TREASURER_ROLE = Web3.utils.keccak256('TREASURER_ROLE');
+const PAUSER_ROLE = Web3.utils.keccak256('PAUSER_ROLE');
+
+interface RoleContract {
+  methods: { hasRole(role: string, account: string): { call(): Promise<boolean> } };
+}
+
+// Whether the account holds any of the roles; contracts that aren't configured (or don't
+// respond) count as not held
+const hasAnyRole = async (load: () => RoleContract, roles: string[], account: string) => {
+  try {
+    const contract = load();
+    const held = await Promise.all(roles.map(role => contract.methods.hasRole(role, account).call()));
+    return held.some(Boolean);
+  } catch (err) {
+    console.error('Failed to read contract roles', err);
+    return false;
+  }
+};
+
+// Which admin panels the connected account may use: each contract counts once the account holds
+// one of the roles its panel's actions need
+export const useContractOwners = (account: string | null, rewardPointsToken?: string) => {
+  const [owners, setOwners] = useState<ContractOwnership>(NOT_OWNER);
+
+  const refresh = useCallback(async () => {
+    if (!account) {
+      setOwners(NOT_OWNER);
+      return;
+    }
+
+    const web3 = getWeb3();
+    const [minting, drawManager, rewardManager, rewardPoints] = await Promise.all([
+      hasAnyRole(() => getMintingContract(web3), [PRICE_ADMIN_ROLE], account),
+      DRAW_MANAGER_CONFIG.address !== ZERO_ADDRESS
+        && hasAnyRole(() => getDrawManagerContract(web3), [DRAW_OPERATOR_ROLE, TREASURER_ROLE, PAUSER_ROLE], account),
+      REWARD_MANAGER_CONFIG.address !== ZERO_ADDRESS
+        && hasAnyRole(() => getRewardManagerContract(web3), [PRICE_ADMIN_ROLE], account),
+      !!rewardPointsToken && rewardPointsToken !== ZERO_ADDRESS
+        && hasAnyRole(() => getRewardPointsContract(web3, rewardPointsToken), [DEFAULT_ADMIN_ROLE], account),
+    ]);
+
+    setOwners({ minting, drawManager, rewardManager, rewardPoints });
+  }, [account, rewardPointsToken]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const isOwner = owners.minting || owners.drawManager || owners.rewardManager || owners.rewardPoints;
+  return { owners, isOwner, refresh };
+};
@@ -0,0 +1,73 @@
+import { useState, useEffect, useCallback } from 'react';
+import Web3 from 'web3';
+import { DRAW_MANAGER_CONFIG } from '../contracts/config';
+import { getWeb3, getDrawManagerContract, getTokenMeta, formatUnits, ZERO_ADDRESS } from '../contracts/web3';
+import { DrawRecord } from '../types';
+
+const fetchDraw = async (web3: Web3, drawId: number): Promise<DrawRecord> => {
+  const drawManager = getDrawManagerContract(web3);
+  const [details, draw, executed] = await Promise.all([
+    drawManager.methods.getDrawDetails(drawId).call(),
+    drawManager.methods.getDraw(drawId).call(),
+    drawManager.methods.drawExecuted(drawId).call(),
+  ]);
+
+  const prizeTokens = await Promise.all(
+    details.prizeTokens.map(async (token) => {
+      const [amount, meta] = await Promise.all([
+        drawManager.methods.getDrawPrizeTokenAmount(drawId, token).call(),
+        getTokenMeta(web3, token),
+      ]);
+      return { address: token, symbol: meta.symbol, amount: formatUnits(amount.toString(), meta.decimals) };
+    })
+  );
+
+  return {
+    drawId: drawId.toString(),
+    drawType: Number(details.drawType),
+    timestamp: Number(details.timestamp),
+    winner: details.winner,
+    winningLottoID: details.winningLottoID.toString(),
+    winningNumber: draw.winningNumber.toString(),
+    participantCount: draw.participantCountAtDraw.toString(),
+    totalWeight: draw.totalWeightAtDraw.toString(),
+    prizeEth: formatUnits(details.prizeEth.toString()),
+    prizeTokens,
+    rolledOver: executed && details.winner === ZERO_ADDRESS,
+  };
+};
+
+// Loads every draw from 1..totalDrawCount, newest first
+export const useDrawHistory = () => {
+  const [draws, setDraws] = useState<DrawRecord[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (DRAW_MANAGER_CONFIG.address === ZERO_ADDRESS) {
+      setError('Draw manager address not configured (set REACT_APP_DRAW_MANAGER_ADDRESS)');
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const web3 = getWeb3();
+      const total = Number(await getDrawManagerContract(web3).methods.totalDrawCount().call());
+      const ids = Array.from({ length: total }).map((_, i) => total - i);
+      setDraws(await Promise.all(ids.map(id => fetchDraw(web3, id))));
+    } catch (err: any) {
+      console.error('Failed to load draw history', err);
+      setError(err?.message || 'Failed to load draw history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { draws, isLoading, error, refresh };
+};
@@ -0,0 +1,63 @@
+import { useState, useEffect, useCallback } from 'react';
+import Web3 from 'web3';
+import { DRAW_MANAGER_CONFIG } from '../contracts/config';
+import { getWeb3, getDrawManagerContract, getTokenMeta, formatUnits, ZERO_ADDRESS } from '../contracts/web3';
+import { DrawSchedule } from '../types';
+import { DRAW_TYPES } from '../utils/draws';
+
+const fetchDrawSchedule = async (web3: Web3, drawType: number): Promise<DrawSchedule> => {
+  const drawManager = getDrawManagerContract(web3);
+  const [config, bucket] = await Promise.all([
+    drawManager.methods.getDrawConfig(drawType).call(),
+    drawManager.methods.getPrizeBucketStatus(drawType).call(),
+  ]);
+
+  const bucketTokens = await Promise.all(
+    bucket.tokens.map(async (token, i) => {
+      const meta = await getTokenMeta(web3, token);
+      return { address: token, symbol: meta.symbol, amount: formatUnits(bucket.amounts[i].toString(), meta.decimals) };
+    })
+  );
+
+  const currentPrize = Web3.utils.toBN(config.currentPrize);
+  return {
+    drawType,
+    configured: config.initialPrize.toString() !== '0',
+    active: config.active,
+    currentPrize: formatUnits(currentPrize.toString()),
+    nextHalvingPrize: formatUnits(currentPrize.divn(2).toString()),
+    halvingInterval: Number(config.halvingInterval),
+    drawCount: Number(config.drawCount),
+    nextDrawTime: Number(config.nextDrawTime),
+    bucketEth: formatUnits(bucket.ethAmount.toString()),
+    bucketTokens,
+  };
+};
+
+// Per-draw-type configuration and prize buckets, plus the draw manager's paused flag
+export const useDrawSchedule = () => {
+  const [schedules, setSchedules] = useState<DrawSchedule[]>([]);
+  const [paused, setPaused] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (DRAW_MANAGER_CONFIG.address === ZERO_ADDRESS) return;
+
+    try {
+      const web3 = getWeb3();
+      const systemConfig = await getDrawManagerContract(web3).methods.getSystemConfig().call();
+      setPaused(systemConfig._paused);
+      setSchedules(await Promise.all(DRAW_TYPES.map((_, drawType) => fetchDrawSchedule(web3, drawType))));
+      setError(null);
+    } catch (err: any) {
+      console.error('Failed to load draw schedule', err);
+      setError(err?.message || 'Failed to load draw schedule');
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { schedules, paused, error, refresh };
+};
@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Page } from '../types';
+
+const PAGES: Page[] = ['mint', 'tickets', 'draws', 'rewards', 'admin'];
+
+// Parses "#/draws/12" into { page: 'draws', param: '12' }
+const parseHash = (hash: string): { page: Page; param: string | null } => {
+  const [page, param] = hash.replace(/^#\/?/, '').split('/');
+  return {
+    page: PAGES.includes(page as Page) ? (page as Page) : 'mint',
+    param: param || null,
+  };
+};
+
+// Hash-based routing so pages (e.g. a single draw) can be linked to directly
+export const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const navigate = useCallback((page: Page, param?: string | null) => {
+    window.location.hash = param ? `/${page}/${param}` : `/${page}`;
+  }, []);
+
+  return { ...route, navigate };
+};
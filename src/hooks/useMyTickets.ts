@@ -0,0 +1,96 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DRAW_MANAGER_CONFIG } from '../contracts/config';
+import Web3 from 'web3';
+import { getWeb3, getMintingContract, getDrawManagerContract, getTokenMeta, formatUnits, ZERO_ADDRESS } from '../contracts/web3';
+import { Ticket, TokenAmount } from '../types';
+
+// Map winning lottoID -> drawIds it won, or an empty map when no draw manager is configured
+const fetchWinsByLottoID = async (account: string): Promise<Record<string, string[]>> => {
+  if (DRAW_MANAGER_CONFIG.address === ZERO_ADDRESS) return {};
+
+  const result = await getDrawManagerContract(getWeb3()).methods.getUserWinDetails(account).call();
+  const wins: Record<string, string[]> = {};
+  result.drawIds.forEach((drawId: string, i: number) => {
+    const lottoID = result.winningLottoIDs[i].toString();
+    wins[lottoID] = [...(wins[lottoID] || []), drawId.toString()];
+  });
+  return wins;
+};
+
+// Unclaimed winnings per asset (ETH is the zero address), or none when no draw manager is configured
+const fetchClaimable = async (web3: Web3, account: string): Promise<TokenAmount[]> => {
+  if (DRAW_MANAGER_CONFIG.address === ZERO_ADDRESS) return [];
+
+  const result = await getDrawManagerContract(web3).methods.getClaimableBalances(account).call();
+  const balances = await Promise.all(
+    result.assets.map(async (asset: string, i: number) => {
+      const raw = result.amounts[i].toString();
+      if (asset === ZERO_ADDRESS) return { address: asset, symbol: 'ETH', amount: formatUnits(raw), raw };
+      const meta = await getTokenMeta(web3, asset);
+      return { address: asset, symbol: meta.symbol, amount: formatUnits(raw, meta.decimals), raw };
+    })
+  );
+  return balances
+    .filter(balance => balance.raw !== '0')
+    .map(({ address, symbol, amount }) => ({ address, symbol, amount }));
+};
+
+export const useMyTickets = (account: string | null, totalWeight?: string) => {
+  const [tickets, setTickets] = useState<Ticket[]>([]);
+  const [claimable, setClaimable] = useState<TokenAmount[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (!account) {
+      setTickets([]);
+      setClaimable([]);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const web3 = getWeb3();
+      const contract = getMintingContract(web3);
+      const [entries, wins, balances] = await Promise.all([
+        contract.methods.getLottoIDsByAddress(account).call(),
+        fetchWinsByLottoID(account),
+        fetchClaimable(web3, account),
+      ]);
+      const total = parseFloat(totalWeight || '0');
+
+      const loaded: Ticket[] = await Promise.all(
+        entries.map(async (entry) => {
+          const lottoID = entry.lottoID.toString();
+          // Token IDs and lottoIDs are assigned from counters that advance together on mint
+          const tier = await contract.methods.tokenTier(lottoID).call()
+            .then(Number)
+            .catch(() => null);
+
+          return {
+            lottoID,
+            weight: entry.weight.toString(),
+            tier,
+            winProbability: total > 0 ? parseFloat(entry.weight) / total : 0,
+            wonDrawIds: wins[lottoID] || [],
+          };
+        })
+      );
+
+      setTickets(loaded);
+      setClaimable(balances);
+    } catch (err: any) {
+      console.error('Failed to load tickets', err);
+      setError(err?.message || 'Failed to load tickets');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [account, totalWeight]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { tickets, claimable, isLoading, error, refresh };
+};
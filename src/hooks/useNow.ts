@@ -0,0 +1,11 @@
+import { useState, useEffect } from 'react';
+
+// Current unix time in seconds, ticking once per second
+export const useNow = () => {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+  return now;
+};
@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getWeb3, getMintingContract } from '../contracts/web3';
+import { QueuedTierWeight } from '../types';
+
+// Tier weight changes queued on the minting contract and not yet made, cancelled or expired, plus the
+// timelock delay a new one has to wait out. Queued calls are only listed in ChangeQueued events,
+// so those are replayed and checked against getChangeReadyTime.
+export const useQueuedTierWeights = () => {
+  const [queued, setQueued] = useState<QueuedTierWeight[]>([]);
+  const [timelockDelay, setTimelockDelay] = useState(0);
+
+  const refresh = useCallback(async () => {
+    try {
+      const web3 = getWeb3();
+      const contract = getMintingContract(web3);
+      const selector = contract.methods.setTierWeight(0, 0).encodeABI().slice(0, 10);
+      const [events, delay, gracePeriod] = await Promise.all([
+        contract.getPastEvents('ChangeQueued', { filter: { selector }, fromBlock: 0 }),
+        contract.methods.timelockDelay().call(),
+        contract.methods.CHANGE_GRACE_PERIOD().call(),
+      ]);
+
+      // The same call can be queued again once made or cancelled
+      const calls = Array.from(new Set(events.map(event => event.returnValues.data as string)));
+      const readyTimes = await Promise.all(calls.map(data => contract.methods.getChangeReadyTime(data).call()));
+
+      setQueued(calls
+        .map((data, i) => {
+          const args = web3.eth.abi.decodeParameters(['uint256', 'uint256'], `0x${data.slice(10)}`);
+          const readyAt = Number(readyTimes[i]);
+          return { data, tier: Number(args[0]), weight: args[1].toString(), readyAt, expiresAt: readyAt + Number(gracePeriod) };
+        })
+        .filter(change => change.readyAt !== 0)
+        .sort((a, b) => a.readyAt - b.readyAt));
+      setTimelockDelay(Number(delay));
+    } catch (err) {
+      console.error('Failed to load queued tier weight changes', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { queued, timelockDelay, refresh };
+};
@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getWeb3, getRewardPointsContract, getTokenDecimals, formatUnits, ZERO_ADDRESS } from '../contracts/web3';
+
+// Connected wallet's RewardPoints balance in display units (null when unknown)
+export const useRewardPointsBalance = (account: string | null, rewardPointsToken?: string) => {
+  const [balance, setBalance] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (!account || !rewardPointsToken || rewardPointsToken === ZERO_ADDRESS) {
+      setBalance(null);
+      return;
+    }
+
+    try {
+      const web3 = getWeb3();
+      const [raw, decimals] = await Promise.all([
+        getRewardPointsContract(web3, rewardPointsToken).methods.balanceOf(account).call(),
+        getTokenDecimals(web3, rewardPointsToken),
+      ]);
+      setBalance(formatUnits(raw.toString(), decimals));
+    } catch (err) {
+      console.error('Failed to load reward points balance', err);
+      setBalance(null);
+    }
+  }, [account, rewardPointsToken]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { balance, refresh };
+};
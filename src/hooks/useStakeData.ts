@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback } from 'react';
+import { REWARD_MANAGER_CONFIG } from '../contracts/config';
+import { getWeb3, getRewardManagerContract, getTokenMeta, ZERO_ADDRESS } from '../contracts/web3';
+import { RewardTier, StakeData } from '../types';
+
+export const useStakeData = (account: string | null) => {
+  const [stake, setStake] = useState<StakeData | null>(null);
+  const [tiers, setTiers] = useState<RewardTier[]>([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    if (REWARD_MANAGER_CONFIG.address === ZERO_ADDRESS) {
+      setError('Reward manager address not configured (set REACT_APP_REWARD_MANAGER_ADDRESS)');
+      return;
+    }
+    if (!account) {
+      setStake(null);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const web3 = getWeb3();
+      const manager = getRewardManagerContract(web3);
+      const [data, allTiers, stats] = await Promise.all([
+        manager.methods.getUserStakeData(account).call(),
+        manager.methods.getAllTiers().call(),
+        manager.methods.getSystemStats().call(),
+      ]);
+      const tokenMeta = await getTokenMeta(web3, stats._stakingToken);
+
+      setTiers(allTiers.multipliers.map((multiplier, i) => ({
+        multiplier: multiplier.toString(),
+        threshold: allTiers.thresholds[i].toString(),
+      })));
+      setStake({
+        stakedBalance: data.stakedBalance.toString(),
+        stakeTimestamp: Number(data.stakeTimestamp),
+        lastClaimTimestamp: Number(data.lastClaimTimestamp),
+        totalClaimed: data.totalClaimed.toString(),
+        currentBalance: data.currentBalance.toString(),
+        pendingReward: data.pendingReward.toString(),
+        currentTier: Number(data.currentTier),
+        hasSoldTokens: data.hasSoldTokens,
+        baseRewardRate: stats._baseRewardRate.toString(),
+        epochDuration: Number(stats._epochDuration),
+        minClaimInterval: Number(stats._minClaimInterval),
+        stakingTokenSymbol: tokenMeta.symbol,
+        stakingTokenDecimals: tokenMeta.decimals,
+        paused: stats._paused,
+      });
+    } catch (err: any) {
+      console.error('Failed to load stake data', err);
+      setError(err?.message || 'Failed to load stake data');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [account]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { stake, tiers, isLoading, error, refresh };
+};
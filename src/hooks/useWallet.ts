@@ -0,0 +1,81 @@
+import { useState, useEffect, useCallback } from 'react';
+import { CONTRACT_CONFIG } from '../contracts/config';
+
+const parseChainId = (chainId: string | number) =>
+  typeof chainId === 'string' ? parseInt(chainId, chainId.startsWith('0x') ? 16 : 10) : chainId;
+
+// EIP-1193 injected wallet (MetaMask, etc.)
+export const useWallet = () => {
+  const [account, setAccount] = useState<string | null>(null);
+  const [chainId, setChainId] = useState<number | null>(null);
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const hasProvider = typeof window !== 'undefined' && !!window.ethereum;
+
+  const connect = useCallback(async () => {
+    if (!window.ethereum) {
+      setError('No wallet found. Please install MetaMask or another Web3 wallet.');
+      return;
+    }
+
+    setIsConnecting(true);
+    setError(null);
+    try {
+      const accounts: string[] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+      setAccount(accounts[0] || null);
+      setChainId(parseChainId(await window.ethereum.request({ method: 'eth_chainId' })));
+    } catch (err: any) {
+      setError(err?.code === 4001 ? 'Connection request rejected' : err?.message || 'Failed to connect wallet');
+    } finally {
+      setIsConnecting(false);
+    }
+  }, []);
+
+  const switchNetwork = useCallback(async () => {
+    if (!window.ethereum) return;
+    try {
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: `0x${CONTRACT_CONFIG.chainId.toString(16)}` }],
+      });
+    } catch (err: any) {
+      setError(err?.message || 'Failed to switch network');
+    }
+  }, []);
+
+  useEffect(() => {
+    const ethereum = window.ethereum;
+    if (!ethereum) return;
+
+    // Restore an existing connection without prompting
+    ethereum.request({ method: 'eth_accounts' })
+      .then((accounts: string[]) => setAccount(accounts[0] || null))
+      .catch(() => undefined);
+    ethereum.request({ method: 'eth_chainId' })
+      .then((id: string) => setChainId(parseChainId(id)))
+      .catch(() => undefined);
+
+    const handleAccountsChanged = (accounts: string[]) => setAccount(accounts[0] || null);
+    const handleChainChanged = (id: string) => setChainId(parseChainId(id));
+
+    ethereum.on?.('accountsChanged', handleAccountsChanged);
+    ethereum.on?.('chainChanged', handleChainChanged);
+
+    return () => {
+      ethereum.removeListener?.('accountsChanged', handleAccountsChanged);
+      ethereum.removeListener?.('chainChanged', handleChainChanged);
+    };
+  }, []);
+
+  return {
+    account,
+    chainId,
+    hasProvider,
+    isConnecting,
+    isCorrectNetwork: chainId === null || chainId === CONTRACT_CONFIG.chainId,
+    error,
+    connect,
+    switchNetwork,
+  };
+};
@@ -2,6 +2,7 @@ export interface Tier {
   priceInBaseToken: string;
   priceInPaymentToken: string;
   priceInAnotherPaymentToken: string;
+  priceInRewardPoints: string;
   weight: string;
 }
 
@@ -10,22 +11,130 @@ export interface LottoEntry {
   weight: string;
 }
 
+export interface Ticket {
+  lottoID: string;
+  weight: string;
+  tier: number | null;      // null when the token has been burned
+  winProbability: number;   // weight / totalWeight (0-1)
+  wonDrawIds: string[];
+}
+
+export interface TokenAmount {
+  address: string;
+  symbol: string;
+  amount: string;  // display units
+}
+
+export interface DrawRecord {
+  drawId: string;
+  drawType: number;
+  timestamp: number;  // unix seconds
+  winner: string;     // zero address while randomness is pending, or when the draw rolled over
+  winningLottoID: string;
+  winningNumber: string;
+  participantCount: string;
+  totalWeight: string;
+  prizeEth: string;   // display units
+  prizeTokens: TokenAmount[];
+  rolledOver: boolean;  // completed without a winner; the prize carried into the next draw
+}
+
+export interface DrawSchedule {
+  drawType: number;
+  configured: boolean;
+  active: boolean;
+  currentPrize: string;     // display units (ETH)
+  nextHalvingPrize: string; // prize once the next halving applies
+  halvingInterval: number;
+  drawCount: number;
+  nextDrawTime: number;     // unix seconds
+  bucketEth: string;
+  bucketTokens: TokenAmount[];
+}
+
+export interface RewardTier {
+  multiplier: string;  // basis points (10000 = 1x)
+  threshold: string;   // minimum balance in wei
+}
+
+// Raw on-chain values (wei / seconds) for the connected user's stake
+export interface StakeData {
+  stakedBalance: string;
+  stakeTimestamp: number;
+  lastClaimTimestamp: number;
+  totalClaimed: string;
+  currentBalance: string;
+  pendingReward: string;
+  currentTier: number;
+  hasSoldTokens: boolean;
+  baseRewardRate: string;
+  epochDuration: number;
+  minClaimInterval: number;
+  stakingTokenSymbol: string;
+  stakingTokenDecimals: number;
+  paused: boolean;
+}
+
 export interface ContractData {
   tiers: Tier[];
   paymentToken: string;
   anotherPaymentToken: string;
-  totalCumulativeWeight: string;
+  rewardPointsToken: string;
+  totalWeight: string;
+  lotteryActive: boolean;
+}
+
+export type ContractDataStatus = 'loading' | 'ready' | 'error' | 'wrong-network';
+
+export type Page = 'mint' | 'tickets' | 'draws' | 'rewards' | 'admin';
+
+export type PaymentMethod = 'base' | 'payment' | 'another' | 'points';
+
+export interface TransactionCallbacks {
+  onStatus: (message: string) => void;
+  onTransactionHash?: (txHash: string) => void;
+}
+
+// Sends a transaction while driving the status toast; resolves true once confirmed
+export type RunTransaction = (
+  send: (callbacks: TransactionCallbacks) => Promise<any>,
+  successMessage: string
+) => Promise<boolean>;
+
+export interface TransactionState {
+  status: 'pending' | 'confirmed' | 'reverted';
+  message: string;
+  txHash?: string;
+}
+
+// An owner operation awaiting confirmation in the admin console
+export interface AdminAction {
+  title: string;
+  summary: string[];
+  execute: (callbacks: TransactionCallbacks) => Promise<any>;
+  onConfirmed?: () => void;  // refresh whatever the change affects
+}
+
+// A setTierWeight call waiting out the minting contract's timelock
+export interface QueuedTierWeight {
+  data: string;     // the queued calldata, passed back to cancelChange
+  tier: number;
+  weight: string;
+  readyAt: number;  // unix seconds
+  expiresAt: number;  // last moment it can be made
 }
 
 export interface MintingTierProps {
   tierNumber: number;
   tier: Tier;
-  onMint: (tierNumber: number, paymentMethod: 'base' | 'payment' | 'another') => void;
+  onMint: (tierNumber: number, paymentMethod: PaymentMethod) => void;
   isLoading: boolean;
+  rewardPointsBalance?: string | null;  // null when no wallet is connected
 }
 
 export interface MintingPageProps {
   contractData: ContractData;
-  onMint: (tierNumber: number, paymentMethod: 'base' | 'payment' | 'another') => void;
+  onMint: (tierNumber: number, paymentMethod: PaymentMethod) => void;
   isLoading: boolean;
+  rewardPointsBalance?: string | null;
 } 
\ No newline at end of file
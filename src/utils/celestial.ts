@@ -0,0 +1,42 @@
+// Celestial naming and colours shared by every view that shows a tier.
+// Ticket metadata mirrors them on-chain (contracts/TicketMetadata.sol) - keep the two in sync.
+
+export const getCelestialBody = (tier: number) => {
+  const bodies = [
+    { name: 'Moon', type: 'satellite', description: 'Earth\'s natural satellite' },
+    { name: 'Mercury', type: 'planet', description: 'Smallest planet, closest to Sun' },
+    { name: 'Venus', type: 'planet', description: 'Earth\'s twin, hottest planet' },
+    { name: 'Earth', type: 'planet', description: 'Our home, the blue planet' },
+    { name: 'Mars', type: 'planet', description: 'Red planet, future home' },
+    { name: 'Jupiter', type: 'gas-giant', description: 'Largest planet, gas giant' },
+    { name: 'Saturn', type: 'ringed', description: 'Ringed planet, most beautiful' },
+    { name: 'Uranus', type: 'ice-giant', description: 'Ice giant, tilted on its side' },
+    { name: 'Neptune', type: 'ice-giant', description: 'Blue giant, windiest planet' },
+    { name: 'Pluto', type: 'dwarf', description: 'Dwarf planet, mysterious world' }
+  ];
+  return bodies[tier] || bodies[0];
+};
+
+export const getTierRarity = (tier: number) => {
+  if (tier === 0) return 'Satellite';
+  if (tier <= 4) return 'Terrestrial';
+  if (tier <= 6) return 'Gas Giant';
+  if (tier <= 8) return 'Ice Giant';
+  return 'Dwarf Planet';
+};
+
+export const getPlanetColors = (tier: number) => {
+  const colors = [
+    { primary: '#9CA3AF', secondary: '#6B7280', accent: '#374151' }, // Moon - Gray
+    { primary: '#F59E0B', secondary: '#D97706', accent: '#B45309' }, // Mercury - Orange
+    { primary: '#EAB308', secondary: '#CA8A04', accent: '#A16207' }, // Venus - Yellow
+    { primary: '#3B82F6', secondary: '#2563EB', accent: '#1D4ED8' }, // Earth - Blue
+    { primary: '#EF4444', secondary: '#DC2626', accent: '#B91C1C' }, // Mars - Red
+    { primary: '#F59E0B', secondary: '#D97706', accent: '#B45309' }, // Jupiter - Amber
+    { primary: '#FCD34D', secondary: '#F59E0B', accent: '#D97706' }, // Saturn - Gold
+    { primary: '#06B6D4', secondary: '#0891B2', accent: '#0E7490' }, // Uranus - Cyan
+    { primary: '#3B82F6', secondary: '#2563EB', accent: '#1D4ED8' }, // Neptune - Blue
+    { primary: '#A855F7', secondary: '#9333EA', accent: '#7C3AED' }, // Pluto - Purple
+  ];
+  return colors[tier] || colors[0];
+};
@@ -0,0 +1,25 @@
+// Mirrors LotteryDrawManagerV2.DrawType (enum index -> label)
+export const DRAW_TYPES = ['Weekly', 'Monthly', 'Quarterly', 'Yearly'];
+
+export const getDrawTypeLabel = (drawType: number) => DRAW_TYPES[drawType] || `Type ${drawType}`;
+
+export const formatTimestamp = (timestamp: number) =>
+  new Date(timestamp * 1000).toLocaleString();
+
+// LotteryDrawManagerV2 halves the prize at the start of a draw once drawCount is a
+// non-zero multiple of halvingInterval, so 0 means the very next draw is halved
+export const drawsUntilHalving = (drawCount: number, halvingInterval: number) => {
+  if (halvingInterval === 0) return 0;
+  if (drawCount > 0 && drawCount % halvingInterval === 0) return 0;
+  return halvingInterval - (drawCount % halvingInterval);
+};
+
+export const formatCountdown = (seconds: number) => {
+  if (seconds <= 0) return 'Draw ready';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const pad = (n: number) => n.toString().padStart(2, '0');
+  return `${days}d ${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
+};
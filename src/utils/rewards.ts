@@ -0,0 +1,72 @@
+import Web3 from 'web3';
+import { RewardTier, StakeData } from '../types';
+
+// Client-side mirror of RewardPointsManager's reward math, using the same integer
+// arithmetic so estimates match what the contract will mint.
+
+const { toBN } = Web3.utils;
+const MULTIPLIER_DIVISOR = toBN(10000);
+const PRECISION = toBN(10).pow(toBN(18));
+
+export const getMultiplierForBalance = (balance: string, tiers: RewardTier[]) => {
+  const amount = toBN(balance);
+  for (let i = tiers.length; i > 0; i--) {
+    if (amount.gte(toBN(tiers[i - 1].threshold))) return tiers[i - 1].multiplier;
+  }
+  return tiers[0]?.multiplier || '10000';
+};
+
+export const getTierIndexForBalance = (balance: string, tiers: RewardTier[]) => {
+  const amount = toBN(balance);
+  for (let i = tiers.length; i > 0; i--) {
+    if (amount.gte(toBN(tiers[i - 1].threshold))) return i - 1;
+  }
+  return 0;
+};
+
+const fractionalEpochs = (stake: StakeData, now: number) => {
+  const elapsed = Math.max(0, now - stake.lastClaimTimestamp);
+  return toBN(elapsed).mul(PRECISION).div(toBN(stake.epochDuration));
+};
+
+// Mirrors _calculateRewards: the lower of staked and current balance earns for every epoch
+export const estimatePendingRewards = (stake: StakeData, tiers: RewardTier[], now: number) => {
+  if (stake.stakedBalance === '0' || stake.currentBalance === '0') return toBN(0);
+
+  const staked = toBN(stake.stakedBalance);
+  const current = toBN(stake.currentBalance);
+  const effective = current.lt(staked) ? current : staked;
+  const multiplier = toBN(getMultiplierForBalance(effective.toString(), tiers));
+
+  return fractionalEpochs(stake, now)
+    .mul(effective)
+    .mul(toBN(stake.baseRewardRate))
+    .mul(multiplier)
+    .div(MULTIPLIER_DIVISOR.mul(PRECISION).mul(PRECISION));
+};
+
+// Mirrors _calculateRestakeRewards: 80% of epochs at the old balance, 20% at the new one,
+// or the new balance for everything when it went down
+export const estimateRestakeRewards = (stake: StakeData, tiers: RewardTier[], now: number) => {
+  const oldBalance = toBN(stake.stakedBalance);
+  const newBalance = toBN(stake.currentBalance);
+  if (oldBalance.isZero()) return { oldPortion: toBN(0), newPortion: toBN(0), total: toBN(0) };
+
+  const epochs = fractionalEpochs(stake, now);
+  const rate = toBN(stake.baseRewardRate);
+  const divisor = MULTIPLIER_DIVISOR.mul(PRECISION).mul(PRECISION);
+
+  if (newBalance.lt(oldBalance)) {
+    const multiplier = toBN(getMultiplierForBalance(newBalance.toString(), tiers));
+    const total = epochs.mul(newBalance).mul(rate).mul(multiplier).div(divisor);
+    return { oldPortion: toBN(0), newPortion: total, total };
+  }
+
+  const oldMultiplier = toBN(getMultiplierForBalance(oldBalance.toString(), tiers));
+  const newMultiplier = toBN(getMultiplierForBalance(newBalance.toString(), tiers));
+  const splitDivisor = divisor.mul(toBN(10000));
+
+  const oldPortion = epochs.muln(8000).mul(oldBalance).mul(rate).mul(oldMultiplier).div(splitDivisor);
+  const newPortion = epochs.muln(2000).mul(newBalance).mul(rate).mul(newMultiplier).div(splitDivisor);
+  return { oldPortion, newPortion, total: oldPortion.add(newPortion) };
+};
@@ -0,0 +1,53 @@
+const { ethers, upgrades, artifacts } = require("hardhat");
+
+// LotteryDrawManagerV2 hands calls it doesn't define to LotteryDrawManagerExtension, and that
+// to LotteryDrawManagerQueries, so the proxy answers to all three ABIs
+const DRAW_MANAGER_CONTRACTS = [
+  "LotteryDrawManagerV2",
+  "LotteryDrawManagerExtension",
+  "LotteryDrawManagerQueries"
+];
+
+async function drawManagerAbi() {
+  const seen = new Set();
+  const abi = [];
+  for (const name of DRAW_MANAGER_CONTRACTS) {
+    for (const item of (await artifacts.readArtifact(name)).abi) {
+      const key = JSON.stringify(item);
+      if (item.type === "constructor" || seen.has(key)) continue;
+      seen.add(key);
+      abi.push(item);
+    }
+  }
+  return abi;
+}
+
+// Implementation factory with its libraries linked, and the constructor args naming the
+// extension deployed for it
+async function getDrawManagerFactory() {
+  const drawSelection = await ethers.deployContract("DrawSelection");
+  const commitReveal = await ethers.deployContract("CommitReveal");
+  const queries = await ethers.deployContract("LotteryDrawManagerQueries");
+  const extension = await ethers.deployContract("LotteryDrawManagerExtension", [await queries.getAddress()]);
+
+  const factory = await ethers.getContractFactory("LotteryDrawManagerV2", {
+    libraries: {
+      DrawSelection: await drawSelection.getAddress(),
+      CommitReveal: await commitReveal.getAddress()
+    }
+  });
+  return { factory, constructorArgs: [await extension.getAddress()] };
+}
+
+// Deploy the draw manager behind a UUPS proxy, connected with the combined ABI
+async function deployDrawManager(mintingContract, randomnessMode) {
+  const { factory, constructorArgs } = await getDrawManagerFactory();
+  const proxy = await upgrades.deployProxy(factory, [mintingContract, randomnessMode], {
+    initializer: "initialize",
+    constructorArgs
+  });
+  await proxy.waitForDeployment();
+  return ethers.getContractAt(await drawManagerAbi(), await proxy.getAddress());
+}
+
+module.exports = { deployDrawManager, getDrawManagerFactory };
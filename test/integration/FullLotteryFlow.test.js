@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployDrawManager } = require("../helpers/drawManager");
 
 describe("Full Lottery Flow - Integration Tests", function () {
 
@@ -32,14 +33,7 @@ describe("Full Lottery Flow - Integration Tests", function () {
     }
 
     // Deploy draw manager (upgradeable)
-    const DrawManager = await ethers.getContractFactory("LotteryDrawManagerV2");
-    const drawManager = await upgrades.deployProxy(DrawManager, [
-      await minting.getAddress(),
-      0 // PSEUDO_RANDOM
-    ], {
-      initializer: "initialize"
-    });
-    await drawManager.waitForDeployment();
+    const drawManager = await deployDrawManager(await minting.getAddress(), 0); // PSEUDO_RANDOM
 
     // Configure all draw types
     await drawManager.configureDrawType(0, ethers.parseEther("1"), 52); // Weekly
@@ -432,12 +426,20 @@ describe("Full Lottery Flow - Integration Tests", function () {
       await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
       await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
 
+      // Bucket funds stay put; only ETH sent outside a bucket can be withdrawn
+      await expect(
+        drawManager.emergencyWithdraw(ethers.ZeroAddress, ethers.parseEther("5"))
+      ).to.be.revertedWith("Exceeds unallocated balance");
+
+      await owner.sendTransaction({ to: await drawManager.getAddress(), value: ethers.parseEther("5") });
+
       const balanceBefore = await ethers.provider.getBalance(owner.address);
 
       await drawManager.emergencyWithdraw(ethers.ZeroAddress, ethers.parseEther("5"));
 
       const balanceAfter = await ethers.provider.getBalance(owner.address);
       expect(balanceAfter).to.be.greaterThan(balanceBefore);
+      expect((await drawManager.getPrizeBucketStatus(0)).ethAmount).to.equal(ethers.parseEther("10"));
     });
   });
 
@@ -1,6 +1,14 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployDrawManager } = require("../helpers/drawManager");
+
+// Timelocked admin calls only run once queued and the timelock delay has passed
+async function runTimelocked(contract, fn, args) {
+  await contract.queueChange(contract.interface.encodeFunctionData(fn, args));
+  await time.increase(await contract.timelockDelay());
+  return contract[fn](...args);
+}
 
 describe("Security Audit Tests", function () {
 
@@ -26,14 +34,7 @@ describe("Security Audit Tests", function () {
       await minting.setTierPrice(i, ethers.parseEther((0.001 * (2 ** i)).toString()), 0, 0);
     }
 
-    const DrawManager = await ethers.getContractFactory("LotteryDrawManagerV2");
-    const drawManager = await upgrades.deployProxy(DrawManager, [
-      await minting.getAddress(),
-      0 // PSEUDO_RANDOM
-    ], {
-      initializer: "initialize"
-    });
-    await drawManager.waitForDeployment();
+    const drawManager = await deployDrawManager(await minting.getAddress(), 0); // PSEUDO_RANDOM
 
     await paymentToken.transfer(user1.address, ethers.parseEther("10000"));
     await paymentToken.transfer(user2.address, ethers.parseEther("10000"));
@@ -102,7 +103,7 @@ describe("Security Audit Tests", function () {
 
       await expect(
         minting.connect(attacker).setTierPrice(0, ethers.parseEther("100"), 0, 0)
-      ).to.be.revertedWithCustomError(minting, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent non-owner from setting tier weights", async function () {
@@ -110,7 +111,7 @@ describe("Security Audit Tests", function () {
 
       await expect(
         minting.connect(attacker).setTierWeight(0, 1000)
-      ).to.be.revertedWithCustomError(minting, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent non-owner from withdrawing", async function () {
@@ -118,7 +119,7 @@ describe("Security Audit Tests", function () {
 
       await expect(
         minting.connect(attacker).withdraw()
-      ).to.be.revertedWithCustomError(minting, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent non-owner from executing draw", async function () {
@@ -126,7 +127,7 @@ describe("Security Audit Tests", function () {
 
       await expect(
         drawManager.connect(attacker).executeDraw(0)
-      ).to.be.revertedWithCustomError(drawManager, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent non-owner from configuring draw types", async function () {
@@ -134,7 +135,7 @@ describe("Security Audit Tests", function () {
 
       await expect(
         drawManager.connect(attacker).configureDrawType(0, ethers.parseEther("1"), 52)
-      ).to.be.revertedWithCustomError(drawManager, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
     });
 
     it("Should prevent non-owner from funding prize buckets", async function () {
@@ -142,7 +143,7 @@ describe("Security Audit Tests", function () {
 
       await expect(
         drawManager.connect(attacker).fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") })
-      ).to.be.revertedWithCustomError(drawManager, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
     });
   });
 
@@ -170,7 +171,7 @@ describe("Security Audit Tests", function () {
 
       const hugWeight = ethers.MaxUint256;
 
-      await minting.setTierWeight(0, hugWeight);
+      await runTimelocked(minting, "setTierWeight", [0, hugWeight]);
 
       // Total weight calculation should not overflow
       await expect(
@@ -234,10 +235,10 @@ describe("Security Audit Tests", function () {
       // User tries to mint
       const userMintPromise = minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
 
-      // Attacker tries to front-run by changing price (will fail - only owner)
+      // Attacker tries to front-run by changing price (will fail - needs PRICE_ADMIN_ROLE)
       await expect(
         minting.connect(attacker).setTierPrice(0, ethers.parseEther("10"), 0, 0)
-      ).to.be.revertedWithCustomError(minting, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
 
       await expect(userMintPromise).to.not.be.reverted;
     });
@@ -246,18 +247,29 @@ describe("Security Audit Tests", function () {
       const { minting, drawManager, user1, attacker } = await loadFixture(deploySystemFixture);
 
       await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.setDrawManager(await drawManager.getAddress());
 
       await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
       await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await minting.queueChange(minting.interface.encodeFunctionData("setTierWeight", [0, 1000000]));
 
       await time.increase(7 * 24 * 60 * 60 + 1);
 
-      // Attacker tries to manipulate weight (will fail - only owner)
+      // Attacker tries to manipulate weight (will fail - needs PRICE_ADMIN_ROLE)
       await expect(
         minting.connect(attacker).setTierWeight(0, 1000000)
-      ).to.be.revertedWithCustomError(minting, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
+
+      // Even a queued change can't land while the due draw is pending
+      expect(await minting.tiersLocked()).to.be.true;
+      await expect(minting.setTierWeight(0, 1000000)).to.be.revertedWith("Tiers locked until draw completes");
+      await expect(
+        drawManager.configureDrawType(0, ethers.parseEther("5"), 52)
+      ).to.be.revertedWith("Draw type locked until draw completes");
 
       await expect(drawManager.executeDraw(0)).to.not.be.reverted;
+      expect(await minting.tiersLocked()).to.be.false;
+      await expect(minting.setTierWeight(0, 1000000)).to.not.be.reverted;
     });
   });
 
@@ -368,9 +380,12 @@ describe("Security Audit Tests", function () {
 
       await time.increase(7 * 24 * 60 * 60 + 1);
 
-      await expect(
-        drawManager.executeDraw(0)
-      ).to.be.revertedWith("No participants");
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "DrawRolledOver")
+        .withArgs(1, 0, ethers.parseEther("2"), true);
+
+      const bucket = await drawManager.getPrizeBucketStatus(0);
+      expect(bucket.ethAmount).to.equal(ethers.parseEther("10"));
     });
 
     it("Should handle zero prize pool safely", async function () {
@@ -383,7 +398,7 @@ describe("Security Audit Tests", function () {
 
       await time.increase(7 * 24 * 60 * 60 + 1);
 
-      // Should execute but prize is 0
+      // Should execute but prize is 0 (the draw rolls over)
       await expect(drawManager.executeDraw(0)).to.not.be.reverted;
 
       const draw = await drawManager.getDrawDetails(1);
@@ -408,13 +423,37 @@ describe("Security Audit Tests", function () {
       // User1 burns their NFT
       await minting.connect(user1).burn(0);
 
-      // Draw should still work (burned NFT still in participant array)
+      // The burned ticket keeps its range but must never win
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+
+      for (let drawId = 1; drawId <= 5; drawId++) {
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await drawManager.executeDraw(0);
+
+        const draw = await drawManager.getDrawDetails(drawId);
+        expect(draw.winner).to.equal(user2.address);
+        expect(draw.winningLottoID).to.equal(1);
+      }
+    });
+
+    it("Should roll over a draw when every ticket is burned", async function () {
+      const { minting, drawManager, user1 } = await loadFixture(deploySystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.connect(user1).burn(0);
+
       await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
       await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
 
       await time.increase(7 * 24 * 60 * 60 + 1);
 
-      await expect(drawManager.executeDraw(0)).to.not.be.reverted;
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "DrawRolledOver")
+        .withArgs(1, 0, ethers.parseEther("2"), true);
+
+      const bucket = await drawManager.getPrizeBucketStatus(0);
+      expect(bucket.ethAmount).to.equal(ethers.parseEther("10"));
     });
   });
 
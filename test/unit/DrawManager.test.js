@@ -1,6 +1,31 @@
 const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
-const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadFixture, time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployDrawManager, getDrawManagerFactory } = require("../helpers/drawManager");
+
+// Timelocked admin calls only run once queued and the timelock delay has passed
+async function runTimelocked(contract, fn, args) {
+  await contract.queueChange(contract.interface.encodeFunctionData(fn, args));
+  await time.increase(await contract.timelockDelay());
+  return contract[fn](...args);
+}
+
+const VRF_KEY_HASH = ethers.keccak256(ethers.toUtf8Bytes("test-key-hash"));
+
+// Switch the draw manager to Chainlink VRF, backed by a funded mock coordinator
+async function enableVRF(drawManager) {
+  const VRFCoordinator = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+  const vrfCoordinator = await VRFCoordinator.deploy(ethers.parseEther("0.1"), 1e9);
+
+  const receipt = await (await vrfCoordinator.createSubscription()).wait();
+  const subId = vrfCoordinator.interface.parseLog(receipt.logs[0]).args.subId;
+  await vrfCoordinator.fundSubscription(subId, ethers.parseEther("100"));
+  await vrfCoordinator.addConsumer(subId, await drawManager.getAddress());
+
+  await runTimelocked(drawManager, "configureVRF", [await vrfCoordinator.getAddress(), VRF_KEY_HASH, subId, 2500000, 3]);
+  await runTimelocked(drawManager, "setRandomnessMode", [1]); // CHAINLINK_VRF
+  return vrfCoordinator;
+}
 
 describe("LotteryDrawManagerV2 - Unit Tests", function () {
 
@@ -31,14 +56,7 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
     }
 
     // Deploy draw manager (upgradeable)
-    const DrawManager = await ethers.getContractFactory("LotteryDrawManagerV2");
-    const drawManager = await upgrades.deployProxy(DrawManager, [
-      await minting.getAddress(),
-      0 // PSEUDO_RANDOM
-    ], {
-      initializer: "initialize"
-    });
-    await drawManager.waitForDeployment();
+    const drawManager = await deployDrawManager(await minting.getAddress(), 0); // PSEUDO_RANDOM
 
     // Distribute tokens
     for (const user of [user1, user2, user3, user4, user5]) {
@@ -152,7 +170,113 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
 
       await expect(
         drawManager.connect(user1).configureDrawType(0, ethers.parseEther("1"), 52)
-      ).to.be.revertedWithCustomError(drawManager, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should apply a changed draw interval to draws", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await expect(drawManager.setDrawInterval(0, 24 * 60 * 60))
+        .to.emit(drawManager, "DrawIntervalSet").withArgs(0, 24 * 60 * 60);
+
+      expect((await drawManager.getDrawConfig(0)).drawInterval).to.equal(24 * 60 * 60);
+      expect(await drawManager.drawIntervals(0)).to.equal(24 * 60 * 60);
+
+      await time.increase(24 * 60 * 60);
+      await drawManager.executeDraw(0);
+      expect(await drawManager.drawExecuted(1)).to.be.true;
+    });
+
+    it("Should keep an interval set before the draw type is configured", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+
+      expect(await drawManager.drawIntervals(1)).to.equal(30 * 24 * 60 * 60);
+
+      await drawManager.setDrawInterval(1, 14 * 24 * 60 * 60);
+      await expect(drawManager.configureDrawType(1, ethers.parseEther("1"), 12))
+        .to.emit(drawManager, "DrawConfigured")
+        .withArgs(1, ethers.parseEther("1"), 12, 14 * 24 * 60 * 60);
+
+      const intervals = await drawManager.getAllDrawIntervals();
+      expect(intervals.weekly).to.equal(7 * 24 * 60 * 60);
+      expect(intervals.monthly).to.equal(14 * 24 * 60 * 60);
+    });
+
+    it("Should anchor the schedule to a chosen draw time", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+
+      const anchor = (await time.latest()) + 3 * 24 * 60 * 60;
+      await expect(drawManager.scheduleNextDraw(0, anchor))
+        .to.emit(drawManager, "DrawScheduled").withArgs(0, anchor);
+      expect((await drawManager.getDrawConfig(0)).nextDrawTime).to.equal(anchor);
+
+      await time.increaseTo(anchor - 10);
+      await expect(drawManager.executeDraw(0)).to.be.revertedWith("Draw interval not elapsed");
+
+      // A late draw doesn't move the grid
+      await time.increaseTo(anchor + 60 * 60);
+      await drawManager.executeDraw(0);
+      expect((await drawManager.getDrawConfig(0)).nextDrawTime).to.equal(anchor + 7 * 24 * 60 * 60);
+    });
+
+    it("Should skip missed slots without drifting the schedule", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      const firstDue = (await drawManager.getDrawConfig(0)).nextDrawTime;
+
+      await time.increaseTo(firstDue + BigInt(15 * 24 * 60 * 60));
+      await drawManager.executeDraw(0);
+
+      expect((await drawManager.getDrawConfig(0)).nextDrawTime).to.equal(firstDue + BigInt(21 * 24 * 60 * 60));
+    });
+
+    it("Should reject scheduling in the past or for unconfigured draw types", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+
+      await expect(
+        drawManager.scheduleNextDraw(0, (await time.latest()) + 60)
+      ).to.be.revertedWith("Draw type not configured");
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await expect(
+        drawManager.scheduleNextDraw(0, (await time.latest()) - 60)
+      ).to.be.revertedWith("Next draw must not be in the past");
+    });
+
+    it("Should keep the draw count and halvings when reconfiguring", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 2);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+
+      for (let i = 0; i < 3; i++) {
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await drawManager.executeDraw(0);
+      }
+      const before = await drawManager.getDrawConfig(0);
+      expect(before.currentPrize).to.equal(ethers.parseEther("0.5"));
+
+      await drawManager.configureDrawType(0, ethers.parseEther("4"), 2);
+
+      const after = await drawManager.getDrawConfig(0);
+      expect(after.drawCount).to.equal(3);
+      expect(after.lastDrawTime).to.equal(before.lastDrawTime);
+      expect(after.currentPrize).to.equal(ethers.parseEther("2"));
+    });
+
+    it("Should reject schedule changes from non-owner", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await expect(
+        drawManager.connect(user1).setDrawInterval(0, 60)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+      await expect(
+        drawManager.connect(user1).scheduleNextDraw(0, (await time.latest()) + 60)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
     });
   });
 
@@ -229,6 +353,62 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
         )
       ).to.be.revertedWith("Array length mismatch");
     });
+
+    it("Should route the configured share of ETH mints into the buckets", async function () {
+      const { minting, drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.setDrawManager(await drawManager.getAddress());
+      await minting.setRevenueSplit([2000, 1000]);
+
+      const price = ethers.parseEther("0.008");
+      await expect(minting.connect(user1).mintWithBaseToken(3, { value: price }))
+        .to.emit(drawManager, "PrizeBucketFundedFromMints").withArgs(0, ethers.ZeroAddress, price * 2000n / 10000n)
+        .and.to.emit(drawManager, "PrizeBucketFundedFromMints").withArgs(1, ethers.ZeroAddress, price * 1000n / 10000n);
+
+      expect((await drawManager.getPrizeBucketStatus(0)).ethAmount).to.equal(price * 2000n / 10000n);
+      expect((await drawManager.getPrizeBucketStatus(1)).ethAmount).to.equal(price * 1000n / 10000n);
+      expect(await ethers.provider.getBalance(await minting.getAddress())).to.equal(price * 7000n / 10000n);
+    });
+
+    it("Should route payment token mints into the buckets", async function () {
+      const { minting, drawManager, paymentToken, user1 } = await loadFixture(deployFullSystemFixture);
+
+      const price = ethers.parseEther("100");
+      await minting.setTierPrice(0, ethers.parseEther("0.001"), price, 0);
+      await minting.setDrawManager(await drawManager.getAddress());
+      await minting.setRevenueSplit([0, 0, 2500]);
+
+      await paymentToken.connect(user1).approve(await minting.getAddress(), price);
+      await minting.connect(user1).mintWithPaymentToken(0);
+
+      const bucket = await drawManager.getPrizeBucketStatus(2);
+      expect(bucket.tokens).to.deep.equal([await paymentToken.getAddress()]);
+      expect(bucket.amounts[0]).to.equal(ethers.parseEther("25"));
+      expect(await paymentToken.balanceOf(await minting.getAddress())).to.equal(ethers.parseEther("75"));
+    });
+
+    it("Should track mint and operator funding separately", async function () {
+      const { minting, drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.setDrawManager(await drawManager.getAddress());
+      await minting.setRevenueSplit([5000]);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("2") });
+
+      const [fromMints, fromOperator] = await drawManager.getBucketFundingSources(0, ethers.ZeroAddress);
+      expect(fromMints).to.equal(ethers.parseEther("0.0005"));
+      expect(fromOperator).to.equal(ethers.parseEther("2"));
+      expect((await drawManager.getPrizeBucketStatus(0)).ethAmount).to.equal(ethers.parseEther("2.0005"));
+    });
+
+    it("Should only accept mint revenue from the minting contract", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await expect(
+        drawManager.connect(user1).fundFromMintRevenue(ethers.ZeroAddress, [1], { value: 1 })
+      ).to.be.revertedWith("Only minting contract");
+    });
   });
 
   // ============ BINARY SEARCH WINNER SELECTION TESTS ============
@@ -305,6 +485,90 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
     });
   });
 
+  // ============ ROUND TESTS ============
+
+  describe("Minting Rounds", function () {
+    it("Should draw from the current round by default", async function () {
+      const { drawManager, minting } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const draw = await drawManager.getDraw(1);
+      expect(draw.roundId).to.equal(1);
+      expect(draw.participantCountAtDraw).to.equal(3);
+      expect(draw.totalWeightAtDraw).to.equal(521);
+      expect(await minting.roundId()).to.equal(1);
+    });
+
+    it("Should close the round when the draw type closes rounds", async function () {
+      const { drawManager, minting } = await loadFixture(deployWithParticipantsFixture);
+
+      await minting.setDrawManager(await drawManager.getAddress());
+      await expect(drawManager.setClosesRound(0, true))
+        .to.emit(drawManager, "ClosesRoundSet").withArgs(0, true);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      expect((await drawManager.getDraw(1)).roundId).to.equal(1);
+      expect(await minting.roundId()).to.equal(2);
+      expect((await minting.getRound(1)).closed).to.be.true;
+    });
+
+    it("Should only draw tickets from the new round after closing", async function () {
+      const { drawManager, minting, user4 } = await loadFixture(deployWithParticipantsFixture);
+
+      await minting.setDrawManager(await drawManager.getAddress());
+      await drawManager.setClosesRound(0, true);
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      // Round 2 has a single low-weight ticket; round 1's heavy tickets must not win it
+      await minting.connect(user4).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const draw = await drawManager.getDrawDetails(2);
+      expect(draw.winner).to.equal(user4.address);
+      expect(draw.winningLottoID).to.equal(3);
+    });
+
+    it("Should roll over a draw on an empty round", async function () {
+      const { drawManager, minting } = await loadFixture(deployWithParticipantsFixture);
+
+      await minting.setDrawManager(await drawManager.getAddress());
+      await drawManager.setClosesRound(0, true);
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "DrawRolledOver")
+        .withArgs(2, 0, ethers.parseEther("0.02"), true);
+    });
+
+    it("Should fail to close rounds unless set as the minting draw manager", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.setClosesRound(0, true);
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      await expect(drawManager.executeDraw(0)).to.be.revertedWith("Not authorized");
+    });
+  });
+
   // ============ HALVING CYCLE TESTS ============
 
   describe("Halving Cycles", function () {
@@ -439,6 +703,56 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
       expect(entries[0].weight).to.equal(1);
       expect(entries[1].weight).to.equal(512);
     });
+
+    it("Should track ticket wins and show them in the ticket metadata", async function () {
+      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+
+      const renderer = await ethers.deployContract("TicketRenderer", [await minting.getAddress()]);
+      await minting.setTicketRenderer(await renderer.getAddress());
+      await minting.setDrawManager(await drawManager.getAddress());
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+      for (let i = 0; i < 2; i++) {
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await drawManager.executeDraw(0);
+      }
+
+      expect(await drawManager.getTicketWins(0)).to.deep.equal([1n, 2n]);
+
+      const uri = await minting.tokenURI(0);
+      const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+      expect(metadata.draws_won).to.deep.equal([1, 2]);
+      expect(metadata.attributes.find((a) => a.trait_type === "Draws Won").value).to.equal(2);
+    });
+
+    it("Should list only a ticket's own places among its owner's wins", async function () {
+      const { drawManager, minting, user1, user2 } = await loadFixture(deployFullSystemFixture);
+
+      // user1 holds two tickets, so its wins span both
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.connect(user1).mintWithBaseToken(3, { value: ethers.parseEther("0.008") });
+      await minting.connect(user2).mintWithBaseToken(2, { value: ethers.parseEther("0.004") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setPrizeSplits(0, [5000, 3000, 2000], false);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+      for (let i = 0; i < 3; i++) {
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await drawManager.executeDraw(0);
+      }
+
+      const expected = [[], [], []];
+      for (let drawId = 1; drawId <= 3; drawId++) {
+        const [, lottoIDs] = await drawManager.getDrawWinners(drawId);
+        for (const lottoID of lottoIDs) expected[Number(lottoID)].push(BigInt(drawId));
+      }
+      for (let lottoID = 0; lottoID < 3; lottoID++) {
+        expect(await drawManager.getTicketWins(lottoID)).to.deep.equal(expected[lottoID]);
+      }
+      expect(await drawManager.getTicketWins(3)).to.deep.equal([]); // Not minted
+    });
   });
 
   // ============ RANDOMNESS MODE TESTS ============
@@ -448,7 +762,7 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
       const { drawManager } = await loadFixture(deployFullSystemFixture);
 
       await expect(
-        drawManager.setRandomnessMode(1) // CHAINLINK_VRF
+        runTimelocked(drawManager, "setRandomnessMode", [1]) // CHAINLINK_VRF
       ).to.emit(drawManager, "RandomnessModeChanged")
         .withArgs(0, 1);
 
@@ -460,7 +774,7 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
 
       await expect(
         drawManager.connect(user1).setRandomnessMode(1)
-      ).to.be.revertedWithCustomError(drawManager, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
     });
 
     it("Should work with PSEUDO_RANDOM mode", async function () {
@@ -468,7 +782,7 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
 
       await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
 
-      await drawManager.setRandomnessMode(0); // PSEUDO_RANDOM
+      await runTimelocked(drawManager, "setRandomnessMode", [0]); // PSEUDO_RANDOM
       await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
       await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
 
@@ -477,133 +791,1639 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
     });
   });
 
-  // ============ MULTI-ASSET PRIZE DISTRIBUTION TESTS ============
+  // ============ CHAINLINK VRF TESTS ============
 
-  describe("Multi-Asset Prize Distribution", function () {
-    it("Should distribute ETH prize to winner", async function () {
-      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+  describe("Chainlink VRF", function () {
+    async function deployWithVRFFixture() {
+      const fixture = await deployWithParticipantsFixture();
+      const { drawManager } = fixture;
 
-      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      const vrfCoordinator = await enableVRF(drawManager);
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
 
-      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
-      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      return { ...fixture, vrfCoordinator };
+    }
 
-      const balanceBefore = await ethers.provider.getBalance(user1.address);
+    it("Should record a pending request when executing a draw", async function () {
+      const { drawManager } = await loadFixture(deployWithVRFFixture);
+
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "VRFRequested").withArgs(1, 1);
+
+      expect(await drawManager.vrfRequestToDrawId(1)).to.equal(1);
+      expect(await drawManager.drawVrfRequestId(1)).to.equal(1);
+      expect(await drawManager.drawExecuted(1)).to.be.false;
+      expect((await drawManager.getDrawDetails(1)).winner).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should complete the draw in the coordinator callback", async function () {
+      const { drawManager, vrfCoordinator, user2 } = await loadFixture(deployWithVRFFixture);
+      const drawManagerAddress = await drawManager.getAddress();
 
-      await time.increase(7 * 24 * 60 * 60 + 1);
       await drawManager.executeDraw(0);
 
-      const balanceAfter = await ethers.provider.getBalance(user1.address);
-      expect(balanceAfter).to.be.greaterThan(balanceBefore);
+      // 521 total weight: 522 % 521 = 1 lands in user2's range [1, 513)
+      await expect(vrfCoordinator.fulfillRandomWordsWithOverride(1, drawManagerAddress, [522]))
+        .to.emit(drawManager, "VRFFulfilled").withArgs(1, 1, 522)
+        .and.to.emit(drawManager, "DrawExecuted");
+
+      const draw = await drawManager.getDraw(1);
+      expect(draw.winner).to.equal(user2.address);
+      expect(draw.winningNumber).to.equal(1);
+      expect(await drawManager.drawExecuted(1)).to.be.true;
+      expect(await drawManager.vrfRequestToDrawId(1)).to.equal(0);
     });
 
-    it("Should distribute ERC20 tokens to winner", async function () {
-      const { drawManager, minting, prizeToken1, user1 } = await loadFixture(deployFullSystemFixture);
+    it("Should roll over rather than scan when every redraw lands on a burned ticket", async function () {
+      const { drawManager, minting, user1, user2 } = await loadFixture(deployFullSystemFixture);
+      const drawManagerAddress = await drawManager.getAddress();
 
+      // The burned ticket keeps 512 of the 513 weight in the cumulative range
+      await minting.connect(user2).mintWithBaseToken(9, { value: ethers.parseEther("0.512") });
       await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.connect(user2).burn(0);
 
+      const vrfCoordinator = await enableVRF(drawManager);
       await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
 
-      const tokenAmount = ethers.parseEther("1000");
-      await prizeToken1.approve(await drawManager.getAddress(), tokenAmount);
-      await drawManager.fundPrizeBucket(0, [await prizeToken1.getAddress()], [tokenAmount]);
+      // 1 and each of its 16 redraws land in the burned ticket's range [0, 512)
+      await vrfCoordinator.fulfillRandomWordsWithOverride(1, drawManagerAddress, [1]);
 
-      const balanceBefore = await prizeToken1.balanceOf(user1.address);
+      const draw = await drawManager.getDraw(1);
+      expect(draw.rolledOver).to.be.true;
+      expect(draw.winner).to.equal(ethers.ZeroAddress);
+      expect(await drawManager.drawExecuted(1)).to.be.true;
+    });
+
+    it("Should only accept randomness from the coordinator", async function () {
+      const { drawManager, user1 } = await loadFixture(deployWithVRFFixture);
 
-      await time.increase(7 * 24 * 60 * 60 + 1);
       await drawManager.executeDraw(0);
 
-      const balanceAfter = await prizeToken1.balanceOf(user1.address);
-      expect(balanceAfter - balanceBefore).to.equal(tokenAmount);
+      await expect(
+        drawManager.connect(user1).rawFulfillRandomWords(1, [1])
+      ).to.be.revertedWith("Only VRF coordinator");
     });
 
-    it("Should distribute ETH + multiple ERC20 tokens", async function () {
-      const { drawManager, minting, prizeToken1, prizeToken2, user1 } = await loadFixture(deployFullSystemFixture);
+    it("Should reject VRF draws before VRF is configured", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
 
-      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await runTimelocked(drawManager, "setRandomnessMode", [1]);
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await time.increase(7 * 24 * 60 * 60 + 1);
 
-      await drawManager.configureDrawType(0, ethers.parseEther("0.5"), 52);
+      await expect(drawManager.executeDraw(0)).to.be.revertedWith("VRF not configured");
+    });
 
-      const amount1 = ethers.parseEther("1000");
-      const amount2 = ethers.parseEther("2000");
+    it("Should re-request randomness once a request times out", async function () {
+      const { drawManager, vrfCoordinator, user1 } = await loadFixture(deployWithVRFFixture);
+      const drawManagerAddress = await drawManager.getAddress();
 
-      await prizeToken1.approve(await drawManager.getAddress(), amount1);
-      await prizeToken2.approve(await drawManager.getAddress(), amount2);
+      await drawManager.executeDraw(0);
+      await expect(drawManager.retryVRFRequest(1)).to.be.revertedWith("VRF request not timed out");
 
-      await drawManager.fundPrizeBucket(
-        0,
-        [await prizeToken1.getAddress(), await prizeToken2.getAddress()],
-        [amount1, amount2],
-        { value: ethers.parseEther("1") }
-      );
+      await time.increase(60 * 60);
+      await expect(drawManager.retryVRFRequest(1))
+        .to.emit(drawManager, "VRFRequestRetried").withArgs(1, 1, 2)
+        .and.to.emit(drawManager, "VRFRequested").withArgs(2, 1);
 
-      await time.increase(7 * 24 * 60 * 60 + 1);
-      await drawManager.executeDraw(0);
+      // The superseded request is ignored if it lands late
+      await vrfCoordinator.fulfillRandomWordsWithOverride(1, drawManagerAddress, [1]);
+      expect(await drawManager.drawExecuted(1)).to.be.false;
 
-      const draw = await drawManager.getDrawDetails(1);
-      expect(draw.prizeTokens.length).to.equal(2);
-      expect(await drawManager.getDrawPrizeTokenAmount(1, await prizeToken1.getAddress())).to.equal(amount1);
-      expect(await drawManager.getDrawPrizeTokenAmount(1, await prizeToken2.getAddress())).to.equal(amount2);
+      await vrfCoordinator.fulfillRandomWordsWithOverride(2, drawManagerAddress, [0]);
+      expect((await drawManager.getDrawDetails(1)).winner).to.equal(user1.address);
+      await expect(drawManager.retryVRFRequest(1)).to.be.revertedWith("No pending VRF request");
+    });
+
+    it("Should let the owner set the request timeout", async function () {
+      const { drawManager, user1 } = await loadFixture(deployWithVRFFixture);
+
+      expect(await drawManager.vrfRequestTimeout()).to.equal(60 * 60);
+      await expect(drawManager.setVRFRequestTimeout(600))
+        .to.emit(drawManager, "VRFRequestTimeoutSet").withArgs(600);
+      await expect(drawManager.setVRFRequestTimeout(0)).to.be.revertedWith("Timeout must be > 0");
+      await expect(
+        drawManager.connect(user1).setVRFRequestTimeout(600)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
     });
   });
 
-  // ============ EDGE CASE AND ERROR TESTS ============
+  // ============ COMMIT-REVEAL TESTS ============
 
-  describe("Edge Cases and Errors", function () {
-    it("Should reject draw when no participants", async function () {
-      const { drawManager } = await loadFixture(deployFullSystemFixture);
+  describe("Commit-Reveal", function () {
+    const SEED = ethers.keccak256(ethers.toUtf8Bytes("operator seed"));
+    const SEED_HASH = ethers.solidityPackedKeccak256(["bytes32"], [SEED]);
+    const BOND = ethers.parseEther("0.1");
 
-      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
-      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+    async function deployWithCommitRevealFixture() {
+      const fixture = await deployWithParticipantsFixture();
+      const { drawManager } = fixture;
 
+      await runTimelocked(drawManager, "setRandomnessMode", [2]); // COMMIT_REVEAL
+      await drawManager.configureCommitReveal(5, 20, BOND);
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
       await time.increase(7 * 24 * 60 * 60 + 1);
 
-      await expect(
-        drawManager.executeDraw(0)
-      ).to.be.revertedWith("No participants");
+      return fixture;
+    }
+
+    it("Should record the commitment without picking a winner", async function () {
+      const { drawManager } = await loadFixture(deployWithCommitRevealFixture);
+
+      await expect(drawManager.executeDraw(0)).to.be.revertedWith("Use commitDraw in commit-reveal mode");
+      await expect(drawManager.commitDraw(0, SEED_HASH, { value: BOND }))
+        .to.emit(drawManager, "DrawSeedCommitted");
+
+      const commitment = await drawManager.drawCommitments(1);
+      expect(commitment.seedHash).to.equal(SEED_HASH);
+      expect(commitment.bond).to.equal(BOND);
+      expect(await drawManager.drawExecuted(1)).to.be.false;
     });
 
-    it("Should reject draw before interval elapsed", async function () {
-      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+    it("Should require the configured bond", async function () {
+      const { drawManager } = await loadFixture(deployWithCommitRevealFixture);
 
-      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await expect(drawManager.commitDraw(0, SEED_HASH)).to.be.revertedWith("Incorrect reveal bond");
+    });
 
-      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
-      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+    it("Should complete the draw on reveal and refund the bond", async function () {
+      const { drawManager, owner } = await loadFixture(deployWithCommitRevealFixture);
+
+      await drawManager.commitDraw(0, SEED_HASH, { value: BOND });
+      await expect(drawManager.revealDraw(1, SEED)).to.be.revertedWith("Reveal block not reached");
 
+      await mine(5);
       await expect(
-        drawManager.executeDraw(0)
-      ).to.be.revertedWith("Draw interval not elapsed");
+        drawManager.revealDraw(1, ethers.ZeroHash)
+      ).to.be.revertedWith("Seed does not match commitment");
+
+      const tx = drawManager.revealDraw(1, SEED);
+      await expect(tx)
+        .to.emit(drawManager, "DrawSeedRevealed")
+        .and.to.emit(drawManager, "DrawExecuted");
+      await expect(tx).to.changeEtherBalance(owner, BOND);
+
+      const commitment = await drawManager.drawCommitments(1);
+      expect(commitment.revealed).to.be.true;
+      expect(commitment.revealBlockHash).to.not.equal(ethers.ZeroHash);
+      expect(await drawManager.drawExecuted(1)).to.be.true;
     });
 
-    it("Should reject draw when not configured", async function () {
-      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+    it("Should be verifiable from the stored draw record", async function () {
+      const { drawManager } = await loadFixture(deployWithCommitRevealFixture);
 
-      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await drawManager.commitDraw(0, SEED_HASH, { value: BOND });
+      await mine(5);
+      await drawManager.revealDraw(1, SEED);
 
-      await time.increase(7 * 24 * 60 * 60 + 1);
+      expect(await drawManager.verifyCommitReveal(1)).to.be.true;
 
-      await expect(
-        drawManager.executeDraw(0)
-      ).to.be.revertedWith("Draw type not active");
+      const commitment = await drawManager.drawCommitments(1);
+      const draw = await drawManager.getDraw(1);
+      const expected = BigInt(
+        ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [commitment.seed, commitment.revealBlockHash])
+      ) % draw.totalWeightAtDraw;
+      expect(draw.winningNumber).to.equal(expected);
     });
 
-    it("Should reject draw when inactive", async function () {
-      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+    it("Should only allow revealing within the window", async function () {
+      const { drawManager } = await loadFixture(deployWithCommitRevealFixture);
 
-      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await drawManager.commitDraw(0, SEED_HASH, { value: BOND });
+      await mine(5 + 20);
 
-      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
-      await drawManager.setDrawTypeActive(0, false);
+      await expect(drawManager.revealDraw(1, SEED)).to.be.revertedWith("Reveal window closed");
+    });
 
-      await time.increase(7 * 24 * 60 * 60 + 1);
+    it("Should let anyone settle a missed reveal, forfeiting the bond and rolling the draw over", async function () {
+      const { drawManager, user4 } = await loadFixture(deployWithCommitRevealFixture);
 
-      await expect(
-        drawManager.executeDraw(0)
+      await drawManager.commitDraw(0, SEED_HASH, { value: BOND });
+      await expect(drawManager.connect(user4).forfeitReveal(1)).to.be.revertedWith("Reveal window still open");
+
+      await mine(5 + 20);
+      const [bucketBefore] = await drawManager.getPrizeBucketStatus(0);
+
+      await expect(drawManager.connect(user4).forfeitReveal(1))
+        .to.emit(drawManager, "DrawRevealForfeited").withArgs(1, BOND)
+        .and.to.emit(drawManager, "DrawRolledOver").withArgs(1, 0, ethers.parseEther("0.01"), false);
+
+      // Nobody wins: the bond joins the bucket and the prize stays in it for the next draw
+      const [bucketAfter] = await drawManager.getPrizeBucketStatus(0);
+      expect(bucketAfter).to.equal(bucketBefore + BOND);
+      expect((await drawManager.getDraw(1)).winner).to.equal(ethers.ZeroAddress);
+      expect((await drawManager.getJackpot(0)).jackpot).to.equal(ethers.parseEther("0.01"));
+      expect(await drawManager.drawExecuted(1)).to.be.true;
+      expect((await drawManager.drawCommitments(1)).forfeited).to.be.true;
+      expect(await drawManager.verifyCommitReveal(1)).to.be.false;
+      await expect(drawManager.revealDraw(1, SEED)).to.be.revertedWith("Already settled");
+    });
+
+    it("Should validate the commit-reveal configuration", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      expect(await drawManager.revealDelayBlocks()).to.equal(5);
+      expect(await drawManager.revealWindowBlocks()).to.equal(256);
+
+      await expect(drawManager.configureCommitReveal(0, 20, 0)).to.be.revertedWith("Reveal delay must be > 0");
+      await expect(drawManager.configureCommitReveal(5, 257, 0)).to.be.revertedWith("Invalid reveal window");
+      await expect(
+        drawManager.connect(user1).configureCommitReveal(5, 20, 0)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ============ MULTI-ASSET PRIZE DISTRIBUTION TESTS ============
+
+  describe("Multi-Asset Prize Distribution", function () {
+    it("Should credit ETH prize to winner", async function () {
+      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "PrizeCredited").withArgs(1, user1.address, ethers.ZeroAddress, ethers.parseEther("1"));
+
+      expect(await drawManager.claimableBalance(user1.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+      await expect(
+        drawManager.connect(user1).claimPrize(ethers.ZeroAddress)
+      ).to.changeEtherBalance(user1, ethers.parseEther("1"));
+    });
+
+    it("Should let the winner claim ERC20 tokens", async function () {
+      const { drawManager, minting, prizeToken1, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+
+      const tokenAmount = ethers.parseEther("1000");
+      await prizeToken1.approve(await drawManager.getAddress(), tokenAmount);
+      await drawManager.fundPrizeBucket(0, [await prizeToken1.getAddress()], [tokenAmount]);
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      await expect(
+        drawManager.connect(user1).claimPrize(await prizeToken1.getAddress())
+      ).to.changeTokenBalance(prizeToken1, user1, tokenAmount);
+    });
+
+    it("Should distribute ETH + multiple ERC20 tokens", async function () {
+      const { drawManager, minting, prizeToken1, prizeToken2, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.5"), 52);
+
+      const amount1 = ethers.parseEther("1000");
+      const amount2 = ethers.parseEther("2000");
+
+      await prizeToken1.approve(await drawManager.getAddress(), amount1);
+      await prizeToken2.approve(await drawManager.getAddress(), amount2);
+
+      await drawManager.fundPrizeBucket(
+        0,
+        [await prizeToken1.getAddress(), await prizeToken2.getAddress()],
+        [amount1, amount2],
+        { value: ethers.parseEther("1") }
+      );
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const draw = await drawManager.getDrawDetails(1);
+      expect(draw.prizeTokens.length).to.equal(2);
+      expect(await drawManager.getDrawPrizeTokenAmount(1, await prizeToken1.getAddress())).to.equal(amount1);
+      expect(await drawManager.getDrawPrizeTokenAmount(1, await prizeToken2.getAddress())).to.equal(amount2);
+    });
+  });
+
+  // ============ MULTI-WINNER DRAW TESTS ============
+
+  describe("Multi-Winner Draws", function () {
+    it("Should split the ETH prize between distinct tickets", async function () {
+      const { drawManager, minting, user1, user2, user3 } = await loadFixture(deployFullSystemFixture);
+
+      // Equal weights, so redraws away from earlier winners land on the others quickly
+      for (const user of [user1, user2, user3]) {
+        await minting.connect(user).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      }
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await expect(drawManager.setPrizeSplits(0, [5000, 3000, 2000], false))
+        .to.emit(drawManager, "PrizeSplitsSet").withArgs(0, [5000, 3000, 2000], false);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      // Three tickets, three places: every ticket wins exactly once
+      const [winners, lottoIDs, ethAmounts] = await drawManager.getDrawWinners(1);
+      expect([...lottoIDs].map(Number).sort()).to.deep.equal([0, 1, 2]);
+      expect(ethAmounts).to.deep.equal([
+        ethers.parseEther("0.005"),
+        ethers.parseEther("0.003"),
+        ethers.parseEther("0.002"),
+      ]);
+
+      const details = await drawManager.getDrawDetails(1);
+      expect(details.winner).to.equal(winners[0]);
+      expect(details.winningLottoID).to.equal(lottoIDs[0]);
+      expect(details.prizeEth).to.equal(ethers.parseEther("0.01"));
+
+      for (const user of [user1, user2, user3]) {
+        expect(await drawManager.getUserWins(user.address)).to.deep.equal([1n]);
+        expect(await drawManager.didUserWin(user.address, 1)).to.be.true;
+      }
+    });
+
+    it("Should leave unfilled places in the bucket when addresses must be distinct", async function () {
+      const { drawManager, minting, user1, user2 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(9, { value: ethers.parseEther("0.512") });
+      await minting.connect(user1).mintWithBaseToken(9, { value: ethers.parseEther("0.512") });
+      await minting.connect(user2).mintWithBaseToken(9, { value: ethers.parseEther("0.512") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.setPrizeSplits(0, [5000, 3000, 2000], true);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const [winners, , ethAmounts] = await drawManager.getDrawWinners(1);
+      expect(winners.length).to.equal(2);
+      expect(new Set(winners).size).to.equal(2);
+
+      const paid = ethAmounts.reduce((sum, amount) => sum + amount, 0n);
+      expect((await drawManager.getDrawDetails(1)).prizeEth).to.equal(paid);
+      const [bucketEth] = await drawManager.getPrizeBucketStatus(0);
+      expect(bucketEth).to.equal(ethers.parseEther("10") - paid);
+    });
+
+    it("Should split every bucket token by the same shares", async function () {
+      const { drawManager, minting, prizeToken1, user1, user2 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.connect(user2).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setPrizeSplits(0, [7000, 3000], false);
+
+      const token = await prizeToken1.getAddress();
+      await prizeToken1.approve(await drawManager.getAddress(), ethers.parseEther("100"));
+      await drawManager.fundPrizeBucket(0, [token], [ethers.parseEther("100")]);
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const [winners] = await drawManager.getDrawWinners(1);
+      expect(await drawManager.getDrawWinnerTokenAmounts(1, token)).to.deep.equal([
+        ethers.parseEther("70"),
+        ethers.parseEther("30"),
+      ]);
+      expect(await drawManager.claimableBalance(winners[0], token)).to.equal(ethers.parseEther("70"));
+      expect(await drawManager.claimableBalance(winners[1], token)).to.equal(ethers.parseEther("30"));
+
+      const [, tokens] = await drawManager.getPrizeBucketStatus(0);
+      expect(tokens.length).to.equal(0);
+    });
+
+    it("Should report each place a user won", async function () {
+      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setPrizeSplits(0, [6000, 4000], false);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const [, lottoIDs] = await drawManager.getDrawWinners(1);
+      const [drawIds, winningLottoIDs] = await drawManager.getUserWinDetails(user1.address);
+      expect(drawIds).to.deep.equal([1n, 1n]);
+      expect(winningLottoIDs).to.deep.equal(lottoIDs);
+    });
+
+    it("Should validate prize splits", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      const [splits, distinct] = await drawManager.getPrizeSplits(0);
+      expect(splits).to.deep.equal([10000n]);
+      expect(distinct).to.be.false;
+
+      await expect(drawManager.setPrizeSplits(0, [], false)).to.be.revertedWith("Invalid winner count");
+      await expect(drawManager.setPrizeSplits(0, Array(11).fill(1000), false)).to.be.revertedWith("Invalid winner count");
+      await expect(drawManager.setPrizeSplits(0, [10000, 0], false)).to.be.revertedWith("Split must be > 0");
+      await expect(drawManager.setPrizeSplits(0, [5000, 4000], false)).to.be.revertedWith("Splits must total 10000");
+      await expect(
+        drawManager.connect(user1).setPrizeSplits(0, [10000], false)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ============ PRIZE CLAIM TESTS ============
+
+  describe("Prize Claims", function () {
+    const WEEK = 7 * 24 * 60 * 60;
+    const CLAIM_WINDOW = 90 * 24 * 60 * 60;
+
+    async function deployWithDrawnPrizeFixture() {
+      const fixture = await deployFullSystemFixture();
+      const { drawManager, minting, prizeToken1, user1 } = fixture;
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await prizeToken1.approve(await drawManager.getAddress(), ethers.parseEther("100"));
+      await drawManager.fundPrizeBucket(
+        0,
+        [await prizeToken1.getAddress()],
+        [ethers.parseEther("100")],
+        { value: ethers.parseEther("10") }
+      );
+
+      await time.increase(WEEK + 1);
+      await drawManager.executeDraw(0);
+
+      return fixture;
+    }
+
+    it("Should complete the draw even when the winner rejects ETH", async function () {
+      const { drawManager, minting } = await loadFixture(deployFullSystemFixture);
+
+      const RejectingReceiver = await ethers.getContractFactory("RejectingReceiver");
+      const receiver = await RejectingReceiver.deploy();
+      await receiver.mintTicket(await minting.getAddress(), 0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await time.increase(WEEK + 1);
+
+      await expect(drawManager.executeDraw(0)).to.not.be.reverted;
+      const receiverAddress = await receiver.getAddress();
+      expect((await drawManager.getDrawDetails(1)).winner).to.equal(receiverAddress);
+      expect(await drawManager.claimableBalance(receiverAddress, ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+
+      // Only the receiver's own claim fails
+      await expect(
+        receiver.claim(await drawManager.getAddress(), ethers.ZeroAddress)
+      ).to.be.revertedWith("ETH transfer failed");
+    });
+
+    it("Should claim every asset at once", async function () {
+      const { drawManager, prizeToken1, user1 } = await loadFixture(deployWithDrawnPrizeFixture);
+      const token = await prizeToken1.getAddress();
+
+      const [assets, amounts] = await drawManager.getClaimableBalances(user1.address);
+      expect(assets).to.deep.equal([ethers.ZeroAddress, token]);
+      expect(amounts).to.deep.equal([ethers.parseEther("1"), ethers.parseEther("100")]);
+
+      const tx = drawManager.connect(user1).claimAll();
+      await expect(tx).to.changeEtherBalance(user1, ethers.parseEther("1"));
+      await expect(tx).to.changeTokenBalance(prizeToken1, user1, ethers.parseEther("100"));
+      await expect(tx).to.emit(drawManager, "PrizeClaimed").withArgs(user1.address, token, ethers.parseEther("100"));
+
+      expect(await drawManager.totalClaimable(ethers.ZeroAddress)).to.equal(0);
+      await expect(drawManager.connect(user1).claimAll()).to.be.revertedWith("Nothing to claim");
+      await expect(drawManager.connect(user1).claimPrize(token)).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should return unclaimed prizes to the bucket after the claim window", async function () {
+      const { drawManager, prizeToken1, user1, user2 } = await loadFixture(deployWithDrawnPrizeFixture);
+      const token = await prizeToken1.getAddress();
+
+      await expect(drawManager.connect(user2).expireUnclaimedPrizes(1)).to.be.revertedWith("Claim window still open");
+
+      await time.increase(CLAIM_WINDOW + 1);
+      await expect(drawManager.connect(user2).expireUnclaimedPrizes(1))
+        .to.emit(drawManager, "PrizesExpired").withArgs(1, ethers.parseEther("1"));
+
+      const [ethAmount, tokens, amounts] = await drawManager.getPrizeBucketStatus(0);
+      expect(ethAmount).to.equal(ethers.parseEther("10"));
+      expect(tokens).to.deep.equal([token]);
+      expect(amounts).to.deep.equal([ethers.parseEther("100")]);
+
+      expect(await drawManager.totalClaimable(ethers.ZeroAddress)).to.equal(0);
+      await expect(drawManager.connect(user1).claimAll()).to.be.revertedWith("Nothing to claim");
+      await expect(drawManager.expireUnclaimedPrizes(1)).to.be.revertedWith("Prizes already expired");
+    });
+
+    it("Should only expire credits the winner hasn't claimed", async function () {
+      const { drawManager, user1 } = await loadFixture(deployWithDrawnPrizeFixture);
+
+      await drawManager.connect(user1).claimAll();
+
+      // Draw 2 is credited after the claim and must survive draw 1 expiring
+      await time.increase(WEEK + 1);
+      await drawManager.executeDraw(0);
+
+      await time.increase(CLAIM_WINDOW - WEEK);
+      await expect(drawManager.expireUnclaimedPrizes(1))
+        .to.emit(drawManager, "PrizesExpired").withArgs(1, 0);
+
+      expect(await drawManager.claimableBalance(user1.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should keep prizes forever with no claim window", async function () {
+      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await expect(drawManager.setClaimWindow(0)).to.emit(drawManager, "ClaimWindowSet").withArgs(0);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await time.increase(WEEK + 1);
+      await drawManager.executeDraw(0);
+
+      await time.increase(CLAIM_WINDOW * 10);
+      await expect(drawManager.expireUnclaimedPrizes(1)).to.be.revertedWith("Prizes do not expire");
+      await expect(drawManager.connect(user1).setClaimWindow(1)).to.be.revertedWithCustomError(
+        drawManager,
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+  });
+
+  // ============ KEEPER DRAW TESTS ============
+
+  describe("Keeper Draws", function () {
+    // Keeper draws take their randomness from VRF
+    async function deployKeeperFixture() {
+      const fixture = await deployWithParticipantsFixture();
+      const vrfCoordinator = await enableVRF(fixture.drawManager);
+      return { ...fixture, vrfCoordinator };
+    }
+
+    it("Should report due draw types in checkUpkeep", async function () {
+      const { drawManager } = await loadFixture(deployKeeperFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.configureDrawType(1, ethers.parseEther("1"), 12);
+
+      let [upkeepNeeded, dueDrawTypes] = await drawManager.checkUpkeep();
+      expect(upkeepNeeded).to.be.false;
+      expect(dueDrawTypes.length).to.equal(0);
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      [upkeepNeeded, dueDrawTypes] = await drawManager.checkUpkeep();
+      expect(upkeepNeeded).to.be.true;
+      expect(dueDrawTypes).to.deep.equal([0n]);
+    });
+
+    it("Should report draws without tickets as due, so they roll over on schedule", async function () {
+      const { drawManager, user4 } = await loadFixture(deployFullSystemFixture);
+
+      await enableVRF(drawManager);
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      const [upkeepNeeded] = await drawManager.checkUpkeep();
+      expect(upkeepNeeded).to.be.true;
+
+      await drawManager.connect(user4).performDraw(0);
+      expect((await drawManager.getDraw(1)).rolledOver).to.be.true;
+    });
+
+    it("Should not report draws as due while paused", async function () {
+      const { drawManager } = await loadFixture(deployKeeperFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.pause();
+
+      const [upkeepNeeded] = await drawManager.checkUpkeep();
+      expect(upkeepNeeded).to.be.false;
+    });
+
+    it("Should let anyone perform a due draw and pay the bounty", async function () {
+      const { drawManager, vrfCoordinator, user4 } = await loadFixture(deployKeeperFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await drawManager.setKeeperBounty(0, ethers.parseEther("0.01"));
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      const tx = drawManager.connect(user4).performDraw(0);
+      await expect(tx)
+        .to.emit(drawManager, "KeeperDrawPerformed")
+        .withArgs(1, 0, user4.address, ethers.parseEther("0.01"));
+      await expect(tx).to.changeEtherBalance(user4, ethers.parseEther("0.01"));
+
+      // The winner is only picked once VRF answers
+      expect(await drawManager.drawExecuted(1)).to.be.false;
+      await vrfCoordinator.fulfillRandomWords(1, await drawManager.getAddress());
+      expect(await drawManager.drawExecuted(1)).to.be.true;
+
+      const bucket = await drawManager.getPrizeBucketStatus(0);
+      expect(bucket.ethAmount).to.equal(ethers.parseEther("8.99"));
+    });
+
+    it("Should cap the bounty at the bucket's ETH", async function () {
+      const { drawManager, vrfCoordinator, user4 } = await loadFixture(deployKeeperFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("0.005") });
+      await drawManager.setKeeperBounty(0, ethers.parseEther("0.01"));
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      await expect(drawManager.connect(user4).performDraw(0))
+        .to.changeEtherBalance(user4, ethers.parseEther("0.005"));
+      await vrfCoordinator.fulfillRandomWords(1, await drawManager.getAddress());
+
+      const draw = await drawManager.getDrawDetails(1);
+      expect(draw.prizeEth).to.equal(0);
+    });
+
+    it("Should reject keeper draws before the interval elapses", async function () {
+      const { drawManager, user4 } = await loadFixture(deployKeeperFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+
+      await expect(
+        drawManager.connect(user4).performDraw(0)
+      ).to.be.revertedWith("Draw interval not elapsed");
+    });
+
+    it("Should reject keeper draws in pseudo-random mode", async function () {
+      const { drawManager, user4 } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await drawManager.setKeeperBounty(0, ethers.parseEther("0.01"));
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      // Whoever triggers a pseudo-random draw could time it to win, so only the operator may
+      const [upkeepNeeded] = await drawManager.checkUpkeep();
+      expect(upkeepNeeded).to.be.false;
+      await expect(
+        drawManager.connect(user4).performDraw(0)
+      ).to.be.revertedWith("No keeper draws in pseudo-random mode");
+
+      await drawManager.executeDraw(0);
+      expect(await drawManager.drawExecuted(1)).to.be.true;
+    });
+
+    it("Should reject keeper draws in commit-reveal mode", async function () {
+      const { drawManager, user4 } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await runTimelocked(drawManager, "setRandomnessMode", [2]);
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      const [upkeepNeeded] = await drawManager.checkUpkeep();
+      expect(upkeepNeeded).to.be.false;
+      await expect(
+        drawManager.connect(user4).performDraw(0)
+      ).to.be.revertedWith("Use commitDraw in commit-reveal mode");
+    });
+
+    it("Should keep owner draws available alongside keeper draws", async function () {
+      const { drawManager, user4 } = await loadFixture(deployKeeperFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      await drawManager.executeDraw(0);
+
+      await expect(
+        drawManager.connect(user4).performDraw(0)
+      ).to.be.revertedWith("Draw interval not elapsed");
+      await expect(
+        drawManager.connect(user4).executeDraw(0)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should reject bounty changes from non-owner", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await expect(
+        drawManager.connect(user1).setKeeperBounty(0, 1)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ============ DRAW PROGRAM TESTS ============
+
+  describe("Draw Programs", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("Should register a program after the built-in draw types", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+
+      const firstDraw = (await time.latest()) + DAY;
+      await expect(
+        drawManager.registerDrawProgram("Daily Micro", DAY, firstDraw, ethers.parseEther("0.01"), 30, 0)
+      ).to.emit(drawManager, "DrawProgramRegistered")
+        .withArgs(4, "Daily Micro", DAY, firstDraw, 0);
+
+      expect(await drawManager.getDrawTypeCount()).to.equal(5);
+
+      const program = await drawManager.getDrawProgram(4);
+      expect(program.name).to.equal("Daily Micro");
+      expect(program.drawInterval).to.equal(DAY);
+      expect(program.nextDrawTime).to.equal(firstDraw);
+      expect(program.oneOff).to.be.false;
+      expect(program.active).to.be.true;
+
+      const [drawTypes, names, , active] = await drawManager.getAllDrawPrograms();
+      expect(drawTypes).to.deep.equal([0n, 1n, 2n, 3n, 4n]);
+      expect(names).to.deep.equal(["Weekly", "Monthly", "Quarterly", "Yearly", "Daily Micro"]);
+      expect(active).to.deep.equal([false, false, false, false, true]);
+    });
+
+    it("Should draw a program from its own bucket on its own schedule", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("5") });
+
+      await drawManager.registerDrawProgram("Daily Micro", DAY, (await time.latest()) + DAY, ethers.parseEther("0.01"), 30, 0);
+      await drawManager.fundPrizeBucket(4, [], [], { value: ethers.parseEther("1") });
+
+      await time.increase(DAY);
+      await expect(drawManager.executeDraw(4)).to.emit(drawManager, "DrawExecuted");
+
+      const draw = await drawManager.getDrawDetails(1);
+      expect(draw.drawType).to.equal(4);
+      expect(draw.prizeEth).to.equal(ethers.parseEther("0.01"));
+      expect((await drawManager.getPrizeBucketStatus(0)).ethAmount).to.equal(ethers.parseEther("5"));
+
+      // The weekly draw isn't due yet, and the next daily draw is a day away
+      await expect(drawManager.executeDraw(0)).to.be.revertedWith("Draw interval not elapsed");
+      await time.increase(DAY);
+      await drawManager.executeDraw(4);
+    });
+
+    it("Should run a one-off program once at its fixed time", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      const drawTime = (await time.latest()) + 3 * DAY;
+      await drawManager.registerDrawProgram("Launch Jackpot", 0, drawTime, ethers.parseEther("1"), 1, 0);
+      await drawManager.fundPrizeBucket(4, [], [], { value: ethers.parseEther("1") });
+
+      expect((await drawManager.getDrawProgram(4)).oneOff).to.be.true;
+      await expect(drawManager.executeDraw(4)).to.be.revertedWith("Draw interval not elapsed");
+
+      await time.increaseTo(drawTime);
+      await drawManager.executeDraw(4);
+
+      expect((await drawManager.getDrawProgram(4)).active).to.be.false;
+      await expect(drawManager.executeDraw(4)).to.be.revertedWith("Draw type not active");
+      await expect(drawManager.setDrawTypeActive(4, true)).to.be.revertedWith("One-off program already drawn");
+      await expect(drawManager.setDrawInterval(4, DAY)).to.be.revertedWith("One-off programs have no interval");
+    });
+
+    it("Should only let eligible tiers win a program", async function () {
+      const { drawManager, user1 } = await loadFixture(deployWithParticipantsFixture);
+
+      // Tier 0 only: user1's weight-1 ticket against 520 weight of other tiers
+      await drawManager.registerDrawProgram("Starter Special", DAY, (await time.latest()) + DAY, ethers.parseEther("0.01"), 30, 1);
+      await drawManager.fundPrizeBucket(4, [], [], { value: ethers.parseEther("1") });
+
+      for (let i = 1; i <= 3; i++) {
+        await time.increase(DAY);
+        await drawManager.executeDraw(4);
+        expect((await drawManager.getDrawDetails(i)).winner).to.equal(user1.address);
+      }
+    });
+
+    it("Should report due programs in checkUpkeep", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await enableVRF(drawManager);
+      await drawManager.registerDrawProgram("Daily Micro", DAY, (await time.latest()) + DAY, ethers.parseEther("0.01"), 30, 0);
+      await time.increase(DAY);
+
+      const [upkeepNeeded, dueDrawTypes] = await drawManager.checkUpkeep();
+      expect(upkeepNeeded).to.be.true;
+      expect(dueDrawTypes).to.deep.equal([4n]);
+    });
+
+    it("Should reject unknown draw types", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+
+      await expect(
+        drawManager.configureDrawType(4, ethers.parseEther("1"), 52)
+      ).to.be.revertedWith("Unknown draw type");
+      await expect(
+        drawManager.fundPrizeBucket(4, [], [], { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Unknown draw type");
+      await expect(drawManager.getDrawProgram(4)).to.be.revertedWith("Unknown draw type");
+    });
+
+    it("Should validate program registration", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+      const firstDraw = (await time.latest()) + DAY;
+
+      await expect(
+        drawManager.registerDrawProgram("", DAY, firstDraw, ethers.parseEther("1"), 1, 0)
+      ).to.be.revertedWith("Name required");
+      await expect(
+        drawManager.registerDrawProgram("Late", DAY, (await time.latest()) - 60, ethers.parseEther("1"), 1, 0)
+      ).to.be.revertedWith("First draw must not be in the past");
+      await expect(
+        drawManager.registerDrawProgram("Free", DAY, firstDraw, 0, 1, 0)
+      ).to.be.revertedWith("Prize must be > 0");
+      await expect(
+        drawManager.connect(user1).registerDrawProgram("Mine", DAY, firstDraw, ethers.parseEther("1"), 1, 0)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ============ ELIGIBILITY TESTS ============
+
+  describe("Draw Eligibility", function () {
+    it("Should only draw eligible tiers", async function () {
+      const { drawManager, user2 } = await loadFixture(deployWithParticipantsFixture);
+
+      // Yearly draw for tiers 5-9: only user2's tier 9 ticket qualifies
+      await drawManager.configureDrawType(3, ethers.parseEther("1"), 4);
+      await expect(drawManager.setEligibility(3, 0x3e0, false))
+        .to.emit(drawManager, "EligibilitySet").withArgs(3, 0x3e0, false);
+      await drawManager.fundPrizeBucket(3, [], [], { value: ethers.parseEther("1") });
+
+      await time.increase(365 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(3);
+
+      const draw = await drawManager.getDraw(1);
+      expect(draw.winner).to.equal(user2.address);
+      expect(draw.totalWeightAtDraw).to.equal(512);
+    });
+
+    it("Should weight eligible tiers by their tickets", async function () {
+      const { drawManager, minting, user1, user3, user4 } = await loadFixture(deployWithParticipantsFixture);
+
+      // Tiers 0 and 3 only: user1 (weight 1), user3 (weight 8) and user4 (weight 8)
+      await minting.connect(user4).mintWithBaseToken(3, { value: ethers.parseEther("0.008") });
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setEligibility(0, 0x9, false);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      const eligible = [user1.address, user3.address, user4.address];
+      for (let i = 1; i <= 5; i++) {
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await drawManager.executeDraw(0);
+
+        const draw = await drawManager.getDraw(i);
+        expect(eligible).to.include(draw.winner);
+        expect(draw.totalWeightAtDraw).to.equal(17);
+      }
+    });
+
+    it("Should roll over a draw with no eligible tickets", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setEligibility(0, 1 << 7, false);
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "DrawRolledOver")
+        .withArgs(1, 0, ethers.parseEther("0.02"), true);
+      expect((await drawManager.getDraw(1)).winner).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should only draw tickets minted since the previous draw", async function () {
+      const { drawManager, minting, user4 } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setEligibility(0, 0x3ff, true);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      // Nothing new minted since: the draw rolls over
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+      expect((await drawManager.getDraw(2)).rolledOver).to.be.true;
+
+      // A single low-weight ticket wins against the earlier heavy tickets
+      await minting.connect(user4).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const draw = await drawManager.getDraw(3);
+      expect(draw.winner).to.equal(user4.address);
+      expect(draw.winningLottoID).to.equal(3);
+      expect(draw.participantCountAtDraw).to.equal(1);
+      expect(draw.totalWeightAtDraw).to.equal(1);
+    });
+
+    it("Should reject tier masks outside the 10 tiers", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+      const firstDraw = (await time.latest()) + 24 * 60 * 60;
+
+      await expect(drawManager.setEligibility(0, 0, false)).to.be.revertedWith("Invalid tier mask");
+      await expect(drawManager.setEligibility(0, 1 << 10, false)).to.be.revertedWith("Invalid tier mask");
+      await expect(
+        drawManager.registerDrawProgram("Tier 10", 0, firstDraw, ethers.parseEther("1"), 1, 1 << 10)
+      ).to.be.revertedWith("Invalid tier mask");
+
+      // Every tier is stored as no filter
+      await expect(drawManager.setEligibility(0, 0x3ff, false))
+        .to.emit(drawManager, "EligibilitySet").withArgs(0, 0x3ff, false);
+      expect((await drawManager.getDrawProgram(0)).eligibleTierMask).to.equal(0);
+    });
+
+    it("Should reject eligibility changes from non-owner", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await expect(
+        drawManager.connect(user1).setEligibility(0, 1, false)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ============ ROLLOVER JACKPOT TESTS ============
+
+  describe("Rollover Jackpot", function () {
+    it("Should carry a draw's prize into the next draw when nobody can win", async function () {
+      const { drawManager, user2 } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setEligibility(0, 1 << 9, true);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+      expect((await drawManager.getDraw(1)).winner).to.equal(user2.address);
+
+      // No new tickets since the first draw
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "DrawRolledOver")
+        .withArgs(2, 0, ethers.parseEther("0.02"), true)
+        .and.to.emit(drawManager, "DrawExecuted")
+        .withArgs(2, 0, ethers.ZeroAddress, 0, 0);
+
+      const draw = await drawManager.getDraw(2);
+      expect(draw.rolledOver).to.be.true;
+      expect(draw.winner).to.equal(ethers.ZeroAddress);
+      expect(await drawManager.drawExecuted(2)).to.be.true;
+
+      const jackpot = await drawManager.getJackpot(0);
+      expect(jackpot.jackpot).to.equal(ethers.parseEther("0.02"));
+      expect(jackpot.rolloverAmount).to.equal(ethers.parseEther("0.01"));
+      expect(jackpot.rolloverCount).to.equal(1);
+      expect((await drawManager.getPrizeBucketStatus(0)).ethAmount).to.equal(ethers.parseEther("0.99"));
+    });
+
+    it("Should pay the accumulated jackpot to the next winner", async function () {
+      const { drawManager, minting, user4 } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setEligibility(0, 1 << 7, false);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      for (let i = 0; i < 2; i++) {
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await drawManager.executeDraw(0);
+      }
+      expect((await drawManager.getJackpot(0)).jackpot).to.equal(ethers.parseEther("0.03"));
+
+      // The first tier 7 ticket wins all three draws' prizes
+      await minting.connect(user4).mintWithBaseToken(7, { value: ethers.parseEther("0.128") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const draw = await drawManager.getDrawDetails(3);
+      expect(draw.winner).to.equal(user4.address);
+      expect(draw.prizeEth).to.equal(ethers.parseEther("0.03"));
+      expect(await drawManager.claimableBalance(user4.address, ethers.ZeroAddress)).to.equal(ethers.parseEther("0.03"));
+
+      const jackpot = await drawManager.getJackpot(0);
+      expect(jackpot.jackpot).to.equal(ethers.parseEther("0.01"));
+      expect(jackpot.rolloverCount).to.equal(0);
+    });
+
+    it("Should roll over instead of paying less when the bucket is underfunded", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1.5") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+      expect((await drawManager.getDrawDetails(1)).prizeEth).to.equal(ethers.parseEther("1"));
+
+      // 0.5 ETH left against a 1 ETH prize; the unpaid prize isn't added to the jackpot
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "DrawRolledOver")
+        .withArgs(2, 0, ethers.parseEther("1"), false);
+      expect((await drawManager.getPrizeBucketStatus(0)).ethAmount).to.equal(ethers.parseEther("0.5"));
+
+      const jackpot = await drawManager.getJackpot(0);
+      expect(jackpot.rolloverAmount).to.equal(0);
+      expect(jackpot.rolloverCount).to.equal(1);
+
+      // Topping up covers the 1 ETH jackpot
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("0.5") });
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+      expect((await drawManager.getDrawDetails(3)).prizeEth).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should pay token prizes when the bucket can't cover the ETH jackpot", async function () {
+      const { drawManager, prizeToken1 } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("0.5") });
+      const token = await prizeToken1.getAddress();
+      await prizeToken1.approve(await drawManager.getAddress(), ethers.parseEther("100"));
+      await drawManager.fundPrizeBucket(0, [token], [ethers.parseEther("100")]);
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const draw = await drawManager.getDrawDetails(1);
+      expect(draw.winner).to.not.equal(ethers.ZeroAddress);
+      expect(draw.prizeEth).to.equal(ethers.parseEther("0.5"));
+      expect(await drawManager.getDrawPrizeTokenAmount(1, token)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should force a payout once the jackpot must be won", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("0.5") });
+      await expect(drawManager.setMustBeWonAfter(0, 2))
+        .to.emit(drawManager, "MustBeWonAfterSet").withArgs(0, 2);
+
+      for (let i = 1; i <= 2; i++) {
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await drawManager.executeDraw(0);
+        expect((await drawManager.getDraw(i)).rolledOver).to.be.true;
+      }
+
+      const jackpot = await drawManager.getJackpot(0);
+      expect(jackpot.jackpot).to.equal(ethers.parseEther("1"));
+      expect(jackpot.mustBeWon).to.be.true;
+
+      // The bucket's 0.5 ETH is paid out in place of the 1 ETH jackpot
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      const draw = await drawManager.getDrawDetails(3);
+      expect(draw.winner).to.not.equal(ethers.ZeroAddress);
+      expect(draw.prizeEth).to.equal(ethers.parseEther("0.5"));
+      expect((await drawManager.getJackpot(0)).mustBeWon).to.be.false;
+    });
+
+    it("Should not force a payout when nobody can win", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("0.01"), 52);
+      await drawManager.setEligibility(0, 1 << 7, false);
+      await drawManager.setMustBeWonAfter(0, 1);
+
+      for (let i = 1; i <= 3; i++) {
+        await time.increase(7 * 24 * 60 * 60 + 1);
+        await drawManager.executeDraw(0);
+        expect((await drawManager.getDraw(i)).rolledOver).to.be.true;
+      }
+      expect((await drawManager.getJackpot(0)).rolloverCount).to.equal(3);
+    });
+
+    it("Should reject must-be-won changes from non-owner", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await expect(
+        drawManager.connect(user1).setMustBeWonAfter(0, 1)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ============ BUCKET SAFEGUARD TESTS ============
+
+  describe("Bucket Safeguards", function () {
+    const DEFUND_DELAY = 7 * 24 * 60 * 60;
+
+    it("Should track funds allocated across buckets", async function () {
+      const { drawManager, prizeToken1 } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("3") });
+      await prizeToken1.approve(await drawManager.getAddress(), ethers.parseEther("100"));
+      await drawManager.fundPrizeBucket(1, [await prizeToken1.getAddress()], [ethers.parseEther("100")], {
+        value: ethers.parseEther("2")
+      });
+
+      expect(await drawManager.totalAllocated(ethers.ZeroAddress)).to.equal(ethers.parseEther("5"));
+      expect(await drawManager.totalAllocated(await prizeToken1.getAddress())).to.equal(ethers.parseEther("100"));
+
+      // A draw moves its prize from the bucket to the winner's claimable balance
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await drawManager.executeDraw(0);
+
+      expect(await drawManager.totalAllocated(ethers.ZeroAddress)).to.equal(ethers.parseEther("4"));
+      expect(await drawManager.totalClaimable(ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+      expect(await drawManager.getUnallocatedBalance(ethers.ZeroAddress)).to.equal(0);
+    });
+
+    it("Should limit emergency withdrawals to the unallocated surplus", async function () {
+      const { drawManager, prizeToken1, owner } = await loadFixture(deployFullSystemFixture);
+      const drawManagerAddress = await drawManager.getAddress();
+
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await prizeToken1.approve(drawManagerAddress, ethers.parseEther("100"));
+      await drawManager.fundPrizeBucket(0, [await prizeToken1.getAddress()], [ethers.parseEther("100")]);
+
+      await expect(
+        drawManager.emergencyWithdraw(ethers.ZeroAddress, 1)
+      ).to.be.revertedWith("Exceeds unallocated balance");
+      await expect(
+        drawManager.emergencyWithdraw(await prizeToken1.getAddress(), 1)
+      ).to.be.revertedWith("Exceeds unallocated balance");
+
+      // Funds sent straight to the contract aren't in any bucket
+      await owner.sendTransaction({ to: drawManagerAddress, value: ethers.parseEther("1") });
+      await prizeToken1.transfer(drawManagerAddress, ethers.parseEther("5"));
+      expect(await drawManager.getUnallocatedBalance(ethers.ZeroAddress)).to.equal(ethers.parseEther("1"));
+
+      await expect(
+        drawManager.emergencyWithdraw(ethers.ZeroAddress, ethers.parseEther("1"))
+      ).to.changeEtherBalance(owner, ethers.parseEther("1"));
+      await expect(
+        drawManager.emergencyWithdraw(await prizeToken1.getAddress(), ethers.parseEther("5"))
+      ).to.changeTokenBalance(prizeToken1, owner, ethers.parseEther("5"));
+
+      const bucket = await drawManager.getPrizeBucketStatus(0);
+      expect(bucket.ethAmount).to.equal(ethers.parseEther("10"));
+      expect(bucket.amounts[0]).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should withdraw from a bucket only after the defund delay", async function () {
+      const { drawManager, owner } = await loadFixture(deployFullSystemFixture);
+
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+
+      const executeAfter = (await time.latest()) + 1 + DEFUND_DELAY;
+      await expect(drawManager.requestBucketDefund(0, ethers.ZeroAddress, ethers.parseEther("4")))
+        .to.emit(drawManager, "BucketDefundRequested")
+        .withArgs(1, 0, ethers.ZeroAddress, ethers.parseEther("4"), executeAfter);
+
+      await expect(drawManager.executeBucketDefund(1)).to.be.revertedWith("Defund delay not elapsed");
+
+      await time.increaseTo(executeAfter);
+      const tx = drawManager.executeBucketDefund(1);
+      await expect(tx)
+        .to.emit(drawManager, "BucketDefunded")
+        .withArgs(1, 0, ethers.ZeroAddress, ethers.parseEther("4"));
+      await expect(tx).to.changeEtherBalance(owner, ethers.parseEther("4"));
+
+      expect((await drawManager.getPrizeBucketStatus(0)).ethAmount).to.equal(ethers.parseEther("6"));
+      expect(await drawManager.totalAllocated(ethers.ZeroAddress)).to.equal(ethers.parseEther("6"));
+      await expect(drawManager.executeBucketDefund(1)).to.be.revertedWith("Defund not pending");
+    });
+
+    it("Should only take what the bucket still holds when the defund executes", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("3") });
+      await drawManager.requestBucketDefund(0, ethers.ZeroAddress, ethers.parseEther("3"));
+
+      await time.increase(DEFUND_DELAY);
+      await drawManager.executeDraw(0);
+
+      await expect(drawManager.executeBucketDefund(1))
+        .to.emit(drawManager, "BucketDefunded")
+        .withArgs(1, 0, ethers.ZeroAddress, ethers.parseEther("2"));
+
+      // The winner's prize stays claimable
+      expect(await ethers.provider.getBalance(await drawManager.getAddress())).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should drop an emptied token from the bucket", async function () {
+      const { drawManager, prizeToken1 } = await loadFixture(deployFullSystemFixture);
+      const token = await prizeToken1.getAddress();
+
+      await prizeToken1.approve(await drawManager.getAddress(), ethers.parseEther("200"));
+      await drawManager.fundPrizeBucket(0, [token], [ethers.parseEther("100")]);
+      await drawManager.requestBucketDefund(0, token, ethers.parseEther("100"));
+      await time.increase(DEFUND_DELAY);
+      await drawManager.executeBucketDefund(1);
+
+      expect((await drawManager.getPrizeBucketStatus(0)).tokens).to.deep.equal([]);
+
+      await drawManager.fundPrizeBucket(0, [token], [ethers.parseEther("100")]);
+      expect((await drawManager.getPrizeBucketStatus(0)).tokens).to.deep.equal([token]);
+    });
+
+    it("Should cancel a pending defund", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await drawManager.requestBucketDefund(0, ethers.ZeroAddress, ethers.parseEther("4"));
+
+      await expect(drawManager.cancelBucketDefund(1))
+        .to.emit(drawManager, "BucketDefundCancelled").withArgs(1);
+
+      await time.increase(DEFUND_DELAY);
+      await expect(drawManager.executeBucketDefund(1)).to.be.revertedWith("Defund not pending");
+      expect((await drawManager.getPrizeBucketStatus(0)).ethAmount).to.equal(ethers.parseEther("10"));
+    });
+
+    it("Should validate defund requests and delays", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      await expect(
+        drawManager.requestBucketDefund(0, ethers.ZeroAddress, ethers.parseEther("2"))
+      ).to.be.revertedWith("Exceeds bucket balance");
+      await expect(
+        drawManager.requestBucketDefund(0, ethers.ZeroAddress, 0)
+      ).to.be.revertedWith("Amount must be > 0");
+      await expect(drawManager.setBucketDefundDelay(60 * 60)).to.be.revertedWith("Delay below minimum");
+
+      await expect(drawManager.setBucketDefundDelay(2 * DEFUND_DELAY))
+        .to.emit(drawManager, "BucketDefundDelaySet").withArgs(2 * DEFUND_DELAY);
+      expect(await drawManager.bucketDefundDelay()).to.equal(2 * DEFUND_DELAY);
+    });
+
+    it("Should reject defunds from non-owner", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+
+      await expect(
+        drawManager.connect(user1).requestBucketDefund(0, ethers.ZeroAddress, 1)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+
+      await drawManager.requestBucketDefund(0, ethers.ZeroAddress, 1);
+      await time.increase(DEFUND_DELAY);
+      await expect(
+        drawManager.connect(user1).executeBucketDefund(1)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ============ ROUND LOCK TESTS ============
+
+  describe("Round Lock", function () {
+    const WEEK = 7 * 24 * 60 * 60;
+
+    it("Should lock a draw type from when it's due until its draw completes", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+
+      expect(await drawManager.isDrawLocked(0)).to.be.false; // Not configured
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      expect(await drawManager.isDrawLocked(0)).to.be.false;
+
+      await time.increase(WEEK + 1);
+      expect(await drawManager.isDrawLocked(0)).to.be.true;
+      expect(await drawManager.entriesLocked()).to.be.true;
+
+      const locked = "Draw type locked until draw completes";
+      await expect(drawManager.configureDrawType(0, ethers.parseEther("5"), 52)).to.be.revertedWith(locked);
+      await expect(drawManager.setPrizeSplits(0, [6000, 4000], false)).to.be.revertedWith(locked);
+      await expect(drawManager.setEligibility(0, 1, false)).to.be.revertedWith(locked);
+      await expect(drawManager.setMustBeWonAfter(0, 1)).to.be.revertedWith(locked);
+      await expect(drawManager.setKeeperBounty(0, 1)).to.be.revertedWith(locked);
+      await expect(drawManager.setDrawInterval(0, WEEK * 2)).to.be.revertedWith(locked);
+      await expect(
+        drawManager.scheduleNextDraw(0, (await time.latest()) + WEEK)
+      ).to.be.revertedWith(locked);
+
+      // Other draw types stay configurable
+      await drawManager.configureDrawType(1, ethers.parseEther("1"), 12);
+
+      await drawManager.executeDraw(0);
+      expect(await drawManager.isDrawLocked(0)).to.be.false;
+      expect(await drawManager.entriesLocked()).to.be.false;
+      await drawManager.configureDrawType(0, ethers.parseEther("5"), 52);
+    });
+
+    it("Should stay locked while a draw waits for its random number", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+      const seed = ethers.hexlify(ethers.randomBytes(32));
+
+      await runTimelocked(drawManager, "setRandomnessMode", [2]); // COMMIT_REVEAL
+      await drawManager.configureCommitReveal(5, 20, 0);
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await time.increase(WEEK + 1);
+
+      await drawManager.commitDraw(0, ethers.keccak256(seed));
+      expect(await drawManager.latestDrawId(0)).to.equal(1);
+      expect(await drawManager.isDrawLocked(0)).to.be.true; // Next draw not due, but this one is pending
+
+      await mine(6);
+      await drawManager.revealDraw(1, seed);
+      expect(await drawManager.isDrawLocked(0)).to.be.false;
+    });
+
+    it("Should release the lock when a draw type is deactivated", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+      const seed = ethers.hexlify(ethers.randomBytes(32));
+
+      await runTimelocked(drawManager, "setRandomnessMode", [2]); // COMMIT_REVEAL
+      await drawManager.configureCommitReveal(5, 20, 0);
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+      await time.increase(WEEK + 1);
+
+      // Due
+      await drawManager.setDrawTypeActive(0, false);
+      expect(await drawManager.isDrawLocked(0)).to.be.false;
+      expect(await drawManager.entriesLocked()).to.be.false;
+      await drawManager.setDrawTypeActive(0, true);
+
+      // Pending
+      await drawManager.commitDraw(0, ethers.keccak256(seed));
+      await drawManager.setDrawTypeActive(0, false);
+      expect(await drawManager.isDrawLocked(0)).to.be.false;
+      await drawManager.setPrizeSplits(0, [6000, 4000], false);
+
+      // The pending draw still completes
+      await mine(6);
+      await expect(drawManager.revealDraw(1, seed)).to.emit(drawManager, "DrawExecuted");
+    });
+
+    it("Should keep a one-off program locked while its draw is pending", async function () {
+      const { drawManager } = await loadFixture(deployWithParticipantsFixture);
+      const seed = ethers.hexlify(ethers.randomBytes(32));
+
+      await runTimelocked(drawManager, "setRandomnessMode", [2]); // COMMIT_REVEAL
+      await drawManager.configureCommitReveal(5, 20, 0);
+      await drawManager.registerDrawProgram("Launch Party", 0, (await time.latest()) + WEEK, ethers.parseEther("0.1"), 1, 0);
+      await drawManager.fundPrizeBucket(4, [], [], { value: ethers.parseEther("1") });
+      await time.increase(WEEK);
+
+      await drawManager.commitDraw(4, ethers.keccak256(seed));
+      expect((await drawManager.getDrawProgram(4)).active).to.be.false;
+      expect(await drawManager.isDrawLocked(4)).to.be.true;
+
+      await mine(6);
+      await drawManager.revealDraw(1, seed);
+      expect(await drawManager.isDrawLocked(4)).to.be.false;
+    });
+
+    it("Should freeze tier weights and prices while any draw is locked", async function () {
+      const { drawManager, minting } = await loadFixture(deployWithParticipantsFixture);
+
+      await minting.setDrawManager(await drawManager.getAddress());
+      await drawManager.configureDrawType(3, ethers.parseEther("1"), 4);
+      await drawManager.fundPrizeBucket(3, [], [], { value: ethers.parseEther("10") });
+      await minting.setTierPrice(0, ethers.parseEther("0.002"), 0, 0);
+
+      // Queued so it's ready, and not yet expired, once the yearly draw is due
+      const delay = await minting.timelockDelay();
+      await time.increase(365n * 24n * 60n * 60n - delay);
+      await minting.queueChange(minting.interface.encodeFunctionData("setTierWeight", [0, 3]));
+      await time.increase(delay + 1n);
+      expect(await minting.tiersLocked()).to.be.true;
+
+      const locked = "Tiers locked until draw completes";
+      await expect(minting.setTierWeight(0, 3)).to.be.revertedWith(locked);
+      await expect(minting.setTierPrice(0, ethers.parseEther("0.003"), 0, 0)).to.be.revertedWith(locked);
+      await expect(minting.setTierPriceInRewardPoints(0, 100)).to.be.revertedWith(locked);
+
+      await drawManager.executeDraw(3);
+      expect(await minting.tiersLocked()).to.be.false;
+      await expect(minting.setTierWeight(0, 3)).to.emit(minting, "TierWeightSet").withArgs(0, 3);
+    });
+
+    it("Should stop freezing tiers once a lock is a week old", async function () {
+      const { drawManager, minting } = await loadFixture(deployWithParticipantsFixture);
+
+      await minting.setDrawManager(await drawManager.getAddress());
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await time.increase(WEEK + 1);
+      expect(await minting.tiersLocked()).to.be.true;
+
+      // Nobody runs the draw: its own config stays locked, the tiers don't
+      await time.increase(WEEK);
+      expect(await drawManager.isDrawLocked(0)).to.be.true;
+      expect(await drawManager.entriesLocked()).to.be.false;
+      await minting.setTierPrice(0, ethers.parseEther("0.003"), 0, 0);
+    });
+  });
+
+  // ============ ADMIN ROLES AND TIMELOCK TESTS ============
+
+  describe("Admin Roles and Timelock", function () {
+    const TIMELOCK_DELAY = 2 * 24 * 60 * 60;
+
+    it("Should grant every role to the deployer", async function () {
+      const { drawManager, owner } = await loadFixture(deployFullSystemFixture);
+
+      for (const role of ["DEFAULT_ADMIN_ROLE", "PRICE_ADMIN_ROLE", "DRAW_OPERATOR_ROLE", "TREASURER_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"]) {
+        expect(await drawManager.hasRole(await drawManager[role](), owner.address)).to.be.true;
+      }
+      expect(await drawManager.timelockDelay()).to.equal(TIMELOCK_DELAY);
+      await expect(drawManager.initializeBucketSafeguards()).to.be.revertedWith("Safeguards already initialized");
+    });
+
+    it("Should grant the roles in the upgrade that migrates a pre-roles proxy", async function () {
+      const [owner] = await ethers.getSigners();
+      const legacy = await upgrades.deployProxy(await ethers.getContractFactory("OwnableUUPSMock"), [], { kind: "uups" });
+      const proxyAddress = await legacy.getAddress();
+
+      // The old implementation authorizes this upgrade for the owner
+      const { factory, constructorArgs } = await getDrawManagerFactory();
+      const implementation = await upgrades.prepareUpgrade(proxyAddress, factory, { constructorArgs });
+      const extension = await ethers.getContractAt("LotteryDrawManagerExtension", proxyAddress);
+      await legacy.upgradeToAndCall(implementation, extension.interface.encodeFunctionData("initializeBucketSafeguards"));
+
+      const drawManager = await ethers.getContractAt("LotteryDrawManagerV2", proxyAddress);
+      for (const role of ["DEFAULT_ADMIN_ROLE", "PRICE_ADMIN_ROLE", "DRAW_OPERATOR_ROLE", "TREASURER_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"]) {
+        expect(await drawManager.hasRole(await drawManager[role](), owner.address)).to.be.true;
+      }
+      expect(await extension.bucketDefundDelay()).to.equal(7 * 24 * 60 * 60);
+      await expect(extension.initializeBucketSafeguards()).to.be.revertedWithCustomError(extension, "InvalidInitialization");
+
+      // From here on upgrades go through the timelock
+      await expect(drawManager.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Change not queued");
+      await expect(runTimelocked(drawManager, "upgradeToAndCall", [implementation, "0x"])).to.emit(drawManager, "Upgraded");
+    });
+
+    it("Should limit each role to its own functions", async function () {
+      const { drawManager, owner, user4, user5 } = await loadFixture(deployWithParticipantsFixture);
+
+      await drawManager.grantRole(await drawManager.DRAW_OPERATOR_ROLE(), user4.address);
+      await drawManager.grantRole(await drawManager.TREASURER_ROLE(), user5.address);
+
+      // The treasurer funds, the operator draws - neither can do the other's job
+      await expect(
+        drawManager.connect(user4).fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") })
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+      await drawManager.connect(user5).fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") });
+      await drawManager.connect(user4).configureDrawType(0, ethers.parseEther("0.5"), 52);
+      await time.increase(7 * 24 * 60 * 60 + 1);
+      await expect(
+        drawManager.connect(user5).executeDraw(0)
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+      await expect(drawManager.connect(user4).executeDraw(0)).to.emit(drawManager, "DrawExecuted");
+
+      await expect(
+        drawManager.connect(user4).pause()
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+
+      // Emergency funds still go to the owner, whoever withdraws them
+      await owner.sendTransaction({ to: await drawManager.getAddress(), value: ethers.parseEther("1") });
+      await expect(
+        drawManager.connect(user5).emergencyWithdraw(ethers.ZeroAddress, ethers.parseEther("1"))
+      ).to.changeEtherBalance(owner, ethers.parseEther("1"));
+    });
+
+    it("Should only make a timelocked change once queued and delayed", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+      const data = drawManager.interface.encodeFunctionData("setRandomnessMode", [2]);
+      const changeId = ethers.keccak256(data);
+
+      await expect(drawManager.setRandomnessMode(2)).to.be.revertedWith("Change not queued");
+
+      const tx = drawManager.queueChange(data);
+      await expect(tx).to.emit(drawManager, "ChangeQueued");
+      const readyAt = (await time.latest()) + TIMELOCK_DELAY;
+      expect(await drawManager.getChangeReadyTime(data)).to.equal(readyAt);
+      await expect(drawManager.queueChange(data)).to.be.revertedWith("Change already queued");
+
+      await expect(drawManager.setRandomnessMode(2)).to.be.revertedWith("Timelock not elapsed");
+      // Only the exact queued call runs
+      await time.increase(TIMELOCK_DELAY);
+      await expect(drawManager.setRandomnessMode(1)).to.be.revertedWith("Change not queued");
+
+      await expect(drawManager.setRandomnessMode(2))
+        .to.emit(drawManager, "ChangeExecuted").withArgs(changeId)
+        .and.to.emit(drawManager, "RandomnessModeChanged").withArgs(0, 2);
+      expect(await drawManager.getChangeReadyTime(data)).to.equal(0);
+      await expect(drawManager.setRandomnessMode(2)).to.be.revertedWith("Change not queued");
+    });
+
+    it("Should let a queued change be cancelled", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+      const data = drawManager.interface.encodeFunctionData("setRandomnessMode", [1]);
+
+      await drawManager.queueChange(data);
+      await expect(drawManager.cancelChange(data))
+        .to.emit(drawManager, "ChangeCancelled").withArgs(ethers.keccak256(data));
+
+      await time.increase(TIMELOCK_DELAY);
+      await expect(drawManager.setRandomnessMode(1)).to.be.revertedWith("Change not queued");
+      await expect(drawManager.cancelChange(data)).to.be.revertedWith("Change not queued");
+    });
+
+    it("Should only queue timelocked functions, for holders of their role", async function () {
+      const { drawManager, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await expect(
+        drawManager.queueChange(drawManager.interface.encodeFunctionData("pause"))
+      ).to.be.revertedWith("Not a timelocked function");
+      await expect(drawManager.queueChange("0x12")).to.be.revertedWith("Invalid call data");
+      await expect(
+        drawManager.connect(user1).queueChange(drawManager.interface.encodeFunctionData("setRandomnessMode", [1]))
+      ).to.be.revertedWithCustomError(drawManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should timelock upgrades", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+      const { factory, constructorArgs } = await getDrawManagerFactory();
+      const implementation = await upgrades.prepareUpgrade(await drawManager.getAddress(), factory, { constructorArgs });
+
+      await expect(drawManager.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Change not queued");
+
+      await runTimelocked(drawManager, "upgradeToAndCall", [implementation, "0x"]);
+      expect(await upgrades.erc1967.getImplementationAddress(await drawManager.getAddress())).to.equal(implementation);
+    });
+
+    it("Should timelock changes to the timelock delay", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+
+      await expect(drawManager.setTimelockDelay(3 * TIMELOCK_DELAY)).to.be.revertedWith("Change not queued");
+      await expect(
+        runTimelocked(drawManager, "setTimelockDelay", [60 * 60])
+      ).to.be.revertedWith("Delay below minimum");
+
+      await expect(runTimelocked(drawManager, "setTimelockDelay", [3 * TIMELOCK_DELAY]))
+        .to.emit(drawManager, "TimelockDelaySet").withArgs(3 * TIMELOCK_DELAY);
+      expect(await drawManager.timelockDelay()).to.equal(3 * TIMELOCK_DELAY);
+    });
+  });
+
+  // ============ EDGE CASE AND ERROR TESTS ============
+
+  describe("Edge Cases and Errors", function () {
+    it("Should roll over draw when no participants", async function () {
+      const { drawManager } = await loadFixture(deployFullSystemFixture);
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "DrawRolledOver")
+        .withArgs(1, 0, ethers.parseEther("2"), true);
+      expect(await drawManager.drawExecuted(1)).to.be.true;
+    });
+
+    it("Should reject draw before interval elapsed", async function () {
+      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("10") });
+
+      await expect(
+        drawManager.executeDraw(0)
+      ).to.be.revertedWith("Draw interval not elapsed");
+    });
+
+    it("Should reject draw when not configured", async function () {
+      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      await expect(
+        drawManager.executeDraw(0)
+      ).to.be.revertedWith("Draw type not active");
+    });
+
+    it("Should reject draw when inactive", async function () {
+      const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await drawManager.configureDrawType(0, ethers.parseEther("1"), 52);
+      await drawManager.setDrawTypeActive(0, false);
+
+      await time.increase(7 * 24 * 60 * 60 + 1);
+
+      await expect(
+        drawManager.executeDraw(0)
       ).to.be.revertedWith("Draw type not active");
     });
 
-    it("Should handle prize pool smaller than configured amount", async function () {
+    it("Should roll over when the prize pool is smaller than configured amount", async function () {
       const { drawManager, minting, user1 } = await loadFixture(deployFullSystemFixture);
 
       await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
@@ -612,10 +2432,13 @@ describe("LotteryDrawManagerV2 - Unit Tests", function () {
       await drawManager.fundPrizeBucket(0, [], [], { value: ethers.parseEther("1") }); // Less than configured
 
       await time.increase(7 * 24 * 60 * 60 + 1);
-      await drawManager.executeDraw(0);
+      await expect(drawManager.executeDraw(0))
+        .to.emit(drawManager, "DrawRolledOver")
+        .withArgs(1, 0, ethers.parseEther("10"), false);
 
       const draw = await drawManager.getDrawDetails(1);
-      expect(draw.prizeEth).to.equal(ethers.parseEther("1")); // Should use actual bucket amount
+      expect(draw.prizeEth).to.equal(0);
+      expect(draw.winner).to.equal(ethers.ZeroAddress);
     });
   });
 
@@ -2,6 +2,13 @@ const { expect } = require("chai");
 const { ethers, upgrades } = require("hardhat");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
 
+// Timelocked admin calls only run once queued and the timelock delay has passed
+async function runTimelocked(contract, fn, args) {
+  await contract.queueChange(contract.interface.encodeFunctionData(fn, args));
+  await time.increase(await contract.timelockDelay());
+  return contract[fn](...args);
+}
+
 describe("NFTLotteryMintingTierV11 - Unit Tests", function () {
 
   // ============ FIXTURES ============
@@ -119,7 +126,7 @@ describe("NFTLotteryMintingTierV11 - Unit Tests", function () {
 
       await expect(
         minting.connect(user1).setTierPrice(0, ethers.parseEther("0.001"), 0, 0)
-      ).to.be.revertedWithCustomError(minting, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
     });
 
     it("Should reject setting prices for invalid tier", async function () {
@@ -142,7 +149,7 @@ describe("NFTLotteryMintingTierV11 - Unit Tests", function () {
       const { minting } = await loadFixture(deployMintingFixture);
 
       await expect(
-        minting.setTierWeight(0, 10)
+        runTimelocked(minting, "setTierWeight", [0, 10])
       ).to.emit(minting, "TierWeightSet")
         .withArgs(0, 10);
 
@@ -153,7 +160,7 @@ describe("NFTLotteryMintingTierV11 - Unit Tests", function () {
       const { minting } = await loadFixture(deployMintingFixture);
 
       await expect(
-        minting.setTierWeight(0, 0)
+        runTimelocked(minting, "setTierWeight", [0, 0])
       ).to.be.revertedWith("Weight must be greater than 0");
     });
   });
@@ -303,17 +310,19 @@ describe("NFTLotteryMintingTierV11 - Unit Tests", function () {
       const receipt = await tx.wait();
 
       console.log(`      Tier 0 (weight 1) gas used: ${receipt.gasUsed}`);
-      expect(receipt.gasUsed).to.be.below(350000); // Proxy has overhead
+      // Proxy has overhead, and a first mint pays fresh-slot writes for its tier index entry and mint time
+      expect(receipt.gasUsed).to.be.below(400000);
     });
 
-    it("Should mint Tier 9 with ~200k gas (98% improvement)", async function () {
+    it("Should mint Tier 9 within gas limit", async function () {
       const { minting, user1 } = await loadFixture(deployWithPricesFixture);
 
       const tx = await minting.connect(user1).mintWithBaseToken(9, { value: ethers.parseEther("1.0") });
       const receipt = await tx.wait();
 
       console.log(`      Tier 9 (weight 512) gas used: ${receipt.gasUsed}`);
-      expect(receipt.gasUsed).to.be.below(350000); // Proxy has overhead but still efficient
+      // As tier 0, plus non-zero tier writes for the token and its participant entry
+      expect(receipt.gasUsed).to.be.below(450000);
     });
 
     it("Should scale linearly with multiple mints", async function () {
@@ -364,6 +373,25 @@ describe("NFTLotteryMintingTierV11 - Unit Tests", function () {
       expect(await minting.balanceOf(user1.address)).to.equal(0);
     });
 
+    it("Should void a burned ticket's weight", async function () {
+      const { minting, user1 } = await loadFixture(deployWithPricesFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.connect(user1).mintWithBaseToken(3, { value: ethers.parseEther("0.01") });
+
+      await expect(minting.connect(user1).burn(1))
+        .to.emit(minting, "LottoEntryVoided").withArgs(1, 8);
+
+      expect(await minting.isBurned(1)).to.be.true;
+      expect(await minting.isBurned(0)).to.be.false;
+      expect(await minting.burnedWeight()).to.equal(8);
+      expect(await minting.roundBurnedWeight(1)).to.equal(8);
+
+      // The range stays in place so later ranges remain valid
+      expect(await minting.totalWeight()).to.equal(9);
+      expect(await minting.getParticipantCount()).to.equal(2);
+    });
+
     it("Should reject burning by non-owner", async function () {
       const { minting, user1, user2 } = await loadFixture(deployWithPricesFixture);
 
@@ -404,6 +432,187 @@ describe("NFTLotteryMintingTierV11 - Unit Tests", function () {
       await minting.connect(user3).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
       expect(await minting.getParticipantCount()).to.equal(3);
     });
+
+    it("Should index participants by tier as they mint", async function () {
+      const { minting, user1, user2 } = await loadFixture(deployWithPricesFixture);
+
+      // Participants 0, 2, 4 are tier 0 (weight 1); 1 and 3 are tier 3 (weight 8)
+      for (let i = 0; i < 5; i++) {
+        const [user, tier, price] = i % 2 === 0 ? [user1, 0, "0.001"] : [user2, 3, "0.01"];
+        await minting.connect(user).mintWithBaseToken(tier, { value: ethers.parseEther(price) });
+      }
+
+      expect(await minting.tierIndexedCount()).to.equal(5);
+
+      let range = await minting.getTierRange(0, 0, 5);
+      expect(range.weightBefore).to.equal(0);
+      expect(range.weight).to.equal(3);
+
+      range = await minting.getTierRange(0, 1, 5);
+      expect(range.weightBefore).to.equal(1);
+      expect(range.weight).to.equal(2);
+
+      range = await minting.getTierRange(3, 2, 5);
+      expect(range.weightBefore).to.equal(8);
+      expect(range.weight).to.equal(8);
+
+      expect(await minting.getTierParticipantAt(0, 0)).to.equal(0);
+      expect(await minting.getTierParticipantAt(0, 1)).to.equal(2);
+      expect(await minting.getTierParticipantAt(0, 2)).to.equal(4);
+      expect(await minting.getTierParticipantAt(3, 15)).to.equal(3);
+      await expect(minting.getTierParticipantAt(0, 3)).to.be.revertedWith("Weight out of range");
+    });
+
+    it("Should leave an up-to-date tier index unchanged on backfill", async function () {
+      const { minting, user1 } = await loadFixture(deployWithPricesFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await expect(minting.indexTierParticipants(10))
+        .to.emit(minting, "TierIndexBackfilled").withArgs(1);
+      expect((await minting.getTierRange(0, 0, 1)).weight).to.equal(1);
+    });
+  });
+
+  // ============ ROUND TESTS ============
+
+  describe("Rounds", function () {
+    it("Should start round 1 on initialization", async function () {
+      const { minting } = await loadFixture(deployMintingFixture);
+
+      expect(await minting.roundId()).to.equal(1);
+      const round = await minting.getRound(1);
+      expect(round.startIndex).to.equal(0);
+      expect(round.endIndex).to.equal(0);
+      expect(round.weightOffset).to.equal(0);
+      expect(round.roundWeight).to.equal(0);
+      expect(round.closed).to.be.false;
+    });
+
+    it("Should track live ranges for the open round", async function () {
+      const { minting, user1 } = await loadFixture(deployWithPricesFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.connect(user1).mintWithBaseToken(3, { value: ethers.parseEther("0.01") });
+
+      const round = await minting.getRound(1);
+      expect(round.endIndex).to.equal(2);
+      expect(round.roundWeight).to.equal(9);
+    });
+
+    it("Should freeze the closed round and open the next one", async function () {
+      const { minting, user1, user2 } = await loadFixture(deployWithPricesFixture);
+
+      await minting.connect(user1).mintWithBaseToken(2, { value: ethers.parseEther("0.005") });
+
+      await expect(minting.closeRound())
+        .to.emit(minting, "RoundClosed").withArgs(1, 1, 4)
+        .and.to.emit(minting, "RoundStarted").withArgs(2, 1, 4);
+
+      await minting.connect(user2).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      const closed = await minting.getRound(1);
+      expect(closed.endIndex).to.equal(1);
+      expect(closed.roundWeight).to.equal(4);
+      expect(closed.closed).to.be.true;
+
+      const open = await minting.getRound(2);
+      expect(open.startIndex).to.equal(1);
+      expect(open.endIndex).to.equal(2);
+      expect(open.weightOffset).to.equal(4);
+      expect(open.roundWeight).to.equal(1);
+
+      // Global readers are unchanged
+      expect(await minting.getParticipantCount()).to.equal(2);
+      expect(await minting.totalWeight()).to.equal(5);
+    });
+
+    it("Should find the round of a participant, skipping empty rounds", async function () {
+      const { minting, user1 } = await loadFixture(deployWithPricesFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.closeRound();
+      await minting.closeRound(); // round 2 stays empty
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      expect(await minting.getRoundOfParticipant(0)).to.equal(1);
+      expect(await minting.getRoundOfParticipant(1)).to.equal(3);
+      await expect(minting.getRoundOfParticipant(2)).to.be.revertedWith("Invalid participant");
+    });
+
+    it("Should only let the owner or draw manager close rounds", async function () {
+      const { minting, user1, user2 } = await loadFixture(deployMintingFixture);
+
+      await expect(minting.connect(user1).closeRound()).to.be.revertedWith("Not authorized");
+
+      await expect(minting.setDrawManager(user2.address))
+        .to.emit(minting, "DrawManagerSet").withArgs(user2.address);
+      await expect(minting.connect(user2).closeRound()).to.not.be.reverted;
+      expect(await minting.roundId()).to.equal(2);
+    });
+
+    it("Should reject unknown rounds", async function () {
+      const { minting } = await loadFixture(deployMintingFixture);
+
+      await expect(minting.getRound(0)).to.be.revertedWith("Invalid round");
+      await expect(minting.getRound(2)).to.be.revertedWith("Invalid round");
+    });
+
+    it("Should not re-run the rounds migration on a fresh deployment", async function () {
+      const { minting } = await loadFixture(deployMintingFixture);
+
+      await expect(minting.initializeRounds()).to.be.revertedWith("Rounds already initialized");
+    });
+  });
+
+  // ============ REVENUE SPLIT TESTS ============
+
+  describe("Revenue Split", function () {
+    it("Should default to sending all revenue to the treasury", async function () {
+      const { minting } = await loadFixture(deployMintingFixture);
+
+      const [drawTypeBps, treasuryBps] = await minting.getRevenueSplit();
+      expect(drawTypeBps.length).to.equal(0);
+      expect(treasuryBps).to.equal(10000);
+    });
+
+    it("Should set the split and report the treasury remainder", async function () {
+      const { minting, owner } = await loadFixture(deployMintingFixture);
+
+      await minting.setDrawManager(owner.address);
+      await expect(minting.setRevenueSplit([2000, 1000, 500, 500]))
+        .to.emit(minting, "RevenueSplitSet")
+        .withArgs([2000, 1000, 500, 500], 6000);
+
+      const [drawTypeBps, treasuryBps] = await minting.getRevenueSplit();
+      expect(drawTypeBps).to.deep.equal([2000n, 1000n, 500n, 500n]);
+      expect(treasuryBps).to.equal(6000);
+    });
+
+    it("Should reject a split above 10000 bps", async function () {
+      const { minting, owner } = await loadFixture(deployMintingFixture);
+
+      await minting.setDrawManager(owner.address);
+      await expect(
+        minting.setRevenueSplit([6000, 5000])
+      ).to.be.revertedWith("Split exceeds 10000 bps");
+    });
+
+    it("Should require a draw manager before routing revenue", async function () {
+      const { minting } = await loadFixture(deployMintingFixture);
+
+      await expect(
+        minting.setRevenueSplit([1000])
+      ).to.be.revertedWith("Draw manager not set");
+    });
+
+    it("Should reject split changes from non-owner", async function () {
+      const { minting, user1 } = await loadFixture(deployMintingFixture);
+
+      await expect(
+        minting.connect(user1).setRevenueSplit([])
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
+    });
   });
 
   // ============ WITHDRAWAL TESTS ============
@@ -439,7 +648,192 @@ describe("NFTLotteryMintingTierV11 - Unit Tests", function () {
 
       await expect(
         minting.connect(user1).withdraw()
-      ).to.be.revertedWithCustomError(minting, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ============ TOKEN METADATA TESTS ============
+
+  describe("Token Metadata", function () {
+    const decodeDataURI = (uri, prefix) => {
+      expect(uri.startsWith(prefix)).to.be.true;
+      return Buffer.from(uri.slice(prefix.length), "base64").toString();
+    };
+
+    async function deployWithRendererFixture() {
+      const fixture = await deployWithPricesFixture();
+      const renderer = await ethers.deployContract("TicketRenderer", [await fixture.minting.getAddress()]);
+      await fixture.minting.setTicketRenderer(await renderer.getAddress());
+      return { ...fixture, renderer };
+    }
+
+    it("Should generate on-chain JSON metadata with SVG art", async function () {
+      const { minting, user1 } = await loadFixture(deployWithRendererFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      const mintTime = await time.latest();
+
+      const metadata = JSON.parse(decodeDataURI(await minting.tokenURI(0), "data:application/json;base64,"));
+      expect(metadata.name).to.equal("HODLotto Ticket #0 - Moon");
+      expect(metadata.draws_won).to.deep.equal([]);
+
+      const traits = Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value]));
+      expect(traits).to.deep.equal({
+        "Celestial Body": "Moon",
+        "Tier": 0,
+        "Weight": 1,
+        "Lotto ID": 0,
+        "Draws Won": 0,
+        "Minted": mintTime
+      });
+      expect(await minting.mintedAt(0)).to.equal(mintTime);
+
+      const svg = decodeDataURI(metadata.image, "data:image/svg+xml;base64,");
+      expect(svg).to.contain("#9CA3AF"); // Moon palette
+      expect(svg).to.contain("Moon");
+      expect(svg).to.not.contain("<ellipse");
+    });
+
+    it("Should name and colour each tier after its celestial body", async function () {
+      const { minting, user1 } = await loadFixture(deployWithRendererFixture);
+
+      await minting.connect(user1).mintWithBaseToken(6, { value: ethers.parseEther("0.1") });
+
+      const metadata = JSON.parse(decodeDataURI(await minting.tokenURI(0), "data:application/json;base64,"));
+      expect(metadata.name).to.equal("HODLotto Ticket #0 - Saturn");
+      const svg = decodeDataURI(metadata.image, "data:image/svg+xml;base64,");
+      expect(svg).to.contain("#FCD34D");
+      expect(svg).to.contain("<ellipse"); // Saturn's rings
+    });
+
+    it("Should let the admin override metadata with an external base URI", async function () {
+      const { minting, user1 } = await loadFixture(deployWithRendererFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+
+      await expect(minting.setBaseURI("https://example.com/tickets/"))
+        .to.emit(minting, "BaseURISet").withArgs("https://example.com/tickets/");
+      expect(await minting.tokenURI(0)).to.equal("https://example.com/tickets/0");
+      await expect(
+        minting.connect(user1).setBaseURI("https://evil.example/")
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
+
+      await minting.setBaseURI("");
+      expect((await minting.tokenURI(0)).startsWith("data:application/json;base64,")).to.be.true;
+    });
+
+    it("Should let the admin set the ticket renderer", async function () {
+      const { minting, user1 } = await loadFixture(deployWithPricesFixture);
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      expect(await minting.tokenURI(0)).to.equal("");
+
+      const renderer = await ethers.deployContract("TicketRenderer", [await minting.getAddress()]);
+      await expect(
+        minting.connect(user1).setTicketRenderer(await renderer.getAddress())
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
+      await expect(minting.setTicketRenderer(await renderer.getAddress()))
+        .to.emit(minting, "TicketRendererSet").withArgs(await renderer.getAddress());
+
+      expect(await minting.ticketRenderer()).to.equal(await renderer.getAddress());
+      expect(await minting.tokenURI(0)).to.equal(await renderer.tokenURI(0));
+    });
+
+    it("Should reject metadata for unminted or burned tokens", async function () {
+      const { minting, user1 } = await loadFixture(deployWithRendererFixture);
+
+      await expect(minting.tokenURI(0)).to.be.revertedWithCustomError(minting, "ERC721NonexistentToken");
+
+      await minting.connect(user1).mintWithBaseToken(0, { value: ethers.parseEther("0.001") });
+      await minting.connect(user1).burn(0);
+      await expect(minting.tokenURI(0)).to.be.revertedWithCustomError(minting, "ERC721NonexistentToken");
+    });
+  });
+
+  // ============ ADMIN ROLE TESTS ============
+
+  describe("Admin Roles", function () {
+    it("Should let role holders act without owning the contract", async function () {
+      const { minting, owner, user1, user2, user3 } = await loadFixture(deployWithPricesFixture);
+
+      await minting.grantRole(await minting.PRICE_ADMIN_ROLE(), user1.address);
+      await minting.grantRole(await minting.TREASURER_ROLE(), user2.address);
+      await minting.grantRole(await minting.PAUSER_ROLE(), user3.address);
+
+      await minting.connect(user1).setTierPrice(0, ethers.parseEther("0.002"), 0, 0);
+      await expect(
+        minting.connect(user1).withdraw()
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
+
+      await minting.connect(user3).deactivateLottery();
+      expect(await minting.lotteryActive()).to.be.false;
+      await minting.connect(user3).activateLottery();
+
+      // Revenue still goes to the owner, whoever withdraws it
+      await minting.connect(user3).mintWithBaseToken(0, { value: ethers.parseEther("0.002") });
+      await expect(minting.connect(user2).withdraw()).to.changeEtherBalance(owner, ethers.parseEther("0.002"));
+    });
+
+    it("Should only change tier weights after the timelock", async function () {
+      const { minting, user1 } = await loadFixture(deployMintingFixture);
+      const data = minting.interface.encodeFunctionData("setTierWeight", [0, 10]);
+
+      await expect(minting.setTierWeight(0, 10)).to.be.revertedWith("Change not queued");
+      await expect(
+        minting.connect(user1).queueChange(data)
+      ).to.be.revertedWithCustomError(minting, "AccessControlUnauthorizedAccount");
+
+      await minting.queueChange(data);
+      await expect(minting.setTierWeight(0, 10)).to.be.revertedWith("Timelock not elapsed");
+
+      await time.increase(await minting.timelockDelay());
+      await expect(minting.setTierWeight(0, 10)).to.emit(minting, "TierWeightSet").withArgs(0, 10);
+    });
+
+    it("Should expire queued changes after the grace period", async function () {
+      const { minting } = await loadFixture(deployMintingFixture);
+      const data = minting.interface.encodeFunctionData("setTierWeight", [0, 10]);
+
+      await minting.queueChange(data);
+      await time.increase((await minting.timelockDelay()) + (await minting.CHANGE_GRACE_PERIOD()) + 1n);
+
+      expect(await minting.getChangeReadyTime(data)).to.equal(0);
+      await expect(minting.setTierWeight(0, 10)).to.be.revertedWith("Change expired");
+
+      // An expired change can be queued again, and waits out the full delay
+      await minting.queueChange(data);
+      await expect(minting.setTierWeight(0, 10)).to.be.revertedWith("Timelock not elapsed");
+      await time.increase(await minting.timelockDelay());
+      await expect(minting.setTierWeight(0, 10)).to.emit(minting, "TierWeightSet").withArgs(0, 10);
+    });
+
+    it("Should grant the roles in the upgrade that migrates a pre-roles proxy", async function () {
+      const [owner] = await ethers.getSigners();
+      const legacy = await upgrades.deployProxy(await ethers.getContractFactory("OwnableUUPSMock"), [], { kind: "uups" });
+
+      // The old implementation authorizes this upgrade for the owner
+      const MintingContract = await ethers.getContractFactory("NFTLotteryMintingTierV11");
+      const minting = await upgrades.upgradeProxy(await legacy.getAddress(), MintingContract, {
+        call: { fn: "initializeRounds" }
+      });
+
+      expect(await minting.roundId()).to.equal(1);
+      for (const role of ["DEFAULT_ADMIN_ROLE", "PRICE_ADMIN_ROLE", "DRAW_OPERATOR_ROLE", "TREASURER_ROLE", "PAUSER_ROLE", "UPGRADER_ROLE"]) {
+        expect(await minting.hasRole(await minting[role](), owner.address)).to.be.true;
+      }
+
+      // From here on upgrades go through the timelock
+      const implementation = await upgrades.prepareUpgrade(await minting.getAddress(), MintingContract);
+      await expect(minting.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Change not queued");
+      await expect(runTimelocked(minting, "upgradeToAndCall", [implementation, "0x"])).to.emit(minting, "Upgraded");
+    });
+
+    it("Should not re-run the migration on new deployments", async function () {
+      const { minting } = await loadFixture(deployMintingFixture);
+
+      await expect(minting.initializeRounds()).to.be.revertedWith("Rounds already initialized");
+      expect(await minting.supportsInterface("0x80ac58cd")).to.be.true; // ERC721
+      expect(await minting.supportsInterface("0x7965db0b")).to.be.true; // IAccessControl
     });
   });
 
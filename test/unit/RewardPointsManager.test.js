@@ -425,6 +425,61 @@ describe("RewardPointsManager - Epoch-Based Staking Tests", function () {
       await expect(rewardManager.connect(user1).stake())
         .to.not.be.reverted;
     });
+
+    it("Should split admin powers by role", async function () {
+      const { rewardManager, user1, user2 } = await loadFixture(deployRewardSystemFixture);
+
+      await rewardManager.grantRole(await rewardManager.PAUSER_ROLE(), user1.address);
+      await rewardManager.grantRole(await rewardManager.PRICE_ADMIN_ROLE(), user2.address);
+
+      await rewardManager.connect(user1).pause();
+      await expect(rewardManager.connect(user1).setBaseRewardRate(1))
+        .to.be.revertedWithCustomError(rewardManager, "AccessControlUnauthorizedAccount");
+
+      await expect(rewardManager.connect(user2).setBaseRewardRate(1))
+        .to.emit(rewardManager, "BaseRewardRateUpdated");
+      await expect(rewardManager.connect(user2).unpause())
+        .to.be.revertedWithCustomError(rewardManager, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should only upgrade after the timelock", async function () {
+      const { rewardPoints, rewardManager } = await loadFixture(deployRewardSystemFixture);
+
+      for (const [proxy, name] of [[rewardPoints, "RewardPoints"], [rewardManager, "RewardPointsManager"]]) {
+        const factory = await ethers.getContractFactory(name);
+        const implementation = await upgrades.prepareUpgrade(await proxy.getAddress(), factory);
+        const data = proxy.interface.encodeFunctionData("upgradeToAndCall", [implementation, "0x"]);
+
+        await expect(proxy.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Change not queued");
+        await proxy.queueChange(data);
+        await time.increase(await proxy.timelockDelay());
+        await expect(proxy.upgradeToAndCall(implementation, "0x")).to.emit(proxy, "Upgraded");
+      }
+    });
+
+    it("Should grant the roles in the upgrade that migrates a pre-roles proxy", async function () {
+      const [owner] = await ethers.getSigners();
+
+      for (const name of ["RewardPoints", "RewardPointsManager"]) {
+        const legacy = await upgrades.deployProxy(await ethers.getContractFactory("OwnableUUPSMock"), [], { kind: "uups" });
+
+        // The old implementation authorizes this upgrade for the owner
+        const factory = await ethers.getContractFactory(name);
+        const proxy = await upgrades.upgradeProxy(await legacy.getAddress(), factory, {
+          call: { fn: "initializeRoles" }
+        });
+
+        expect(await proxy.hasRole(await proxy.UPGRADER_ROLE(), owner.address)).to.be.true;
+        await expect(proxy.initializeRoles()).to.be.revertedWithCustomError(proxy, "InvalidInitialization");
+
+        // From here on upgrades go through the timelock
+        const implementation = await upgrades.prepareUpgrade(await proxy.getAddress(), factory);
+        await expect(proxy.upgradeToAndCall(implementation, "0x")).to.be.revertedWith("Change not queued");
+        await proxy.queueChange(proxy.interface.encodeFunctionData("upgradeToAndCall", [implementation, "0x"]));
+        await time.increase(await proxy.timelockDelay());
+        await expect(proxy.upgradeToAndCall(implementation, "0x")).to.emit(proxy, "Upgraded");
+      }
+    });
   });
 
   // ============ EDGE CASES ============